@@ -0,0 +1,14 @@
+-- CDC_USER.MY_TABLE source table
+-- Generated from specs/my_table.yaml by scripts/generate-from-spec.js; do not edit.
+
+CREATE TABLE CDC_USER.MY_TABLE (
+    ID NUMBER NOT NULL,
+    NAME VARCHAR2(100),
+    VALUE NUMBER(10,2),
+    UPDATED_AT TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT PK_MY_TABLE PRIMARY KEY (ID)
+);
+
+CREATE INDEX CDC_USER.IDX_MY_TABLE_UPDATED_AT ON CDC_USER.MY_TABLE (UPDATED_AT);
+
+COMMENT ON TABLE CDC_USER.MY_TABLE IS 'CDC 테스트용 샘플 테이블';
@@ -0,0 +1,26 @@
+-- CDC_USER.ORDERS source table
+-- Generated from specs/orders.yaml by scripts/generate-from-spec.js; do not edit.
+
+CREATE TABLE CDC_USER.ORDERS (
+    ORDER_ID NUMBER NOT NULL,
+    CUSTOMER_ID NUMBER NOT NULL,
+    PRODUCT_ID NUMBER NOT NULL,
+    QUANTITY NUMBER NOT NULL,
+    TOTAL_AMOUNT NUMBER(10,2) NOT NULL,
+    STATUS VARCHAR2(20) NOT NULL,
+    CREATED_AT TIMESTAMP NOT NULL,
+    MODIFIED_AT TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT PK_ORDERS PRIMARY KEY (ORDER_ID)
+);
+
+CREATE INDEX CDC_USER.IDX_ORDERS_MODIFIED_AT ON CDC_USER.ORDERS (MODIFIED_AT);
+
+COMMENT ON TABLE CDC_USER.ORDERS IS 'Order transaction table';
+
+CREATE OR REPLACE TRIGGER CDC_USER.TRG_ORDERS_CDC_KEY
+BEFORE INSERT OR UPDATE ON CDC_USER.ORDERS
+FOR EACH ROW
+BEGIN
+    :NEW.MODIFIED_AT := SYSTIMESTAMP;
+END;
+/
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Apply Elasticsearch index templates
+ *
+ * Usage:
+ *   node scripts/apply-es-templates.js [table_name...] [--host <url>] [--dry-run]
+ *
+ * Puts every template under elasticsearch/templates/ (generated from specs)
+ * and creates indices that do not exist yet, so `dynamic: strict` and the
+ * declared field types are in place before the CDC flow starts writing.
+ * An existing index whose mappings disagree with its spec is reported and
+ * the exit code is 1; it has to be reindexed by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { indexTemplateName, applyIndexTemplates } = require('./lib/es-index');
+
+const ES_TEMPLATES_DIR = path.join(__dirname, '../elasticsearch/templates');
+const DEFAULT_HOST = process.env.ES_HOST || 'http://localhost:9200';
+
+/**
+ * Load generated templates, optionally limited to some tables
+ * @returns {Array<{name: string, body: object}>}
+ */
+function loadTemplates(dir, tables = []) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Template directory not found: ${dir} (run npm run generate:all first)`);
+  }
+
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  const available = files.map(f => f.replace('.json', ''));
+  const missing = tables.filter(table => !available.includes(table));
+  if (missing.length > 0) {
+    throw new Error(`No index template for table(s): ${missing.join(', ')}`);
+  }
+
+  return files
+    .filter(f => tables.length === 0 || tables.includes(f.replace('.json', '')))
+    .map(f => {
+      const body = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+      return { name: indexTemplateName(body.index_patterns[0]), body };
+    });
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { host: DEFAULT_HOST, dryRun: false, tables: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--host') {
+      if (!argv[i + 1]) {
+        throw new Error('Missing value for --host');
+      }
+      options.host = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown argument: ${arg}`);
+    } else {
+      options.tables.push(arg.toLowerCase());
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  let options;
+  let templates;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    templates = loadTemplates(ES_TEMPLATES_DIR, options.tables);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(2);
+  }
+
+  const { Client } = require('@elastic/elasticsearch');
+  const client = new Client({ node: options.host });
+
+  console.log(`${options.dryRun ? 'Checking' : 'Applying'} ${templates.length} index template(s) on ${options.host}...`);
+  const results = await applyIndexTemplates(client, templates, { dryRun: options.dryRun });
+
+  for (const result of results) {
+    const verb = {
+      created: options.dryRun ? 'would create index' : 'created index',
+      exists: 'index exists, mappings match',
+      conflict: 'index exists with conflicting mappings'
+    }[result.action];
+    console.log(`  ${result.name}: ${verb} ${result.index}`);
+    result.conflicts.forEach(conflict => console.log(`    ! ${conflict}`));
+  }
+
+  if (results.some(result => result.action === 'conflict')) {
+    console.error('\nExisting indices do not match their spec; reindex them before starting the flow.');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(e => {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { loadTemplates, parseArgs };
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * PII Transform Audit
+ *
+ * Usage:
+ *   node scripts/audit-transforms.js [--format text|json] [--specs <dir>]
+ *
+ * Lists every spec column that reaches Elasticsearch through a transform
+ * (hash, mask, truncate, redact), so a review can confirm which PII
+ * columns are never indexed in clear text. The exit code is 1 when a spec
+ * fails validation.
+ */
+
+const path = require('path');
+const { formatError } = require('./lib/spec-validator');
+const { loadSpecs } = require('./validate-sql-registry');
+const { auditTransforms } = require('./lib/column-transform');
+
+const DEFAULT_SPECS_DIR = path.join(__dirname, '../specs');
+
+const HEADERS = { table: 'TABLE', column: 'COLUMN', field: 'FIELD', transform: 'TRANSFORM', detail: 'DETAIL' };
+
+/**
+ * Render audit rows as an aligned text table
+ */
+function formatTable(rows) {
+  const keys = Object.keys(HEADERS);
+  const widths = keys.map(key => Math.max(HEADERS[key].length, ...rows.map(row => row[key].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    line(keys.map(key => HEADERS[key])),
+    ...rows.map(row => line(keys.map(key => row[key])))
+  ].join('\n');
+}
+
+/**
+ * Parse CLI arguments
+ */
+function parseArgs(argv) {
+  const options = {
+    format: 'text',
+    specs: DEFAULT_SPECS_DIR
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const key = arg.replace(/^--/, '');
+    if (!arg.startsWith('--') || !(key in options)) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!argv[i + 1]) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+    options[key] = argv[++i];
+  }
+
+  if (!['text', 'json'].includes(options.format)) {
+    throw new Error(`Unsupported format: ${options.format} (expected text or json)`);
+  }
+
+  return options;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(2);
+  }
+
+  const { specs, errors } = loadSpecs(options.specs);
+  for (const error of errors) {
+    console.error(formatError(error));
+  }
+
+  const tables = Object.keys(specs).sort();
+  const rows = auditTransforms(tables.map(table => specs[table].spec));
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify({ specs: tables.length, transformed: rows.length, columns: rows }, null, 2));
+  } else if (rows.length === 0) {
+    console.log(`No transformed columns in ${tables.length} spec(s)`);
+  } else {
+    console.log(formatTable(rows));
+    console.log(`\n${rows.length} transformed column(s) in ${tables.length} spec(s)`);
+  }
+
+  process.exit(errors.length > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  formatTable
+};
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Semantic Flow Diff
+ *
+ * Usage:
+ *   node scripts/flow-diff.js <before> <after> [--format markdown|json] [--output <file>]
+ *
+ * Each snapshot is a flow JSON file or a `<git-rev>:<path>` such as
+ * `origin/main:flows/oracle_cdc_flow.json`. Prints added and removed
+ * components, property and scheduling changes and rewired connections as a
+ * markdown summary (default) or JSON; layout-only changes are ignored.
+ */
+
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+const { diffFlows, renderMarkdown } = require('./lib/flow-diff');
+
+/**
+ * Read a flow snapshot from a file or a git revision
+ */
+function readSnapshot(source) {
+  if (fs.existsSync(source)) {
+    return JSON.parse(fs.readFileSync(source, 'utf8'));
+  }
+  if (/^[^:]+:.+/.test(source)) {
+    const result = spawnSync('git', ['show', source], { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+    if (result.status !== 0) {
+      throw new Error(`Cannot read ${source}: ${(result.stderr || '').trim() || 'git show failed'}`);
+    }
+    return JSON.parse(result.stdout);
+  }
+  throw new Error(`Flow file not found: ${source}`);
+}
+
+/**
+ * Parse CLI arguments
+ */
+function parseArgs(argv) {
+  const options = {
+    format: 'markdown',
+    output: null
+  };
+  const snapshots = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      snapshots.push(arg);
+      continue;
+    }
+    const key = arg.replace(/^--/, '');
+    if (!(key in options)) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!argv[i + 1]) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+    options[key] = argv[++i];
+  }
+
+  if (snapshots.length !== 2) {
+    throw new Error('Expected two flow snapshots: <before> <after>');
+  }
+  if (!['markdown', 'json'].includes(options.format)) {
+    throw new Error(`Unsupported format: ${options.format} (expected markdown or json)`);
+  }
+
+  return { ...options, before: snapshots[0], after: snapshots[1] };
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  let options;
+  let diff;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    diff = diffFlows(readSnapshot(options.before), readSnapshot(options.after));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(2);
+  }
+
+  const text = options.format === 'json'
+    ? JSON.stringify({ before: options.before, after: options.after, ...diff }, null, 2) + '\n'
+    : renderMarkdown(diff, { title: `Flow diff: ${options.before} → ${options.after}` });
+
+  if (options.output) {
+    fs.writeFileSync(options.output, text);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  readSnapshot
+};
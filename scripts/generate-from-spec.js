@@ -6,54 +6,145 @@
  * Usage:
  *   node scripts/generate-from-spec.js [table_name]
  *   node scripts/generate-from-spec.js --all
+ *   node scripts/generate-from-spec.js --all --dry-run   # print diff, write nothing
+ *   node scripts/generate-from-spec.js --all --check     # exit 1 if artifacts drifted
+ *   node scripts/generate-from-spec.js --all --prune     # also drop artifacts without a spec
+ *   node scripts/generate-from-spec.js --remove <table>  # drop a table's artifacts
+ *   node scripts/generate-from-spec.js --from-dictionary <file>[,<file>] [--table <name>]
  *
  * This script reads spec files and generates:
- * - SQL Registry entries (sql-registry/oracle.json)
+ * - SQL Registry entries, one file per source dialect (sql-registry/<dialect>.json)
  * - Flow JSON LookupService entries (flows/oracle_cdc_flow.json)
+ * - One CDC process group per table and a DBCP service per dialect (flows/oracle_cdc_flow.json)
+ * - One Elasticsearch index template per table (elasticsearch/templates/<table>.json)
+ * - Oracle DDL for the source table of Oracle specs (oracle/ddl/<table>.sql)
+ * - The sql-registry ConfigMap holding every registry file (k8s/sql-registry.yaml)
  */
 
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
+const { SpecValidationError, validateSpec, loadValidatedSpec } = require('./lib/spec-validator');
+const { createUnifiedDiff } = require('./lib/unified-diff');
+const {
+  processGroupId,
+  tableFromProcessGroupId,
+  buildTableProcessGroup,
+  buildDbcpService,
+  buildWatermarkCacheServices,
+  nextGroupPosition
+} = require('./lib/process-group');
+const { buildIndexTemplate } = require('./lib/es-index');
+const { findLossyMappings } = require('./lib/type-mapping');
+const { generateOracleDdl } = require('./lib/oracle-ddl');
+const { isCompositeKey, documentIdExpression } = require('./lib/document-id');
+const {
+  cdcMode,
+  changeColumn,
+  isCompoundWatermark,
+  watermarkColumns,
+  rangeParameters,
+  rangeClause
+} = require('./lib/watermark');
+const { windowMetadata } = require('./lib/range-window');
+const { filterCondition } = require('./lib/row-filter');
+const { isRenamed, projectedColumns, selectAlias, columnTransform } = require('./lib/projection');
+const { transformExpression } = require('./lib/column-transform');
+const { joinedColumns, childColumns, fromClause } = require('./lib/join');
+const { loadDictionary, buildSpecFromDictionary, renderSpecYaml } = require('./lib/oracle-dictionary');
+const {
+  dialectName,
+  dialectOf,
+  sourceOffset,
+  quoteIdentifier,
+  specSqlId,
+  sqlIdDialect,
+  registryFileName,
+  dbcpServiceId
+} = require('./lib/dialect');
 
 const SPECS_DIR = path.join(__dirname, '../specs');
-const SQL_REGISTRY_PATH = path.join(__dirname, '../sql-registry/oracle.json');
+const SQL_REGISTRY_DIR = path.join(__dirname, '../sql-registry');
 const FLOW_PATH = path.join(__dirname, '../flows/oracle_cdc_flow.json');
+const ES_TEMPLATES_DIR = path.join(__dirname, '../elasticsearch/templates');
+const ORACLE_DDL_DIR = path.join(__dirname, '../oracle/ddl');
+const REGISTRY_CONFIG_MAP_PATH = path.join(__dirname, '../k8s/sql-registry.yaml');
+const ROOT_DIR = path.join(__dirname, '..');
 
 /**
- * Load spec file for a table
+ * Load and validate spec file for a table
  */
 function loadSpec(tableName) {
   const specPath = path.join(SPECS_DIR, `${tableName}.yaml`);
   if (!fs.existsSync(specPath)) {
     throw new Error(`Spec file not found: ${specPath}`);
   }
-  return yaml.load(fs.readFileSync(specPath, 'utf8'));
+  return loadValidatedSpec(specPath);
 }
 
 /**
- * Load all spec files
+ * Load all spec files, reporting validation errors from every file at once
  */
 function loadAllSpecs() {
   const specs = [];
+  const errors = [];
   const files = fs.readdirSync(SPECS_DIR).filter(f => f.endsWith('.yaml'));
 
   for (const file of files) {
     const tableName = file.replace('.yaml', '');
-    specs.push({ tableName, spec: loadSpec(tableName) });
+    try {
+      specs.push({ tableName, spec: loadSpec(tableName) });
+    } catch (e) {
+      if (!(e instanceof SpecValidationError)) throw e;
+      errors.push(...e.errors);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new SpecValidationError(errors);
   }
 
   return specs;
 }
 
+/**
+ * SELECT expression for a column
+ *
+ * Local timestamp columns are rendered as ISO-8601 strings with the source
+ * offset so Elasticsearch `date` fields parse them without a custom format.
+ * Renamed columns are aliased to their Elasticsearch field name and
+ * transformed columns are only ever selected through their transform.
+ *
+ * @param {object} column - Spec, joined or child column
+ * @param {object} dialect - Dialect definition of the spec
+ * @param {string} offset - UTC offset of the source clock (source.utc_offset)
+ */
+function selectExpression(column, dialect, offset) {
+  const name = quoteIdentifier(column.name, dialect);
+  const alias = selectAlias(column, dialect);
+  if (columnTransform(column)) {
+    return `${transformExpression(column)} AS ${alias}`;
+  }
+  if (dialect.localTimestamp.test(column.type)) {
+    return `${dialect.formatTimestamp(name, offset)} AS ${alias}`;
+  }
+  return isRenamed(column) ? `${name} AS ${alias}` : name;
+}
+
 /**
  * Generate SQL query from spec
  */
 function generateSql(spec) {
-  const { table, columns } = spec;
-  const columnList = columns ? columns.map(c => c.name).join(', ') : '*';
+  const { columns } = spec;
+  const dialect = dialectOf(spec);
+  const expressions = columns
+    ? [...projectedColumns(spec), ...joinedColumns(spec), ...childColumns(spec)].map(column => selectExpression(column, dialect, sourceOffset(spec)))
+    : ['*'];
+  if (isCompositeKey(spec)) {
+    expressions.push(documentIdExpression(spec));
+  }
+  const columnList = expressions.join(', ');
 
-  return `SELECT ${columnList} FROM ${table.schema}.${table.name} WHERE ${table.cdc_key} > TO_TIMESTAMP(\${range_from}, 'YYYY-MM-DD HH24:MI:SS.FF') AND ${table.cdc_key} <= TO_TIMESTAMP(\${range_to}, 'YYYY-MM-DD HH24:MI:SS.FF') ORDER BY ${table.cdc_key}`;
+  return `SELECT ${columnList} FROM ${fromClause(spec)} ${rangeClause(spec, filterCondition(spec))}`;
 }
 
 /**
@@ -61,18 +152,23 @@ function generateSql(spec) {
  */
 function generateSqlRegistryEntries(spec) {
   const { table, range } = spec;
-  const tableLower = table.name.toLowerCase();
   const sql = generateSql(spec);
+  const filter = filterCondition(spec);
+  const parameters = rangeParameters(spec).map(parameter => parameter.attribute);
   const entries = {};
 
   for (const rangeOption of range.options) {
-    const sqlId = `oracle.cdc.${tableLower}.${rangeOption}`;
-    entries[sqlId] = {
+    entries[specSqlId(spec, rangeOption)] = {
       sql,
+      parameters,
       table: table.name,
       schema: table.schema,
       range: rangeOption,
-      max_value_column: table.cdc_key,
+      max_value_column: changeColumn(spec),
+      ...(cdcMode(spec) !== 'timestamp' ? { mode: cdcMode(spec) } : {}),
+      ...(isCompoundWatermark(spec) ? { watermark_columns: watermarkColumns(spec) } : {}),
+      ...windowMetadata(spec),
+      ...(filter ? { filter } : {}),
       description: `${rangeOption} interval CDC query for ${table.name}`
     };
   }
@@ -81,48 +177,172 @@ function generateSqlRegistryEntries(spec) {
 }
 
 /**
- * Update SQL Registry file
+ * Serialize an artifact the way it is committed
  */
-function updateSqlRegistry(newEntries) {
-  let registry = {};
+function toJsonText(obj) {
+  return JSON.stringify(obj, null, 2) + '\n';
+}
 
-  if (fs.existsSync(SQL_REGISTRY_PATH)) {
-    registry = JSON.parse(fs.readFileSync(SQL_REGISTRY_PATH, 'utf8'));
-  }
+/**
+ * Render the Kubernetes ConfigMap that mounts the SQL Registries
+ *
+ * @param {object} registryTexts - Registry file text keyed by file name, e.g. oracle.json
+ * @returns {string} YAML with one data key per registry file
+ */
+function renderRegistryConfigMap(registryTexts) {
+  const data = Object.keys(registryTexts).sort().map(name => {
+    const body = registryTexts[name].trimEnd().split('\n').map(line => `    ${line}`).join('\n');
+    return `  ${name}: |\n${body}`;
+  });
+  return [
+    '# Generated from sql-registry/*.json by scripts/generate-from-spec.js; do not edit.',
+    '---',
+    'apiVersion: v1',
+    'kind: ConfigMap',
+    'metadata:',
+    '  name: sql-registry',
+    '  namespace: nificdc',
+    'data:',
+    ...data
+  ].join('\n') + '\n';
+}
+
+/**
+ * Find the SQL Lookup Service in a flow
+ */
+function findLookupService(flow) {
+  return flow.flowContents.controllerServices.find(
+    s => s.identifier === 'sql-lookup-service'
+  );
+}
 
-  // Merge new entries
-  Object.assign(registry, newEntries);
+/**
+ * Lower-case table names that own a per-table process group
+ */
+function flowTables(flow) {
+  if (!flow) return [];
+  return (flow.flowContents.processGroups || [])
+    .map(group => tableFromProcessGroupId(group.identifier))
+    .filter(Boolean);
+}
 
-  // Sort by key for consistent output
-  const sorted = Object.keys(registry).sort().reduce((acc, key) => {
-    acc[key] = registry[key];
-    return acc;
-  }, {});
+/**
+ * Files generated once per table, named <table><ext> inside their directory
+ *
+ * `applies` limits a kind to the specs it is generated for.
+ */
+const TABLE_FILES = [
+  { dir: ES_TEMPLATES_DIR, ext: '.json', render: spec => toJsonText(buildIndexTemplate(spec)) },
+  { dir: ORACLE_DDL_DIR, ext: '.sql', render: generateOracleDdl, applies: spec => dialectName(spec) === 'oracle' }
+];
+
+/**
+ * Path of a dialect's SQL Registry
+ */
+function registryPath(dialect) {
+  return path.join(SQL_REGISTRY_DIR, registryFileName(dialect));
+}
 
-  fs.writeFileSync(SQL_REGISTRY_PATH, JSON.stringify(sorted, null, 2) + '\n');
+/**
+ * Path of a generated per-table file
+ */
+function tableFilePath(kind, tableLower) {
+  return path.join(kind.dir, `${tableLower}${kind.ext}`);
+}
 
-  return Object.keys(newEntries);
+/**
+ * Lower-case table names that have at least one generated per-table file
+ * @param {object} tableFiles - Current file text keyed by path
+ */
+function tableFileTables(tableFiles) {
+  const tables = Object.keys(tableFiles).map(file => path.basename(file, path.extname(file)));
+  return [...new Set(tables)].sort();
 }
 
 /**
- * Update Flow JSON LookupService
+ * Every sql_id known to the registry or the LookupService
  */
-function updateFlowLookupService(newEntries) {
-  if (!fs.existsSync(FLOW_PATH)) {
-    console.warn('Flow file not found, skipping LookupService update');
-    return;
+function knownSqlIds(registry, flow) {
+  const lookupService = flow ? findLookupService(flow) : null;
+  const ids = new Set(Object.keys(registry));
+  if (lookupService) {
+    Object.keys(lookupService.properties).forEach(id => ids.add(id));
   }
+  return [...ids].sort();
+}
 
-  const flow = JSON.parse(fs.readFileSync(FLOW_PATH, 'utf8'));
+/**
+ * Tables that own a process group or a generated per-table file
+ */
+function artifactTables(flow, fileTables) {
+  return [...new Set([...flowTables(flow), ...fileTables])].sort();
+}
+
+/**
+ * Artifacts that belong to one table (--remove)
+ *
+ * @param {object} registry - Current SQL Registry
+ * @param {object|null} flow - Current flow
+ * @param {string} tableLower - Table to remove
+ * @param {string[]} [fileTables] - Tables with generated per-table files
+ * @returns {{sqlIds: string[], tables: string[]}}
+ */
+function findTableArtifacts(registry, flow, tableLower, fileTables = []) {
+  // <dialect>.cdc.<table>.<range>, whatever the dialect
+  return {
+    sqlIds: knownSqlIds(registry, flow).filter(id => id.split('.').slice(1, 3).join('.') === `cdc.${tableLower}`),
+    tables: artifactTables(flow, fileTables).filter(table => table === tableLower)
+  };
+}
+
+/**
+ * Artifacts without a backing spec (--prune)
+ *
+ * @param {object} registry - Current SQL Registry
+ * @param {object|null} flow - Current flow
+ * @param {object} newEntries - Entries generated from every spec
+ * @param {string[]} specTables - Lower-case table names that have a spec
+ * @param {string[]} [fileTables] - Tables with generated per-table files
+ * @returns {{sqlIds: string[], tables: string[]}}
+ */
+function findOrphans(registry, flow, newEntries, specTables, fileTables = []) {
+  return {
+    sqlIds: knownSqlIds(registry, flow).filter(id => !newEntries[id]),
+    tables: artifactTables(flow, fileTables).filter(table => !specTables.includes(table))
+  };
+}
+
+/**
+ * Merge new entries into a SQL Registry, sorted by key for consistent output
+ */
+function buildSqlRegistry(registry, newEntries, removedSqlIds = []) {
+  const merged = Object.assign({}, registry, newEntries);
+  removedSqlIds.forEach(sqlId => delete merged[sqlId]);
+
+  return Object.keys(merged).sort().reduce((acc, key) => {
+    acc[key] = merged[key];
+    return acc;
+  }, {});
+}
+
+/**
+ * Apply new entries, per-table process groups and removals to the Flow JSON
+ *
+ * @param {object} flow - Current flow
+ * @param {object} newEntries - Generated SQL Registry entries
+ * @param {{sqlIds: string[], tables: string[]}} [removal] - Artifacts to delete
+ * @param {object[]} [specs] - Specs whose process groups are (re)generated
+ * @returns {object|null} Updated copy of the flow, or null if it has no SQL Lookup Service
+ */
+function buildFlow(flow, newEntries, removal = { sqlIds: [], tables: [] }, specs = []) {
+  const updated = JSON.parse(JSON.stringify(flow));
 
   // Find SQL Lookup Service
-  const lookupService = flow.flowContents.controllerServices.find(
-    s => s.identifier === 'sql-lookup-service'
-  );
+  const lookupService = findLookupService(updated);
 
   if (!lookupService) {
     console.warn('SQL Lookup Service not found in flow');
-    return;
+    return null;
   }
 
   // Add new SQL entries to lookup service properties
@@ -130,7 +350,166 @@ function updateFlowLookupService(newEntries) {
     lookupService.properties[sqlId] = entry.sql;
   }
 
-  fs.writeFileSync(FLOW_PATH, JSON.stringify(flow, null, 2) + '\n');
+  removal.sqlIds.forEach(sqlId => delete lookupService.properties[sqlId]);
+
+  // Drop per-table process groups and any root connection that touches them
+  const removedGroups = new Set(removal.tables.map(processGroupId));
+  const contents = updated.flowContents;
+  contents.processGroups = (contents.processGroups || []).filter(g => !removedGroups.has(g.identifier));
+  contents.connections = contents.connections.filter(c =>
+    !removedGroups.has(c.source.groupId) && !removedGroups.has(c.destination.groupId)
+  );
+
+  // Regenerate each spec's process group, keeping its place on the canvas
+  for (const spec of specs) {
+    const identifier = processGroupId(spec.table.name.toLowerCase());
+    const index = contents.processGroups.findIndex(g => g.identifier === identifier);
+    const position = index === -1
+      ? nextGroupPosition(contents.processGroups.length)
+      : contents.processGroups[index].position;
+    const group = buildTableProcessGroup(spec, { position });
+
+    if (index === -1) {
+      contents.processGroups.push(group);
+    } else {
+      contents.processGroups[index] = group;
+    }
+  }
+  contents.processGroups.sort((a, b) => a.identifier.localeCompare(b.identifier));
+
+  // Every dialect a spec reads from needs its DBCP connection pool in the root group
+  for (const dialect of new Set(specs.map(dialectName))) {
+    if (!contents.controllerServices.some(service => service.identifier === dbcpServiceId(dialect))) {
+      contents.controllerServices.push(buildDbcpService(dialect));
+    }
+  }
+
+  // Every table commits its watermark to one shared cache server
+  if (specs.length > 0) {
+    buildWatermarkCacheServices()
+      .filter(service => !contents.controllerServices.some(existing => existing.identifier === service.identifier))
+      .forEach(service => contents.controllerServices.push(service));
+  }
+
+  return updated;
+}
+
+/**
+ * Read the committed SQL Registry, flow and per-table files
+ */
+function loadArtifacts() {
+  const registryFiles = {};
+  if (fs.existsSync(SQL_REGISTRY_DIR)) {
+    fs.readdirSync(SQL_REGISTRY_DIR)
+      .filter(f => f.endsWith('.json'))
+      .forEach(f => {
+        registryFiles[path.join(SQL_REGISTRY_DIR, f)] = fs.readFileSync(path.join(SQL_REGISTRY_DIR, f), 'utf8');
+      });
+  }
+  const flowText = fs.existsSync(FLOW_PATH) ? fs.readFileSync(FLOW_PATH, 'utf8') : null;
+  const tableFiles = {};
+
+  for (const kind of TABLE_FILES) {
+    if (!fs.existsSync(kind.dir)) continue;
+    fs.readdirSync(kind.dir)
+      .filter(f => f.endsWith(kind.ext))
+      .forEach(f => {
+        tableFiles[path.join(kind.dir, f)] = fs.readFileSync(path.join(kind.dir, f), 'utf8');
+      });
+  }
+
+  const registryConfigMapText = fs.existsSync(REGISTRY_CONFIG_MAP_PATH)
+    ? fs.readFileSync(REGISTRY_CONFIG_MAP_PATH, 'utf8')
+    : '';
+
+  return {
+    // sql_ids carry their dialect, so the registries merge without clashes
+    registry: Object.values(registryFiles)
+      .filter(Boolean)
+      .reduce((merged, text) => Object.assign(merged, JSON.parse(text)), {}),
+    registryFiles,
+    flow: flowText ? JSON.parse(flowText) : null,
+    flowText,
+    tableFiles,
+    registryConfigMapText
+  };
+}
+
+/**
+ * Compute the current and generated text of every artifact
+ *
+ * @param {object} current - Output of loadArtifacts()
+ * @param {object} newEntries - Generated SQL Registry entries
+ * @param {{sqlIds: string[], tables: string[]}} [removal] - Artifacts to delete
+ * @param {object[]} [specs] - Specs whose process groups and per-table files are (re)generated
+ * @returns {Array<{path: string, current: string, next: string|null}>} next is null for deleted files
+ */
+function planArtifacts(current, newEntries, removal = { sqlIds: [], tables: [] }, specs = []) {
+  const artifacts = [];
+
+  // One registry per dialect: every existing file, plus one for each new dialect
+  const registryFiles = current.registryFiles || {};
+  const registry = buildSqlRegistry(current.registry, newEntries, removal.sqlIds);
+  const dialects = new Set([
+    ...Object.keys(registryFiles).map(file => path.basename(file, '.json')),
+    ...Object.keys(registry).map(sqlIdDialect)
+  ]);
+  for (const dialect of [...dialects].sort()) {
+    const file = registryPath(dialect);
+    const entries = Object.fromEntries(Object.entries(registry).filter(([id]) => sqlIdDialect(id) === dialect));
+    artifacts.push({ path: file, current: registryFiles[file] || '', next: toJsonText(entries) });
+  }
+
+  // The ConfigMap mirrors the registry files, so it can never fall behind them
+  const registryTexts = Object.fromEntries(artifacts.map(artifact => [path.basename(artifact.path), artifact.next]));
+  artifacts.push({
+    path: REGISTRY_CONFIG_MAP_PATH,
+    current: current.registryConfigMapText || '',
+    next: renderRegistryConfigMap(registryTexts)
+  });
+
+  if (!current.flow) {
+    console.warn('Flow file not found, skipping LookupService update');
+  } else {
+    const updatedFlow = buildFlow(current.flow, newEntries, removal, specs);
+    if (updatedFlow) {
+      artifacts.push({
+        path: FLOW_PATH,
+        current: current.flowText,
+        next: toJsonText(updatedFlow)
+      });
+    }
+  }
+
+  const tableFiles = current.tableFiles || {};
+  for (const kind of TABLE_FILES) {
+    for (const spec of specs.filter(spec => !kind.applies || kind.applies(spec))) {
+      const file = tableFilePath(kind, spec.table.name.toLowerCase());
+      artifacts.push({ path: file, current: tableFiles[file] || '', next: kind.render(spec) });
+    }
+    removal.tables
+      .map(table => tableFilePath(kind, table))
+      .filter(file => tableFiles[file] !== undefined)
+      .forEach(file => artifacts.push({ path: file, current: tableFiles[file], next: null }));
+  }
+
+  return artifacts;
+}
+
+/**
+ * Render unified diffs for artifacts that would change
+ */
+function diffArtifacts(artifacts) {
+  return artifacts
+    .map(artifact => {
+      const file = path.relative(ROOT_DIR, artifact.path);
+      return createUnifiedDiff(artifact.current, artifact.next === null ? '' : artifact.next, {
+        fromFile: artifact.current ? `a/${file}` : '/dev/null',
+        toFile: artifact.next === null ? '/dev/null' : `b/${file}`
+      });
+    })
+    .filter(Boolean)
+    .join('');
 }
 
 /**
@@ -141,7 +520,7 @@ function generateSpecTemplate(tableName) {
 
 table:
   name: ${tableName.toUpperCase()}
-  schema: CDC_TEST
+  schema: CDC_USER
   primary_key: ID
   cdc_key: UPDATED_AT
   description: "CDC table for ${tableName}"
@@ -165,10 +544,6 @@ elasticsearch:
     properties:
       ID:
         type: long
-      NAME:
-        type: keyword
-      UPDATED_AT:
-        type: date
 
 range:
   default: 5m
@@ -179,7 +554,7 @@ range:
     - 60m
 
 cdc:
-  mode: timestamp
+  mode: timestamp  # timestamp | sequence | rowscn
   delete_handling: ignore
   update_handling: upsert
 `;
@@ -187,17 +562,71 @@ cdc:
   return template;
 }
 
+/**
+ * Create a spec from a data-dictionary export (--from-dictionary)
+ *
+ * @param {string[]} files - ALL_TAB_COLUMNS / ALL_CONSTRAINTS export files
+ * @param {object} [options]
+ * @param {string} [options.table] - Table to import when the export holds several
+ * @returns {{tableName: string, text: string, notes: string[]}} Spec YAML and review notes
+ */
+function generateSpecFromDictionary(files, { table } = {}) {
+  const { spec, notes } = buildSpecFromDictionary(loadDictionary(files), { table });
+  const tableName = spec.table.name.toLowerCase();
+  const sources = files.map(file => path.basename(file)).join(', ');
+  const text = renderSpecYaml(spec, [`Generated from data dictionary export: ${sources}`, ...notes.map(note => `- ${note}`)]);
+
+  const errors = validateSpec(spec, { file: `specs/${tableName}.yaml`, source: text });
+  if (errors.length > 0) {
+    throw new SpecValidationError(errors);
+  }
+
+  return { tableName, text, notes };
+}
+
+/**
+ * Print what a removal deletes
+ */
+function reportRemoval(removal, artifacts) {
+  removal.sqlIds.forEach(sqlId => console.log(`  - ${sqlId}`));
+  removal.tables.forEach(table => console.log(`  - process group ${processGroupId(table)}`));
+  artifacts
+    .filter(artifact => artifact.next === null)
+    .forEach(artifact => console.log(`  - ${path.relative(ROOT_DIR, artifact.path)}`));
+}
+
 /**
  * Main execution
  */
 function main() {
-  const args = process.argv.slice(2);
+  const argv = process.argv.slice(2);
+  const dryRun = argv.includes('--dry-run');
+  const check = argv.includes('--check');
+  const prune = argv.includes('--prune');
+  const args = argv.filter(arg => !['--dry-run', '--check', '--prune'].includes(arg));
+
+  // --check without a target verifies every spec
+  if (check && args.length === 0) {
+    args.push('--all');
+  }
 
   if (args.length === 0) {
     console.log('Usage:');
-    console.log('  node scripts/generate-from-spec.js <table_name>  - Generate from specific spec');
-    console.log('  node scripts/generate-from-spec.js --all         - Generate from all specs');
-    console.log('  node scripts/generate-from-spec.js --new <name>  - Create new spec template');
+    console.log('  node scripts/generate-from-spec.js <table_name>     - Generate from specific spec');
+    console.log('  node scripts/generate-from-spec.js --all            - Generate from all specs');
+    console.log('  node scripts/generate-from-spec.js --new <name>     - Create new spec template');
+    console.log('  node scripts/generate-from-spec.js --remove <name>  - Remove generated artifacts of a table');
+    console.log('  node scripts/generate-from-spec.js --from-dictionary <file>[,<file>] [--table <name>]');
+    console.log('                                                      - Create spec from ALL_TAB_COLUMNS/ALL_CONSTRAINTS export');
+    console.log('\nOptions:');
+    console.log('  --prune    With --all, remove artifacts that no longer have a backing spec');
+    console.log('  --dry-run  Print a unified diff of the changes without writing files');
+    console.log('  --check    Exit 1 if committed artifacts differ from the generated ones');
+    process.exit(1);
+  }
+
+  if (prune && args[0] !== '--all') {
+    console.error('Error: --prune can only be used with --all');
     process.exit(1);
   }
 
@@ -215,6 +644,11 @@ function main() {
     }
 
     const template = generateSpecTemplate(tableName);
+    if (dryRun) {
+      process.stdout.write(template);
+      console.log('\nDry run: no files written.');
+      return;
+    }
     fs.writeFileSync(specPath, template);
     console.log(`Created spec template: ${specPath}`);
     console.log('\nNext steps:');
@@ -223,14 +657,76 @@ function main() {
     return;
   }
 
-  let specs;
+  if (args[0] === '--from-dictionary') {
+    if (!args[1] || args[1].startsWith('--')) {
+      console.error('Error: Export file required');
+      process.exit(1);
+    }
+    const files = args[1].split(',');
+    const tableIndex = args.indexOf('--table');
+    const table = tableIndex === -1 ? undefined : args[tableIndex + 1];
+
+    let result;
+    try {
+      result = generateSpecFromDictionary(files, { table });
+    } catch (e) {
+      console.error(e instanceof SpecValidationError ? e.message : `Error: ${e.message}`);
+      process.exit(1);
+    }
 
-  if (args[0] === '--all') {
-    specs = loadAllSpecs();
-    console.log(`Processing ${specs.length} spec file(s)...`);
+    const specPath = path.join(SPECS_DIR, `${result.tableName}.yaml`);
+    if (dryRun) {
+      process.stdout.write(result.text);
+      console.log('\nDry run: no files written.');
+      return;
+    }
+    if (fs.existsSync(specPath)) {
+      console.error(`Error: Spec already exists: ${specPath}`);
+      process.exit(1);
+    }
+
+    fs.writeFileSync(specPath, result.text);
+    console.log(`Created spec from data dictionary: ${specPath}`);
+    result.notes.forEach(note => console.log(`  - ${note}`));
+    console.log('\nNext steps:');
+    console.log(`1. Review ${specPath} (cdc_key, description, range)`);
+    console.log(`2. Run: node scripts/generate-from-spec.js ${result.tableName}`);
+    return;
+  }
+
+  const current = loadArtifacts();
+  let specs = [];
+  let removal = { sqlIds: [], tables: [] };
+
+  if (args[0] === '--remove') {
+    if (!args[1]) {
+      console.error('Error: Table name required');
+      process.exit(1);
+    }
+    const tableName = args[1].toLowerCase();
+    removal = findTableArtifacts(current.registry, current.flow, tableName, tableFileTables(current.tableFiles));
+
+    if (removal.sqlIds.length === 0 && removal.tables.length === 0) {
+      console.error(`Error: No generated artifacts found for table: ${tableName}`);
+      process.exit(1);
+    }
+    if (fs.existsSync(path.join(SPECS_DIR, `${tableName}.yaml`))) {
+      console.warn(`Warning: specs/${tableName}.yaml still exists; the next generate will recreate its artifacts`);
+    }
   } else {
-    const tableName = args[0].toLowerCase();
-    specs = [{ tableName, spec: loadSpec(tableName) }];
+    try {
+      if (args[0] === '--all') {
+        specs = loadAllSpecs();
+        console.log(`Processing ${specs.length} spec file(s)...`);
+      } else {
+        const tableName = args[0].toLowerCase();
+        specs = [{ tableName, spec: loadSpec(tableName) }];
+      }
+    } catch (e) {
+      if (!(e instanceof SpecValidationError)) throw e;
+      console.error(e.message);
+      process.exit(1);
+    }
   }
 
   let allNewEntries = {};
@@ -243,20 +739,105 @@ function main() {
     Object.assign(allNewEntries, entries);
 
     console.log(`  Generated ${Object.keys(entries).length} SQL entries`);
+
+    findLossyMappings(spec).forEach(lossy => console.warn(`  Warning: ${lossy.message}`));
   }
 
-  // Update SQL Registry
-  const addedKeys = updateSqlRegistry(allNewEntries);
-  console.log(`\nUpdated SQL Registry: ${SQL_REGISTRY_PATH}`);
-  addedKeys.forEach(key => console.log(`  + ${key}`));
+  if (prune) {
+    const specTables = specs.map(({ spec }) => spec.table.name.toLowerCase());
+    removal = findOrphans(current.registry, current.flow, allNewEntries, specTables, tableFileTables(current.tableFiles));
+  }
 
-  // Update Flow LookupService
-  updateFlowLookupService(allNewEntries);
-  console.log(`\nUpdated Flow LookupService: ${FLOW_PATH}`);
+  const artifacts = planArtifacts(current, allNewEntries, removal, specs.map(({ spec }) => spec));
+  const removes = removal.sqlIds.length > 0 || removal.tables.length > 0;
+
+  if (check) {
+    const diff = diffArtifacts(artifacts);
+    if (diff) {
+      console.error('\nGenerated artifacts are out of date with specs/:\n');
+      console.error(diff);
+      console.error('Run `npm run generate:all` and commit the result.');
+      process.exit(1);
+    }
+    console.log('\nGenerated artifacts are up to date.');
+    return;
+  }
+
+  if (dryRun) {
+    const diff = diffArtifacts(artifacts);
+    if (removes) {
+      console.log('\nWould remove:');
+      reportRemoval(removal, artifacts);
+    }
+    console.log(diff ? `\n${diff}` : '\nNo changes.');
+    console.log('Dry run: no files written.');
+    return;
+  }
+
+  for (const artifact of artifacts) {
+    if (artifact.next === null) {
+      fs.unlinkSync(artifact.path);
+    } else {
+      fs.mkdirSync(path.dirname(artifact.path), { recursive: true });
+      fs.writeFileSync(artifact.path, artifact.next);
+    }
+  }
+
+  // Update SQL Registries
+  const isRegistry = artifact => path.dirname(artifact.path) === SQL_REGISTRY_DIR;
+  artifacts.filter(isRegistry).forEach(artifact => {
+    const dialect = path.basename(artifact.path, '.json');
+    console.log(`\nUpdated SQL Registry: ${artifact.path}`);
+    Object.keys(allNewEntries)
+      .filter(key => sqlIdDialect(key) === dialect)
+      .forEach(key => console.log(`  + ${key}`));
+  });
+
+  // Update Flow LookupService and process groups
+  if (artifacts.some(artifact => artifact.path === FLOW_PATH)) {
+    console.log(`\nUpdated Flow: ${FLOW_PATH}`);
+    specs.forEach(({ spec }) => console.log(`  + process group ${processGroupId(spec.table.name.toLowerCase())}`));
+  }
+
+  // Update per-table files (index templates, Oracle DDL) and the registry ConfigMap
+  const written = artifacts.filter(artifact =>
+    artifact.next !== null && !isRegistry(artifact) && artifact.path !== FLOW_PATH
+  );
+  if (written.length > 0) {
+    console.log('\nUpdated files:');
+    written.forEach(artifact => console.log(`  + ${path.relative(ROOT_DIR, artifact.path)}`));
+  }
+
+  if (removes) {
+    console.log('\nRemoved:');
+    reportRemoval(removal, artifacts);
+  }
 
   console.log('\nGeneration complete!');
   console.log('\nRun tests to verify:');
   console.log('  npm test');
+  console.log('\nApply index templates before starting the flow:');
+  console.log('  npm run es:apply');
+}
+
+if (require.main === module) {
+  main();
 }
 
-main();
+module.exports = {
+  loadSpec,
+  loadAllSpecs,
+  generateSql,
+  generateSqlRegistryEntries,
+  generateSpecTemplate,
+  generateSpecFromDictionary,
+  buildSqlRegistry,
+  renderRegistryConfigMap,
+  buildFlow,
+  findTableArtifacts,
+  findOrphans,
+  processGroupId,
+  loadArtifacts,
+  planArtifacts,
+  diffArtifacts
+};
@@ -0,0 +1,165 @@
+/**
+ * Column Transforms
+ *
+ * PII columns are transformed inside the CDC query, so the clear value is
+ * never read by NiFi and never reaches Elasticsearch:
+ *
+ *   hash     - hex digest (Oracle STANDARD_HASH, `algorithm` SHA256 by default)
+ *              of the value rendered as text
+ *   mask     - every character but the last `keep_last` (default 4) replaced by `*`
+ *   truncate - the first `length` characters
+ *   redact   - always NULL; the field stays in the mapping
+ *
+ * NULL stays NULL. The registry SQL selects `<expression> AS <field>`.
+ * applyTransform() computes the same value in JavaScript for tests and
+ * tooling. Columns of spec joins are not transformed.
+ */
+
+const crypto = require('crypto');
+const { fieldName, projectedColumns, columnTransform } = require('./projection');
+const { valueKind, textExpression } = require('./document-id');
+const { parseOracleType } = require('./type-mapping');
+const { quoteIdentifier, quoteLiteral } = require('./dialect');
+
+const MASK_CHAR = '*';
+
+// mask and truncate rely on string functions; LOB and RAW columns are left out
+const CHARACTER_TYPES = ['VARCHAR2', 'NVARCHAR2', 'VARCHAR', 'CHAR', 'NCHAR'];
+
+// Transform each option belongs to
+const OPTION_TYPES = {
+  algorithm: 'hash',
+  keep_last: 'mask',
+  length: 'truncate'
+};
+
+/**
+ * Projected columns with a transform, in column order
+ * @returns {object[]}
+ */
+function transformedColumns(spec) {
+  return projectedColumns(spec).filter(column => columnTransform(column));
+}
+
+/**
+ * SQL expression producing the transformed value of a column
+ *
+ * @param {object} column - Spec column with a transform
+ * @returns {string}
+ */
+function transformExpression(column) {
+  const transform = columnTransform(column);
+  const name = quoteIdentifier(column.name);
+  const masked = `LPAD(${quoteLiteral(MASK_CHAR)}, LENGTH(${name}), ${quoteLiteral(MASK_CHAR)})`;
+
+  switch (transform.type) {
+    case 'hash':
+      return `NVL2(${name}, LOWER(RAWTOHEX(STANDARD_HASH(${textExpression(column)}, ${quoteLiteral(transform.algorithm)}))), NULL)`;
+    case 'mask':
+      return transform.keep_last === 0
+        ? masked
+        : `CASE WHEN LENGTH(${name}) > ${transform.keep_last} ` +
+          `THEN LPAD(SUBSTR(${name}, -${transform.keep_last}), LENGTH(${name}), ${quoteLiteral(MASK_CHAR)}) ` +
+          `ELSE ${masked} END`;
+    case 'truncate':
+      return `SUBSTR(${name}, 1, ${transform.length})`;
+    default:
+      return 'NULL';
+  }
+}
+
+/**
+ * Transform a source value the way the SQL expression does
+ *
+ * Numbers follow Oracle's TM9 format; temporal values are expected in the
+ * rendered ISO form already.
+ *
+ * @param {object} column - Spec column
+ * @param {*} value - Source value
+ * @returns {*} Transformed value, or the value itself for untransformed columns
+ */
+function applyTransform(column, value) {
+  const transform = columnTransform(column);
+  if (!transform) return value;
+  if (transform.type === 'redact' || value === null || value === undefined) return null;
+
+  const text = valueKind(column.type) === 'number'
+    ? String(value).replace(/^(-?)0\./, '$1.')
+    : String(value);
+
+  switch (transform.type) {
+    case 'hash':
+      return crypto.createHash(transform.algorithm.toLowerCase()).update(text, 'utf8').digest('hex');
+    case 'mask': {
+      const keep = transform.keep_last > 0 && text.length > transform.keep_last ? transform.keep_last : 0;
+      return MASK_CHAR.repeat(text.length - keep) + text.slice(text.length - keep);
+    }
+    default:
+      return text.slice(0, transform.length);
+  }
+}
+
+/**
+ * Problems with the transform of a column
+ *
+ * @param {object} column - Spec column with a transform
+ * @returns {Array<{field: string, message: string}>} field relative to the column
+ */
+function transformProblems(column) {
+  const transform = columnTransform(column);
+  const problems = [];
+  const { base } = parseOracleType(column.type);
+  const isCharacter = CHARACTER_TYPES.includes(base);
+
+  for (const [option, type] of Object.entries(OPTION_TYPES)) {
+    if (typeof column.transform === 'object' && option in column.transform && transform.type !== type) {
+      problems.push({ field: `transform.${option}`, message: `${option} only applies to ${type}` });
+    }
+  }
+
+  if (transform.type === 'truncate' && transform.length === undefined) {
+    problems.push({ field: 'transform', message: 'truncate needs a length' });
+  }
+  if ((transform.type === 'mask' || transform.type === 'truncate') && !isCharacter) {
+    problems.push({ field: 'transform', message: `${transform.type} only applies to character columns, not ${column.type}` });
+  }
+  if (transform.type === 'hash' && !isCharacter && valueKind(column.type) === 'character') {
+    problems.push({ field: 'transform', message: `hash does not apply to ${base} columns` });
+  }
+
+  return problems;
+}
+
+/**
+ * Audit listing of the transformed columns of several specs
+ *
+ * @param {object[]} specs - Validated table specs
+ * @returns {Array<{table: string, column: string, field: string, transform: string, detail: string}>}
+ */
+function auditTransforms(specs) {
+  const details = {
+    hash: transform => transform.algorithm,
+    mask: transform => `keep_last ${transform.keep_last}`,
+    truncate: transform => `length ${transform.length}`,
+    redact: () => ''
+  };
+
+  return specs.flatMap(spec => transformedColumns(spec).map(column => {
+    const transform = columnTransform(column);
+    return {
+      table: `${spec.table.schema}.${spec.table.name}`,
+      column: column.name,
+      field: fieldName(column),
+      transform: transform.type,
+      detail: details[transform.type](transform)
+    };
+  }));
+}
+
+module.exports = {
+  transformedColumns,
+  transformExpression,
+  applyTransform,
+  transformProblems,
+  auditTransforms
+};
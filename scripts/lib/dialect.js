@@ -0,0 +1,332 @@
+/**
+ * Source Database Dialects
+ *
+ * `source.dialect` names the database a spec reads from (default oracle):
+ *
+ *   source:
+ *     dialect: postgresql          # oracle | postgresql | mysql | sqlserver
+ *     utc_offset: '+09:00'         # zone of the database clock (default +00:00)
+ *
+ * A dialect supplies the SQL the generator cannot write portably (parsing
+ * the range bounds, rendering timestamps as ISO-8601 strings, quoting an
+ * alias or a string literal), the NiFi connection settings of the source and the spec features
+ * it supports. Its SQL goes to its own registry file under its own sql_id
+ * prefix:
+ *
+ *   sql-registry/<dialect>.json   <dialect>.cdc.<table>.<range>
+ *
+ * Features built on Oracle SQL (ORA_ROWSCN, STANDARD_HASH, JSON_ARRAYAGG,
+ * the SYSTIMESTAMP trigger DDL, '' read as NULL by the compound watermark)
+ * are only listed for oracle; the spec
+ * validator rejects them elsewhere.
+ *
+ * Spec identifiers name the object exactly as the database stores it. The
+ * generated SQL writes an identifier bare when the dialect reads it back
+ * unchanged (Oracle folds unquoted names to upper case, PostgreSQL to lower
+ * case) and it is not a reserved word, and quoted otherwise:
+ *
+ *   ORDERS -> ORDERS      OrderLines -> "OrderLines"      LEVEL -> "LEVEL"
+ *
+ * Anything that is not a plain identifier is rejected before it reaches SQL.
+ */
+
+const DEFAULT_DIALECT = 'oracle';
+
+// Source databases whose spec does not name a zone are read as UTC
+const DEFAULT_UTC_OFFSET = '+00:00';
+
+// Names quoteIdentifier() accepts; longer or other names are never written into SQL
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_$#]{0,127}$/;
+
+/**
+ * Word list written one or more words per line
+ */
+function words(text) {
+  return text.trim().split(/\s+/);
+}
+
+// Keywords quoted in every dialect; quoting a name written as stored is always safe
+const RESERVED_WORDS = [
+  'ALL', 'ALTER', 'AND', 'ANY', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CHECK', 'COLUMN',
+  'CONSTRAINT', 'CREATE', 'CROSS', 'CURRENT_DATE', 'CURRENT_TIMESTAMP', 'DEFAULT', 'DELETE',
+  'DESC', 'DISTINCT', 'DROP', 'ELSE', 'END', 'EXISTS', 'FOR', 'FOREIGN', 'FROM', 'GRANT',
+  'GROUP', 'HAVING', 'IN', 'INNER', 'INSERT', 'INTO', 'IS', 'JOIN', 'LEFT', 'LIKE', 'NOT',
+  'NULL', 'ON', 'OR', 'ORDER', 'PRIMARY', 'REFERENCES', 'RIGHT', 'SELECT', 'SET', 'TABLE',
+  'THEN', 'TO', 'UNION', 'UNIQUE', 'UPDATE', 'USER', 'VALUES', 'WHEN', 'WHERE', 'WITH'
+];
+
+// Complete reserved word list of each vendor, from its SQL reference
+const ORACLE_RESERVED_WORDS = words(`
+  ACCESS ADD ALL ALTER AND ANY AS ASC AUDIT BETWEEN BY CHAR CHECK CLUSTER COLUMN COMMENT
+  COMPRESS CONNECT CREATE CURRENT DATE DECIMAL DEFAULT DELETE DESC DISTINCT DROP ELSE
+  EXCLUSIVE EXISTS FILE FLOAT FOR FROM GRANT GROUP HAVING IDENTIFIED IMMEDIATE IN INCREMENT
+  INDEX INITIAL INSERT INTEGER INTERSECT INTO IS LEVEL LIKE LOCK LONG MAXEXTENTS MINUS
+  MLSLABEL MODE MODIFY NOAUDIT NOCOMPRESS NOT NOWAIT NULL NUMBER OF OFFLINE ON ONLINE OPTION
+  OR ORDER PCTFREE PRIOR PUBLIC RAW RENAME RESOURCE REVOKE ROW ROWID ROWNUM ROWS SELECT
+  SESSION SET SHARE SIZE SMALLINT START SUCCESSFUL SYNONYM SYSDATE TABLE THEN TO TRIGGER UID
+  UNION UNIQUE UPDATE USER VALIDATE VALUES VARCHAR VARCHAR2 VIEW WHENEVER WHERE WITH
+`);
+
+const POSTGRESQL_RESERVED_WORDS = words(`
+  ALL ANALYSE ANALYZE AND ANY ARRAY AS ASC ASYMMETRIC AUTHORIZATION BINARY BOTH CASE CAST
+  CHECK COLLATE COLLATION COLUMN CONCURRENTLY CONSTRAINT CREATE CROSS CURRENT_CATALOG
+  CURRENT_DATE CURRENT_ROLE CURRENT_SCHEMA CURRENT_TIME CURRENT_TIMESTAMP CURRENT_USER DEFAULT
+  DEFERRABLE DESC DISTINCT DO ELSE END EXCEPT FALSE FETCH FOR FOREIGN FREEZE FROM FULL GRANT
+  GROUP HAVING ILIKE IN INITIALLY INNER INTERSECT INTO IS ISNULL JOIN LATERAL LEADING LEFT
+  LIKE LIMIT LOCALTIME LOCALTIMESTAMP NATURAL NOT NOTNULL NULL OFFSET ON ONLY OR ORDER OUTER
+  OVERLAPS PLACING PRIMARY REFERENCES RETURNING RIGHT SELECT SESSION_USER SIMILAR SOME
+  SYMMETRIC SYSTEM_USER TABLE TABLESAMPLE THEN TO TRAILING TRUE UNION UNIQUE USER USING
+  VARIADIC VERBOSE WHEN WHERE WINDOW WITH
+`);
+
+const MYSQL_RESERVED_WORDS = words(`
+  ACCESSIBLE ADD ALL ALTER ANALYZE AND AS ASC ASENSITIVE BEFORE BETWEEN BIGINT BINARY BLOB
+  BOTH BY CALL CASCADE CASE CHANGE CHAR CHARACTER CHECK COLLATE COLUMN CONDITION CONSTRAINT
+  CONTINUE CONVERT CREATE CROSS CUBE CUME_DIST CURRENT_DATE CURRENT_TIME CURRENT_TIMESTAMP
+  CURRENT_USER CURSOR DATABASE DATABASES DAY_HOUR DAY_MICROSECOND DAY_MINUTE DAY_SECOND DEC
+  DECIMAL DECLARE DEFAULT DELAYED DELETE DENSE_RANK DESC DESCRIBE DETERMINISTIC DISTINCT
+  DISTINCTROW DIV DOUBLE DROP DUAL EACH ELSE ELSEIF EMPTY ENCLOSED ESCAPED EXCEPT EXISTS EXIT
+  EXPLAIN FALSE FETCH FIRST_VALUE FLOAT FLOAT4 FLOAT8 FOR FORCE FOREIGN FROM FULLTEXT FUNCTION
+  GENERATED GET GRANT GROUP GROUPING GROUPS HAVING HIGH_PRIORITY HOUR_MICROSECOND HOUR_MINUTE
+  HOUR_SECOND IF IGNORE IN INDEX INFILE INNER INOUT INSENSITIVE INSERT INT INT1 INT2 INT3
+  INT4 INT8 INTEGER INTERSECT INTERVAL INTO IO_AFTER_GTIDS IO_BEFORE_GTIDS IS ITERATE JOIN
+  JSON_TABLE KEY KEYS KILL LAG LAST_VALUE LATERAL LEAD LEADING LEAVE LEFT LIKE LIMIT LINEAR
+  LINES LOAD LOCALTIME LOCALTIMESTAMP LOCK LONG LONGBLOB LONGTEXT LOOP LOW_PRIORITY
+  MASTER_BIND MASTER_SSL_VERIFY_SERVER_CERT MATCH MAXVALUE MEDIUMBLOB MEDIUMINT MEDIUMTEXT
+  MIDDLEINT MINUTE_MICROSECOND MINUTE_SECOND MOD MODIFIES NATURAL NOT NO_WRITE_TO_BINLOG
+  NTH_VALUE NTILE NULL NUMERIC OF ON OPTIMIZE OPTIMIZER_COSTS OPTION OPTIONALLY OR ORDER OUT
+  OUTER OUTFILE OVER PARTITION PERCENT_RANK PRECISION PRIMARY PROCEDURE PURGE RANGE RANK READ
+  READS READ_WRITE REAL RECURSIVE REFERENCES REGEXP RELEASE RENAME REPEAT REPLACE REQUIRE
+  RESIGNAL RESTRICT RETURN REVOKE RIGHT RLIKE ROW ROWS ROW_NUMBER SCHEMA SCHEMAS
+  SECOND_MICROSECOND SELECT SENSITIVE SEPARATOR SET SHOW SIGNAL SMALLINT SPATIAL SPECIFIC SQL
+  SQLEXCEPTION SQLSTATE SQLWARNING SQL_BIG_RESULT SQL_CALC_FOUND_ROWS SQL_SMALL_RESULT SSL
+  STARTING STORED STRAIGHT_JOIN SYSTEM TABLE TERMINATED THEN TINYBLOB TINYINT TINYTEXT TO
+  TRAILING TRIGGER TRUE UNDO UNION UNIQUE UNLOCK UNSIGNED UPDATE USAGE USE USING UTC_DATE
+  UTC_TIME UTC_TIMESTAMP VALUES VARBINARY VARCHAR VARCHARACTER VARYING VIRTUAL WHEN WHERE
+  WHILE WINDOW WITH WRITE XOR YEAR_MONTH ZEROFILL
+`);
+
+const SQLSERVER_RESERVED_WORDS = words(`
+  ADD ALL ALTER AND ANY AS ASC AUTHORIZATION BACKUP BEGIN BETWEEN BREAK BROWSE BULK BY
+  CASCADE CASE CHECK CHECKPOINT CLOSE CLUSTERED COALESCE COLLATE COLUMN COMMIT COMPUTE
+  CONSTRAINT CONTAINS CONTAINSTABLE CONTINUE CONVERT CREATE CROSS CURRENT CURRENT_DATE
+  CURRENT_TIME CURRENT_TIMESTAMP CURRENT_USER CURSOR DATABASE DBCC DEALLOCATE DECLARE DEFAULT
+  DELETE DENY DESC DISK DISTINCT DISTRIBUTED DOUBLE DROP DUMP ELSE END ERRLVL ESCAPE EXCEPT
+  EXEC EXECUTE EXISTS EXIT EXTERNAL FETCH FILE FILLFACTOR FOR FOREIGN FREETEXT FREETEXTTABLE
+  FROM FULL FUNCTION GOTO GRANT GROUP HAVING HOLDLOCK IDENTITY IDENTITY_INSERT IDENTITYCOL IF
+  IN INDEX INNER INSERT INTERSECT INTO IS JOIN KEY KILL LEFT LIKE LINENO LOAD MERGE NATIONAL
+  NOCHECK NONCLUSTERED NOT NULL NULLIF OF OFF OFFSETS ON OPEN OPENDATASOURCE OPENQUERY
+  OPENROWSET OPENXML OPTION OR ORDER OUTER OVER PERCENT PIVOT PLAN PRECISION PRIMARY PRINT
+  PROC PROCEDURE PUBLIC RAISERROR READ READTEXT RECONFIGURE REFERENCES REPLICATION RESTORE
+  RESTRICT RETURN REVERT REVOKE RIGHT ROLLBACK ROWCOUNT ROWGUIDCOL RULE SAVE SCHEMA
+  SECURITYAUDIT SELECT SEMANTICKEYPHRASETABLE SEMANTICSIMILARITYDETAILSTABLE
+  SEMANTICSIMILARITYTABLE SESSION_USER SET SETUSER SHUTDOWN SOME STATISTICS SYSTEM_USER TABLE
+  TABLESAMPLE TEXTSIZE THEN TO TOP TRAN TRANSACTION TRIGGER TRUNCATE TRY_CONVERT TSEQUAL
+  UNION UNIQUE UNPIVOT UPDATE UPDATETEXT USE USER VALUES VARYING VIEW WAITFOR WHEN WHERE
+  WHILE WITH WRITETEXT
+`);
+
+/**
+ * Spec features that need dialect-specific SQL
+ */
+const FEATURES = {
+  rowscn: 'cdc.mode: rowscn',
+  compound_watermark: 'cdc.watermark: compound',
+  trigger: 'cdc.trigger',
+  composite_key: 'a composite primary_key',
+  transform: 'a column transform',
+  joins: 'joins',
+  children: 'children'
+};
+
+const DIALECTS = {
+  oracle: {
+    label: 'Oracle',
+    driver: {
+      url: 'jdbc:oracle:thin:@oracle:1521/FREEPDB1',
+      className: 'oracle.jdbc.OracleDriver',
+      jar: 'ojdbc8.jar',
+      validationQuery: 'SELECT 1 FROM DUAL'
+    },
+    localTimestamp: /^TIMESTAMP(\(\d\))?$/i,
+    parseTimestamp: value => `TO_TIMESTAMP(${value}, 'YYYY-MM-DD HH24:MI:SS.FF')`,
+    formatTimestamp: (column, offset) => `TO_CHAR(${column}, 'YYYY-MM-DD"T"HH24:MI:SS.FF6"${offset}"')`,
+    quote: name => `"${name}"`,
+    // q'[...]' quotes anything up to the closing delimiter and quote
+    strings: { quotes: ["'"], alternativeQuotes: true },
+    fold: name => name.toUpperCase(),
+    bareIdentifier: /^[A-Z][A-Z0-9_$#]*$/,
+    reservedWords: ORACLE_RESERVED_WORDS,
+    features: Object.keys(FEATURES)
+  },
+  postgresql: {
+    label: 'PostgreSQL',
+    driver: {
+      url: 'jdbc:postgresql://postgres:5432/cdc',
+      className: 'org.postgresql.Driver',
+      jar: 'postgresql.jar',
+      validationQuery: 'SELECT 1'
+    },
+    localTimestamp: /^TIMESTAMP(\(\d\))?( WITHOUT TIME ZONE)?$/i,
+    parseTimestamp: value => `CAST(${value} AS TIMESTAMP)`,
+    formatTimestamp: (column, offset) => `TO_CHAR(${column}, 'YYYY-MM-DD"T"HH24:MI:SS.US"${offset}"')`,
+    quote: name => `"${name}"`,
+    // E'...' strings take backslash escapes; $tag$...$tag$ quotes anything
+    strings: { quotes: ["'"], escapePrefix: true, dollarQuotes: true },
+    fold: name => name.toLowerCase(),
+    bareIdentifier: /^[a-z][a-z0-9_$]*$/,
+    reservedWords: POSTGRESQL_RESERVED_WORDS,
+    features: []
+  },
+  mysql: {
+    label: 'MySQL',
+    driver: {
+      url: 'jdbc:mysql://mysql:3306/cdc',
+      className: 'com.mysql.cj.jdbc.Driver',
+      jar: 'mysql-connector-j.jar',
+      validationQuery: 'SELECT 1'
+    },
+    localTimestamp: /^(DATETIME|TIMESTAMP)(\(\d\))?$/i,
+    parseTimestamp: value => `CAST(${value} AS DATETIME(6))`,
+    formatTimestamp: (column, offset) => `DATE_FORMAT(${column}, '%Y-%m-%dT%H:%i:%s.%f${offset}')`,
+    quote: name => `\`${name}\``,
+    // Default sql_mode: "..." is a string too, and \ escapes the next character
+    strings: { quotes: ["'", '"'], backslashEscapes: true },
+    // Column names are case-insensitive; table names follow the file system
+    fold: name => name,
+    bareIdentifier: /^[A-Za-z][A-Za-z0-9_$]*$/,
+    reservedWords: MYSQL_RESERVED_WORDS,
+    features: []
+  },
+  sqlserver: {
+    label: 'SQL Server',
+    driver: {
+      url: 'jdbc:sqlserver://sqlserver:1433;databaseName=cdc;encrypt=false',
+      className: 'com.microsoft.sqlserver.jdbc.SQLServerDriver',
+      jar: 'mssql-jdbc.jar',
+      validationQuery: 'SELECT 1'
+    },
+    localTimestamp: /^(DATETIME2?|SMALLDATETIME)(\(\d\))?$/i,
+    parseTimestamp: value => `CAST(${value} AS DATETIME2)`,
+    // FORMAT takes a .NET pattern; the separator and offset are quoted literals
+    formatTimestamp: (column, offset) => `FORMAT(${column}, 'yyyy-MM-dd''T''HH:mm:ss.ffffff''${offset}''')`,
+    quote: name => `"${name}"`,
+    strings: { quotes: ["'"] },
+    // Case-insensitive under the default collation
+    fold: name => name,
+    bareIdentifier: /^[A-Za-z][A-Za-z0-9_$#]*$/,
+    reservedWords: SQLSERVER_RESERVED_WORDS,
+    features: []
+  }
+};
+
+/**
+ * Dialect name of a spec
+ */
+function dialectName(spec) {
+  return (spec.source && spec.source.dialect) || DEFAULT_DIALECT;
+}
+
+/**
+ * Dialect definition of a spec
+ */
+function dialectOf(spec) {
+  return DIALECTS[dialectName(spec)];
+}
+
+/**
+ * UTC offset (`±HH:MM`) of a spec's source database clock
+ *
+ * Local timestamp columns carry no zone; this is the offset they are read in.
+ */
+function sourceOffset(spec) {
+  return (spec.source && spec.source.utc_offset) || DEFAULT_UTC_OFFSET;
+}
+
+/**
+ * Whether a dialect supports a spec feature (a key of FEATURES)
+ */
+function supports(dialect, feature) {
+  return DIALECTS[dialect].features.includes(feature);
+}
+
+/**
+ * SQL text of a spec identifier, quoted when the dialect would not read it back bare
+ *
+ * @param {string} name - Identifier as the database stores it
+ * @param {object} [dialect] - Dialect definition (default oracle)
+ * @returns {string}
+ */
+function quoteIdentifier(name, dialect = DIALECTS[DEFAULT_DIALECT]) {
+  if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+    throw new Error(`Invalid SQL identifier ${JSON.stringify(name)}`);
+  }
+  const word = name.toUpperCase();
+  const reserved = RESERVED_WORDS.includes(word) || dialect.reservedWords.includes(word);
+  return dialect.bareIdentifier.test(name) && !reserved ? name : dialect.quote(name);
+}
+
+/**
+ * SQL string literal of a text, escaped the way the dialect reads it back
+ *
+ * @param {string} text
+ * @param {object} [dialect] - Dialect definition (default oracle)
+ * @returns {string}
+ */
+function quoteLiteral(text, dialect = DIALECTS[DEFAULT_DIALECT]) {
+  const escaped = dialect.strings.backslashEscapes ? text.replace(/\\/g, '\\\\') : text;
+  return `'${escaped.replace(/'/g, "''")}'`;
+}
+
+/**
+ * SQL text of a schema-qualified object name
+ */
+function qualifiedName(schema, name, dialect = DIALECTS[DEFAULT_DIALECT]) {
+  return `${quoteIdentifier(schema, dialect)}.${quoteIdentifier(name, dialect)}`;
+}
+
+/**
+ * sql_id of a spec's range option
+ */
+function specSqlId(spec, rangeOption) {
+  return `${dialectName(spec)}.cdc.${spec.table.name.toLowerCase()}.${rangeOption}`;
+}
+
+/**
+ * Dialect named by the prefix of a sql_id
+ */
+function sqlIdDialect(id) {
+  return id.split('.')[0];
+}
+
+/**
+ * File name of a dialect's SQL registry inside sql-registry/
+ */
+function registryFileName(dialect) {
+  return `${dialect}.json`;
+}
+
+/**
+ * Identifier of a dialect's DBCP controller service in the root group
+ */
+function dbcpServiceId(dialect) {
+  return `${dialect}-dbcp`;
+}
+
+module.exports = {
+  DEFAULT_DIALECT,
+  DEFAULT_UTC_OFFSET,
+  DIALECTS,
+  FEATURES,
+  dialectName,
+  dialectOf,
+  sourceOffset,
+  supports,
+  quoteIdentifier,
+  quoteLiteral,
+  qualifiedName,
+  specSqlId,
+  sqlIdDialect,
+  registryFileName,
+  dbcpServiceId
+};
@@ -0,0 +1,169 @@
+/**
+ * Elasticsearch Document IDs
+ *
+ * A single-column `table.primary_key` is used as the document `_id` as is.
+ * A composite key (a list of columns) is folded into one deterministic string
+ * that the CDC query projects as `elasticsearch.id_field`, so
+ * PutElasticsearchRecord keeps reading the id from `/${es_id_field}`:
+ *
+ *   join  - key values joined with `separator`; `\` and the separator are
+ *           escaped inside character values so distinct keys never collide
+ *   hash  - hex digest (Oracle STANDARD_HASH) of the joined string
+ *
+ * documentId() computes the same value in JavaScript for tests and tooling.
+ */
+
+const crypto = require('crypto');
+const { parseOracleType } = require('./type-mapping');
+const { quoteIdentifier, quoteLiteral } = require('./dialect');
+
+const DEFAULT_SEPARATOR = '|';
+const DEFAULT_ALGORITHM = 'SHA256';
+const ESCAPE = '\\';
+
+const NUMERIC_TYPES = [
+  'NUMBER', 'DECIMAL', 'NUMERIC', 'INTEGER', 'INT', 'SMALLINT', 'FLOAT', 'BINARY_FLOAT', 'BINARY_DOUBLE',
+  'BIGINT', 'TINYINT', 'MEDIUMINT', 'REAL', 'DOUBLE', 'DOUBLE PRECISION'
+];
+
+/**
+ * Key columns of a spec, in key order
+ * @returns {string[]}
+ */
+function keyColumns(spec) {
+  const key = spec.table.primary_key;
+  return Array.isArray(key) ? key : [key];
+}
+
+/**
+ * Whether the document id is built from more than one column
+ */
+function isCompositeKey(spec) {
+  return keyColumns(spec).length > 1;
+}
+
+/**
+ * Composite id settings with defaults applied
+ * @returns {{strategy: string, separator: string, algorithm: string}}
+ */
+function idSettings(spec) {
+  const id = spec.elasticsearch.id || {};
+  return {
+    strategy: id.strategy || 'join',
+    separator: id.separator || DEFAULT_SEPARATOR,
+    algorithm: id.algorithm || DEFAULT_ALGORITHM
+  };
+}
+
+/**
+ * How a key column is rendered: number, temporal or character
+ */
+function valueKind(oracleType) {
+  const { base } = parseOracleType(oracleType);
+  if (NUMERIC_TYPES.includes(base)) return 'number';
+  if (/^(DATE|TIMESTAMP)/.test(base)) return 'temporal';
+  return 'character';
+}
+
+/**
+ * SQL expression rendering a column value as text
+ */
+function textExpression(column) {
+  const name = quoteIdentifier(column.name);
+  switch (valueKind(column.type)) {
+    case 'number':
+      return `TO_CHAR(${name}, 'TM9', 'NLS_NUMERIC_CHARACTERS=''.,''')`;
+    case 'temporal':
+      return /^DATE/i.test(column.type)
+        ? `TO_CHAR(${name}, 'YYYY-MM-DD"T"HH24:MI:SS')`
+        : `TO_CHAR(${name}, 'YYYY-MM-DD"T"HH24:MI:SS.FF6')`;
+    default:
+      return name;
+  }
+}
+
+/**
+ * SQL expression rendering one key column as text
+ */
+function componentExpression(column, separator) {
+  return valueKind(column.type) === 'character'
+    ? `REPLACE(REPLACE(${quoteIdentifier(column.name)}, ${quoteLiteral(ESCAPE)}, ${quoteLiteral(ESCAPE + ESCAPE)}), ${quoteLiteral(separator)}, ${quoteLiteral(ESCAPE + separator)})`
+    : textExpression(column);
+}
+
+/**
+ * SELECT expression projecting the composite document id
+ *
+ * @param {object} spec - Validated table spec with a composite primary_key
+ * @returns {string} `<expression> AS <id_field>`
+ */
+function documentIdExpression(spec) {
+  const { strategy, separator, algorithm } = idSettings(spec);
+  const byName = new Map(spec.columns.map(column => [column.name, column]));
+  const joined = keyColumns(spec)
+    .map(name => componentExpression(byName.get(name), separator))
+    .join(` || ${quoteLiteral(separator)} || `);
+
+  const expression = strategy === 'hash'
+    ? `LOWER(RAWTOHEX(STANDARD_HASH(${joined}, ${quoteLiteral(algorithm)})))`
+    : joined;
+
+  return `${expression} AS ${quoteIdentifier(spec.elasticsearch.id_field)}`;
+}
+
+/**
+ * Render a key value the way the SQL expression does
+ *
+ * Numbers follow Oracle's TM9 format (no leading zero before the decimal
+ * point); temporal values are expected in the rendered ISO form already.
+ */
+function renderComponent(value, kind, separator) {
+  const text = String(value);
+  if (kind === 'number') {
+    return text.replace(/^(-?)0\./, '$1.');
+  }
+  if (kind === 'temporal') {
+    return text;
+  }
+  return text.split(ESCAPE).join(ESCAPE + ESCAPE).split(separator).join(ESCAPE + separator);
+}
+
+/**
+ * Compute the document id of a source row
+ *
+ * @param {object} spec - Validated table spec
+ * @param {object} row - Column values keyed by column name
+ * @returns {string}
+ */
+function documentId(spec, row) {
+  const columns = keyColumns(spec);
+  columns.forEach(name => {
+    if (row[name] === null || row[name] === undefined) {
+      throw new Error(`Key column ${name} has no value`);
+    }
+  });
+
+  if (columns.length === 1) {
+    return String(row[columns[0]]);
+  }
+
+  const { strategy, separator, algorithm } = idSettings(spec);
+  const byName = new Map(spec.columns.map(column => [column.name, column]));
+  const joined = columns
+    .map(name => renderComponent(row[name], valueKind(byName.get(name).type), separator))
+    .join(separator);
+
+  return strategy === 'hash'
+    ? crypto.createHash(algorithm.toLowerCase()).update(joined, 'utf8').digest('hex')
+    : joined;
+}
+
+module.exports = {
+  keyColumns,
+  isCompositeKey,
+  idSettings,
+  valueKind,
+  textExpression,
+  documentIdExpression,
+  documentId
+};
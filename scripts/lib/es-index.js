@@ -0,0 +1,140 @@
+/**
+ * Elasticsearch Index Template Builder
+ *
+ * Turns `elasticsearch.mapping` / `elasticsearch.settings` of a spec (with
+ * column types inferred where the mapping omits them) into a
+ * composable index template, and applies templates to a cluster so the index
+ * exists with explicit mappings before PutElasticsearchRecord writes to it.
+ */
+
+const { resolveMappingProperties } = require('./type-mapping');
+
+const TEMPLATE_PREFIX = 'cdc-';
+const TEMPLATE_PRIORITY = 100;
+
+const DEFAULT_SETTINGS = {
+  number_of_shards: 1,
+  number_of_replicas: 1
+};
+
+/**
+ * Name of the index template for an index
+ */
+function indexTemplateName(index) {
+  return `${TEMPLATE_PREFIX}${index}`;
+}
+
+/**
+ * Build the composable index template body for a spec
+ *
+ * @param {object} spec - Validated table spec
+ * @returns {object} Body for PUT _index_template/<name>
+ */
+function buildIndexTemplate(spec) {
+  const { table, elasticsearch } = spec;
+  const mapping = elasticsearch.mapping || {};
+  const mappings = {};
+  if (mapping.dynamic !== undefined) {
+    mappings.dynamic = mapping.dynamic;
+  }
+  mappings.properties = resolveMappingProperties(spec);
+
+  return {
+    index_patterns: [elasticsearch.index],
+    priority: TEMPLATE_PRIORITY,
+    template: {
+      settings: Object.assign({}, DEFAULT_SETTINGS, elasticsearch.settings),
+      mappings
+    },
+    _meta: {
+      managed_by: 'nificdc',
+      source: `specs/${table.name.toLowerCase()}.yaml`,
+      table: `${table.schema}.${table.name}`
+    }
+  };
+}
+
+/**
+ * Differences between declared mappings and the mappings of an existing index
+ * @returns {string[]} Human-readable conflicts
+ */
+function compareMappings(declared, actual = {}) {
+  const conflicts = [];
+  const actualProperties = actual.properties || {};
+
+  if (declared.dynamic !== undefined && String(declared.dynamic) !== String(actual.dynamic ?? true)) {
+    conflicts.push(`dynamic is ${actual.dynamic ?? true}, expected ${declared.dynamic}`);
+  }
+
+  conflicts.push(...compareProperties(declared.properties, actualProperties));
+
+  return conflicts;
+}
+
+/**
+ * Differences between declared and existing field mappings, including object sub-fields
+ */
+function compareProperties(declared, actual, prefix = '') {
+  const conflicts = [];
+
+  for (const [name, { type, properties }] of Object.entries(declared)) {
+    const field = `${prefix}${name}`;
+    const existing = actual[name];
+    if (!existing) {
+      conflicts.push(`field ${field} is not mapped`);
+    } else if ((existing.type || 'object') !== type) {
+      conflicts.push(`field ${field} is ${existing.type || 'object'}, expected ${type}`);
+    } else if (properties) {
+      conflicts.push(...compareProperties(properties, existing.properties || {}, `${field}.`));
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Put index templates and create missing indices
+ *
+ * Templates only affect indices created afterwards, so an index that already
+ * exists is checked against the declared mappings instead.
+ *
+ * @param {object} client - @elastic/elasticsearch Client (v8 API)
+ * @param {Array<{name: string, body: object}>} templates
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Report actions without calling write APIs
+ * @returns {Promise<Array<{name: string, index: string, action: string, conflicts: string[]}>>}
+ */
+async function applyIndexTemplates(client, templates, { dryRun = false } = {}) {
+  const results = [];
+
+  for (const { name, body } of templates) {
+    const index = body.index_patterns[0];
+
+    if (!dryRun) {
+      await client.indices.putIndexTemplate({ name, ...body });
+    }
+
+    const exists = await client.indices.exists({ index });
+    if (!exists) {
+      if (!dryRun) {
+        await client.indices.create({ index });
+      }
+      results.push({ name, index, action: 'created', conflicts: [] });
+      continue;
+    }
+
+    const response = await client.indices.getMapping({ index });
+    const actual = response[index] ? response[index].mappings : {};
+    const conflicts = compareMappings(body.template.mappings, actual);
+    results.push({ name, index, action: conflicts.length > 0 ? 'conflict' : 'exists', conflicts });
+  }
+
+  return results;
+}
+
+module.exports = {
+  indexTemplateName,
+  buildIndexTemplate,
+  compareMappings,
+  applyIndexTemplates
+};
@@ -0,0 +1,503 @@
+/**
+ * NiFi Expression Language
+ *
+ * Parses and evaluates the common subset of the NiFi Expression Language
+ * used in processor properties:
+ *
+ *   ${sql_id}                                             attribute reference
+ *   ${now():toNumber():minus(300000):format('yyyy-MM-dd HH:mm:ss.SSS')}
+ *   ${getStateValue('range_to'):replaceEmpty(${now():format(...)})}
+ *   ${cdc_mode:equals('sequence'):ifElse('0', ${range_from})}
+ *   ${cdc_watermark:replaceEmpty('{}'):jsonPath('$.range_from')}
+ *
+ * Text outside `${...}` is kept as is (`$${` writes a literal `${`).
+ * Function names and argument counts are checked when parsing, so a typo in
+ * a generated property fails with an ExpressionSyntaxError instead of at
+ * runtime in NiFi. now() reads an injectable clock. format() and toDate()
+ * use their time zone argument, or else the `timeZone` of the evaluation,
+ * which stands for the default zone of the NiFi JVM:
+ *
+ *   ${now():format('yyyy-MM-dd HH:mm:ss.SSS', 'GMT+09:00')}
+ */
+
+/**
+ * Syntax error in a property value, with the offset where parsing stopped
+ */
+class ExpressionSyntaxError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} expression - Property value being parsed
+   * @param {number} position - Offset in the property value
+   */
+  constructor(message, expression, position) {
+    super(`${message} at ${position} in expression: ${expression}`);
+    this.name = 'ExpressionSyntaxError';
+    this.expression = expression;
+    this.position = position;
+  }
+}
+
+const pad = (value, width) => String(value).padStart(width, '0');
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Java SimpleDateFormat fields, read and written on a date shifted to the wall clock of its zone
+const DATE_FIELDS = {
+  yyyy: { pattern: '(\\d{4})', format: date => pad(date.getUTCFullYear(), 4), set: (parts, v) => { parts.year = v; } },
+  MM: { pattern: '(\\d{2})', format: date => pad(date.getUTCMonth() + 1, 2), set: (parts, v) => { parts.month = v - 1; } },
+  dd: { pattern: '(\\d{2})', format: date => pad(date.getUTCDate(), 2), set: (parts, v) => { parts.day = v; } },
+  HH: { pattern: '(\\d{2})', format: date => pad(date.getUTCHours(), 2), set: (parts, v) => { parts.hour = v; } },
+  mm: { pattern: '(\\d{2})', format: date => pad(date.getUTCMinutes(), 2), set: (parts, v) => { parts.minute = v; } },
+  ss: { pattern: '(\\d{2})', format: date => pad(date.getUTCSeconds(), 2), set: (parts, v) => { parts.second = v; } },
+  SSS: { pattern: '(\\d{3})', format: date => pad(date.getUTCMilliseconds(), 3), set: (parts, v) => { parts.ms = v; } }
+};
+
+/**
+ * Tokens of a SimpleDateFormat pattern: field names, quoted text and other characters
+ */
+function dateTokens(pattern) {
+  return pattern.match(/yyyy|MM|dd|HH|mm|ss|SSS|'[^']*'|[^']/g) || [];
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in ms
+ *
+ * Accepts UTC / GMT, fixed offsets such as `+09:00` or `GMT+09:00`, and IANA
+ * names such as `Asia/Seoul`.
+ */
+function zoneOffset(timeZone, epochMs) {
+  if (/^(UTC|GMT|Z)$/i.test(timeZone)) return 0;
+  const fixed = /^(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/i.exec(timeZone);
+  if (fixed) {
+    return (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3] || 0)) * 60000;
+  }
+
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(new Date(epochMs));
+  } catch (e) {
+    throw new Error(`Unknown time zone "${timeZone}"`);
+  }
+  const field = type => Number(parts.find(part => part.type === type).value);
+  const wall = Date.UTC(field('year'), field('month') - 1, field('day'), field('hour'), field('minute'), field('second'));
+  return wall - (epochMs - (((epochMs % 1000) + 1000) % 1000));
+}
+
+/**
+ * Format a date with a SimpleDateFormat pattern
+ *
+ * @param {Date} date
+ * @param {string} pattern
+ * @param {string} [timeZone] - Zone of the written wall clock (default UTC)
+ */
+function formatDate(date, pattern, timeZone = DEFAULT_TIME_ZONE) {
+  const wall = new Date(date.getTime() + zoneOffset(timeZone, date.getTime()));
+  return dateTokens(pattern).map(token => {
+    if (DATE_FIELDS[token]) return DATE_FIELDS[token].format(wall);
+    if (token.startsWith('\'')) return token.slice(1, -1);
+    return token;
+  }).join('');
+}
+
+/**
+ * Parse a date with a SimpleDateFormat pattern
+ *
+ * @param {string} text
+ * @param {string} pattern
+ * @param {string} [timeZone] - Zone of the wall clock in the text (default UTC)
+ */
+function parseDate(text, pattern, timeZone = DEFAULT_TIME_ZONE) {
+  const tokens = dateTokens(pattern);
+  const source = tokens.map(token => {
+    if (DATE_FIELDS[token]) return DATE_FIELDS[token].pattern;
+    const literal = token.startsWith('\'') ? token.slice(1, -1) : token;
+    return literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  const match = new RegExp(`^${source}$`).exec(text);
+  if (!match) {
+    throw new Error(`Cannot parse "${text}" as a date with format "${pattern}"`);
+  }
+  const parts = { year: 1970, month: 0, day: 1, hour: 0, minute: 0, second: 0, ms: 0 };
+  tokens.filter(token => DATE_FIELDS[token]).forEach((token, index) => {
+    DATE_FIELDS[token].set(parts, Number(match[index + 1]));
+  });
+  const wall = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second, parts.ms);
+  // The offset at the wall clock read as UTC is close enough to find the offset at the instant itself
+  return new Date(wall - zoneOffset(timeZone, wall - zoneOffset(timeZone, wall)));
+}
+
+/**
+ * Read a value as a number: dates are epoch ms, text must be numeric
+ */
+function toNumber(value) {
+  if (value === null) return null;
+  if (value instanceof Date) return value.getTime();
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (String(value).trim() === '' || Number.isNaN(number)) {
+    throw new Error(`Cannot convert "${value}" to a number`);
+  }
+  return number;
+}
+
+/**
+ * Read a value as a boolean, the way NiFi reads "true" / "false" attributes
+ */
+function toBoolean(value) {
+  return value === true || String(value).trim().toLowerCase() === 'true';
+}
+
+/**
+ * Render a value the way NiFi writes it into an attribute
+ */
+function stringify(value) {
+  if (value === null) return '';
+  if (value instanceof Date) return String(value.getTime());
+  return String(value);
+}
+
+const isEmpty = value => value === null || String(value).trim() === '';
+
+/**
+ * Value at a JsonPath of child names and array indices, e.g. `$[-1].ID` or
+ * `$['range_from']`
+ *
+ * A negative index counts from the end of the array.
+ *
+ * @returns {*} undefined when the path matches nothing
+ */
+function jsonPathValue(document, jsonPath) {
+  const step = /\.([A-Za-z_][A-Za-z0-9_]*)|\[(-?\d+)\]|\['([^']+)'\]/g;
+  if (!new RegExp(`^\\$(?:${step.source})*$`).test(jsonPath)) {
+    throw new Error(`Unsupported JsonPath "${jsonPath}"`);
+  }
+  let node = document;
+  for (const [, name, index, quoted] of jsonPath.matchAll(step)) {
+    if (node === null || typeof node !== 'object') return undefined;
+    if (index === undefined) {
+      node = Array.isArray(node) ? undefined : node[name === undefined ? quoted : name];
+    } else {
+      node = Array.isArray(node) ? node[Number(index) < 0 ? node.length + Number(index) : Number(index)] : undefined;
+    }
+  }
+  return node;
+}
+
+/**
+ * Apply a numeric operation, keeping null subjects null
+ */
+const arithmetic = operation => (value, [amount]) =>
+  (value === null ? null : operation(toNumber(value), toNumber(amount)));
+
+/**
+ * Compare a value with a number
+ */
+const comparison = test => (value, [other]) => value !== null && test(toNumber(value), toNumber(other));
+
+/**
+ * Supported functions
+ *
+ * Subjectless functions start an expression, like `${now()}`; the others are
+ * chained on the value to their left. `arity` is the [min, max] argument count.
+ * `apply(value, args, context)` gets the subject (null for subjectless
+ * functions and missing attributes) and the evaluated arguments.
+ */
+const FUNCTIONS = {
+  now: { subjectless: true, arity: [0, 0], apply: (value, args, context) => new Date(context.clock()) },
+  getStateValue: {
+    subjectless: true,
+    arity: [1, 1],
+    apply: (value, [key], context) => {
+      const state = context.state || {};
+      return state[key] === undefined ? null : state[key];
+    }
+  },
+  literal: { subjectless: true, arity: [1, 1], apply: (value, [text]) => text },
+
+  toNumber: { arity: [0, 0], apply: value => (isEmpty(value) ? null : toNumber(value)) },
+  toString: { arity: [0, 0], apply: value => (value === null ? null : stringify(value)) },
+  toDate: {
+    arity: [0, 2],
+    apply: (value, [pattern, timeZone], context) => {
+      if (isEmpty(value)) return null;
+      return pattern === undefined
+        ? new Date(toNumber(value))
+        : parseDate(String(value), pattern, timeZone || context.timeZone);
+    }
+  },
+  format: {
+    arity: [1, 2],
+    apply: (value, [pattern, timeZone], context) => {
+      if (value === null) return null;
+      return formatDate(value instanceof Date ? value : new Date(toNumber(value)), pattern, timeZone || context.timeZone);
+    }
+  },
+
+  plus: { arity: [1, 1], apply: arithmetic((a, b) => a + b) },
+  minus: { arity: [1, 1], apply: arithmetic((a, b) => a - b) },
+  multiply: { arity: [1, 1], apply: arithmetic((a, b) => a * b) },
+  // Whole numbers divide like Java longs
+  divide: {
+    arity: [1, 1],
+    apply: arithmetic((a, b) => (Number.isInteger(a) && Number.isInteger(b) ? Math.trunc(a / b) : a / b))
+  },
+  gt: { arity: [1, 1], apply: comparison((a, b) => a > b) },
+  ge: { arity: [1, 1], apply: comparison((a, b) => a >= b) },
+  lt: { arity: [1, 1], apply: comparison((a, b) => a < b) },
+  le: { arity: [1, 1], apply: comparison((a, b) => a <= b) },
+
+  equals: { arity: [1, 1], apply: (value, [other]) => value !== null && stringify(value) === stringify(other) },
+  equalsIgnoreCase: {
+    arity: [1, 1],
+    apply: (value, [other]) => value !== null && stringify(value).toLowerCase() === stringify(other).toLowerCase()
+  },
+  not: { arity: [0, 0], apply: value => !toBoolean(value) },
+  and: { arity: [1, 1], apply: (value, [other]) => toBoolean(value) && toBoolean(other) },
+  or: { arity: [1, 1], apply: (value, [other]) => toBoolean(value) || toBoolean(other) },
+  ifElse: { arity: [2, 2], apply: (value, [whenTrue, whenFalse]) => (toBoolean(value) ? whenTrue : whenFalse) },
+  isNull: { arity: [0, 0], apply: value => value === null },
+  notNull: { arity: [0, 0], apply: value => value !== null },
+  isEmpty: { arity: [0, 0], apply: value => isEmpty(value) },
+  replaceNull: { arity: [1, 1], apply: (value, [replacement]) => (value === null ? replacement : value) },
+  replaceEmpty: { arity: [1, 1], apply: (value, [replacement]) => (isEmpty(value) ? replacement : value) },
+
+  toUpper: { arity: [0, 0], apply: value => (value === null ? null : stringify(value).toUpperCase()) },
+  toLower: { arity: [0, 0], apply: value => (value === null ? null : stringify(value).toLowerCase()) },
+  trim: { arity: [0, 0], apply: value => (value === null ? null : stringify(value).trim()) },
+  append: { arity: [1, 1], apply: (value, [text]) => stringify(value) + stringify(text) },
+  prepend: { arity: [1, 1], apply: (value, [text]) => stringify(text) + stringify(value) },
+  // Java regex replacement; $1 refers to a group
+  replaceAll: {
+    arity: [2, 2],
+    apply: (value, [regex, replacement]) => (value === null ? null : stringify(value).replace(new RegExp(regex, 'g'), replacement))
+  },
+  escapeJson: { arity: [0, 0], apply: value => (value === null ? null : JSON.stringify(stringify(value)).slice(1, -1)) },
+  // A path that matches nothing gives an empty string; objects and arrays come back as JSON
+  jsonPath: {
+    arity: [1, 1],
+    apply: (value, [path]) => {
+      if (isEmpty(value)) {
+        throw new Error('jsonPath() subject is empty');
+      }
+      const result = jsonPathValue(JSON.parse(stringify(value)), path);
+      if (result === undefined || result === null) return '';
+      return typeof result === 'object' ? JSON.stringify(result) : result;
+    }
+  }
+};
+
+/**
+ * Parse one `${...}` expression starting at `start` (the `$`)
+ *
+ * @returns {{node: object, end: number}} Subject and function chain, and the index after `}`
+ */
+function parseExpression(text, start) {
+  let i = start + 2;
+  const fail = (message, at = i) => {
+    throw new ExpressionSyntaxError(message, text, at);
+  };
+  const skipSpace = () => {
+    while (/\s/.test(text[i] || '')) i++;
+  };
+  const expect = char => {
+    skipSpace();
+    if (text[i] !== char) fail(`Expected "${char}"`);
+    i++;
+  };
+  const readString = () => {
+    const quote = text[i];
+    const begin = i;
+    let value = '';
+    for (i++; i < text.length; i++) {
+      if (text[i] === '\\' && i + 1 < text.length) {
+        value += text[++i];
+      } else if (text[i] === quote) {
+        i++;
+        return value;
+      } else {
+        value += text[i];
+      }
+    }
+    return fail('Unterminated string', begin);
+  };
+  const readName = () => {
+    skipSpace();
+    const match = /^[A-Za-z0-9_.\-]+/.exec(text.slice(i));
+    if (!match) fail('Expected a name');
+    i += match[0].length;
+    return match[0];
+  };
+  const readArguments = () => {
+    const args = [];
+    expect('(');
+    skipSpace();
+    while (text[i] !== ')') {
+      if (text[i] === '\'' || text[i] === '"') {
+        args.push({ literal: readString() });
+      } else if (text.startsWith('${', i)) {
+        const { node, end } = parseExpression(text, i);
+        args.push(node);
+        i = end;
+      } else {
+        const match = /^-?\d+(\.\d+)?/.exec(text.slice(i));
+        if (!match) fail('Unexpected argument');
+        args.push({ literal: Number(match[0]) });
+        i += match[0].length;
+      }
+      skipSpace();
+      if (text[i] === ',') {
+        i++;
+        skipSpace();
+      } else if (text[i] !== ')') {
+        fail('Expected "," or ")"');
+      }
+    }
+    i++;
+    return args;
+  };
+  const readCall = (name, at, subjectless) => {
+    const fn = FUNCTIONS[name];
+    if (!fn) fail(`Unknown function ${name}()`, at);
+    if (Boolean(fn.subjectless) !== subjectless) {
+      fail(subjectless ? `${name}() needs a subject` : `${name}() cannot be chained`, at);
+    }
+    const args = readArguments();
+    const [min, max] = fn.arity;
+    if (args.length < min || args.length > max) {
+      const expected = min === max ? min : `${min} to ${max}`;
+      fail(`${name}() takes ${expected} argument${max === 1 ? '' : 's'} but got ${args.length}`, at);
+    }
+    return { call: name, args };
+  };
+
+  skipSpace();
+  let subject;
+  if (text[i] === '\'' || text[i] === '"') {
+    subject = { attribute: readString() };
+  } else {
+    const at = i;
+    const name = readName();
+    skipSpace();
+    subject = text[i] === '(' ? readCall(name, at, true) : { attribute: name };
+  }
+
+  const chain = [];
+  skipSpace();
+  while (text[i] === ':') {
+    i++;
+    skipSpace();
+    const at = i;
+    chain.push(readCall(readName(), at, false));
+    skipSpace();
+  }
+  expect('}');
+  return { node: { subject, chain }, end: i };
+}
+
+/**
+ * Split a property value into literal text and expressions
+ *
+ * @param {string} text - Property value
+ * @returns {Array<string|object>} Literal strings and parsed expressions
+ * @throws {ExpressionSyntaxError} If an expression is malformed or calls an unknown function
+ */
+function parse(text) {
+  const parts = [];
+  let literal = '';
+  let i = 0;
+  while (i < text.length) {
+    if (text.startsWith('$${', i)) {
+      literal += '${';
+      i += 3;
+    } else if (text.startsWith('${', i)) {
+      if (literal) parts.push(literal);
+      literal = '';
+      const { node, end } = parseExpression(text, i);
+      parts.push(node);
+      i = end;
+    } else {
+      literal += text[i++];
+    }
+  }
+  if (literal) parts.push(literal);
+  return parts;
+}
+
+/**
+ * Evaluate a parsed expression
+ */
+function evaluateNode(node, context) {
+  const argument = arg => (arg.subject ? evaluateNode(arg, context) : arg.literal);
+  const { subject, chain } = node;
+
+  let value;
+  if (subject.call) {
+    value = FUNCTIONS[subject.call].apply(null, subject.args.map(argument), context);
+  } else {
+    const attributes = context.attributes || {};
+    value = attributes[subject.attribute] === undefined ? null : attributes[subject.attribute];
+  }
+
+  for (const { call, args } of chain) {
+    value = FUNCTIONS[call].apply(value, args.map(argument), context);
+  }
+  return value;
+}
+
+/**
+ * Evaluate a property value
+ *
+ * @param {string} text - Property value, possibly containing `${...}` expressions
+ * @param {object} [context]
+ * @param {object} [context.attributes] - FlowFile attributes
+ * @param {object} [context.state] - Processor state read by getStateValue()
+ * @param {function(): number} [context.clock] - Clock for now() (epoch ms), Date.now by default
+ * @param {string} [context.timeZone] - Default zone of format() and toDate(), like the NiFi JVM zone (default UTC)
+ * @returns {string}
+ * @throws {ExpressionSyntaxError} If the value does not parse
+ */
+function evaluate(text, context = {}) {
+  const scope = { ...context, clock: context.clock || Date.now, timeZone: context.timeZone || DEFAULT_TIME_ZONE };
+  return parse(text)
+    .map(part => (typeof part === 'string' ? part : stringify(evaluateNode(part, scope))))
+    .join('');
+}
+
+/**
+ * Syntax errors in a set of processor or controller service properties
+ *
+ * @param {object} properties - Property name → value
+ * @returns {Array<{property: string, message: string}>}
+ */
+function expressionErrors(properties) {
+  return Object.entries(properties || {})
+    .filter(([, value]) => typeof value === 'string')
+    .flatMap(([property, value]) => {
+      try {
+        parse(value);
+        return [];
+      } catch (e) {
+        if (!(e instanceof ExpressionSyntaxError)) throw e;
+        return [{ property, message: e.message }];
+      }
+    });
+}
+
+module.exports = {
+  ExpressionSyntaxError,
+  parse,
+  evaluate,
+  expressionErrors,
+  jsonPathValue,
+  formatDate,
+  parseDate,
+  zoneOffset
+};
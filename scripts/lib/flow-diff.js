@@ -0,0 +1,276 @@
+/**
+ * Semantic Flow Diff
+ *
+ * Compares two flow JSON snapshots component by component instead of line
+ * by line. Components are matched by identifier across all process groups,
+ * so moving a component on the canvas, reordering arrays or re-exporting the
+ * flow does not show up; only added and removed components, property and
+ * variable changes, scheduling changes, rewired connections and other
+ * settings do.
+ *
+ * Values of password properties are never copied into the diff.
+ */
+
+// Component collections of a process group, in report order
+const KINDS = [
+  { key: 'processGroups', label: 'Process Groups' },
+  { key: 'processors', label: 'Processors' },
+  { key: 'controllerServices', label: 'Controller Services' },
+  { key: 'inputPorts', label: 'Input Ports' },
+  { key: 'outputPorts', label: 'Output Ports' },
+  { key: 'funnels', label: 'Funnels' },
+  { key: 'connections', label: 'Connections' }
+];
+
+// Canvas layout and export bookkeeping
+const LAYOUT_FIELDS = ['position', 'bends', 'labelIndex', 'zIndex', 'instanceIdentifier', 'groupIdentifier'];
+
+// Children of a process group, compared as components of their own
+const CHILD_FIELDS = [...KINDS.map(kind => kind.key), 'remoteProcessGroups', 'labels'];
+
+// Fields whose values are name → value maps, compared entry by entry
+const MAP_FIELDS = { properties: 'property', variables: 'variable' };
+
+const SCHEDULING_FIELDS = [
+  'schedulingStrategy',
+  'schedulingPeriod',
+  'concurrentlySchedulableTaskCount',
+  'runDurationMillis',
+  'executionNode',
+  'penaltyDuration',
+  'yieldDuration'
+];
+const WIRING_FIELDS = ['source', 'destination', 'selectedRelationships'];
+
+// Relationship lists are sets; their order carries no meaning
+const SET_FIELDS = ['selectedRelationships', 'autoTerminatedRelationships'];
+
+const PASSWORD_PROPERTY = /password/i;
+const MASK = '********';
+
+/**
+ * Every component of a flow, keyed by kind and then identifier
+ *
+ * @returns {object} kind → Map(identifier → {component, group})
+ */
+function collectComponents(flow) {
+  const components = Object.fromEntries(KINDS.map(kind => [kind.key, new Map()]));
+  const walk = group => {
+    KINDS.forEach(({ key }) => {
+      (group[key] || []).forEach(component => {
+        components[key].set(component.identifier, { component, group: group.identifier });
+      });
+    });
+    (group.processGroups || []).forEach(walk);
+  };
+  walk(flow.flowContents);
+  return components;
+}
+
+/**
+ * Value of a field with layout details and set ordering normalized away
+ */
+function normalize(field, value) {
+  if (SET_FIELDS.includes(field) && Array.isArray(value)) {
+    return [...value].sort();
+  }
+  if (WIRING_FIELDS.includes(field) && value && typeof value === 'object' && !Array.isArray(value)) {
+    // An endpoint is its component and group; NiFi re-exports names and ids freely
+    return { id: value.id, groupId: value.groupId, type: value.type };
+  }
+  return value;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Category of a top-level field change
+ */
+function category(field) {
+  if (SCHEDULING_FIELDS.includes(field)) return 'scheduling';
+  if (WIRING_FIELDS.includes(field)) return 'wiring';
+  return 'setting';
+}
+
+/**
+ * Changes between two versions of the same component
+ *
+ * @returns {Array<{category: string, field: string, before: *, after: *}>}
+ */
+function compareComponent(before, after) {
+  const changes = [];
+  const ignored = new Set([...LAYOUT_FIELDS, ...CHILD_FIELDS, 'identifier']);
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => !ignored.has(field));
+
+  fields.forEach(field => {
+    if (MAP_FIELDS[field]) {
+      const was = before[field] || {};
+      const now = after[field] || {};
+      [...new Set([...Object.keys(was), ...Object.keys(now)])].sort().forEach(name => {
+        if (same(was[name], now[name])) return;
+        const masked = field === 'properties' && PASSWORD_PROPERTY.test(name);
+        changes.push({
+          category: MAP_FIELDS[field],
+          field: name,
+          before: was[name] === undefined ? null : (masked ? MASK : was[name]),
+          after: now[name] === undefined ? null : (masked ? MASK : now[name])
+        });
+      });
+      return;
+    }
+
+    const was = normalize(field, before[field]);
+    const now = normalize(field, after[field]);
+    if (!same(was, now)) {
+      changes.push({
+        category: category(field),
+        field,
+        before: was === undefined ? null : was,
+        after: now === undefined ? null : now
+      });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * A connection's wiring as "source → destination [relationships]"
+ */
+function wiring(connection) {
+  const relationships = normalize('selectedRelationships', connection.selectedRelationships || []);
+  return `${(connection.source || {}).id} → ${(connection.destination || {}).id} [${relationships.join(', ')}]`;
+}
+
+/**
+ * Short description of a component for the report
+ */
+function summarize(component, group) {
+  return {
+    identifier: component.identifier,
+    name: component.name || null,
+    ...(component.type ? { type: component.type } : {}),
+    group
+  };
+}
+
+/**
+ * Semantic differences between two flows
+ *
+ * @param {object} before - Parsed flow JSON of the old snapshot
+ * @param {object} after - Parsed flow JSON of the new snapshot
+ * @returns {object} kind → {added, removed, changed}; changed entries list their changes,
+ *   and rewired connections also carry their whole `rewired: {before, after}` wiring
+ */
+function diffFlows(before, after) {
+  const was = collectComponents(before);
+  const now = collectComponents(after);
+  const diff = {};
+
+  KINDS.forEach(({ key }) => {
+    const added = [...now[key].keys()].filter(id => !was[key].has(id)).sort();
+    const removed = [...was[key].keys()].filter(id => !now[key].has(id)).sort();
+    const kept = [...now[key].keys()].filter(id => was[key].has(id)).sort();
+
+    diff[key] = {
+      added: added.map(id => summarize(now[key].get(id).component, now[key].get(id).group)),
+      removed: removed.map(id => summarize(was[key].get(id).component, was[key].get(id).group)),
+      changed: kept
+        .map(id => {
+          const old = was[key].get(id);
+          const current = now[key].get(id);
+          const changes = compareComponent(old.component, current.component);
+          if (old.group !== current.group) {
+            changes.unshift({ category: 'setting', field: 'group', before: old.group, after: current.group });
+          }
+          const rewired = changes.some(change => change.category === 'wiring')
+            ? { rewired: { before: wiring(old.component), after: wiring(current.component) } }
+            : {};
+          return { ...summarize(current.component, current.group), changes, ...rewired };
+        })
+        .filter(entry => entry.changes.length > 0)
+    };
+  });
+
+  return diff;
+}
+
+/**
+ * Whether a diff has any change
+ */
+function isEmptyDiff(diff) {
+  return KINDS.every(({ key }) =>
+    diff[key].added.length === 0 && diff[key].removed.length === 0 && diff[key].changed.length === 0);
+}
+
+/**
+ * Render a value as a markdown table cell
+ */
+function cell(value) {
+  if (value === null || value === undefined) return '—';
+  const text = (typeof value === 'string' ? value : JSON.stringify(value))
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/\|/g, '\\|');
+  return text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``;
+}
+
+/**
+ * Render a diff as a markdown summary for a pull request
+ *
+ * @param {object} diff - Output of diffFlows()
+ * @param {object} [options]
+ * @param {string} [options.title] - Heading, e.g. the compared file names
+ * @returns {string}
+ */
+function renderMarkdown(diff, { title = 'Flow diff' } = {}) {
+  const lines = [`## ${title}`, ''];
+  if (isEmptyDiff(diff)) {
+    lines.push('No semantic changes (layout-only changes are ignored).', '');
+    return lines.join('\n');
+  }
+
+  const count = field => KINDS.reduce((sum, { key }) => sum + diff[key][field].length, 0);
+  lines.push(`**${count('added')} added, ${count('removed')} removed, ${count('changed')} changed** `
+    + '(layout-only changes are ignored)', '');
+
+  KINDS.forEach(({ key, label }) => {
+    const { added, removed, changed } = diff[key];
+    if (added.length + removed.length + changed.length === 0) return;
+
+    lines.push(`### ${label}`, '');
+    if (added.length + removed.length > 0) {
+      lines.push('| | Component | Name | Group |', '|---|---|---|---|');
+      added.forEach(c => lines.push(`| added | ${cell(c.identifier)} | ${cell(c.name)} | ${cell(c.group)} |`));
+      removed.forEach(c => lines.push(`| removed | ${cell(c.identifier)} | ${cell(c.name)} | ${cell(c.group)} |`));
+      lines.push('');
+    }
+
+    const rewired = changed.filter(entry => entry.rewired);
+    if (rewired.length > 0) {
+      lines.push('**Rewired**', '', '| Connection | Before | After |', '|---|---|---|');
+      rewired.forEach(entry => {
+        lines.push(`| ${cell(entry.identifier)} | ${cell(entry.rewired.before)} | ${cell(entry.rewired.after)} |`);
+      });
+      lines.push('');
+    }
+
+    changed.forEach(entry => {
+      const rest = entry.changes.filter(c => c.category !== 'wiring');
+      if (rest.length === 0) return;
+      lines.push(`#### ${cell(entry.identifier)}${entry.name ? ` ${entry.name.replace(/\|/g, '\\|')}` : ''}`, '');
+      lines.push('| Change | Field | Before | After |', '|---|---|---|---|');
+      rest.forEach(c => lines.push(`| ${c.category} | ${cell(c.field)} | ${cell(c.before)} | ${cell(c.after)} |`));
+      lines.push('');
+    });
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  KINDS,
+  diffFlows,
+  isEmptyDiff,
+  renderMarkdown
+};
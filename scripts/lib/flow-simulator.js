@@ -0,0 +1,482 @@
+/**
+ * Flow Simulator
+ *
+ * Runs the per-table CDC process groups of a flow definition
+ * (flows/oracle_cdc_flow.json) in Node, with no NiFi, source database or
+ * Elasticsearch. A trigger walks the processors along their connections
+ * from GenerateFlowFile:
+ *
+ *   UpdateAttribute        - properties evaluated as Expression Language
+ *                            against the incoming attributes; with
+ *                            `Store State` the results are kept as the
+ *                            processor state read by getStateValue()
+ *   LookupAttribute        - keys looked up in the SimpleKeyValueLookupService
+ *                            (sql-lookup-service) of the root group
+ *   ExecuteSQLRecord       - the `SQL select query` run on the in-memory
+ *                            tables with the `sql.args.N.*` parameters, the
+ *                            rows written as one record flowfile (also when
+ *                            there are none); a failing query routes the
+ *                            incoming flowfile to failure
+ *   UpdateRecord           - record path values (a field, or unescapeJson of
+ *                            one) written to the record fields
+ *   JoltTransformRecord    - shift spec applied to each record
+ *   PutElasticsearchRecord - records upserted into in-memory indices
+ *   EvaluateJsonPath       - JsonPath results of the content written to attributes
+ *   ReplaceText            - content replaced with the `Replacement Value`
+ *   FetchDistributedMapCache / PutDistributedMapCache
+ *                          - entries read from and written to an in-memory
+ *                            cache shared by every process group
+ *
+ * Processors with no incoming connection run as sources. Like NiFi, the
+ * simulator refuses to start a group whose processors break their input
+ * requirement (scripts/lib/input-requirement.js), e.g. a
+ * QueryDatabaseTableRecord fed by a connection. A relationship that is
+ * neither connected nor auto-terminated stops the trigger with an error, as
+ * NiFi would refuse to start the processor.
+ * A trigger can force a processor onto one of its relationships without
+ * running it, e.g. PutElasticsearchRecord onto `retry` while Elasticsearch
+ * is unreachable.
+ */
+
+const { evaluate, formatDate, jsonPathValue } = require('./expression-language');
+const { executeQuery } = require('./memory-database');
+const { inputRequirementError } = require('./input-requirement');
+
+const LOOKUP_SERVICE_TYPE = 'org.apache.nifi.lookup.SimpleKeyValueLookupService';
+
+// Record writer Timestamp Format when none is set
+const DEFAULT_TIMESTAMP_FORMAT = 'yyyy-MM-dd HH:mm:ss.SSS';
+
+// Attribute ExecuteSQLRecord writes the error message of a failed query to
+const SQL_ERROR_ATTRIBUTE = 'executesql.error.message';
+
+// JDBC types of sql.args.N.type bound as numbers (TINYINT .. DOUBLE, NUMERIC, DECIMAL)
+const NUMERIC_JDBC_TYPES = ['-6', '5', '4', '-5', '6', '7', '8', '2', '3'];
+
+// UpdateAttribute properties that configure the processor rather than set an attribute
+const UPDATE_ATTRIBUTE_SETTINGS = [
+  'Store State',
+  'Stateful Variables Initial Value',
+  'Delete Attributes Expression',
+  'canonical-value-lookup-cache-size'
+];
+
+// LookupAttribute properties that configure the processor rather than name a lookup
+const LOOKUP_ATTRIBUTE_SETTINGS = ['Lookup Service', 'Include Empty Values', 'include-empty-values'];
+
+// EvaluateJsonPath properties that configure the processor rather than name a path
+const EVALUATE_JSON_PATH_SETTINGS = ['Destination', 'Return Type', 'Path Not Found Behavior', 'Null Value Representation'];
+
+/**
+ * Records of a record flowfile (JSON array content, as json-record-writer writes them)
+ */
+function readRecords(flowFile) {
+  return flowFile.content ? JSON.parse(flowFile.content) : [];
+}
+
+/**
+ * Record value as the record writer writes it (timestamps in its Timestamp Format)
+ */
+function recordValue(value, writer) {
+  if (value instanceof Date) {
+    return formatDate(value, writer.properties['Timestamp Format'] || DEFAULT_TIMESTAMP_FORMAT);
+  }
+  return value;
+}
+
+/**
+ * Field of a simple record path such as `/ORDER_ID`
+ */
+function recordPathField(recordPath) {
+  const match = /^\/([^/[\]]+)$/.exec(recordPath);
+  if (!match) {
+    throw new Error(`Unsupported record path "${recordPath}"`);
+  }
+  return match[1];
+}
+
+/**
+ * Value of a record path expression: a field, or unescapeJson() of a field
+ *
+ * @throws {SyntaxError} when unescapeJson() reads text that is not JSON
+ */
+function recordPathValue(record, recordPath) {
+  const unescape = /^unescapeJson\((\/[^,)]+)(?:,\s*'(?:true|false)')?\)$/.exec(recordPath);
+  const value = record[recordPathField(unescape ? unescape[1] : recordPath)];
+  if (value === undefined || value === null) return null;
+  return unescape ? JSON.parse(value) : value;
+}
+
+/**
+ * Values of the `sql.args.N.*` attributes, in parameter order
+ */
+function boundArguments(attributes) {
+  const args = [];
+  for (let n = 1; attributes[`sql.args.${n}.value`] !== undefined; n++) {
+    const value = attributes[`sql.args.${n}.value`];
+    const numeric = NUMERIC_JDBC_TYPES.includes(attributes[`sql.args.${n}.type`]);
+    args.push(numeric && value !== '' ? Number(value) : value);
+  }
+  return args;
+}
+
+/**
+ * Set a dotted Jolt output path on a record
+ */
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Processor behaviour by type
+ *
+ * Each handler takes the processor, the incoming flowfile (null for a
+ * source) and the simulation context, and returns the outgoing
+ * `{relationship, flowFile}` transfers.
+ */
+const PROCESSORS = {
+  'org.apache.nifi.processors.standard.GenerateFlowFile': (processor, flowFile, context) => {
+    const content = processor.properties['generate-ff-custom-text'] || '';
+    return [{ relationship: 'success', flowFile: { attributes: {}, content, id: context.nextFlowFileId() } }];
+  },
+
+  'org.apache.nifi.processors.attributes.UpdateAttribute': (processor, flowFile, context) => {
+    const { properties } = processor;
+    const stateful = properties['Store State'] === 'Store state locally';
+    const state = stateful ? context.stateOf(processor) : {};
+
+    // Every property sees the incoming attributes, not the ones set next to it
+    const updates = {};
+    Object.entries(properties)
+      .filter(([name]) => !UPDATE_ATTRIBUTE_SETTINGS.includes(name))
+      .forEach(([name, value]) => {
+        updates[name] = evaluate(value, { ...context.expressionScope, attributes: flowFile.attributes, state });
+      });
+
+    if (stateful) {
+      Object.assign(state, updates);
+    }
+    return [{ relationship: 'success', flowFile: { ...flowFile, attributes: { ...flowFile.attributes, ...updates } } }];
+  },
+
+  'org.apache.nifi.processors.standard.LookupAttribute': (processor, flowFile, context) => {
+    const service = context.service(processor.properties['Lookup Service']);
+    if (service.type !== LOOKUP_SERVICE_TYPE) {
+      throw new Error(`${processor.identifier}: unsupported lookup service type ${service.type}`);
+    }
+
+    const updates = {};
+    let matched = true;
+    Object.entries(processor.properties)
+      .filter(([name]) => !LOOKUP_ATTRIBUTE_SETTINGS.includes(name))
+      .forEach(([name, value]) => {
+        const key = evaluate(value, { ...context.expressionScope, attributes: flowFile.attributes });
+        if (service.properties[key] === undefined) {
+          matched = false;
+        } else {
+          updates[name] = service.properties[key];
+        }
+      });
+
+    return matched
+      ? [{ relationship: 'matched', flowFile: { ...flowFile, attributes: { ...flowFile.attributes, ...updates } } }]
+      : [{ relationship: 'unmatched', flowFile }];
+  },
+
+  'org.apache.nifi.processors.standard.ExecuteSQLRecord': (processor, flowFile, context) => {
+    const { properties } = processor;
+    // Without an incoming connection the query runs on the schedule with no attributes
+    const attributes = flowFile ? flowFile.attributes : {};
+    const sql = evaluate(properties['SQL select query'], { ...context.expressionScope, attributes });
+    const args = boundArguments(attributes);
+    const writer = context.service(properties['esqlrecord-record-writer']);
+
+    let rows;
+    try {
+      rows = executeQuery(context.tables, sql, args, { oldestScn: context.oldestScn }).map(row =>
+        Object.fromEntries(Object.entries(row).map(([name, value]) => [name, recordValue(value, writer)])));
+    } catch (error) {
+      // A scheduled query has no flowfile to route to failure
+      if (!flowFile) throw error;
+      return [{ relationship: 'failure', flowFile: { ...flowFile, attributes: { ...attributes, [SQL_ERROR_ATTRIBUTE]: error.message } } }];
+    }
+    context.queries.push({ processor: processor.identifier, sql, args, rows: rows.length });
+
+    const count = String(rows.length);
+    return [{
+      relationship: 'success',
+      flowFile: {
+        id: context.nextFlowFileId(),
+        attributes: { ...attributes, 'record.count': count, 'executesql.row.count': count },
+        content: JSON.stringify(rows)
+      }
+    }];
+  },
+
+  'org.apache.nifi.processors.standard.UpdateRecord': (processor, flowFile) => {
+    const { properties } = processor;
+    if (properties['replacement-value-strategy'] !== 'record-path-value') {
+      throw new Error(`${processor.identifier}: unsupported replacement value strategy ${properties['replacement-value-strategy']}`);
+    }
+    // Properties named by a record path set that field
+    const updates = Object.entries(properties).filter(([name]) => name.startsWith('/'));
+    let records;
+    try {
+      records = readRecords(flowFile).map(record => {
+        const updated = { ...record };
+        updates.forEach(([field, value]) => {
+          updated[recordPathField(field)] = recordPathValue(record, value);
+        });
+        return updated;
+      });
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      return [{ relationship: 'failure', flowFile }];
+    }
+    return [{ relationship: 'success', flowFile: { ...flowFile, content: JSON.stringify(records) } }];
+  },
+
+  'org.apache.nifi.processors.jolt.record.JoltTransformRecord': (processor, flowFile) => {
+    const { properties } = processor;
+    if (properties['jolt-record-transform'] !== 'jolt-transform-shift') {
+      throw new Error(`${processor.identifier}: unsupported Jolt transform ${properties['jolt-record-transform']}`);
+    }
+    const shift = JSON.parse(properties['jolt-record-spec']);
+    const records = readRecords(flowFile).map(record => {
+      const shifted = {};
+      Object.entries(shift).forEach(([from, to]) => {
+        if (from in record) setPath(shifted, to, record[from]);
+      });
+      return shifted;
+    });
+    return [{ relationship: 'success', flowFile: { ...flowFile, content: JSON.stringify(records) } }];
+  },
+
+  'org.apache.nifi.processors.elasticsearch.PutElasticsearchRecord': (processor, flowFile, context) => {
+    const { properties } = processor;
+    const scope = { ...context.expressionScope, attributes: flowFile.attributes };
+    const index = evaluate(properties.Index, scope);
+    const operation = evaluate(properties['Index Operation'] || 'index', scope);
+    const idField = properties['ID Record Path'] ? recordPathField(evaluate(properties['ID Record Path'], scope)) : null;
+    const retainId = properties['Retain ID (Record Path)'] !== 'false';
+
+    const errors = [];
+    readRecords(flowFile).forEach(record => {
+      const id = idField ? record[idField] : undefined;
+      if (idField && (id === undefined || id === null)) {
+        errors.push(record);
+        return;
+      }
+      const document = { ...record };
+      if (idField && !retainId) delete document[idField];
+      context.upsert(index, operation, id === undefined ? undefined : String(id), document);
+    });
+
+    return errors.length
+      ? [{ relationship: 'errors', flowFile: { ...flowFile, content: JSON.stringify(errors) } }]
+      : [{ relationship: 'success', flowFile }];
+  },
+
+  'org.apache.nifi.processors.standard.EvaluateJsonPath': (processor, flowFile) => {
+    const { properties } = processor;
+    if (properties.Destination !== 'flowfile-attribute' || properties['Return Type'] !== 'scalar') {
+      throw new Error(`${processor.identifier}: only scalar results written to attributes are supported`);
+    }
+    let document;
+    try {
+      document = JSON.parse(flowFile.content);
+    } catch (error) {
+      return [{ relationship: 'failure', flowFile }];
+    }
+
+    // A path that matches nothing sets the attribute to an empty string
+    const nullValue = properties['Null Value Representation'] === 'the string \'null\'' ? 'null' : '';
+    const updates = {};
+    for (const [name, jsonPath] of Object.entries(properties).filter(([key]) => !EVALUATE_JSON_PATH_SETTINGS.includes(key))) {
+      const value = jsonPathValue(document, jsonPath);
+      if (value !== null && typeof value === 'object') {
+        return [{ relationship: 'failure', flowFile }];
+      }
+      updates[name] = value === undefined ? '' : value === null ? nullValue : String(value);
+    }
+    return [{ relationship: 'matched', flowFile: { ...flowFile, attributes: { ...flowFile.attributes, ...updates } } }];
+  },
+
+  'org.apache.nifi.processors.standard.ReplaceText': (processor, flowFile, context) => {
+    const { properties } = processor;
+    if (properties['Replacement Strategy'] !== 'Always Replace') {
+      throw new Error(`${processor.identifier}: unsupported replacement strategy ${properties['Replacement Strategy']}`);
+    }
+    const content = evaluate(properties['Replacement Value'], { ...context.expressionScope, attributes: flowFile.attributes });
+    return [{ relationship: 'success', flowFile: { ...flowFile, content } }];
+  },
+
+  'org.apache.nifi.processors.standard.FetchDistributedMapCache': (processor, flowFile, context) => {
+    const { properties } = processor;
+    context.service(properties['Distributed Cache Service']);
+    const key = evaluate(properties['Cache Entry Identifier'], { ...context.expressionScope, attributes: flowFile.attributes });
+    if (!(key in context.cache)) {
+      return [{ relationship: 'not-found', flowFile }];
+    }
+
+    const value = context.cache[key];
+    const attribute = properties['Put Cache Value In Attribute'];
+    if (!attribute) {
+      return [{ relationship: 'success', flowFile: { ...flowFile, content: value } }];
+    }
+    const maxLength = Number(properties['Max Length To Put In Attribute'] || 256);
+    return [{ relationship: 'success', flowFile: { ...flowFile, attributes: { ...flowFile.attributes, [attribute]: value.slice(0, maxLength) } } }];
+  },
+
+  'org.apache.nifi.processors.standard.PutDistributedMapCache': (processor, flowFile, context) => {
+    const { properties } = processor;
+    context.service(properties['Distributed Cache Service']);
+    const key = evaluate(properties['Cache Entry Identifier'], { ...context.expressionScope, attributes: flowFile.attributes });
+    const keepOriginal = properties['Cache update strategy'] === 'keeporiginal';
+
+    const cached = !(keepOriginal && key in context.cache);
+    if (cached) {
+      context.cache[key] = flowFile.content || '';
+    }
+    return [{ relationship: 'success', flowFile: { ...flowFile, attributes: { ...flowFile.attributes, cached: String(cached) } } }];
+  }
+};
+
+/**
+ * Create a simulator for a flow definition
+ *
+ * @param {object} flow - Flow definition ({flowContents: ...})
+ * @param {object} [options]
+ * @param {object} [options.tables] - In-memory source rows keyed by `SCHEMA.TABLE`
+ * @param {string} [options.timeZone] - Default zone of the NiFi JVM for format() and toDate() (default UTC)
+ * @param {number} [options.oldestScn] - Oldest SCN the source database maps a time to (see memory-database.js)
+ * @returns {{tables: object, state: object, indices: object, cache: object, trigger: Function}}
+ *   `state` is the processor state by processor id, `indices` the
+ *   Elasticsearch documents by index and _id and `cache` the distributed
+ *   map cache entries by key; all persist across triggers.
+ */
+function createFlowSimulator(flow, { tables = {}, timeZone = 'UTC', oldestScn } = {}) {
+  const root = flow.flowContents;
+  const state = {};
+  const indices = {};
+  const cache = {};
+  let flowFileCount = 0;
+  let generatedIds = 0;
+
+  const services = new Map();
+  const collectServices = group => {
+    (group.controllerServices || []).forEach(service => services.set(service.identifier, service));
+    (group.processGroups || []).forEach(collectServices);
+  };
+  collectServices(root);
+
+  /**
+   * Run one trigger of a process group
+   *
+   * @param {string} groupId - Process group identifier, e.g. `cdc-orders`
+   * @param {number} now - Trigger time (epoch ms) for now()
+   * @param {object} [options]
+   * @param {object} [options.failures] - Relationship by processor id that the
+   *   incoming flowfile is routed to instead of running the processor
+   * @returns {{queries: object[], documents: object[], dropped: object[]}} The
+   *   queries run, the documents sent to Elasticsearch and the flowfiles that
+   *   ended on an auto-terminated relationship other than success
+   */
+  function trigger(groupId, now, { failures = {} } = {}) {
+    const group = (root.processGroups || []).find(g => g.identifier === groupId);
+    if (!group) {
+      throw new Error(`Process group ${groupId} not found`);
+    }
+    const processors = new Map(group.processors.map(p => [p.identifier, p]));
+    const result = { queries: [], documents: [], dropped: [] };
+
+    const context = {
+      now,
+      tables,
+      oldestScn,
+      cache,
+      expressionScope: { clock: () => now, timeZone },
+      queries: result.queries,
+      nextFlowFileId: () => ++flowFileCount,
+      stateOf: processor => {
+        state[processor.identifier] = state[processor.identifier] || {};
+        return state[processor.identifier];
+      },
+      service: id => {
+        const service = services.get(id);
+        if (!service) {
+          throw new Error(`Controller service ${id} not found`);
+        }
+        return service;
+      },
+      upsert: (index, operation, id, document) => {
+        indices[index] = indices[index] || {};
+        // Without an ID Record Path Elasticsearch generates the _id
+        const key = id === undefined ? `auto-${++generatedIds}` : id;
+        indices[index][key] = operation === 'upsert' ? { ...indices[index][key], ...document } : document;
+        result.documents.push({ index, id: key, operation, document });
+      }
+    };
+
+    const run = (processor, flowFile) => {
+      if (failures[processor.identifier]) {
+        return [{ relationship: failures[processor.identifier], flowFile }];
+      }
+      const handler = PROCESSORS[processor.type];
+      if (!handler) {
+        throw new Error(`${processor.identifier}: unsupported processor type ${processor.type}`);
+      }
+      return handler(processor, flowFile, context);
+    };
+
+    const destinations = (processor, relationship) => group.connections
+      .filter(c => c.source.id === processor.identifier && (c.selectedRelationships || []).includes(relationship))
+      .map(c => processors.get(c.destination.id));
+
+    // Sources are the processors no connection leads to
+    const targets = new Set(group.connections.map(c => c.destination.id));
+    group.processors.forEach(processor => {
+      const error = inputRequirementError(processor, targets.has(processor.identifier));
+      if (error) {
+        throw new Error(`${processor.identifier}: ${error}`);
+      }
+    });
+    const queue = group.processors
+      .filter(p => !targets.has(p.identifier))
+      .map(processor => ({ processor, flowFile: null }));
+
+    while (queue.length) {
+      const { processor, flowFile } = queue.shift();
+      for (const transfer of run(processor, flowFile)) {
+        const next = destinations(processor, transfer.relationship);
+        if (next.length) {
+          next.forEach(destination => queue.push({ processor: destination, flowFile: transfer.flowFile }));
+        } else if ((processor.autoTerminatedRelationships || []).includes(transfer.relationship)) {
+          if (transfer.relationship !== 'success') {
+            result.dropped.push({
+              processor: processor.identifier,
+              relationship: transfer.relationship,
+              attributes: transfer.flowFile.attributes
+            });
+          }
+        } else {
+          throw new Error(`${processor.identifier}: relationship ${transfer.relationship} is neither connected nor auto-terminated`);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  return { tables, state, indices, cache, trigger };
+}
+
+module.exports = {
+  createFlowSimulator
+};
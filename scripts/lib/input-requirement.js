@@ -0,0 +1,61 @@
+/**
+ * Processor Input Requirements
+ *
+ * Every NiFi processor declares whether it takes incoming connections
+ * (`@InputRequirement`), and NiFi refuses to start one that breaks it:
+ *
+ *   INPUT_FORBIDDEN - a source that runs on its schedule; an incoming
+ *                     connection makes the processor invalid
+ *   INPUT_REQUIRED  - runs once per incoming flowfile; without an incoming
+ *                     connection the processor is invalid
+ *   INPUT_ALLOWED   - runs per incoming flowfile, or on its schedule when
+ *                     nothing is connected
+ *
+ * Only the processor types the generated flows use are listed.
+ */
+
+const INPUT_FORBIDDEN = 'INPUT_FORBIDDEN';
+const INPUT_REQUIRED = 'INPUT_REQUIRED';
+const INPUT_ALLOWED = 'INPUT_ALLOWED';
+
+const INPUT_REQUIREMENTS = {
+  'org.apache.nifi.processors.standard.GenerateFlowFile': INPUT_FORBIDDEN,
+  'org.apache.nifi.processors.standard.QueryDatabaseTableRecord': INPUT_FORBIDDEN,
+  'org.apache.nifi.processors.attributes.UpdateAttribute': INPUT_REQUIRED,
+  'org.apache.nifi.processors.standard.LookupAttribute': INPUT_REQUIRED,
+  'org.apache.nifi.processors.standard.FetchDistributedMapCache': INPUT_REQUIRED,
+  'org.apache.nifi.processors.standard.ExecuteSQLRecord': INPUT_ALLOWED,
+  'org.apache.nifi.processors.standard.UpdateRecord': INPUT_REQUIRED,
+  'org.apache.nifi.processors.jolt.record.JoltTransformRecord': INPUT_REQUIRED,
+  'org.apache.nifi.processors.elasticsearch.PutElasticsearchRecord': INPUT_REQUIRED,
+  'org.apache.nifi.processors.standard.EvaluateJsonPath': INPUT_REQUIRED,
+  'org.apache.nifi.processors.standard.ReplaceText': INPUT_REQUIRED,
+  'org.apache.nifi.processors.standard.PutDistributedMapCache': INPUT_REQUIRED
+};
+
+/**
+ * Why a processor breaks its input requirement, or null
+ *
+ * @param {object} processor - Processor of a flow definition
+ * @param {boolean} connected - Whether any connection leads to the processor
+ * @returns {string|null} null when it complies or its type is not listed
+ */
+function inputRequirementError(processor, connected) {
+  const requirement = INPUT_REQUIREMENTS[processor.type];
+  const type = processor.type.split('.').pop();
+  if (requirement === INPUT_FORBIDDEN && connected) {
+    return `${type} does not accept incoming connections`;
+  }
+  if (requirement === INPUT_REQUIRED && !connected) {
+    return `${type} requires an incoming connection`;
+  }
+  return null;
+}
+
+module.exports = {
+  INPUT_FORBIDDEN,
+  INPUT_REQUIRED,
+  INPUT_ALLOWED,
+  INPUT_REQUIREMENTS,
+  inputRequirementError
+};
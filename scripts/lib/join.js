@@ -0,0 +1,199 @@
+/**
+ * Spec Joins and Children
+ *
+ * `joins` denormalizes many-to-one related rows into every document:
+ *
+ *   joins:
+ *     - table: CUSTOMERS                  # schema defaults to table.schema
+ *       field: customer                   # ES object field holding the columns
+ *       on: { CUSTOMER_ID: CUSTOMER_ID }  # spec column: joined table column
+ *       cdc_key: UPDATED_AT               # change column of the joined table
+ *       columns:
+ *         - name: NAME
+ *           type: VARCHAR2(100)
+ *
+ * `children` rolls the detail rows of a master-detail relation into a
+ * `nested` array on the parent document:
+ *
+ *   children:
+ *     - table: ORDER_LINES
+ *       field: lines                      # ES nested field
+ *       on: { ORDER_ID: ORDER_ID }        # spec column: child table column
+ *       cdc_key: UPDATED_AT
+ *       order_by: [LINE_NO]               # (optional) array order
+ *       columns: [...]
+ *
+ * A spec with joins or children is read through an inline view over the spec
+ * table. The view exposes the spec columns under their own names, each joined
+ * column as <FIELD>__<COLUMN> (LEFT JOIN), each child array as <FIELD>__JSON
+ * (JSON_ARRAYAGG of the child rows) and the change column of the whole
+ * document:
+ *
+ *   CDC_CHANGED_AT = GREATEST(cdc_key, NVL(<join cdc_key>, cdc_key),
+ *                             NVL(<MAX(child cdc_key)>, cdc_key), ...)
+ *
+ * The range filters and orders on CDC_CHANGED_AT, so a change on any side
+ * re-sends the whole document; a missing related row falls back to the spec
+ * table's cdc_key. The flow parses the child arrays and nests the joined
+ * columns into their object field. Identifiers are quoted where Oracle needs
+ * it (see dialect.js).
+ */
+
+const { dialectOf, quoteIdentifier, qualifiedName } = require('./dialect');
+
+const CHANGED_AT = 'CDC_CHANGED_AT';
+
+const BASE_ALIAS = 'T0';
+
+/**
+ * Whether a spec joins many-to-one tables
+ */
+function hasJoins(spec) {
+  return Boolean(spec.joins && spec.joins.length > 0);
+}
+
+/**
+ * Whether a spec rolls child rows into nested arrays
+ */
+function hasChildren(spec) {
+  return Boolean(spec.children && spec.children.length > 0);
+}
+
+/**
+ * Whether a spec is read through the inline view instead of its table
+ */
+function usesSourceView(spec) {
+  return hasJoins(spec) || hasChildren(spec);
+}
+
+/**
+ * Column of the inline view holding a joined column
+ */
+function joinedColumnName(join, column) {
+  return `${join.field.toUpperCase()}__${column.name}`;
+}
+
+/**
+ * Column of the inline view holding a child array as JSON
+ */
+function childColumnName(child) {
+  return `${child.field.toUpperCase()}__JSON`;
+}
+
+/**
+ * Field name of a joined or child column inside its object
+ */
+function nestedName(column) {
+  return column.es_name || column.name;
+}
+
+/**
+ * Joined columns as view columns, in join and column order
+ *
+ * @returns {Array<{name: string, type: string, es_type?: string, join: string, nestedName: string}>}
+ *   name is the view column, join the object field and nestedName the field inside it
+ */
+function joinedColumns(spec) {
+  return (spec.joins || []).flatMap(join => join.columns.map(column => ({
+    name: joinedColumnName(join, column),
+    type: column.type,
+    ...(column.es_type ? { es_type: column.es_type } : {}),
+    join: join.field,
+    nestedName: nestedName(column)
+  })));
+}
+
+/**
+ * Child arrays as view columns, in child order
+ *
+ * @returns {Array<{name: string, type: string, field: string, child: object}>}
+ *   name is the view column (a JSON array) and field the nested field
+ */
+function childColumns(spec) {
+  return (spec.children || []).map(child => ({
+    name: childColumnName(child),
+    type: 'CLOB',
+    field: child.field,
+    child
+  }));
+}
+
+/**
+ * Correlated subquery over the rows of one child
+ */
+function childSubquery(spec, child, alias, select) {
+  const conditions = Object.entries(child.on)
+    .map(([column, childColumn]) => `${alias}.${quoteIdentifier(childColumn)} = ${BASE_ALIAS}.${quoteIdentifier(column)}`)
+    .join(' AND ');
+  return `(SELECT ${select} FROM ${qualifiedName(child.schema || spec.table.schema, child.table)} ${alias} WHERE ${conditions})`;
+}
+
+/**
+ * SELECT of the inline view joining the related tables
+ *
+ * @param {object} spec - Validated table spec with joins or children
+ * @returns {string}
+ */
+function sourceQuery(spec) {
+  const { table } = spec;
+  const joins = spec.joins || [];
+  const children = spec.children || [];
+  const joinAlias = index => `T${index + 1}`;
+  const childAlias = index => `C${index + 1}`;
+  const column = (alias, name) => `${alias}.${quoteIdentifier(name)}`;
+  const base = name => column(BASE_ALIAS, name);
+  const orBase = expression => `NVL(${expression}, ${base(table.cdc_key)})`;
+
+  const columns = [
+    ...spec.columns.map(specColumn => base(specColumn.name)),
+    ...joins.flatMap((join, index) => join.columns.map(joined =>
+      `${column(joinAlias(index), joined.name)} AS ${quoteIdentifier(joinedColumnName(join, joined))}`)),
+    ...children.map((child, index) => {
+      const alias = childAlias(index);
+      // nestedName is a JSON key, written as a string literal
+      const members = child.columns
+        .map(member => `'${nestedName(member)}' VALUE ${column(alias, member.name)}`)
+        .join(', ');
+      const order = child.order_by ? ` ORDER BY ${child.order_by.map(name => column(alias, name)).join(', ')}` : '';
+      const aggregate = `JSON_ARRAYAGG(JSON_OBJECT(${members})${order} RETURNING CLOB)`;
+      return `${childSubquery(spec, child, alias, aggregate)} AS ${quoteIdentifier(childColumnName(child))}`;
+    })
+  ];
+  const changes = [
+    base(table.cdc_key),
+    ...joins.map((join, index) => orBase(column(joinAlias(index), join.cdc_key))),
+    ...children.map((child, index) =>
+      orBase(childSubquery(spec, child, childAlias(index), `MAX(${column(childAlias(index), child.cdc_key)})`)))
+  ];
+  const joinClauses = joins.map((join, index) => {
+    const conditions = Object.entries(join.on)
+      .map(([specColumn, joinedColumn]) => `${column(joinAlias(index), joinedColumn)} = ${base(specColumn)}`)
+      .join(' AND ');
+    return ` LEFT JOIN ${qualifiedName(join.schema || table.schema, join.table)} ${joinAlias(index)} ON ${conditions}`;
+  });
+
+  return `SELECT ${columns.join(', ')}, GREATEST(${changes.join(', ')}) AS ${CHANGED_AT} ` +
+    `FROM ${qualifiedName(table.schema, table.name)} ${BASE_ALIAS}${joinClauses.join('')}`;
+}
+
+/**
+ * FROM target of the CDC query: the spec table, or the inline view
+ */
+function fromClause(spec) {
+  return usesSourceView(spec)
+    ? `(${sourceQuery(spec)})`
+    : qualifiedName(spec.table.schema, spec.table.name, dialectOf(spec));
+}
+
+module.exports = {
+  CHANGED_AT,
+  hasJoins,
+  hasChildren,
+  usesSourceView,
+  joinedColumnName,
+  childColumnName,
+  joinedColumns,
+  childColumns,
+  sourceQuery,
+  fromClause
+};
@@ -0,0 +1,915 @@
+/**
+ * In-memory Source Database
+ *
+ * A stand-in for the source database of the flow simulator. Tables are
+ * arrays of rows keyed by column name (timestamps as Date, read as
+ * wall-clock UTC):
+ *
+ *   { 'CDC_USER.ORDERS': [{ ORDER_ID: 1, STATUS: 'OPEN', MODIFIED_AT: new Date(...) }] }
+ *
+ * executeQuery() runs the SQL the generator writes: a SELECT list of columns
+ * and expressions, `?` bind parameters, a WHERE condition and ORDER BY over a
+ * table or an inline view, LEFT and INNER joins, correlated scalar
+ * subqueries and the aggregates of the `joins` / `children` source view
+ * (MAX, MIN, COUNT, JSON_ARRAYAGG of JSON_OBJECT). Semantics are Oracle's for
+ * every dialect: identifiers fold to upper case unless quoted ("", [] or
+ * ``), '' is NULL and conditions use three-valued logic. The functions of
+ * the other dialects the generator uses (CAST, DATE_FORMAT, the PostgreSQL
+ * US format element) are understood too; any other function is rejected.
+ *
+ * ORA_ROWSCN is a pseudo-column read from the `ORA_ROWSCN` property of a row.
+ * SCNs are the source clock in milliseconds, so a test stamps a row with
+ * timestampToScn() of its commit time and TIMESTAMP_TO_SCN maps a range
+ * bound onto the same scale. Like Oracle, which keeps the mapping for a
+ * limited period, TIMESTAMP_TO_SCN raises ORA-08180 for a time whose SCN is
+ * older than the `oldestScn` option.
+ */
+
+const crypto = require('crypto');
+
+// Operators, longest first
+const OPERATORS = ['||', '<=', '>=', '<>', '!=', '=', '<', '>', '(', ')', ',', '.', '*', '+', '-', '/'];
+
+// Milliseconds of an INTERVAL '<n>' <unit> literal
+const INTERVAL_UNITS = {
+  DAY: 24 * 60 * 60 * 1000,
+  HOUR: 60 * 60 * 1000,
+  MINUTE: 60 * 1000,
+  SECOND: 1000
+};
+
+/**
+ * Split SQL into tokens
+ *
+ * @returns {Array<{type: string, value: *, start: number, end: number}>}
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+  while (i < sql.length) {
+    const rest = sql.slice(i);
+    const space = /^\s+/.exec(rest);
+    if (space) {
+      i += space[0].length;
+      continue;
+    }
+    const start = i;
+    const push = (type, value, length) => {
+      i += length;
+      tokens.push({ type, value, start, end: i });
+    };
+
+    const string = /^'((?:[^']|'')*)'/.exec(rest);
+    // "name" (Oracle, PostgreSQL), [name] (SQL Server) or `name` (MySQL)
+    const quoted = /^"([^"]+)"/.exec(rest) || /^\[([^\]]+)\]/.exec(rest) || /^`([^`]+)`/.exec(rest);
+    const number = /^\d+(\.\d+)?/.exec(rest);
+    const word = /^[A-Za-z_][A-Za-z0-9_$#]*/.exec(rest);
+    const operator = OPERATORS.find(op => rest.startsWith(op));
+    if (string) {
+      push('string', string[1].replace(/''/g, '\''), string[0].length);
+    } else if (quoted) {
+      push('quoted', quoted[1], quoted[0].length);
+    } else if (number) {
+      push('number', Number(number[0]), number[0].length);
+    } else if (word) {
+      push('word', word[0], word[0].length);
+    } else if (rest[0] === '?') {
+      push('param', '?', 1);
+    } else if (operator) {
+      push('op', operator, operator.length);
+    } else {
+      throw new Error(`Unexpected character "${rest[0]}" at ${i} in SQL: ${sql}`);
+    }
+  }
+  tokens.push({ type: 'end', value: null, start: sql.length, end: sql.length });
+  return tokens;
+}
+
+// Aggregate functions; a select list holding one makes the query a single group
+const AGGREGATES = ['MAX', 'MIN', 'COUNT', 'JSON_ARRAYAGG'];
+
+// Words that end a FROM source instead of naming its alias
+const SOURCE_END_WORDS = ['WHERE', 'ORDER', 'LEFT', 'INNER', 'JOIN', 'ON', 'RIGHT', 'FULL', 'CROSS'];
+
+/**
+ * Parse a SELECT statement
+ *
+ * A query is `{items, sources, where, orderBy}`; each source reads a `table`
+ * or an inline view (`query`) under an alias, and every source after the
+ * first is joined (`join` 'left' or 'inner') `on` a condition.
+ *
+ * @param {string} sql
+ * @returns {{items: object[], sources: object[], where: object|null, orderBy: object[], parameters: number}}
+ */
+function parseQuery(sql) {
+  const tokens = tokenize(sql);
+  let pos = 0;
+  let parameters = 0;
+
+  const peek = () => tokens[pos];
+  const isWord = (word, token = peek()) => token.type === 'word' && token.value.toUpperCase() === word;
+  const isOp = (op, token = peek()) => token.type === 'op' && token.value === op;
+  const isCall = word => isWord(word) && isOp('(', tokens[pos + 1]);
+  const fail = message => {
+    throw new Error(`${message} at ${peek().start} in SQL: ${sql}`);
+  };
+  const acceptWord = word => (isWord(word) ? tokens[pos++] : null);
+  const acceptOp = op => (isOp(op) ? tokens[pos++] : null);
+  const expectWord = word => acceptWord(word) || fail(`Expected ${word}`);
+  const expectOp = op => acceptOp(op) || fail(`Expected "${op}"`);
+
+  // Identifier: bare names fold to upper case, quoted names are exact
+  const identifier = () => {
+    const token = peek();
+    if (token.type === 'quoted') {
+      pos++;
+      return token.value;
+    }
+    if (token.type === 'word') {
+      pos++;
+      return token.value.toUpperCase();
+    }
+    return fail('Expected an identifier');
+  };
+
+  let expression;
+  let select;
+
+  const list = () => {
+    expectOp('(');
+    const items = [expression()];
+    while (acceptOp(',')) items.push(expression());
+    expectOp(')');
+    return items;
+  };
+
+  const orderItems = () => {
+    expectWord('BY');
+    const items = [];
+    do {
+      const node = expression();
+      const descending = Boolean(acceptWord('DESC'));
+      if (!descending) acceptWord('ASC');
+      items.push({ node, descending });
+    } while (acceptOp(','));
+    return items;
+  };
+
+  const primary = () => {
+    const token = peek();
+    if (token.type === 'number') {
+      pos++;
+      return { literal: token.value };
+    }
+    if (token.type === 'string') {
+      pos++;
+      // Oracle reads '' as NULL
+      return { literal: token.value === '' ? null : token.value };
+    }
+    if (token.type === 'param') {
+      pos++;
+      return { parameter: parameters++ };
+    }
+    if (acceptOp('(')) {
+      if (isWord('SELECT')) {
+        const subquery = select();
+        expectOp(')');
+        return { subquery };
+      }
+      const inner = expression();
+      expectOp(')');
+      return inner;
+    }
+    if (acceptWord('NULL')) {
+      return { literal: null };
+    }
+    if (isWord('INTERVAL') && tokens[pos + 1].type === 'string') {
+      pos++;
+      const amount = Number(tokens[pos++].value);
+      const unit = identifier();
+      if (!INTERVAL_UNITS[unit]) fail(`Unsupported INTERVAL unit ${unit}`);
+      return { literal: { interval: amount * INTERVAL_UNITS[unit] } };
+    }
+    if (acceptWord('CASE')) {
+      const whens = [];
+      while (acceptWord('WHEN')) {
+        const when = expression();
+        expectWord('THEN');
+        whens.push({ when, then: expression() });
+      }
+      const otherwise = acceptWord('ELSE') ? expression() : { literal: null };
+      expectWord('END');
+      return { whens, otherwise };
+    }
+    if (isCall('CAST')) {
+      pos += 2;
+      const operand = expression();
+      expectWord('AS');
+      const cast = identifier();
+      // Precision and scale do not change the simulated value
+      if (acceptOp('(')) {
+        while (!acceptOp(')')) pos++;
+      }
+      expectOp(')');
+      return { cast, operand };
+    }
+    if (isCall('JSON_OBJECT')) {
+      pos += 2;
+      const members = [];
+      do {
+        const key = primary();
+        expectWord('VALUE');
+        members.push({ key, value: expression() });
+      } while (acceptOp(','));
+      expectOp(')');
+      return { object: members };
+    }
+    const aggregate = AGGREGATES.find(isCall);
+    if (aggregate) {
+      pos += 2;
+      const args = aggregate === 'COUNT' && acceptOp('*') ? [] : [expression()];
+      const orderBy = aggregate === 'JSON_ARRAYAGG' && acceptWord('ORDER') ? orderItems() : [];
+      if (acceptWord('RETURNING')) identifier();
+      expectOp(')');
+      return { aggregate, args, orderBy };
+    }
+    if (token.type === 'word' && isOp('(', tokens[pos + 1])) {
+      pos++;
+      return { call: token.value.toUpperCase(), args: list() };
+    }
+    const name = identifier();
+    return acceptOp('.') ? { qualifier: name, column: identifier() } : { column: name };
+  };
+
+  const unary = () => {
+    if (acceptOp('-')) return { op: 'negate', operand: unary() };
+    return primary();
+  };
+
+  const product = () => {
+    let left = unary();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[pos++].value;
+      left = { op, left, right: unary() };
+    }
+    return left;
+  };
+
+  const sum = () => {
+    let left = product();
+    while (isOp('+') || isOp('-') || isOp('||')) {
+      const op = tokens[pos++].value;
+      left = { op, left, right: product() };
+    }
+    return left;
+  };
+
+  const comparison = () => {
+    const left = sum();
+    const token = peek();
+    if (token.type === 'op' && ['=', '<>', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+      pos++;
+      return { op: token.value === '!=' ? '<>' : token.value, left, right: sum() };
+    }
+    if (acceptWord('IS')) {
+      const negated = Boolean(acceptWord('NOT'));
+      expectWord('NULL');
+      return { op: 'is null', operand: left, negated };
+    }
+    const negated = Boolean(acceptWord('NOT'));
+    if (acceptWord('IN')) {
+      return { op: 'in', operand: left, values: list(), negated };
+    }
+    if (acceptWord('LIKE')) {
+      return { op: 'like', operand: left, pattern: sum(), negated };
+    }
+    if (acceptWord('BETWEEN')) {
+      const low = sum();
+      expectWord('AND');
+      return { op: 'between', operand: left, low, high: sum(), negated };
+    }
+    if (negated) fail('Expected IN, LIKE or BETWEEN');
+    return left;
+  };
+
+  const negation = () => (acceptWord('NOT') ? { op: 'not', operand: negation() } : comparison());
+
+  const conjunction = () => {
+    let left = negation();
+    while (acceptWord('AND')) left = { op: 'and', left, right: negation() };
+    return left;
+  };
+
+  expression = () => {
+    let left = conjunction();
+    while (acceptWord('OR')) left = { op: 'or', left, right: conjunction() };
+    return left;
+  };
+
+  // Table or inline view, with its alias (a table defaults to its own name)
+  const source = () => {
+    let target;
+    if (acceptOp('(')) {
+      target = { query: select() };
+      expectOp(')');
+    } else {
+      let table = identifier();
+      if (acceptOp('.')) table = `${table}.${identifier()}`;
+      target = { table };
+    }
+    let alias = target.table ? target.table.split('.').pop() : null;
+    if (acceptWord('AS') || peek().type === 'quoted' ||
+      (peek().type === 'word' && !SOURCE_END_WORDS.includes(peek().value.toUpperCase()))) {
+      alias = identifier();
+    }
+    return { ...target, alias };
+  };
+
+  select = () => {
+    expectWord('SELECT');
+    const items = [];
+    do {
+      if (acceptOp('*')) {
+        items.push({ star: true });
+        continue;
+      }
+      const start = peek().start;
+      const node = expression();
+      const text = sql.slice(start, tokens[pos - 1].end);
+      let name;
+      if (acceptWord('AS') || peek().type === 'quoted' || (peek().type === 'word' && !isWord('FROM'))) {
+        name = identifier();
+      } else {
+        name = node.column || text.toUpperCase();
+      }
+      items.push({ node, name });
+    } while (acceptOp(','));
+
+    expectWord('FROM');
+    const sources = [source()];
+    for (;;) {
+      let join;
+      if (acceptWord('LEFT')) {
+        acceptWord('OUTER');
+        join = 'left';
+      } else if (acceptWord('INNER') || isWord('JOIN')) {
+        join = 'inner';
+      } else if (['RIGHT', 'FULL', 'CROSS'].some(word => isWord(word)) || isOp(',')) {
+        fail('Only INNER and LEFT joins are supported');
+      } else {
+        break;
+      }
+      expectWord('JOIN');
+      const joined = source();
+      expectWord('ON');
+      sources.push({ ...joined, join, on: expression() });
+    }
+
+    const where = acceptWord('WHERE') ? expression() : null;
+    const orderBy = acceptWord('ORDER') ? orderItems() : [];
+    return { items, sources, where, orderBy };
+  };
+
+  const query = select();
+  if (peek().type !== 'end') fail('Unexpected token');
+
+  return { ...query, parameters };
+}
+
+const pad = (value, width) => String(value).padStart(width, '0');
+
+// Oracle datetime format elements, read and written as UTC fields
+const DATETIME_ELEMENTS = {
+  YYYY: { pattern: '(\\d{4})', format: d => pad(d.getUTCFullYear(), 4), set: (p, v) => { p.year = Number(v); } },
+  MM: { pattern: '(\\d{2})', format: d => pad(d.getUTCMonth() + 1, 2), set: (p, v) => { p.month = Number(v) - 1; } },
+  DD: { pattern: '(\\d{2})', format: d => pad(d.getUTCDate(), 2), set: (p, v) => { p.day = Number(v); } },
+  HH24: { pattern: '(\\d{2})', format: d => pad(d.getUTCHours(), 2), set: (p, v) => { p.hour = Number(v); } },
+  MI: { pattern: '(\\d{2})', format: d => pad(d.getUTCMinutes(), 2), set: (p, v) => { p.minute = Number(v); } },
+  SS: { pattern: '(\\d{2})', format: d => pad(d.getUTCSeconds(), 2), set: (p, v) => { p.second = Number(v); } },
+  FF: { pattern: '(\\d{1,9})', set: (p, v) => { p.ms = Number(v.padEnd(3, '0').slice(0, 3)); } }
+};
+
+/**
+ * Elements of an Oracle datetime format: element names, "quoted text" and punctuation
+ *
+ * US is the PostgreSQL element for microseconds, read like FF6.
+ */
+function formatElements(format) {
+  return format.match(/YYYY|MM|DD|HH24|MI|SS|FF\d?|US|"[^"]*"|./gi) || [];
+}
+
+/**
+ * TO_CHAR(<timestamp>, <format>)
+ */
+function formatTimestamp(date, format) {
+  return formatElements(format).map(element => {
+    const upper = element.toUpperCase();
+    if (upper.startsWith('FF') || upper === 'US') {
+      // JavaScript dates stop at milliseconds
+      const digits = Number(upper.slice(2)) || 6;
+      return pad(date.getUTCMilliseconds(), 3).padEnd(9, '0').slice(0, digits);
+    }
+    if (DATETIME_ELEMENTS[upper]) return DATETIME_ELEMENTS[upper].format(date);
+    if (element.startsWith('"')) return element.slice(1, -1);
+    return element;
+  }).join('');
+}
+
+/**
+ * TO_TIMESTAMP(<text>, <format>)
+ */
+function parseTimestamp(text, format) {
+  const elements = formatElements(format);
+  const source = elements.map(element => {
+    const upper = element.toUpperCase();
+    if (upper.startsWith('FF')) return DATETIME_ELEMENTS.FF.pattern;
+    if (DATETIME_ELEMENTS[upper]) return DATETIME_ELEMENTS[upper].pattern;
+    const literal = element.startsWith('"') ? element.slice(1, -1) : element;
+    return literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  const match = new RegExp(`^${source}$`).exec(text.trim());
+  if (!match) {
+    throw new Error(`"${text}" does not match the datetime format "${format}"`);
+  }
+  const parts = { year: 1970, month: 0, day: 1, hour: 0, minute: 0, second: 0, ms: 0 };
+  elements
+    .map(element => element.toUpperCase())
+    .map(upper => (upper.startsWith('FF') ? 'FF' : upper))
+    .filter(upper => DATETIME_ELEMENTS[upper])
+    .forEach((upper, index) => DATETIME_ELEMENTS[upper].set(parts, match[index + 1]));
+  return new Date(Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second, parts.ms));
+}
+
+// MySQL DATE_FORMAT specifiers as Oracle format elements
+const MYSQL_FORMAT_ELEMENTS = { Y: 'YYYY', m: 'MM', d: 'DD', H: 'HH24', i: 'MI', s: 'SS', f: 'FF6', '%': '"%"' };
+
+/**
+ * DATE_FORMAT(<timestamp>, <format>)
+ */
+function formatMysqlTimestamp(date, format) {
+  const oracleFormat = format.replace(/%(.)|([^%]+)/g, (match, specifier, literal) => {
+    if (literal !== undefined) return `"${literal}"`;
+    if (!MYSQL_FORMAT_ELEMENTS[specifier]) {
+      throw new Error(`Unsupported DATE_FORMAT specifier %${specifier}`);
+    }
+    return MYSQL_FORMAT_ELEMENTS[specifier];
+  });
+  return formatTimestamp(date, oracleFormat);
+}
+
+// Text forms of a timestamp that CAST(... AS <timestamp type>) reads
+const CAST_TIMESTAMP_FORMATS = ['YYYY-MM-DD HH24:MI:SS.FF', 'YYYY-MM-DD"T"HH24:MI:SS.FF', 'YYYY-MM-DD HH24:MI:SS', 'YYYY-MM-DD'];
+
+const CAST_TYPES = {
+  timestamp: ['TIMESTAMP', 'DATETIME', 'DATETIME2', 'DATE'],
+  number: ['NUMBER', 'NUMERIC', 'DECIMAL', 'INT', 'INTEGER', 'BIGINT', 'SMALLINT', 'FLOAT', 'DOUBLE'],
+  text: ['VARCHAR', 'VARCHAR2', 'NVARCHAR', 'NVARCHAR2', 'CHAR', 'NCHAR', 'TEXT', 'CLOB']
+};
+
+/**
+ * CAST(<value> AS <type>)
+ */
+function castValue(value, type) {
+  if (value === null) return null;
+  if (CAST_TYPES.timestamp.includes(type)) {
+    if (value instanceof Date) return value;
+    for (const format of CAST_TIMESTAMP_FORMATS) {
+      try {
+        return parseTimestamp(String(value), format);
+      } catch (error) {
+        // try the next format
+      }
+    }
+    throw new Error(`Cannot cast "${value}" to ${type}`);
+  }
+  if (CAST_TYPES.number.includes(type)) return Number(value);
+  if (CAST_TYPES.text.includes(type)) return text(value);
+  throw new Error(`Unsupported CAST type ${type}`);
+}
+
+/**
+ * SCN of a source-clock timestamp, the scale of ORA_ROWSCN and TIMESTAMP_TO_SCN
+ *
+ * @param {Date} date - Timestamp whose UTC fields hold the source clock
+ * @returns {number}
+ */
+function timestampToScn(date) {
+  return date.getTime();
+}
+
+/**
+ * Oracle TM9 rendering of a number: no leading zero before the decimal point
+ */
+function numberText(value) {
+  return String(value).replace(/^(-?)0\./, '$1.');
+}
+
+/**
+ * Value as text, the way Oracle converts it implicitly
+ */
+function text(value) {
+  if (value === null) return null;
+  if (typeof value === 'number') return numberText(value);
+  if (Buffer.isBuffer(value)) return value.toString('hex').toUpperCase();
+  return String(value);
+}
+
+// Functions of the generated SQL; a NULL argument gives NULL unless noted
+const FUNCTIONS = {
+  TO_CHAR: (value, format) => {
+    if (value === null) return null;
+    if (value instanceof Date) return formatTimestamp(value, format || 'YYYY-MM-DD HH24:MI:SS');
+    return text(value);
+  },
+  TO_TIMESTAMP: (value, format) => (value === null ? null : parseTimestamp(String(value), format)),
+  DATE_FORMAT: (value, format) => (value === null ? null : formatMysqlTimestamp(value, format)),
+  TO_NUMBER: value => (value === null ? null : Number(value)),
+  UPPER: value => (value === null ? null : text(value).toUpperCase()),
+  LOWER: value => (value === null ? null : text(value).toLowerCase()),
+  LENGTH: value => (value === null ? null : [...text(value)].length),
+  SUBSTR: (value, position, length) => {
+    if (value === null) return null;
+    const chars = [...text(value)];
+    const start = position > 0 ? position - 1 : Math.max(chars.length + position, 0);
+    const result = chars.slice(start, length === undefined ? undefined : start + length).join('');
+    return result === '' ? null : result;
+  },
+  LPAD: (value, length, padding = ' ') => {
+    if (value === null) return null;
+    const chars = [...text(value)];
+    if (chars.length >= length) return chars.slice(0, length).join('');
+    let fill = '';
+    while (fill.length < length - chars.length) fill += padding;
+    return fill.slice(0, length - chars.length) + chars.join('');
+  },
+  REPLACE: (value, search, replacement) => {
+    if (value === null) return null;
+    return search === null ? text(value) : text(value).split(search).join(replacement || '');
+  },
+  // NVL / NVL2 / COALESCE take NULL arguments
+  NVL: (value, fallback) => (value === null ? fallback : value),
+  NVL2: (value, notNull, isNull) => (value === null ? isNull : notNull),
+  COALESCE: (...values) => values.find(value => value !== null) ?? null,
+  GREATEST: (...values) => (values.includes(null) ? null : values.reduce((a, b) => (compare(a, b) >= 0 ? a : b))),
+  STANDARD_HASH: (value, algorithm = 'SHA1') => {
+    if (value === null) return null;
+    return crypto.createHash(algorithm.toLowerCase()).update(text(value), 'utf8').digest();
+  },
+  RAWTOHEX: value => (value === null ? null : text(Buffer.isBuffer(value) ? value : Buffer.from(text(value), 'utf8')))
+};
+
+// Functions that read the database as well as their arguments
+const DATABASE_FUNCTIONS = {
+  TIMESTAMP_TO_SCN: (db, value) => {
+    if (value === null) return null;
+    const scn = timestampToScn(value);
+    if (db.oldestScn !== undefined && scn < db.oldestScn) {
+      throw new Error('ORA-08180: no snapshot found based on specified time');
+    }
+    return scn;
+  }
+};
+
+/**
+ * Timestamp plus or minus an INTERVAL, or numbers added or subtracted
+ */
+function add(left, right, sign) {
+  if (left instanceof Date && right && right.interval !== undefined) {
+    return new Date(left.getTime() + sign * right.interval);
+  }
+  return Number(left) + sign * Number(right);
+}
+
+/**
+ * Compare two non-NULL values like Oracle (numbers and text convert implicitly)
+ */
+function compare(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    if (!(a instanceof Date && b instanceof Date)) {
+      throw new Error(`Cannot compare ${a} with ${b}: convert text with TO_TIMESTAMP`);
+    }
+    return a.getTime() - b.getTime();
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Number(a) - Number(b);
+  }
+  const left = text(a);
+  const right = text(b);
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+}
+
+/**
+ * LIKE pattern as a regular expression
+ */
+function likePattern(pattern) {
+  const source = [...pattern].map(char => {
+    if (char === '%') return '.*';
+    if (char === '_') return '.';
+    return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * Value of a column reference in a scope, looked up in the select list (for
+ * ORDER BY), the sources of the query and then of each enclosing query
+ */
+function columnValue(node, scope) {
+  const name = node.qualifier ? `${node.qualifier}.${node.column}` : node.column;
+  for (let current = scope; current; current = current.outer) {
+    if (!node.qualifier && current.output && node.column in current.output) {
+      return current.output[node.column];
+    }
+    const matches = current.sources.filter(source => (node.qualifier
+      ? source.alias === node.qualifier
+      : !source.columns || source.columns.has(node.column)));
+    if (matches.length > 1) {
+      throw new Error(`column ambiguously defined "${name}"`);
+    }
+    if (matches.length === 1) {
+      const [source] = matches;
+      if (source.columns && !source.columns.has(node.column)) {
+        throw new Error(`invalid identifier "${name}"`);
+      }
+      // A LEFT JOIN without a matching row reads NULL
+      const value = source.row ? source.row[node.column] : null;
+      return value === undefined || value === '' ? null : value;
+    }
+  }
+  throw new Error(`invalid identifier "${name}"`);
+}
+
+/**
+ * Value written into JSON_OBJECT
+ */
+function jsonValue(value) {
+  if (value instanceof Date) return formatTimestamp(value, 'YYYY-MM-DD"T"HH24:MI:SS.FF6');
+  if (Buffer.isBuffer(value)) return text(value);
+  return value;
+}
+
+/**
+ * Aggregate over the rows of a single-group query
+ */
+function aggregateValue(node, scope, db) {
+  if (!scope.group) {
+    throw new Error(`group function ${node.aggregate} is not allowed here`);
+  }
+  const rows = scope.group;
+  if (node.aggregate === 'COUNT' && node.args.length === 0) return rows.length;
+
+  const ordered = node.orderBy.length ? sortScopes(rows, node.orderBy, db) : rows;
+  const values = ordered.map(row => evaluate(node.args[0], row, db)).filter(value => value !== null);
+  switch (node.aggregate) {
+    case 'COUNT':
+      return values.length;
+    case 'MAX':
+      return values.length ? values.reduce((a, b) => (compare(a, b) >= 0 ? a : b)) : null;
+    case 'MIN':
+      return values.length ? values.reduce((a, b) => (compare(a, b) <= 0 ? a : b)) : null;
+    default: {
+      // JSON_ARRAYAGG: NULL over no rows; JSON_OBJECT members are nested as JSON
+      if (values.length === 0) return null;
+      const nested = 'object' in node.args[0];
+      return JSON.stringify(values.map(value => (nested ? JSON.parse(value) : jsonValue(value))));
+    }
+  }
+}
+
+/**
+ * Evaluate an expression in a scope; conditions give true, false or null
+ *
+ * @param {object} node - Parsed expression
+ * @param {{sources: object[], outer: object|null, output?: object, group?: object[]}} scope
+ * @param {{tables: object, args: Array, oldestScn?: number}} db - Tables, bound values and SCN mapping
+ */
+function evaluate(node, scope, db) {
+  const value = child => evaluate(child, scope, db);
+
+  if ('literal' in node) return node.literal;
+  if ('parameter' in node) return db.args[node.parameter];
+  if ('column' in node) return columnValue(node, scope);
+  if ('aggregate' in node) return aggregateValue(node, scope, db);
+  if ('subquery' in node) {
+    const rows = runQuery(node.subquery, db, scope);
+    if (rows.length > 1) {
+      throw new Error('single-row subquery returns more than one row');
+    }
+    return rows.length ? Object.values(rows[0])[0] : null;
+  }
+  if ('cast' in node) return castValue(value(node.operand), node.cast);
+  if ('object' in node) {
+    return JSON.stringify(Object.fromEntries(node.object.map(member => [text(value(member.key)), jsonValue(value(member.value))])));
+  }
+  if ('call' in node) {
+    if (DATABASE_FUNCTIONS[node.call]) {
+      return DATABASE_FUNCTIONS[node.call](db, ...node.args.map(value));
+    }
+    const fn = FUNCTIONS[node.call];
+    if (!fn) {
+      throw new Error(`Unsupported SQL function ${node.call}`);
+    }
+    return fn(...node.args.map(value));
+  }
+  if ('whens' in node) {
+    const match = node.whens.find(({ when }) => value(when) === true);
+    return value(match ? match.then : node.otherwise);
+  }
+
+  switch (node.op) {
+    case 'and': {
+      const left = value(node.left);
+      const right = value(node.right);
+      if (left === false || right === false) return false;
+      return left === null || right === null ? null : true;
+    }
+    case 'or': {
+      const left = value(node.left);
+      const right = value(node.right);
+      if (left === true || right === true) return true;
+      return left === null || right === null ? null : false;
+    }
+    case 'not': {
+      const operand = value(node.operand);
+      return operand === null ? null : !operand;
+    }
+    case 'is null':
+      return (value(node.operand) === null) !== node.negated;
+    case 'in': {
+      const operand = value(node.operand);
+      if (operand === null) return null;
+      const values = node.values.map(value);
+      const found = values.some(v => v !== null && compare(operand, v) === 0);
+      if (found) return !node.negated;
+      return values.includes(null) ? null : node.negated;
+    }
+    case 'like': {
+      const operand = value(node.operand);
+      const pattern = value(node.pattern);
+      if (operand === null || pattern === null) return null;
+      return likePattern(text(pattern)).test(text(operand)) !== node.negated;
+    }
+    case 'between': {
+      const operand = value(node.operand);
+      const low = value(node.low);
+      const high = value(node.high);
+      if (operand === null || low === null || high === null) return null;
+      return (compare(operand, low) >= 0 && compare(operand, high) <= 0) !== node.negated;
+    }
+    case 'negate': {
+      const operand = value(node.operand);
+      return operand === null ? null : -Number(operand);
+    }
+    case '||': {
+      const joined = (text(value(node.left)) || '') + (text(value(node.right)) || '');
+      return joined === '' ? null : joined;
+    }
+    default: {
+      const left = value(node.left);
+      const right = value(node.right);
+      if (left === null || right === null) return null;
+      switch (node.op) {
+        case '+': return add(left, right, 1);
+        case '-': return add(left, right, -1);
+        case '*': return Number(left) * Number(right);
+        case '/': return Number(left) / Number(right);
+        case '=': return compare(left, right) === 0;
+        case '<>': return compare(left, right) !== 0;
+        case '<': return compare(left, right) < 0;
+        case '<=': return compare(left, right) <= 0;
+        case '>': return compare(left, right) > 0;
+        case '>=': return compare(left, right) >= 0;
+        default:
+          throw new Error(`Unsupported SQL operator ${node.op}`);
+      }
+    }
+  }
+}
+
+/**
+ * Whether an expression holds an aggregate of its own query (not of a subquery)
+ */
+function hasAggregate(node) {
+  if (!node || typeof node !== 'object') return false;
+  if ('aggregate' in node) return true;
+  if ('subquery' in node) return false;
+  return Object.values(node).some(child => (Array.isArray(child) ? child.some(hasAggregate) : hasAggregate(child)));
+}
+
+/**
+ * Scopes sorted by ORDER BY items, NULLS LAST ascending and NULLS FIRST descending
+ */
+function sortScopes(scopes, orderBy, db) {
+  const keys = new Map(scopes.map(scope => [scope, orderBy.map(({ node }) => evaluate(node, scope, db))]));
+  return [...scopes].sort((a, b) => {
+    for (let i = 0; i < orderBy.length; i++) {
+      const left = keys.get(a)[i];
+      const right = keys.get(b)[i];
+      let order = left === null || right === null
+        ? Number(left === null) - Number(right === null)
+        : compare(left, right);
+      if (orderBy[i].descending) order = -order;
+      if (order !== 0) return order;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Rows and column names of a FROM source
+ *
+ * @returns {{rows: object[], columns: Set<string>|null}} columns is null for
+ *   an empty table, whose columns are unknown
+ */
+function readSource(source, db) {
+  if (source.query) {
+    const rows = runQuery(source.query, db);
+    const columns = new Set(source.query.items.filter(item => !item.star).map(item => item.name));
+    rows.forEach(row => Object.keys(row).forEach(name => columns.add(name)));
+    return { rows, columns };
+  }
+  const rows = db.tables[source.table];
+  if (!rows) {
+    throw new Error(`table or view "${source.table}" does not exist`);
+  }
+  // ORA_ROWSCN is a pseudo-column of every table
+  return { rows, columns: rows.length ? new Set(['ORA_ROWSCN', ...rows.flatMap(Object.keys)]) : null };
+}
+
+/**
+ * Run a parsed query
+ *
+ * @param {object} query - Query of parseQuery()
+ * @param {{tables: object, args: Array, oldestScn?: number}} db - Tables, bound values and SCN mapping
+ * @param {object} [outer] - Scope of the enclosing query, for a correlated subquery
+ * @returns {object[]} Result rows keyed by select item name
+ */
+function runQuery(query, db, outer = null) {
+  // Every combination of source rows the joins keep, as the sources of a scope
+  let frames = [[]];
+  for (const source of query.sources) {
+    const { rows, columns } = readSource(source, db);
+    const entry = row => ({ alias: source.alias, row, columns });
+    frames = frames.flatMap(frame => {
+      const candidates = rows.map(row => [...frame, entry(row)]);
+      if (!source.join) return candidates;
+      const matched = candidates.filter(sources => evaluate(source.on, { sources, outer }, db) === true);
+      return matched.length || source.join === 'inner' ? matched : [[...frame, entry(null)]];
+    });
+  }
+  const scopes = frames
+    .map(sources => ({ sources, outer }))
+    .filter(scope => !query.where || evaluate(query.where, scope, db) === true);
+
+  const project = scope => {
+    const result = {};
+    for (const item of query.items) {
+      if (item.star) {
+        scope.sources.forEach(({ row }) => Object.entries(row || {})
+          .filter(([name]) => name !== 'ORA_ROWSCN')
+          .forEach(([name, value]) => { result[name] = value; }));
+      } else {
+        result[item.name] = evaluate(item.node, scope, db);
+      }
+    }
+    return result;
+  };
+
+  // An aggregate in the select list folds every row into one
+  if (query.items.some(item => hasAggregate(item.node))) {
+    return [project({ sources: scopes.length ? scopes[0].sources : [], outer, group: scopes })];
+  }
+
+  const projected = scopes.map(scope => ({ ...scope, output: project(scope) }));
+  // ORDER BY sees the select list aliases before the source columns
+  const ordered = query.orderBy.length ? sortScopes(projected, query.orderBy, db) : projected;
+  return ordered.map(scope => scope.output);
+}
+
+/**
+ * Run a query against in-memory tables
+ *
+ * @param {object} tables - Rows keyed by `SCHEMA.TABLE`
+ * @param {string} sql - SELECT over tables and inline views
+ * @param {Array} [args] - Values of the `?` parameters, in order
+ * @param {object} [options]
+ * @param {number} [options.oldestScn] - Oldest SCN TIMESTAMP_TO_SCN can map a time to (default none)
+ * @returns {object[]} Result rows keyed by select item name, in ORDER BY order
+ */
+function executeQuery(tables, sql, args = [], { oldestScn } = {}) {
+  const query = parseQuery(sql);
+  if (args.length !== query.parameters) {
+    throw new Error(`SQL has ${query.parameters} parameters but ${args.length} values were bound`);
+  }
+  const bound = args.map(arg => (arg === '' || arg === undefined ? null : arg));
+  return runQuery(query, { tables, args: bound, oldestScn });
+}
+
+module.exports = {
+  parseQuery,
+  executeQuery,
+  formatTimestamp,
+  parseTimestamp,
+  timestampToScn
+};
@@ -0,0 +1,97 @@
+/**
+ * Oracle DDL Builder
+ *
+ * Renders the source table of a spec as Oracle DDL: CREATE TABLE from
+ * `columns`, an index on `cdc_key` for the range scan, and (with
+ * `cdc.trigger: true`) a BEFORE INSERT OR UPDATE trigger that stamps
+ * `cdc_key` with SYSTIMESTAMP so every change is picked up by the CDC query.
+ * `cdc.mode: rowscn` tables are created with ROWDEPENDENCIES so ORA_ROWSCN
+ * is tracked per row instead of per block, and get no cdc_key index.
+ * Identifiers, including the derived constraint, index and trigger names, are
+ * quoted where Oracle needs it. Derived names longer than 30 bytes, the limit
+ * before Oracle 12.2, are shortened with a hash suffix so they stay unique
+ * instead of failing with ORA-00972.
+ */
+
+const crypto = require('crypto');
+const { keyColumns } = require('./document-id');
+const { cdcMode } = require('./watermark');
+const { quoteIdentifier, quoteLiteral, qualifiedName } = require('./dialect');
+
+const INDENT = '    ';
+
+// Longest object name every supported Oracle version accepts (12.2+ allows 128)
+const MAX_NAME_BYTES = 30;
+const HASH_LENGTH = 6;
+
+/**
+ * Name of a derived constraint, index or trigger, shortened to MAX_NAME_BYTES
+ *
+ * @param {string} name - Full derived name, e.g. IDX_<table>_<cdc_key>
+ * @returns {string} The name itself, or its prefix followed by `_` and a hash of the full name
+ */
+function objectName(name) {
+  if (Buffer.byteLength(name) <= MAX_NAME_BYTES) return name;
+  const hash = crypto.createHash('sha1').update(name).digest('hex').slice(0, HASH_LENGTH).toUpperCase();
+  return `${name.slice(0, MAX_NAME_BYTES - HASH_LENGTH - 1)}_${hash}`;
+}
+
+/**
+ * Column definition line
+ */
+function columnDefinition(column, spec) {
+  const parts = [quoteIdentifier(column.name), column.type.toUpperCase()];
+  if (column.name === spec.table.cdc_key && cdcMode(spec) === 'timestamp') {
+    parts.push('DEFAULT SYSTIMESTAMP');
+  }
+  if (column.nullable === false) {
+    parts.push('NOT NULL');
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Generate the DDL script for a spec
+ *
+ * @param {object} spec - Validated table spec
+ * @returns {string} SQL*Plus script
+ */
+function generateOracleDdl(spec) {
+  const { table, columns, cdc } = spec;
+  const qualified = qualifiedName(table.schema, table.name);
+  const lines = [
+    `-- ${qualified} source table`,
+    `-- Generated from specs/${table.name.toLowerCase()}.yaml by scripts/generate-from-spec.js; do not edit.`,
+    '',
+    `CREATE TABLE ${qualified} (`,
+    ...columns.map(column => `${INDENT}${columnDefinition(column, spec)},`),
+    `${INDENT}CONSTRAINT ${quoteIdentifier(objectName(`PK_${table.name}`))} PRIMARY KEY (${keyColumns(spec).map(name => quoteIdentifier(name)).join(', ')})`,
+    cdcMode(spec) === 'rowscn' ? ') ROWDEPENDENCIES;' : ');'
+  ];
+
+  if (cdcMode(spec) !== 'rowscn') {
+    const index = qualifiedName(table.schema, objectName(`IDX_${table.name}_${table.cdc_key}`));
+    lines.push('', `CREATE INDEX ${index} ON ${qualified} (${quoteIdentifier(table.cdc_key)});`);
+  }
+
+  if (table.description) {
+    lines.push('', `COMMENT ON TABLE ${qualified} IS ${quoteLiteral(table.description)};`);
+  }
+
+  if (cdc.trigger) {
+    lines.push(
+      '',
+      `CREATE OR REPLACE TRIGGER ${qualifiedName(table.schema, objectName(`TRG_${table.name}_CDC_KEY`))}`,
+      `BEFORE INSERT OR UPDATE ON ${qualified}`,
+      'FOR EACH ROW',
+      'BEGIN',
+      `${INDENT}:NEW.${quoteIdentifier(table.cdc_key)} := SYSTIMESTAMP;`,
+      'END;',
+      '/'
+    );
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { generateOracleDdl, objectName };
@@ -0,0 +1,323 @@
+/**
+ * Oracle Data Dictionary Import
+ *
+ * Builds a spec from an offline export of ALL_TAB_COLUMNS and ALL_CONSTRAINTS
+ * (joined with ALL_CONS_COLUMNS for the key columns), so a new table can be
+ * onboarded without retyping its columns:
+ *
+ *   SELECT OWNER, TABLE_NAME, COLUMN_NAME, COLUMN_ID, DATA_TYPE, DATA_LENGTH,
+ *          DATA_PRECISION, DATA_SCALE, NULLABLE, CHAR_LENGTH, CHAR_USED
+ *     FROM ALL_TAB_COLUMNS WHERE OWNER = :owner AND TABLE_NAME = :table;
+ *
+ *   SELECT c.OWNER, c.TABLE_NAME, c.CONSTRAINT_NAME, c.CONSTRAINT_TYPE,
+ *          cc.COLUMN_NAME, cc.POSITION
+ *     FROM ALL_CONSTRAINTS c JOIN ALL_CONS_COLUMNS cc
+ *       ON cc.OWNER = c.OWNER AND cc.CONSTRAINT_NAME = c.CONSTRAINT_NAME
+ *    WHERE c.OWNER = :owner AND c.TABLE_NAME = :table AND c.CONSTRAINT_TYPE IN ('P', 'U');
+ *
+ * Either query result may be exported as CSV (with a header row) or JSON
+ * (an array of rows, or an object holding `all_tab_columns` / `all_constraints`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { inferEsType } = require('./type-mapping');
+
+const TEMPORAL_TYPE = /^(DATE|TIMESTAMP)/;
+
+// Field the composite document id is projected under
+const COMPOSITE_ID_FIELD = 'CDC_DOC_ID';
+
+/**
+ * Parse RFC 4180 CSV with a header row
+ * @returns {object[]} Rows keyed by upper-case header
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(h => h.trim().toUpperCase());
+  return nonEmpty.slice(1).map(values => headers.reduce((row, header, index) => {
+    row[header] = values[index] === undefined ? '' : values[index].trim();
+    return row;
+  }, {}));
+}
+
+/**
+ * Upper-case the keys of an exported row and normalize empty values to ''
+ */
+function normalizeRow(row) {
+  return Object.entries(row).reduce((acc, [key, value]) => {
+    acc[key.toUpperCase()] = value === null || value === undefined ? '' : String(value);
+    return acc;
+  }, {});
+}
+
+/**
+ * Read dictionary export files and split their rows into columns and constraints
+ *
+ * @param {string[]} files - CSV or JSON export files
+ * @returns {{columns: object[], constraints: object[]}}
+ */
+function loadDictionary(files) {
+  const dictionary = { columns: [], constraints: [] };
+
+  for (const file of files) {
+    const text = fs.readFileSync(file, 'utf8');
+    let rows;
+
+    if (path.extname(file).toLowerCase() === '.json') {
+      const data = JSON.parse(text);
+      rows = Array.isArray(data)
+        ? data
+        : [...(data.all_tab_columns || data.ALL_TAB_COLUMNS || []), ...(data.all_constraints || data.ALL_CONSTRAINTS || [])];
+    } else {
+      rows = parseCsv(text);
+    }
+
+    for (const row of rows.map(normalizeRow)) {
+      if ('CONSTRAINT_TYPE' in row) {
+        dictionary.constraints.push(row);
+      } else if ('DATA_TYPE' in row) {
+        dictionary.columns.push(row);
+      } else {
+        throw new Error(`${file}: rows must come from ALL_TAB_COLUMNS (DATA_TYPE) or ALL_CONSTRAINTS (CONSTRAINT_TYPE)`);
+      }
+    }
+  }
+
+  return dictionary;
+}
+
+/**
+ * Render the Oracle type of an ALL_TAB_COLUMNS row as written in DDL
+ */
+function columnType(row) {
+  const type = row.DATA_TYPE.toUpperCase();
+  const precision = row.DATA_PRECISION;
+  const scale = row.DATA_SCALE;
+
+  if (type === 'NUMBER') {
+    if (precision === '') return scale === '0' ? 'NUMBER(*,0)' : 'NUMBER';
+    return scale === '' || scale === '0' ? `NUMBER(${precision})` : `NUMBER(${precision},${scale})`;
+  }
+  if (type === 'FLOAT' && precision !== '') {
+    return `FLOAT(${precision})`;
+  }
+  if (['VARCHAR2', 'CHAR'].includes(type)) {
+    return row.CHAR_USED === 'C' ? `${type}(${row.CHAR_LENGTH} CHAR)` : `${type}(${row.DATA_LENGTH})`;
+  }
+  if (['NVARCHAR2', 'NCHAR'].includes(type)) {
+    return `${type}(${row.CHAR_LENGTH || row.DATA_LENGTH})`;
+  }
+  if (type === 'RAW') {
+    return `RAW(${row.DATA_LENGTH})`;
+  }
+  // The dictionary spells out the default fractional precision: TIMESTAMP(6)
+  return type.replace(/^TIMESTAMP\(6\)/, 'TIMESTAMP');
+}
+
+/**
+ * Rank DATE/TIMESTAMP columns by how likely they are to be stamped on every change
+ * @returns {string[]} Candidate column names, best first
+ */
+function rankCdcKeyCandidates(columns) {
+  const score = column => {
+    let points = 0;
+    if (/(UPD|MODIF|LAST_MOD|CHANGE|CHG)/.test(column.name)) points += 100;
+    else if (/(_AT|_DATE|_DT|_TS|_TIME|TIMESTAMP)$/.test(column.name)) points += 20;
+    if (/(CREATE|INSERT|REG)/.test(column.name)) points -= 50;
+    if (/^TIMESTAMP/.test(column.type)) points += 10;
+    if (column.nullable === false) points += 5;
+    return points;
+  };
+
+  return columns
+    .filter(column => TEMPORAL_TYPE.test(column.type))
+    .map((column, index) => ({ name: column.name, points: score(column), index }))
+    .sort((a, b) => b.points - a.points || a.index - b.index)
+    .map(candidate => candidate.name);
+}
+
+/**
+ * Key columns of the primary key, falling back to a unique key on NOT NULL columns
+ */
+function findKeyColumns(constraints, columns) {
+  const byConstraint = type => {
+    const groups = {};
+    constraints
+      .filter(row => row.CONSTRAINT_TYPE === type)
+      .forEach(row => {
+        (groups[row.CONSTRAINT_NAME] = groups[row.CONSTRAINT_NAME] || []).push(row);
+      });
+    return Object.values(groups).map(rows => rows
+      .sort((a, b) => Number(a.POSITION || 0) - Number(b.POSITION || 0))
+      .map(row => row.COLUMN_NAME));
+  };
+
+  const primary = byConstraint('P');
+  if (primary.length > 0) return { columns: primary[0], source: 'primary key' };
+
+  const notNull = new Set(columns.filter(c => c.nullable === false).map(c => c.name));
+  const unique = byConstraint('U').find(keyColumns => keyColumns.every(name => notNull.has(name)));
+  if (unique) return { columns: unique, source: 'unique key' };
+
+  return null;
+}
+
+/**
+ * Build a spec from a dictionary export
+ *
+ * @param {{columns: object[], constraints: object[]}} dictionary - Output of loadDictionary()
+ * @param {object} [options]
+ * @param {string} [options.table] - Table to import when the export holds several
+ * @returns {{spec: object, notes: string[]}} Spec plus review notes for the author
+ */
+function buildSpecFromDictionary(dictionary, { table } = {}) {
+  const tables = [...new Set(dictionary.columns.map(row => `${row.OWNER}.${row.TABLE_NAME}`))];
+  const wanted = table
+    ? tables.filter(name => name.split('.')[1] === table.toUpperCase() || name === table.toUpperCase())
+    : tables;
+
+  if (wanted.length === 0) {
+    throw new Error(table ? `Table ${table.toUpperCase()} not found in the export` : 'No ALL_TAB_COLUMNS rows in the export');
+  }
+  if (wanted.length > 1) {
+    throw new Error(`Export holds several tables (${wanted.join(', ')}); choose one with --table <OWNER.TABLE>`);
+  }
+
+  const [owner, tableName] = wanted[0].split('.');
+  const belongs = row => row.OWNER === owner && row.TABLE_NAME === tableName;
+
+  const columns = dictionary.columns
+    .filter(belongs)
+    .sort((a, b) => Number(a.COLUMN_ID || 0) - Number(b.COLUMN_ID || 0))
+    .map(row => ({
+      name: row.COLUMN_NAME,
+      type: columnType(row),
+      nullable: row.NULLABLE !== 'N'
+    }));
+
+  const key = findKeyColumns(dictionary.constraints.filter(belongs), columns);
+  if (!key) {
+    throw new Error(`${wanted[0]} has no primary key or NOT NULL unique key in the export`);
+  }
+
+  const candidates = rankCdcKeyCandidates(columns);
+  if (candidates.length === 0) {
+    throw new Error(`${wanted[0]} has no DATE or TIMESTAMP column to use as cdc_key`);
+  }
+
+  const composite = key.columns.length > 1;
+  const notes = [
+    `primary_key ${key.columns.join(', ')} taken from the ${key.source}`,
+    `cdc_key ${candidates[0]} chosen from ${candidates.join(', ')}; make sure it is updated on every change`
+  ];
+  if (composite) {
+    notes.push(`document _id ${COMPOSITE_ID_FIELD} joins the key columns with "|"; set elasticsearch.id to change it`);
+  }
+
+  const properties = {};
+  for (const column of columns) {
+    const type = inferEsType(column.type);
+    if (key.columns.includes(column.name) && column.type === 'NUMBER') {
+      // An unconstrained NUMBER key is almost always an integer id
+      properties[column.name] = { type: 'long' };
+      notes.push(`${column.name} NUMBER mapped as long because it is the key; use double if it holds fractions`);
+    } else if (type) {
+      properties[column.name] = { type };
+    } else {
+      properties[column.name] = { type: 'keyword' };
+      notes.push(`${column.name} ${column.type} has no inferred Elasticsearch type; mapped as keyword`);
+    }
+  }
+
+  const spec = {
+    table: {
+      name: tableName,
+      schema: owner,
+      primary_key: composite ? key.columns : key.columns[0],
+      cdc_key: candidates[0],
+      description: `CDC table for ${tableName.toLowerCase()}`
+    },
+    columns,
+    elasticsearch: {
+      index: tableName.toLowerCase(),
+      id_field: composite ? COMPOSITE_ID_FIELD : key.columns[0],
+      mapping: {
+        dynamic: 'strict',
+        properties
+      }
+    },
+    range: {
+      default: '5m',
+      options: ['5m', '15m', '30m', '60m']
+    },
+    cdc: {
+      mode: 'timestamp',
+      delete_handling: 'ignore',
+      update_handling: 'upsert'
+    }
+  };
+
+  return { spec, notes };
+}
+
+/**
+ * Render a spec as YAML in the layout of the hand-written specs
+ *
+ * @param {object} spec - Spec object
+ * @param {string[]} [comments] - Lines placed under the title comment
+ * @returns {string}
+ */
+function renderSpecYaml(spec, comments = []) {
+  const header = [`# ${spec.table.name} CDC Specification`, ...comments.map(line => `# ${line}`)];
+  const sections = Object.keys(spec).map(key => yaml.dump({ [key]: spec[key] }, { lineWidth: -1 }));
+  return `${header.join('\n')}\n\n${sections.join('\n')}`;
+}
+
+module.exports = {
+  parseCsv,
+  loadDictionary,
+  columnType,
+  rankCdcKeyCandidates,
+  buildSpecFromDictionary,
+  renderSpecYaml
+};
@@ -0,0 +1,565 @@
+/**
+ * Per-table Process Group Builder
+ *
+ * Builds the NiFi child process group that runs the CDC chain for one spec:
+ * GenerateFlowFile → UpdateAttribute (init) → LookupAttribute →
+ * FetchDistributedMapCache → UpdateAttribute (range) →
+ * UpdateAttribute (bind) → ExecuteSQLRecord →
+ * [UpdateRecord, when the spec has children] →
+ * [JoltTransformRecord, when the spec has joins or children] → PutElasticsearchRecord →
+ * [EvaluateJsonPath, sequence mode or compound watermark] → ReplaceText →
+ * PutDistributedMapCache.
+ *
+ * Controller services (DBCP, record reader/writer, SQL Lookup Service,
+ * Elasticsearch client, watermark cache) live in the root group and are
+ * shared by every table; each source dialect has its own DBCP connection pool.
+ *
+ * ExecuteSQLRecord runs the registry SQL that LookupAttribute put in
+ * `lookup.sql` and writes the whole window to one flowfile. The SQL binds its
+ * range as `?` parameters: the bind step copies the computed range attributes
+ * into `sql.args.N.type` / `sql.args.N.value` in parameter order; it is a
+ * processor of its own because UpdateAttribute evaluates every property
+ * against the incoming attributes, before range_from / range_to are set.
+ *
+ * The watermark is committed only once PutElasticsearchRecord has succeeded:
+ * the tail of the chain writes the window's range_to (the last delivered
+ * cdc_key in sequence mode, the last delivered (cdc_key, primary_key) bounds
+ * of a compound watermark) to the watermark cache, and the next trigger
+ * fetches it as range_from. A window that fails anywhere before the commit
+ * is read again by the next trigger.
+ */
+
+const { isCompositeKey } = require('./document-id');
+const {
+  usesClockWindow,
+  isCompoundWatermark,
+  watermarkColumns,
+  rangeFromAttribute,
+  isTemporalWatermark,
+  rangeParameters
+} = require('./watermark');
+const { WATERMARK_ATTRIBUTE, rangeProperties } = require('./range-window');
+const { fieldName, needsRecordTransform, shiftSpec } = require('./projection');
+const { hasChildren, childColumns } = require('./join');
+const { DIALECTS, dialectName, specSqlId, dbcpServiceId } = require('./dialect');
+const { expressionErrors } = require('./expression-language');
+
+const NIFI_VERSION = '1.28.1';
+
+const GROUP_PREFIX = 'cdc-';
+const GROUP_SPACING = 250;
+
+const WATERMARK_CACHE_SERVER = 'watermark-cache-server';
+const WATERMARK_CACHE_CLIENT = 'watermark-cache-client';
+const WATERMARK_CACHE_PORT = '4557';
+
+// Attribute EvaluateJsonPath writes the cdc_key of the last delivered record to
+// (suffixed with the column for the primary key of a compound watermark)
+const LAST_KEY_ATTRIBUTE = 'cdc_last_key';
+
+// Record timestamps are ISO-8601 text (see dialect.js); a bound is 'YYYY-MM-DD HH24:MI:SS.FF'
+const ISO_TIMESTAMP_PATTERN = '^([0-9]{4}-[0-9]{2}-[0-9]{2})T([0-9:.]+).*$';
+
+/**
+ * Processor roles in chain order
+ */
+const CHAIN = [
+  'generate-flowfile',
+  'update-attribute-init',
+  'lookup-attribute',
+  'fetch-distributed-map-cache',
+  'update-attribute-range',
+  'update-attribute-bind',
+  'execute-sql-record',
+  'update-record',
+  'jolt-transform-record',
+  'put-elasticsearch-record',
+  'evaluate-json-path',
+  'replace-text',
+  'put-distributed-map-cache'
+];
+
+// Roles that are only part of the chain when the spec needs them
+const OPTIONAL_ROLES = {
+  'update-record': hasChildren,
+  'jolt-transform-record': needsRecordTransform,
+  // A clock window commits its range_to; sequence mode and a compound watermark read the last row delivered
+  'evaluate-json-path': spec => !usesClockWindow(spec) || isCompoundWatermark(spec)
+};
+
+// Short role names used in connection identifiers
+const CONNECTION_NAMES = {
+  'generate-flowfile': 'generate',
+  'update-attribute-init': 'init',
+  'lookup-attribute': 'lookup',
+  'fetch-distributed-map-cache': 'fetch',
+  'update-attribute-range': 'range',
+  'update-attribute-bind': 'bind',
+  'execute-sql-record': 'query',
+  'update-record': 'parse',
+  'jolt-transform-record': 'transform',
+  'put-elasticsearch-record': 'es',
+  'evaluate-json-path': 'last-key',
+  'replace-text': 'watermark',
+  'put-distributed-map-cache': 'commit'
+};
+
+// Relationships leading to the next processor, `success` for the other roles
+const NEXT_RELATIONSHIPS = {
+  'lookup-attribute': ['matched'],
+  // The first trigger of a table finds no watermark yet
+  'fetch-distributed-map-cache': ['success', 'not-found'],
+  'evaluate-json-path': ['matched']
+};
+
+/**
+ * Identifier of the per-table process group
+ * @param {string} tableLower - Lower-case table name
+ */
+function processGroupId(tableLower) {
+  return `${GROUP_PREFIX}${tableLower}`;
+}
+
+/**
+ * Lower-case table name of a per-table process group, or null
+ */
+function tableFromProcessGroupId(identifier) {
+  return identifier.startsWith(GROUP_PREFIX) ? identifier.slice(GROUP_PREFIX.length) : null;
+}
+
+/**
+ * Identifier of a processor inside a table's process group
+ * @param {string} tableLower - Lower-case table name
+ * @param {string} role - One of CHAIN
+ */
+function processorId(tableLower, role) {
+  return `${processGroupId(tableLower)}-${role}`;
+}
+
+/**
+ * Processor roles of a spec's chain, in order
+ * @returns {string[]}
+ */
+function chainRoles(spec) {
+  return CHAIN.filter(role => !OPTIONAL_ROLES[role] || OPTIONAL_ROLES[role](spec));
+}
+
+/**
+ * Cache entry holding the watermark of a table
+ * @param {string} tableLower - Lower-case table name
+ */
+function watermarkCacheKey(tableLower) {
+  return `cdc.${tableLower}.watermark`;
+}
+
+/**
+ * Attribute EvaluateJsonPath writes the value of a watermark column of the last record to
+ */
+function lastKeyAttribute(spec, column) {
+  return rangeFromAttribute(spec, column) === 'range_from' ? LAST_KEY_ATTRIBUTE : `${LAST_KEY_ATTRIBUTE}_${column}`;
+}
+
+/**
+ * Watermark written to the cache once a window is delivered
+ *
+ * An empty sequence-mode window keeps the watermark it started from, and so
+ * does an empty window of a compound watermark.
+ */
+function committedWatermark(spec) {
+  if (isCompoundWatermark(spec)) {
+    const members = watermarkColumns(spec).map(column => {
+      const attribute = rangeFromAttribute(spec, column);
+      const bound = isTemporalWatermark(spec, column)
+        ? `${lastKeyAttribute(spec, column)}:replaceAll('${ISO_TIMESTAMP_PATTERN}', '$1 $2')`
+        : lastKeyAttribute(spec, column);
+      return `"${attribute}":"\${${bound}:replaceEmpty(\${${attribute}}):escapeJson()}"`;
+    });
+    return `{${members.join(',')}}`;
+  }
+  return usesClockWindow(spec)
+    ? '${range_to}'
+    : `\${${LAST_KEY_ATTRIBUTE}:replaceEmpty(\${range_from})}`;
+}
+
+/**
+ * JsonPath of a watermark column (the cdc_key by default) in the last record of a window
+ */
+function lastKeyPath(spec, columnName = spec.table.cdc_key) {
+  const column = spec.columns.find(({ name }) => name === columnName);
+  return `$[-1].${column ? fieldName(column) : columnName}`;
+}
+
+/**
+ * Convert a range option (e.g. "15m") to minutes
+ */
+function rangeMinutes(rangeOption) {
+  return parseInt(rangeOption, 10);
+}
+
+/**
+ * Build a processor entry
+ * @param {number} step - Position of the processor in the chain
+ */
+function processor(tableLower, role, step, { name, type, artifact, properties, ...rest }) {
+  return {
+    identifier: processorId(tableLower, role),
+    name,
+    type,
+    bundle: {
+      group: 'org.apache.nifi',
+      artifact,
+      version: NIFI_VERSION
+    },
+    position: {
+      x: 0,
+      y: step * 150
+    },
+    properties,
+    ...rest,
+    autoTerminatedRelationships: rest.autoTerminatedRelationships || []
+  };
+}
+
+/**
+ * Build the connection from one processor of the chain to the next
+ */
+function connection(tableLower, from, to) {
+  const groupId = processGroupId(tableLower);
+  const relationships = NEXT_RELATIONSHIPS[from] || ['success'];
+  return {
+    identifier: `${groupId}-conn-${CONNECTION_NAMES[from]}-to-${CONNECTION_NAMES[to]}`,
+    name: relationships.join(', '),
+    source: {
+      id: processorId(tableLower, from),
+      groupId,
+      type: 'PROCESSOR'
+    },
+    destination: {
+      id: processorId(tableLower, to),
+      groupId,
+      type: 'PROCESSOR'
+    },
+    selectedRelationships: relationships,
+    flowFileExpiration: '0 sec',
+    backPressureDataSizeThreshold: '1 GB',
+    backPressureObjectThreshold: 10000
+  };
+}
+
+/**
+ * Build the CDC process group for a spec
+ *
+ * @param {object} spec - Validated table spec
+ * @param {object} [options]
+ * @param {{x: number, y: number}} [options.position] - Group position in the root canvas
+ * @returns {object} Versioned process group
+ */
+function buildTableProcessGroup(spec, { position = { x: 0, y: 0 } } = {}) {
+  const { table, elasticsearch, range } = spec;
+  const tableLower = table.name.toLowerCase();
+  const minutes = rangeMinutes(range.default);
+
+  const definitions = {
+    'generate-flowfile': {
+      name: `GenerateFlowFile - ${table.name} CDC Trigger`,
+      type: 'org.apache.nifi.processors.standard.GenerateFlowFile',
+      artifact: 'nifi-standard-nar',
+      properties: {
+        'generate-ff-custom-text': '',
+        'Batch Size': '1',
+        'Data Format': 'Text',
+        'Unique FlowFiles': 'false'
+      },
+      schedulingStrategy: 'TIMER_DRIVEN',
+      schedulingPeriod: `${minutes} min`,
+      runDurationMillis: 0,
+      concurrentlySchedulableTaskCount: 1
+    },
+    'update-attribute-init': {
+      name: `UpdateAttribute - Initialize ${table.name} CDC Params`,
+      type: 'org.apache.nifi.processors.attributes.UpdateAttribute',
+      artifact: 'nifi-update-attribute-nar',
+      properties: {
+        sql_id: specSqlId(spec, range.default)
+      }
+    },
+    'lookup-attribute': {
+      name: 'LookupAttribute - Get SQL from Registry',
+      type: 'org.apache.nifi.processors.standard.LookupAttribute',
+      artifact: 'nifi-standard-nar',
+      properties: {
+        'Lookup Service': 'sql-lookup-service',
+        'lookup.sql': '${sql_id}'
+      },
+      autoTerminatedRelationships: ['unmatched', 'failure']
+    },
+    'fetch-distributed-map-cache': {
+      name: 'FetchDistributedMapCache - Get CDC Watermark',
+      type: 'org.apache.nifi.processors.standard.FetchDistributedMapCache',
+      artifact: 'nifi-standard-nar',
+      properties: {
+        'Cache Entry Identifier': watermarkCacheKey(tableLower),
+        'Distributed Cache Service': WATERMARK_CACHE_CLIENT,
+        'Put Cache Value In Attribute': WATERMARK_ATTRIBUTE,
+        // A compound watermark holds the key values too
+        'Max Length To Put In Attribute': isCompoundWatermark(spec) ? '4096' : '256',
+        'Character Set': 'UTF-8'
+      },
+      // The cache is unreachable; the next trigger fetches again
+      autoTerminatedRelationships: ['failure']
+    },
+    'update-attribute-range': {
+      name: 'UpdateAttribute - Calculate Time Range',
+      type: 'org.apache.nifi.processors.attributes.UpdateAttribute',
+      artifact: 'nifi-update-attribute-nar',
+      properties: rangeProperties(spec)
+    },
+    'update-attribute-bind': {
+      name: 'UpdateAttribute - Bind Range Parameters',
+      type: 'org.apache.nifi.processors.attributes.UpdateAttribute',
+      artifact: 'nifi-update-attribute-nar',
+      properties: Object.fromEntries(rangeParameters(spec).flatMap(({ attribute, type }, index) => [
+        [`sql.args.${index + 1}.type`, String(type)],
+        [`sql.args.${index + 1}.value`, `\${${attribute}}`]
+      ]))
+    },
+    'execute-sql-record': {
+      name: `ExecuteSQLRecord - Execute ${table.name} CDC Query`,
+      type: 'org.apache.nifi.processors.standard.ExecuteSQLRecord',
+      artifact: 'nifi-standard-nar',
+      properties: {
+        'Database Connection Pooling Service': dbcpServiceId(dialectName(spec)),
+        'SQL select query': '${lookup.sql}',
+        'Max Wait Time': '0 seconds',
+        'esqlrecord-record-writer': 'json-record-writer',
+        'esqlrecord-normalize': 'false',
+        'dbf-user-logical-types': 'false',
+        'esql-fetch-size': '1000',
+        // One flowfile per window, so the window is delivered as a whole
+        'esql-max-rows': '0',
+        'esql-output-batch-size': '0'
+      },
+      // The query failed; the next trigger reads the window again
+      autoTerminatedRelationships: ['failure']
+    },
+    'update-record': {
+      name: 'UpdateRecord - Parse Child Arrays',
+      type: 'org.apache.nifi.processors.standard.UpdateRecord',
+      artifact: 'nifi-standard-nar',
+      properties: {
+        'record-reader': 'json-record-reader',
+        'record-writer': 'json-record-writer',
+        'replacement-value-strategy': 'record-path-value',
+        // Each child array is read as a JSON string; parse it into records
+        ...Object.fromEntries(childColumns(spec).map(column =>
+          [`/${column.name}`, `unescapeJson(/${column.name}, 'true')`]))
+      },
+      autoTerminatedRelationships: ['failure']
+    },
+    'jolt-transform-record': {
+      name: 'JoltTransformRecord - Rename Fields for Elasticsearch',
+      type: 'org.apache.nifi.processors.jolt.record.JoltTransformRecord',
+      artifact: 'nifi-jolt-record-nar',
+      properties: {
+        'jolt-record-record-reader': 'json-record-reader',
+        'jolt-record-record-writer': 'json-record-writer',
+        'jolt-record-transform': 'jolt-transform-shift',
+        'jolt-record-spec': JSON.stringify(shiftSpec(spec, isCompositeKey(spec) ? [elasticsearch.id_field] : []))
+      },
+      autoTerminatedRelationships: ['failure', 'original']
+    },
+    'put-elasticsearch-record': {
+      name: `PutElasticsearchRecord - Upsert to ${elasticsearch.index}`,
+      type: 'org.apache.nifi.processors.elasticsearch.PutElasticsearchRecord',
+      artifact: 'nifi-elasticsearch-restapi-nar',
+      properties: {
+        'Client Service': 'elasticsearch-client',
+        'Index': elasticsearch.index,
+        'Type': '_doc',
+        'Index Operation': 'upsert',
+        'ID Record Path': `/${elasticsearch.id_field}`,
+        // The composite id is only a routing field; keep it out of the document
+        ...(isCompositeKey(spec) ? { 'Retain ID (Record Path)': 'false' } : {}),
+        'Record Reader': 'json-record-reader'
+      },
+      autoTerminatedRelationships: ['success', 'errors', 'failure', 'retry']
+    },
+    'evaluate-json-path': {
+      name: 'EvaluateJsonPath - Read Last Delivered Key',
+      type: 'org.apache.nifi.processors.standard.EvaluateJsonPath',
+      artifact: 'nifi-standard-nar',
+      properties: {
+        'Destination': 'flowfile-attribute',
+        'Return Type': 'scalar',
+        'Path Not Found Behavior': 'ignore',
+        'Null Value Representation': 'empty string',
+        // Records are ordered by the watermark columns; an empty window leaves the attributes empty
+        ...Object.fromEntries(watermarkColumns(spec).map(column => [lastKeyAttribute(spec, column), lastKeyPath(spec, column)]))
+      },
+      autoTerminatedRelationships: ['unmatched', 'failure']
+    },
+    'replace-text': {
+      name: 'ReplaceText - Write CDC Watermark',
+      type: 'org.apache.nifi.processors.standard.ReplaceText',
+      artifact: 'nifi-standard-nar',
+      properties: {
+        'Regular Expression': '(?s)(^.*$)',
+        'Replacement Value': committedWatermark(spec),
+        'Character Set': 'UTF-8',
+        'Maximum Buffer Size': '1 MB',
+        'Replacement Strategy': 'Always Replace',
+        'Evaluation Mode': 'Entire text'
+      },
+      autoTerminatedRelationships: ['failure']
+    },
+    'put-distributed-map-cache': {
+      name: 'PutDistributedMapCache - Commit CDC Watermark',
+      type: 'org.apache.nifi.processors.standard.PutDistributedMapCache',
+      artifact: 'nifi-standard-nar',
+      properties: {
+        'Cache Entry Identifier': watermarkCacheKey(tableLower),
+        'Distributed Cache Service': WATERMARK_CACHE_CLIENT,
+        'Cache update strategy': 'replace',
+        'Max cache entry size': '1 MB'
+      },
+      // Not committed; the next trigger reads the window again
+      autoTerminatedRelationships: ['success', 'failure']
+    }
+  };
+
+  const roles = chainRoles(spec);
+  const connections = roles.slice(1).map((role, i) => connection(tableLower, roles[i], role));
+  const processors = roles.map((role, step) => {
+    const generated = processor(tableLower, role, step, definitions[role]);
+    // A relationship that leads on in the chain is not auto-terminated
+    const next = connections.find(c => c.source.id === generated.identifier);
+    if (next) {
+      generated.autoTerminatedRelationships = generated.autoTerminatedRelationships
+        .filter(relationship => !next.selectedRelationships.includes(relationship));
+    }
+    return generated;
+  });
+  processors.forEach(checkExpressions);
+
+  return {
+    identifier: processGroupId(tableLower),
+    name: `${table.name} CDC`,
+    comments: `CDC pipeline for ${table.schema}.${table.name} → ${elasticsearch.index} (generated from specs/${tableLower}.yaml)`,
+    position,
+    processGroups: [],
+    remoteProcessGroups: [],
+    processors,
+    connections,
+    controllerServices: [],
+    inputPorts: [],
+    outputPorts: [],
+    funnels: [],
+    labels: [],
+    variables: {}
+  };
+}
+
+/**
+ * Reject a generated processor whose properties NiFi could not parse as
+ * Expression Language, e.g. a spec value that opens `${` without closing it
+ */
+function checkExpressions(generated) {
+  const errors = expressionErrors(generated.properties);
+  if (errors.length > 0) {
+    const details = errors.map(({ property, message }) => `property "${property}": ${message}`);
+    throw new Error(`${generated.identifier}: ${details.join('; ')}`);
+  }
+}
+
+/**
+ * DBCP connection pool of a source dialect, for the root group
+ *
+ * Credentials come from the `<dialect>.username` / `<dialect>.password`
+ * variables; the JDBC driver jar is expected in /opt/nifi/drivers.
+ */
+function buildDbcpService(dialect) {
+  const { label, driver } = DIALECTS[dialect];
+  return {
+    identifier: dbcpServiceId(dialect),
+    name: `${label} DBCP Connection Pool`,
+    type: 'org.apache.nifi.dbcp.DBCPConnectionPool',
+    bundle: {
+      group: 'org.apache.nifi',
+      artifact: 'nifi-dbcp-service-nar',
+      version: NIFI_VERSION
+    },
+    properties: {
+      'Database Connection URL': driver.url,
+      'Database Driver Class Name': driver.className,
+      'database-driver-locations': `/opt/nifi/drivers/${driver.jar}`,
+      'Database User': `\${${dialect}.username}`,
+      'Password': `\${${dialect}.password}`,
+      'Max Wait Time': '500 millis',
+      'Max Total Connections': '8',
+      'Validation query': driver.validationQuery
+    }
+  };
+}
+
+/**
+ * Watermark cache server and client, for the root group
+ *
+ * The server persists its entries under the NiFi state directory, so the
+ * watermarks survive a restart like processor state does.
+ *
+ * @returns {object[]}
+ */
+function buildWatermarkCacheServices() {
+  const bundle = {
+    group: 'org.apache.nifi',
+    artifact: 'nifi-distributed-cache-services-nar',
+    version: NIFI_VERSION
+  };
+  return [
+    {
+      identifier: WATERMARK_CACHE_SERVER,
+      name: 'CDC Watermark Cache Server',
+      type: 'org.apache.nifi.distributed.cache.server.map.DistributedMapCacheServer',
+      bundle,
+      properties: {
+        'Port': WATERMARK_CACHE_PORT,
+        'Maximum Cache Entries': '10000',
+        'Eviction Strategy': 'Least Frequently Used',
+        'Persistence Directory': '/opt/nifi/nifi-current/state/cdc-watermarks'
+      }
+    },
+    {
+      identifier: WATERMARK_CACHE_CLIENT,
+      name: 'CDC Watermark Cache Client',
+      type: 'org.apache.nifi.distributed.cache.client.DistributedMapCacheClientService',
+      bundle,
+      properties: {
+        'Server Hostname': 'localhost',
+        'Server Port': WATERMARK_CACHE_PORT,
+        'Communications Timeout': '30 secs'
+      }
+    }
+  ];
+}
+
+/**
+ * Position for the next process group added to the root canvas
+ * @param {number} index - Number of groups already on the canvas
+ */
+function nextGroupPosition(index) {
+  return { x: 0, y: index * GROUP_SPACING };
+}
+
+module.exports = {
+  CHAIN,
+  chainRoles,
+  processGroupId,
+  tableFromProcessGroupId,
+  processorId,
+  rangeMinutes,
+  watermarkCacheKey,
+  buildTableProcessGroup,
+  buildDbcpService,
+  buildWatermarkCacheServices,
+  nextGroupPosition
+};
@@ -0,0 +1,121 @@
+/**
+ * Column Projection
+ *
+ * Spec columns can be renamed, dropped or retyped on their way into
+ * Elasticsearch:
+ *
+ *   es_name: updatedAt - document field name (defaults to the column name)
+ *   exclude: true      - never read or indexed
+ *   es_type: keyword   - mapping type, overriding the one inferred from `type`
+ *   transform: hash    - PII transform applied in the query (see column-transform)
+ *
+ * The registry SQL aliases each projected column to its field name, so the
+ * records ExecuteSQLRecord writes already carry the document field names.
+ * Only spec joins and children need a JoltTransformRecord shift, which nests
+ * the joined columns into their object field and moves each child array to
+ * its field before PutElasticsearchRecord.
+ */
+
+const { usesSourceView, joinedColumns, childColumns } = require('./join');
+const { DEFAULT_DIALECT, DIALECTS, quoteIdentifier } = require('./dialect');
+
+const TRANSFORM_DEFAULTS = {
+  hash: { algorithm: 'SHA256' },
+  mask: { keep_last: 4 },
+  redact: {},
+  truncate: {}
+};
+
+/**
+ * Elasticsearch field name of a column
+ */
+function fieldName(column) {
+  return column.es_name || column.name;
+}
+
+/**
+ * Whether a column is indexed under another name
+ */
+function isRenamed(column) {
+  return fieldName(column) !== column.name;
+}
+
+/**
+ * Columns read from Oracle and indexed, in column order
+ * @returns {object[]}
+ */
+function projectedColumns(spec) {
+  return spec.columns.filter(column => !column.exclude);
+}
+
+/**
+ * Whether the flow needs a record transform to nest fields
+ */
+function needsRecordTransform(spec) {
+  return usesSourceView(spec);
+}
+
+/**
+ * Alias a column is selected under in the registry SQL
+ *
+ * Renamed columns are quoted so the database keeps the case of the field name;
+ * other columns keep their own name, quoted only where the dialect needs it.
+ *
+ * @param {object} column - Spec column
+ * @param {object} [dialect] - Dialect definition quoting the alias, Oracle by default
+ */
+function selectAlias(column, dialect = DIALECTS[DEFAULT_DIALECT]) {
+  return isRenamed(column) ? dialect.quote(fieldName(column)) : quoteIdentifier(column.name, dialect);
+}
+
+/**
+ * Transform of a column with its defaults applied
+ *
+ * `transform: hash` is shorthand for `transform: { type: hash }`.
+ *
+ * @returns {{type: string}|null} null when the column is indexed as read
+ */
+function columnTransform(column) {
+  if (!column.transform) return null;
+  const transform = typeof column.transform === 'string' ? { type: column.transform } : column.transform;
+  return { ...TRANSFORM_DEFAULTS[transform.type], ...transform };
+}
+
+/**
+ * Jolt shift specification moving record fields to their ES paths
+ *
+ * Fields missing from the shift are dropped, so the projected columns and
+ * extra fields such as a composite document id are passed through
+ * explicitly. Joined columns are shifted into `<field>.<name>` and child
+ * arrays into `<field>`.
+ *
+ * @param {object} spec - Validated table spec
+ * @param {string[]} [passThrough] - Record fields kept under their own name
+ * @returns {object} Record field → document path
+ */
+function shiftSpec(spec, passThrough = []) {
+  const shift = {};
+  for (const column of projectedColumns(spec)) {
+    shift[fieldName(column)] = fieldName(column);
+  }
+  for (const column of joinedColumns(spec)) {
+    shift[column.name] = `${column.join}.${column.nestedName}`;
+  }
+  for (const column of childColumns(spec)) {
+    shift[column.name] = column.field;
+  }
+  for (const field of passThrough) {
+    shift[field] = field;
+  }
+  return shift;
+}
+
+module.exports = {
+  fieldName,
+  isRenamed,
+  projectedColumns,
+  needsRecordTransform,
+  selectAlias,
+  columnTransform,
+  shiftSpec
+};
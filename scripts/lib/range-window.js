@@ -0,0 +1,187 @@
+/**
+ * CDC Range Window
+ *
+ * Each trigger reads the window (range_from, range_to] of cdc_key values.
+ * Windows are chained through the watermark cache: once a window has been
+ * delivered to Elasticsearch the flow commits its range_to, and the next
+ * trigger fetches it into `cdc_watermark` and starts from it, so windows are
+ * contiguous even when NiFi was down, a trigger ran late or a delivery failed.
+ * Only the very first trigger (no watermark yet) falls back to
+ * `range.default` before now.
+ *
+ * Two spec settings move the window away from the wall clock:
+ *
+ *   cdc.commit_lag - ends the window this long before now, so rows whose
+ *                    transaction commits late (with an older cdc_key) are
+ *                    visible by the time their window is read
+ *   cdc.overlap    - starts the window this long before the previous one
+ *                    ended; rows in the overlap are read twice and the
+ *                    upsert into Elasticsearch makes the re-read harmless
+ *
+ * Range bounds are compared with local timestamps of the source database, so
+ * they are formatted in its zone (`source.utc_offset`) rather than in the
+ * zone of the NiFi JVM.
+ *
+ * `cdc.mode: sequence` has no clock window: the watermark is the last cdc_key
+ * delivered to Elasticsearch, and 0 before the first delivery.
+ *
+ * A compound watermark (see watermark.js) stores the bounds of the last
+ * delivered row as one JSON object, committed together:
+ *
+ *   {"range_from":"2024-01-01 10:04:59.250000","range_from_ORDER_ID":"42"}
+ *
+ * Before the first delivery range_from falls back as above and the key
+ * bounds are empty.
+ */
+
+const { usesClockWindow, isCompoundWatermark, watermarkColumns, rangeFromAttribute } = require('./watermark');
+const { sourceOffset } = require('./dialect');
+
+const TIMESTAMP_FORMAT = 'yyyy-MM-dd HH:mm:ss.SSS';
+
+// Attribute FetchDistributedMapCache puts the stored watermark in
+const WATERMARK_ATTRIBUTE = 'cdc_watermark';
+
+// Lower bound of the first sequence-mode query; later ones follow the watermark
+const SEQUENCE_START = '0';
+
+const UNIT_MS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000
+};
+
+/**
+ * Convert a duration such as "30s" or "2m" to milliseconds
+ * @returns {number}
+ */
+function parseDuration(text) {
+  const match = String(text).match(/^([0-9]+)(ms|s|m|h)$/);
+  if (!match) {
+    throw new Error(`Invalid duration "${text}"; use <number>ms|s|m|h`);
+  }
+  return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+/**
+ * Window width, commit lag and overlap of a spec in milliseconds
+ *
+ * @param {object} spec - Validated table spec
+ * @param {string} [rangeOption] - Range option, defaults to range.default
+ * @returns {{widthMs: number, lagMs: number, overlapMs: number}}
+ */
+function windowSettings(spec, rangeOption = spec.range.default) {
+  const { cdc } = spec;
+  return {
+    widthMs: parseDuration(rangeOption),
+    lagMs: cdc.commit_lag ? parseDuration(cdc.commit_lag) : 0,
+    overlapMs: cdc.overlap ? parseDuration(cdc.overlap) : 0
+  };
+}
+
+/**
+ * Java time zone ID of a spec's source clock, e.g. GMT+09:00
+ */
+function sourceZone(spec) {
+  return `GMT${sourceOffset(spec)}`;
+}
+
+/**
+ * NiFi Expression Language for `now()` shifted back by some milliseconds
+ */
+function nowMinus(ms, zone) {
+  return ms === 0
+    ? `\${now():format('${TIMESTAMP_FORMAT}', '${zone}')}`
+    : `\${now():toNumber():minus(${ms}):format('${TIMESTAMP_FORMAT}', '${zone}')}`;
+}
+
+/**
+ * Expression Language reading one bound of a compound watermark, empty when there is none
+ */
+function storedBound(attribute) {
+  return `${WATERMARK_ATTRIBUTE}:replaceEmpty('{}'):jsonPath("$['${attribute}']")`;
+}
+
+/**
+ * Range properties of a compound watermark: the bounds of the last delivered row
+ */
+function compoundRangeProperties(spec) {
+  const keys = watermarkColumns(spec).slice(1).map(column => rangeFromAttribute(spec, column));
+  const bounds = Object.fromEntries(keys.map(attribute => [attribute, `\${${storedBound(attribute)}}`]));
+  if (!usesClockWindow(spec)) {
+    return { range_from: `\${${storedBound('range_from')}:replaceEmpty(${SEQUENCE_START})}`, ...bounds };
+  }
+  const { widthMs, lagMs } = windowSettings(spec);
+  const zone = sourceZone(spec);
+  return {
+    range_to: nowMinus(lagMs, zone),
+    range_from: `\${${storedBound('range_from')}:replaceEmpty(${nowMinus(widthMs + lagMs, zone)})}`,
+    ...bounds
+  };
+}
+
+/**
+ * Properties of the range UpdateAttribute processor
+ *
+ * `cdc_watermark` is the range_to committed by the last delivered trigger.
+ *
+ * @returns {object}
+ */
+function rangeProperties(spec) {
+  if (isCompoundWatermark(spec)) {
+    return compoundRangeProperties(spec);
+  }
+  if (!usesClockWindow(spec)) {
+    return { range_from: `\${${WATERMARK_ATTRIBUTE}:replaceEmpty(${SEQUENCE_START})}` };
+  }
+  const { widthMs, lagMs, overlapMs } = windowSettings(spec);
+  const zone = sourceZone(spec);
+  const previousTo = `${WATERMARK_ATTRIBUTE}:replaceEmpty(${nowMinus(widthMs + lagMs, zone)})`;
+  const rangeFrom = overlapMs === 0
+    ? `\${${previousTo}}`
+    : `\${${previousTo}:toDate('${TIMESTAMP_FORMAT}', '${zone}'):toNumber():minus(${overlapMs}):format('${TIMESTAMP_FORMAT}', '${zone}')}`;
+
+  return {
+    range_to: nowMinus(lagMs, zone),
+    range_from: rangeFrom
+  };
+}
+
+/**
+ * Spec window settings recorded in registry entries
+ * @returns {object} Empty when neither commit_lag nor overlap is set
+ */
+function windowMetadata(spec) {
+  const { cdc } = spec;
+  return {
+    ...(cdc.commit_lag ? { commit_lag: cdc.commit_lag } : {}),
+    ...(cdc.overlap ? { overlap: cdc.overlap } : {})
+  };
+}
+
+/**
+ * Window read by a trigger at `nowMs`, mirroring rangeProperties()
+ *
+ * @param {object} spec - Validated table spec
+ * @param {number} nowMs - Trigger time (epoch ms)
+ * @param {number|null} [previousTo] - Committed watermark, null before the first delivery
+ * @returns {{from: number, to: number}} Exclusive lower and inclusive upper bound (epoch ms)
+ */
+function computeWindow(spec, nowMs, previousTo = null) {
+  const { widthMs, lagMs, overlapMs } = windowSettings(spec);
+  const start = previousTo === null ? nowMs - widthMs - lagMs : previousTo;
+  return {
+    from: start - overlapMs,
+    to: nowMs - lagMs
+  };
+}
+
+module.exports = {
+  WATERMARK_ATTRIBUTE,
+  parseDuration,
+  windowSettings,
+  rangeProperties,
+  windowMetadata,
+  computeWindow
+};
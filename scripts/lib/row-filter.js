@@ -0,0 +1,265 @@
+/**
+ * Row Filters
+ *
+ * The optional `filter` section narrows the rows a spec replicates. Its
+ * condition is ANDed after the range condition of the CDC query, so it can
+ * only drop rows; the range bounds and the ORDER BY stay untouched:
+ *
+ *   WHERE <range> AND (<filter>) ORDER BY <watermark>
+ *
+ *   filter.where - structured predicates ({column, op, value}) rendered with
+ *                  typed literals and ANDed together
+ *   filter.sql   - a raw SQL condition in the spec dialect, accepted only when
+ *                  vetFilterSql() finds nothing that could escape or reorder the range
+ */
+
+const { valueKind } = require('./document-id');
+const { DEFAULT_DIALECT, DIALECTS, dialectOf, quoteIdentifier, quoteLiteral } = require('./dialect');
+
+const OPERATORS = {
+  '=': '=',
+  '<>': '<>',
+  '<': '<',
+  '<=': '<=',
+  '>': '>',
+  '>=': '>=',
+  like: 'LIKE',
+  not_like: 'NOT LIKE',
+  in: 'IN',
+  not_in: 'NOT IN',
+  is_null: 'IS NULL',
+  is_not_null: 'IS NOT NULL'
+};
+
+const UNARY_OPERATORS = ['is_null', 'is_not_null'];
+const LIST_OPERATORS = ['in', 'not_in'];
+
+// Temporal filter values use the same text form as range_from / range_to
+const TIMESTAMP_VALUE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,9})?$/;
+
+// Closing delimiters of Oracle q'<open>...<close>' literals; other characters close themselves
+const ALTERNATIVE_QUOTE_PAIRS = { '[': ']', '{': '}', '(': ')', '<': '>' };
+
+// Clauses a condition must not contain, with the reason shown to the spec author
+const FORBIDDEN_CLAUSES = [
+  [/\bORDER\s+BY\b/i, 'ORDER BY would replace the watermark order'],
+  [/\b(GROUP\s+BY|HAVING)\b/i, 'GROUP BY / HAVING would aggregate the change rows'],
+  [/\b(UNION|INTERSECT|MINUS)\b/i, 'set operators would add rows outside the range'],
+  [/\b(FETCH|OFFSET|ROWNUM|LIMIT)\b/i, 'row limits would cut pages short and skip rows'],
+  [/\b(SELECT|CONNECT\s+BY|START\s+WITH)\b/i, 'subqueries and hierarchical queries are not supported'],
+  [/\b(INSERT|UPDATE|DELETE|MERGE|DROP|ALTER|CREATE|TRUNCATE|GRANT|EXECUTE)\b/i, 'only a condition is allowed']
+];
+
+/**
+ * Condition with every string literal replaced by '' and quoted identifier by ""
+ *
+ * Literals follow the dialect: doubled quotes everywhere, backslash escapes
+ * in MySQL and PostgreSQL E'...' strings, PostgreSQL dollar quotes and
+ * Oracle q'[...]' quotes.
+ *
+ * @returns {{structure: string, problem: string|null}} problem names an unterminated literal or identifier
+ */
+function maskQuoted(sql, dialect) {
+  const { strings } = dialect;
+  const [open, close] = dialect.quote('');
+  const wordChar = index => /[A-Za-z0-9_$#]/.test(sql[index] || '');
+  let structure = '';
+  let i = 0;
+
+  // Index just past the closing quote, or -1
+  const skipQuoted = (start, quote, backslash) => {
+    for (let j = start; j < sql.length; j++) {
+      if (backslash && sql[j] === '\\') {
+        j++;
+      } else if (sql[j] === quote) {
+        if (sql[j + 1] !== quote) return j + 1;
+        j++;
+      }
+    }
+    return -1;
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const dollar = strings.dollarQuotes && !wordChar(i - 1) && /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.exec(sql.slice(i));
+    const alternative = strings.alternativeQuotes && !wordChar(i - 1) && /^[Nn]?[Qq]'(.)/s.exec(sql.slice(i));
+    if (alternative) {
+      const closing = `${ALTERNATIVE_QUOTE_PAIRS[alternative[1]] || alternative[1]}'`;
+      const end = sql.indexOf(closing, i + alternative[0].length);
+      if (end === -1) return { structure, problem: 'has an unterminated string literal' };
+      structure += "''";
+      i = end + closing.length;
+    } else if (dollar) {
+      const end = sql.indexOf(dollar[0], i + dollar[0].length);
+      if (end === -1) return { structure, problem: 'has an unterminated string literal' };
+      structure += "''";
+      i = end + dollar[0].length;
+    } else if (strings.quotes.includes(char)) {
+      const prefixed = strings.escapePrefix && /[Ee]/.test(sql[i - 1] || '') && !wordChar(i - 2);
+      const end = skipQuoted(i + 1, char, strings.backslashEscapes || prefixed);
+      if (end === -1) return { structure, problem: 'has an unterminated string literal' };
+      structure += "''";
+      i = end;
+    } else if (char === open) {
+      const end = skipQuoted(i + 1, close, false);
+      if (end === -1) return { structure, problem: 'has an unterminated quoted identifier' };
+      structure += `${open}${close}`;
+      i = end;
+    } else {
+      structure += char;
+      i++;
+    }
+  }
+  return { structure, problem: null };
+}
+
+/**
+ * Problems that make a SQL condition unsafe to AND into the CDC query
+ *
+ * @param {string} sql - Raw condition (filter.sql or the rendered filter)
+ * @param {object} [dialect] - Dialect definition the condition is written in (default oracle)
+ * @returns {string[]} Empty when the condition is safe
+ */
+function vetFilterSql(sql, dialect = DIALECTS[DEFAULT_DIALECT]) {
+  const problems = [];
+  if (sql.includes('${')) {
+    problems.push('must not reference flowfile attributes such as ${range_from}');
+  }
+
+  // Literals and quoted identifiers may contain anything; check the structure without them
+  const { structure, problem } = maskQuoted(sql, dialect);
+  if (problem) {
+    problems.push(problem);
+    return problems;
+  }
+
+  if (structure.includes('?')) {
+    problems.push('must not contain ? parameters: only the range is bound');
+  }
+  if (structure.includes(';')) {
+    problems.push('must be a single condition without ";"');
+  }
+  if (/--|\/\*/.test(structure)) {
+    problems.push('must not contain comments');
+  }
+
+  let depth = 0;
+  for (const char of structure) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth < 0) break;
+  }
+  if (depth !== 0) {
+    problems.push('has unbalanced parentheses');
+  }
+
+  for (const [pattern, reason] of FORBIDDEN_CLAUSES) {
+    const match = structure.match(pattern);
+    if (match) {
+      problems.push(`must not contain ${match[0].toUpperCase().replace(/\s+/g, ' ')}: ${reason}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Problems with a structured predicate, keyed by the offending field
+ *
+ * @param {object} predicate - filter.where entry
+ * @param {object|undefined} column - Spec column the predicate names
+ * @returns {Array<{field: string, message: string}>}
+ */
+function predicateProblems(predicate, column) {
+  const { op, value } = predicate;
+  if (!column) {
+    return [{ field: 'column', message: `"${predicate.column}" is not declared in columns` }];
+  }
+  if (UNARY_OPERATORS.includes(op)) {
+    return value === undefined ? [] : [{ field: 'value', message: `${op} takes no value` }];
+  }
+  if (value === undefined) {
+    return [{ field: 'value', message: `${op} needs a value` }];
+  }
+  if (LIST_OPERATORS.includes(op) !== Array.isArray(value)) {
+    return [{ field: 'value', message: LIST_OPERATORS.includes(op) ? `${op} needs a list of values` : `${op} takes a single value` }];
+  }
+
+  const kind = valueKind(column.type);
+  const values = Array.isArray(value) ? value : [value];
+  const invalid = values.find(v => {
+    if (kind === 'number') return typeof v !== 'number';
+    if (kind === 'temporal') return typeof v !== 'string' || !TIMESTAMP_VALUE.test(v);
+    return typeof v !== 'string';
+  });
+  if (invalid !== undefined) {
+    const expected = {
+      number: 'a number',
+      temporal: 'a "YYYY-MM-DD HH:MM:SS[.fraction]" string',
+      character: 'a string'
+    }[kind];
+    return [{ field: 'value', message: `${JSON.stringify(invalid)} is not ${expected} for ${column.name} ${column.type}` }];
+  }
+  if (kind !== 'character' && /like$/.test(op)) {
+    return [{ field: 'op', message: `${op} only applies to character columns` }];
+  }
+  return [];
+}
+
+/**
+ * SQL literal of a filter value; temporal values are parsed like the range bounds
+ */
+function literal(value, kind, dialect) {
+  if (kind === 'number') {
+    // Numbers are written bare, so anything but a plain number would be SQL
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Invalid numeric filter value ${JSON.stringify(value)}`);
+    }
+    return String(value);
+  }
+  const quoted = quoteLiteral(String(value), dialect);
+  return kind === 'temporal' ? dialect.parseTimestamp(quoted) : quoted;
+}
+
+/**
+ * Render a structured predicate
+ */
+function renderPredicate(predicate, column, dialect) {
+  const operator = OPERATORS[predicate.op];
+  const name = quoteIdentifier(predicate.column, dialect);
+  if (UNARY_OPERATORS.includes(predicate.op)) {
+    return `${name} ${operator}`;
+  }
+  const kind = valueKind(column.type);
+  if (LIST_OPERATORS.includes(predicate.op)) {
+    return `${name} ${operator} (${predicate.value.map(v => literal(v, kind, dialect)).join(', ')})`;
+  }
+  return `${name} ${operator} ${literal(predicate.value, kind, dialect)}`;
+}
+
+/**
+ * Filter condition of a spec
+ *
+ * @param {object} spec - Validated table spec
+ * @returns {string|null} Condition ANDed into the CDC query, or null without a filter
+ */
+function filterCondition(spec) {
+  const { filter } = spec;
+  if (!filter) return null;
+
+  const byName = new Map(spec.columns.map(column => [column.name, column]));
+  const parts = (filter.where || [])
+    .map(predicate => renderPredicate(predicate, byName.get(predicate.column), dialectOf(spec)));
+  if (filter.sql) {
+    const sql = filter.sql.trim();
+    parts.push(parts.length ? `(${sql})` : sql);
+  }
+  return parts.length ? parts.join(' AND ') : null;
+}
+
+module.exports = {
+  OPERATORS,
+  vetFilterSql,
+  predicateProblems,
+  filterCondition
+};
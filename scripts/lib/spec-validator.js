@@ -0,0 +1,538 @@
+/**
+ * Spec Validator
+ *
+ * Validates specs/<table>.yaml against specs/spec.schema.json and the
+ * cross-field rules the generator relies on. Every error carries the spec
+ * file, the YAML path and the line number it points at.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const { inferEsType } = require('./type-mapping');
+const { keyColumns, isCompositeKey } = require('./document-id');
+const { vetFilterSql, predicateProblems } = require('./row-filter');
+const { fieldName, isRenamed } = require('./projection');
+const { transformProblems } = require('./column-transform');
+const { joinedColumnName, childColumnName } = require('./join');
+const { DIALECTS, FEATURES, dialectName, dialectOf, supports } = require('./dialect');
+
+const SCHEMA_PATH = path.join(__dirname, '../../specs/spec.schema.json');
+
+// Column types the cdc_key of each mode must have, across the dialects
+const CDC_KEY_TYPES = {
+  timestamp: /^\s*(DATE|TIMESTAMP|TIMESTAMPTZ|DATETIME|DATETIME2|SMALLDATETIME|DATETIMEOFFSET)\b/i,
+  sequence: /^\s*(NUMBER|INTEGER|INT|SMALLINT|BIGINT)\s*(\(\s*(\*|\d+)\s*(,\s*0\s*)?\))?\s*$/i
+};
+
+const CDC_KEY_TYPE_NAMES = {
+  timestamp: 'a DATE or TIMESTAMP',
+  sequence: 'an integer NUMBER'
+};
+
+let compiledSchema = null;
+
+/**
+ * Raised when one or more spec files fail validation
+ */
+class SpecValidationError extends Error {
+  /**
+   * @param {Array<{file: string, path: string, line: number|null, message: string}>} errors
+   */
+  constructor(errors) {
+    super(`Spec validation failed:\n${errors.map(formatError).join('\n')}`);
+    this.name = 'SpecValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Format a single validation error as "file:line path: message"
+ */
+function formatError(error) {
+  const location = error.line ? `${error.file}:${error.line}` : error.file;
+  return error.path
+    ? `  ${location} ${error.path}: ${error.message}`
+    : `  ${location}: ${error.message}`;
+}
+
+/**
+ * Compile the spec JSON Schema once per process
+ */
+function getSchemaValidator() {
+  if (!compiledSchema) {
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    compiledSchema = new Ajv({ allErrors: true }).compile(schema);
+  }
+  return compiledSchema;
+}
+
+/**
+ * Render path segments as a YAML path, e.g. columns[2].name
+ * @param {Array<string|number>} segments
+ * @returns {string}
+ */
+function formatYamlPath(segments) {
+  return segments.reduce((acc, segment) => {
+    if (typeof segment === 'number') return `${acc}[${segment}]`;
+    return acc ? `${acc}.${segment}` : segment;
+  }, '');
+}
+
+/**
+ * Convert an Ajv instancePath (/columns/2/name) into path segments
+ */
+function instancePathToSegments(instancePath) {
+  return instancePath
+    .split('/')
+    .slice(1)
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map(part => (/^\d+$/.test(part) ? Number(part) : part));
+}
+
+/**
+ * Find the 1-based line of a path inside block-style YAML source.
+ *
+ * Falls back to the deepest ancestor that could be located, so a missing
+ * key reports the line of the mapping that should contain it.
+ *
+ * @param {string} source - YAML text
+ * @param {Array<string|number>} segments - Path segments
+ * @returns {number|null}
+ */
+function locateLine(source, segments) {
+  const lines = source.split('\n');
+  let start = 0;
+  let end = lines.length;
+  let line = null;
+
+  const isContent = text => text.trim() !== '' && !text.trim().startsWith('#');
+  const indentOf = text => text.length - text.trimStart().length;
+
+  // Region of lines that belong to the node starting at `index`
+  const regionEnd = (index, indent) => {
+    let i = index + 1;
+    while (i < end) {
+      const text = lines[i];
+      if (isContent(text)) {
+        const lineIndent = indentOf(text);
+        const isSiblingDash = text.trimStart().startsWith('-') && lineIndent === indent;
+        if (lineIndent < indent || (lineIndent === indent && !isSiblingDash)) break;
+        if (isSiblingDash && lines[index].trimStart().startsWith('-')) break;
+      }
+      i++;
+    }
+    return i;
+  };
+
+  for (const segment of segments) {
+    let found = -1;
+    let foundIndent = 0;
+
+    if (typeof segment === 'number') {
+      let itemIndent = null;
+      let count = -1;
+      for (let i = start; i < end; i++) {
+        const text = lines[i];
+        if (!isContent(text) || !text.trimStart().startsWith('-')) continue;
+        const indent = indentOf(text);
+        if (itemIndent === null) itemIndent = indent;
+        if (indent !== itemIndent) continue;
+        count++;
+        if (count === segment) {
+          found = i;
+          foundIndent = indent;
+          break;
+        }
+      }
+      if (found === -1) break;
+      line = found + 1;
+      start = found;
+      end = regionEnd(found, foundIndent);
+      // Keys of a sequence item start on the dash line itself
+      lines[found] = lines[found].replace(/-(\s)/, ' $1');
+      continue;
+    }
+
+    let keyIndent = null;
+    const keyPattern = /^(\s*)(["']?)([^:#"']+)\2\s*:(\s|$)/;
+    for (let i = start; i < end; i++) {
+      const match = lines[i].match(keyPattern);
+      if (!match) continue;
+      const indent = match[1].length;
+      if (keyIndent === null) keyIndent = indent;
+      if (indent !== keyIndent) continue;
+      if (match[3].trim() === String(segment)) {
+        found = i;
+        foundIndent = indent;
+        break;
+      }
+    }
+    if (found === -1) break;
+    line = found + 1;
+    start = found + 1;
+    end = regionEnd(found, foundIndent);
+  }
+
+  return line;
+}
+
+/**
+ * Cross-field rules that JSON Schema cannot express
+ * @returns {Array<{path: Array<string|number>, message: string}>}
+ */
+function checkCrossFieldRules(spec) {
+  const problems = [];
+  const { table, columns, elasticsearch, range, cdc } = spec;
+  const columnNames = new Set(columns.map(c => c.name));
+
+  keyColumns(spec).forEach((name, index) => {
+    if (!columnNames.has(name)) {
+      problems.push({
+        path: Array.isArray(table.primary_key) ? ['table', 'primary_key', index] : ['table', 'primary_key'],
+        message: `"${name}" is not declared in columns`
+      });
+    }
+  });
+  const cdcKeyColumn = columns.find(c => c.name === table.cdc_key);
+  if (table.cdc_key !== undefined && !cdcKeyColumn) {
+    problems.push({
+      path: ['table', 'cdc_key'],
+      message: `"${table.cdc_key}" is not declared in columns`
+    });
+  }
+  if (cdcKeyColumn && CDC_KEY_TYPES[cdc.mode] && !CDC_KEY_TYPES[cdc.mode].test(cdcKeyColumn.type)) {
+    problems.push({
+      path: ['table', 'cdc_key'],
+      message: `${cdc.mode} mode needs ${CDC_KEY_TYPE_NAMES[cdc.mode]} cdc_key, not ${cdcKeyColumn.type}`
+    });
+  }
+
+  const properties = (elasticsearch.mapping && elasticsearch.mapping.properties) || {};
+  const isMapped = name => Object.prototype.hasOwnProperty.call(properties, name);
+  const fieldOwners = new Map();
+  columns.forEach((column, index) => {
+    if (column.transform) {
+      if (column.exclude) {
+        problems.push({
+          path: ['columns', index, 'transform'],
+          message: 'has no effect on an excluded column'
+        });
+      } else if (keyColumns(spec).includes(column.name) || column.name === table.cdc_key) {
+        problems.push({
+          path: ['columns', index, 'transform'],
+          message: `${column.name} is needed for the document id or the range and cannot be transformed`
+        });
+      } else {
+        transformProblems(column).forEach(({ field, message }) => problems.push({
+          path: ['columns', index, ...field.split('.')],
+          message
+        }));
+      }
+    }
+    if (column.exclude) {
+      if (keyColumns(spec).includes(column.name) || column.name === table.cdc_key) {
+        problems.push({
+          path: ['columns', index, 'exclude'],
+          message: `${column.name} is needed for the document id or the range and cannot be excluded`
+        });
+      }
+      return;
+    }
+    const field = fieldName(column);
+    if (fieldOwners.has(field)) {
+      problems.push({
+        path: ['columns', index, isRenamed(column) ? 'es_name' : 'name'],
+        message: `field "${field}" is already used by column ${fieldOwners.get(field)}`
+      });
+    } else {
+      fieldOwners.set(field, column.name);
+    }
+    if (column.es_type && isMapped(field)) {
+      problems.push({
+        path: ['columns', index, 'es_type'],
+        message: `conflicts with elasticsearch.mapping.properties.${field}; declare the type in one place`
+      });
+    }
+  });
+
+  columns
+    .filter(column => !column.exclude && isRenamed(column) && isMapped(column.name) && !fieldOwners.has(column.name))
+    .forEach(column => problems.push({
+      path: ['elasticsearch', 'mapping', 'properties', column.name],
+      message: `${column.name} is indexed as "${fieldName(column)}"; key the property by the field name`
+    }));
+
+  if (isCompositeKey(spec)) {
+    // The composite id is projected under id_field, so it must not shadow a column
+    if (columnNames.has(elasticsearch.id_field) || fieldOwners.has(elasticsearch.id_field) || isMapped(elasticsearch.id_field)) {
+      problems.push({
+        path: ['elasticsearch', 'id_field'],
+        message: `"${elasticsearch.id_field}" names the composite document id and must not be a column or mapped property`
+      });
+    }
+  } else {
+    const renamed = columns.find(c => c.name === elasticsearch.id_field && isRenamed(c));
+    if (renamed) {
+      problems.push({
+        path: ['elasticsearch', 'id_field'],
+        message: `"${renamed.name}" is indexed as "${fieldName(renamed)}"; use the field name`
+      });
+    } else if (!fieldOwners.has(elasticsearch.id_field) && !isMapped(elasticsearch.id_field)) {
+      problems.push({
+        path: ['elasticsearch', 'id_field'],
+        message: `"${elasticsearch.id_field}" is not declared in columns or elasticsearch.mapping.properties`
+      });
+    }
+    if (elasticsearch.id) {
+      problems.push({
+        path: ['elasticsearch', 'id'],
+        message: 'only applies to a composite primary_key'
+      });
+    }
+  }
+  if (elasticsearch.id && elasticsearch.id.algorithm && elasticsearch.id.strategy !== 'hash') {
+    problems.push({
+      path: ['elasticsearch', 'id', 'algorithm'],
+      message: 'only applies to strategy: hash'
+    });
+  }
+
+  columns.forEach((column, index) => {
+    if (column.exclude || column.es_type) return;
+    if (!isMapped(fieldName(column)) && !inferEsType(column.type)) {
+      problems.push({
+        path: ['columns', index, 'type'],
+        message: `cannot infer an Elasticsearch type for ${column.type}; set es_type or declare elasticsearch.mapping.properties.${fieldName(column)}`
+      });
+    }
+  });
+
+  if (cdc.mode === 'sequence') {
+    ['commit_lag', 'overlap']
+      .filter(setting => cdc[setting] !== undefined)
+      .forEach(setting => problems.push({
+        path: ['cdc', setting],
+        message: 'only applies to the clock-based timestamp and rowscn modes'
+      }));
+  }
+  if (cdc.trigger && cdc.mode !== 'timestamp') {
+    problems.push({
+      path: ['cdc', 'trigger'],
+      message: 'stamps cdc_key with SYSTIMESTAMP and only applies to timestamp mode'
+    });
+  }
+
+  if (cdc.watermark === 'compound') {
+    if (cdc.mode === 'rowscn') {
+      problems.push({
+        path: ['cdc', 'watermark'],
+        message: 'compound watermark reads the cdc_key of the last delivered row; rowscn mode has none'
+      });
+    } else if (keyColumns(spec).includes(table.cdc_key)) {
+      problems.push({
+        path: ['cdc', 'watermark'],
+        message: `compound watermark needs a primary_key without the cdc_key ${table.cdc_key}`
+      });
+    }
+    if (spec.joins || spec.children) {
+      problems.push({
+        path: ['cdc', 'watermark'],
+        message: 'compound watermark reads the cdc_key of the last delivered row; joins and children range on CDC_CHANGED_AT'
+      });
+    }
+    if (cdc.overlap !== undefined && cdc.mode !== 'sequence') {
+      problems.push({
+        path: ['cdc', 'overlap'],
+        message: 'does not apply to a compound watermark, which resumes after the last delivered row'
+      });
+    }
+  }
+
+  if (spec.filter) {
+    const byName = new Map(columns.map(column => [column.name, column]));
+    (spec.filter.where || []).forEach((predicate, index) => {
+      predicateProblems(predicate, byName.get(predicate.column)).forEach(({ field, message }) => problems.push({
+        path: ['filter', 'where', index, field],
+        message
+      }));
+    });
+    if (spec.filter.sql) {
+      vetFilterSql(spec.filter.sql, dialectOf(spec)).forEach(message => problems.push({
+        path: ['filter', 'sql'],
+        message
+      }));
+    }
+  }
+
+  // Joins and children share the field namespace of the document
+  const relationFields = new Map();
+  const relations = [
+    ['joins', 'the joined change column', join => `the ${join.table} join`],
+    ['children', 'the child change column', child => `the ${child.table} children`]
+  ];
+  for (const [section, changeColumn, describe] of relations) {
+    if (!spec[section]) continue;
+    if (cdc.mode !== 'timestamp') {
+      problems.push({
+        path: [section],
+        message: `only apply to timestamp mode; ${changeColumn} is the greatest cdc_key timestamp`
+      });
+    }
+    spec[section].forEach((relation, index) => {
+      Object.keys(relation.on)
+        .filter(name => !columnNames.has(name))
+        .forEach(name => problems.push({
+          path: [section, index, 'on', name],
+          message: `"${name}" is not declared in columns`
+        }));
+
+      const owner = fieldOwners.has(relation.field) ? `column ${fieldOwners.get(relation.field)}` : relationFields.get(relation.field);
+      if (owner) {
+        problems.push({
+          path: [section, index, 'field'],
+          message: `field "${relation.field}" is already used by ${owner}`
+        });
+      }
+      relationFields.set(relation.field, describe(relation));
+      if (section === 'children' && columnNames.has(childColumnName(relation))) {
+        problems.push({
+          path: [section, index, 'field'],
+          message: `is read as ${childColumnName(relation)}, which is already a column`
+        });
+      }
+
+      const nestedOwners = new Map();
+      relation.columns.forEach((column, columnIndex) => {
+        const path = [section, index, 'columns', columnIndex];
+        const nestedName = column.es_name || column.name;
+        if (section === 'joins' && columnNames.has(joinedColumnName(relation, column))) {
+          problems.push({
+            path: [...path, 'name'],
+            message: `is read as ${joinedColumnName(relation, column)}, which is already a column`
+          });
+        }
+        if (nestedOwners.has(nestedName)) {
+          problems.push({
+            path: [...path, column.es_name ? 'es_name' : 'name'],
+            message: `field "${relation.field}.${nestedName}" is already used by column ${nestedOwners.get(nestedName)}`
+          });
+        }
+        nestedOwners.set(nestedName, column.name);
+        if (!column.es_type && !isMapped(relation.field) && !inferEsType(column.type)) {
+          problems.push({
+            path: [...path, 'type'],
+            message: `cannot infer an Elasticsearch type for ${column.type}; set es_type`
+          });
+        }
+      });
+    });
+  }
+
+  // Features whose SQL only some dialects can generate
+  const dialect = dialectName(spec);
+  const featurePaths = {
+    rowscn: cdc.mode === 'rowscn' ? [['cdc', 'mode']] : [],
+    compound_watermark: cdc.watermark === 'compound' ? [['cdc', 'watermark']] : [],
+    trigger: cdc.trigger ? [['cdc', 'trigger']] : [],
+    composite_key: isCompositeKey(spec) ? [['table', 'primary_key']] : [],
+    transform: columns.map((column, index) => column.transform && ['columns', index, 'transform']).filter(Boolean),
+    joins: spec.joins ? [['joins']] : [],
+    children: spec.children ? [['children']] : []
+  };
+  for (const [feature, paths] of Object.entries(featurePaths)) {
+    if (supports(dialect, feature)) continue;
+    const supportedBy = Object.keys(DIALECTS).filter(name => supports(name, feature));
+    paths.forEach(path => problems.push({
+      path,
+      message: `${FEATURES[feature]} is not supported by the ${dialect} dialect (only ${supportedBy.join(', ')})`
+    }));
+  }
+
+  if (!range.options.includes(range.default)) {
+    problems.push({
+      path: ['range', 'default'],
+      message: `"${range.default}" must be one of range.options (${range.options.join(', ')})`
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a parsed spec
+ *
+ * @param {object} spec - Parsed spec object
+ * @param {object} [options]
+ * @param {string} [options.file] - Spec file path, used in error reports
+ * @param {string} [options.source] - Raw YAML, used to resolve line numbers
+ * @returns {Array<{file: string, path: string, line: number|null, message: string}>}
+ */
+function validateSpec(spec, { file = '<spec>', source = '' } = {}) {
+  const validate = getSchemaValidator();
+  const problems = [];
+
+  if (!validate(spec)) {
+    // if/else failures are reported through the errors of the failed branch
+    for (const err of validate.errors.filter(e => e.keyword !== 'if')) {
+      const segments = instancePathToSegments(err.instancePath);
+      let message = err.message;
+
+      if (err.keyword === 'additionalProperties') {
+        segments.push(err.params.additionalProperty);
+        message = 'unknown property';
+      } else if (err.keyword === 'required') {
+        message = `missing required property "${err.params.missingProperty}"`;
+      } else if (err.keyword === 'enum') {
+        message = `must be one of ${err.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+      }
+
+      problems.push({ path: segments, message });
+    }
+  } else {
+    problems.push(...checkCrossFieldRules(spec));
+  }
+
+  return problems.map(problem => ({
+    file,
+    path: formatYamlPath(problem.path),
+    line: source ? locateLine(source, problem.path) : null,
+    message: problem.message
+  }));
+}
+
+/**
+ * Parse and validate a spec file, throwing SpecValidationError on failure
+ * @param {string} specPath - Path to specs/<table>.yaml
+ * @returns {object} Parsed spec
+ */
+function loadValidatedSpec(specPath) {
+  const file = path.relative(process.cwd(), specPath) || specPath;
+  const source = fs.readFileSync(specPath, 'utf8');
+
+  let spec;
+  try {
+    spec = yaml.load(source);
+  } catch (e) {
+    const line = e.mark ? e.mark.line + 1 : null;
+    throw new SpecValidationError([{ file, path: '', line, message: e.reason || e.message }]);
+  }
+
+  const errors = validateSpec(spec, { file, source });
+  if (errors.length > 0) {
+    throw new SpecValidationError(errors);
+  }
+
+  return spec;
+}
+
+module.exports = {
+  SpecValidationError,
+  validateSpec,
+  loadValidatedSpec,
+  formatError,
+  locateLine,
+  formatYamlPath,
+  SCHEMA_PATH
+};
@@ -0,0 +1,284 @@
+/**
+ * Oracle → Elasticsearch Type Mapping
+ *
+ * Infers the ES field type of a spec column from its Oracle type (or the
+ * common PostgreSQL, MySQL and SQL Server types of other dialects) so that
+ * `elasticsearch.mapping.properties` only has to list overrides, and flags
+ * explicit overrides that cannot hold every value of the Oracle column.
+ * Properties are keyed by Elasticsearch field name (`es_name`); excluded
+ * columns are not mapped and a column `es_type` wins over inference. Hashed
+ * columns hold a hex digest and are inferred as keyword. The columns of each
+ * spec join are mapped as sub-fields of an `object` field, those of each
+ * spec child as sub-fields of a `nested` field.
+ */
+
+const { fieldName, projectedColumns, columnTransform } = require('./projection');
+const { joinedColumns } = require('./join');
+
+// Largest decimal precision each ES numeric type holds without overflow
+const INTEGER_DIGITS = {
+  byte: 2,
+  short: 4,
+  integer: 9,
+  long: 18
+};
+
+// Significant decimal digits that survive a round trip through each float type
+const FLOAT_DIGITS = {
+  half_float: 3,
+  float: 6,
+  double: 15
+};
+
+// ES rejects keyword values longer than this many bytes
+const KEYWORD_MAX_BYTES = 32766;
+
+const STRING_TYPES = ['keyword', 'text', 'wildcard', 'match_only_text', 'constant_keyword'];
+
+/**
+ * Whether a column is indexed as a hex digest
+ */
+function isHashed(column) {
+  const transform = columnTransform(column);
+  return Boolean(transform) && transform.type === 'hash';
+}
+
+/**
+ * Parse an Oracle column type such as NUMBER(10,2) or TIMESTAMP(6) WITH TIME ZONE
+ *
+ * @param {string} type - Oracle type as written in the spec
+ * @returns {{base: string, precision: number|null, scale: number|null, length: number|null}}
+ */
+function parseOracleType(type) {
+  const normalized = type.trim().toUpperCase().replace(/\s+/g, ' ');
+  const match = normalized.match(/^([A-Z0-9_ ]+?)\s*(?:\(\s*(\*|\d+)(?:\s+(?:BYTE|CHAR))?\s*(?:,\s*(-?\d+)\s*)?\))?((?: [A-Z ]+)?)$/);
+
+  if (!match) {
+    return { base: normalized, precision: null, scale: null, length: null };
+  }
+
+  const base = `${match[1]}${match[4]}`.trim();
+  const size = match[2] === undefined ? null : (match[2] === '*' ? 38 : Number(match[2]));
+  const isNumeric = ['NUMBER', 'DECIMAL', 'NUMERIC'].includes(base);
+
+  return {
+    base,
+    precision: isNumeric ? size : null,
+    scale: match[3] === undefined ? (isNumeric && size !== null ? 0 : null) : Number(match[3]),
+    length: isNumeric ? null : size
+  };
+}
+
+/**
+ * Infer the ES type for an Oracle type
+ *
+ * @param {string} oracleType - Oracle type as written in the spec
+ * @returns {string|null} ES field type, or null when there is no sensible default
+ */
+function inferEsType(oracleType) {
+  const { base, precision, scale } = parseOracleType(oracleType);
+
+  switch (base) {
+    case 'NUMBER':
+    case 'DECIMAL':
+    case 'NUMERIC':
+      // Unconstrained NUMBER may hold any decimal value
+      if (precision === null) return 'double';
+      if (scale > 0) return precision <= FLOAT_DIGITS.double ? 'double' : 'keyword';
+      if (precision <= INTEGER_DIGITS.integer) return 'integer';
+      if (precision <= INTEGER_DIGITS.long) return 'long';
+      return 'keyword';
+    case 'INTEGER':
+    case 'INT':
+    case 'SMALLINT':
+    case 'TINYINT':
+    case 'MEDIUMINT':
+    case 'BIGINT':
+      return 'long';
+    case 'FLOAT':
+    case 'BINARY_DOUBLE':
+    case 'DOUBLE':
+    case 'DOUBLE PRECISION':
+      return 'double';
+    case 'BINARY_FLOAT':
+    case 'REAL':
+      return 'float';
+    case 'VARCHAR2':
+    case 'NVARCHAR2':
+    case 'VARCHAR':
+    case 'NVARCHAR':
+    case 'CHAR':
+    case 'NCHAR':
+    case 'CHARACTER VARYING':
+    case 'UUID':
+    case 'UNIQUEIDENTIFIER':
+      return 'keyword';
+    case 'CLOB':
+    case 'NCLOB':
+    case 'LONG':
+    case 'TEXT':
+    case 'MEDIUMTEXT':
+    case 'LONGTEXT':
+      return 'text';
+    case 'DATE':
+    case 'TIMESTAMP':
+    case 'TIMESTAMP WITH TIME ZONE':
+    case 'TIMESTAMP WITH LOCAL TIME ZONE':
+    case 'TIMESTAMP WITHOUT TIME ZONE':
+    case 'TIMESTAMPTZ':
+    case 'DATETIME':
+    case 'DATETIME2':
+    case 'DATETIMEOFFSET':
+    case 'SMALLDATETIME':
+      return 'date';
+    case 'BOOLEAN':
+    case 'BOOL':
+    case 'BIT':
+      return 'boolean';
+    case 'RAW':
+    case 'LONG RAW':
+    case 'BLOB':
+    case 'BYTEA':
+    case 'VARBINARY':
+    case 'LONGBLOB':
+      return 'binary';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Explain why an ES type cannot hold every value of an Oracle type
+ *
+ * Precision checks only apply when the Oracle type declares a precision;
+ * an unconstrained NUMBER is commonly used for integer keys.
+ *
+ * @param {string} oracleType - Oracle type as written in the spec
+ * @param {string} esType - Explicit ES type
+ * @returns {string|null} Reason, or null when the mapping is not lossy
+ */
+function lossyReason(oracleType, esType) {
+  const { base, precision, scale } = parseOracleType(oracleType);
+  const inferred = inferEsType(oracleType);
+  const isNumber = ['NUMBER', 'DECIMAL', 'NUMERIC'].includes(base);
+
+  if (isNumber && precision !== null) {
+    if (esType in INTEGER_DIGITS) {
+      if (scale > 0) return `${esType} drops the ${scale}-digit fractional part`;
+      if (precision > INTEGER_DIGITS[esType]) return `${esType} overflows above ${INTEGER_DIGITS[esType]} digits`;
+    }
+    if (esType in FLOAT_DIGITS && precision > FLOAT_DIGITS[esType]) {
+      return `${esType} keeps only ${FLOAT_DIGITS[esType]} significant digits`;
+    }
+  }
+
+  if (inferred === 'text' && esType === 'keyword') {
+    return `keyword rejects values over ${KEYWORD_MAX_BYTES} bytes`;
+  }
+
+  if (inferred === 'keyword' && !isNumber && !STRING_TYPES.includes(esType)) {
+    return `${esType} rejects arbitrary ${base} strings`;
+  }
+
+  if (inferred === 'date' && esType !== 'date' && esType !== 'date_nanos' && !STRING_TYPES.includes(esType)) {
+    return `${esType} cannot hold ${base} values`;
+  }
+
+  if (inferred === 'binary' && esType !== 'binary') {
+    return `${esType} cannot hold ${base} bytes`;
+  }
+
+  return null;
+}
+
+/**
+ * Columns of the spec children, with the nested field they are mapped under
+ */
+function childMembers(spec) {
+  return (spec.children || []).flatMap(child => child.columns.map(column => ({
+    ...column,
+    child: child.field,
+    nestedName: column.es_name || column.name
+  })));
+}
+
+/**
+ * Mapping properties of a spec with omitted column types inferred
+ *
+ * Projected columns come first in column order; explicit properties that
+ * do not match a field are kept after them.
+ *
+ * @param {object} spec - Validated table spec
+ * @returns {object} ES mapping properties
+ */
+function resolveMappingProperties(spec) {
+  const explicit = (spec.elasticsearch.mapping && spec.elasticsearch.mapping.properties) || {};
+  const properties = {};
+
+  for (const column of projectedColumns(spec)) {
+    const field = fieldName(column);
+    if (column.es_type) {
+      properties[field] = { type: column.es_type };
+    } else if (explicit[field]) {
+      properties[field] = explicit[field];
+    } else {
+      const type = isHashed(column) ? 'keyword' : inferEsType(column.type);
+      if (type) properties[field] = { type };
+    }
+  }
+
+  for (const column of joinedColumns(spec)) {
+    if (explicit[column.join]) continue;
+    const object = properties[column.join] || (properties[column.join] = { type: 'object', properties: {} });
+    const type = column.es_type || inferEsType(column.type);
+    if (type) object.properties[column.nestedName] = { type };
+  }
+
+  for (const column of childMembers(spec)) {
+    if (explicit[column.child]) continue;
+    const nested = properties[column.child] || (properties[column.child] = { type: 'nested', properties: {} });
+    const type = column.es_type || inferEsType(column.type);
+    if (type) nested.properties[column.nestedName] = { type };
+  }
+
+  for (const [name, property] of Object.entries(explicit)) {
+    if (!properties[name]) properties[name] = property;
+  }
+
+  return properties;
+}
+
+/**
+ * Lossy explicit overrides of a spec
+ * @returns {Array<{column: string, oracleType: string, esType: string, message: string}>}
+ */
+function findLossyMappings(spec) {
+  const explicit = (spec.elasticsearch.mapping && spec.elasticsearch.mapping.properties) || {};
+  // Child columns live inside their nested field, so only es_type overrides them
+  const overrideOf = column => column.es_type ||
+    (!column.child && explicit[fieldName(column)] && explicit[fieldName(column)].type);
+
+  return [...projectedColumns(spec), ...joinedColumns(spec), ...childMembers(spec)]
+    .filter(overrideOf)
+    .map(column => {
+      const esType = overrideOf(column);
+      const reason = isHashed(column)
+        ? (STRING_TYPES.includes(esType) ? null : `${esType} cannot hold the hex digest of a hashed column`)
+        : lossyReason(column.type, esType);
+      return reason && {
+        column: column.name,
+        oracleType: column.type,
+        esType,
+        message: `${column.name} ${column.type} → ${esType} is lossy: ${reason}`
+      };
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  parseOracleType,
+  inferEsType,
+  lossyReason,
+  resolveMappingProperties,
+  findLossyMappings
+};
@@ -0,0 +1,129 @@
+/**
+ * Unified Diff
+ *
+ * Minimal line-based unified diff used to preview generated artifacts
+ * without writing them.
+ */
+
+/**
+ * Compute the line edit script between two texts
+ * @returns {Array<{op: ' '|'-'|'+', line: string}>}
+ */
+function diffLines(oldLines, newLines) {
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+
+  // Longest common subsequence table over the changed middle section
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = oldLines.slice(0, prefix).map(line => ({ op: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      ops.push({ op: '-', line: a[i] });
+      i++;
+    } else {
+      ops.push({ op: '+', line: b[j] });
+      j++;
+    }
+  }
+  oldLines.slice(oldLines.length - suffix).forEach(line => ops.push({ op: ' ', line }));
+
+  return ops;
+}
+
+/**
+ * Create a unified diff between two texts
+ *
+ * @param {string} oldText - Current content ('' for a new file)
+ * @param {string} newText - Proposed content
+ * @param {object} [options]
+ * @param {string} [options.fromFile] - Label for the old side
+ * @param {string} [options.toFile] - Label for the new side
+ * @param {number} [options.context=3] - Unchanged lines around each change
+ * @returns {string} Unified diff, or '' when the texts are identical
+ */
+function createUnifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  if (oldText === newText) return '';
+
+  const split = text => (text === '' ? [] : text.replace(/\n$/, '').split('\n'));
+  const ops = diffLines(split(oldText), split(newText));
+
+  // Group changes into hunks, merging those separated by <= 2 * context lines
+  const hunks = [];
+  let current = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let trailing = 0;
+
+  ops.forEach((entry, index) => {
+    if (entry.op !== ' ') {
+      if (!current) {
+        const lead = [];
+        for (let k = index - 1; k >= 0 && lead.length < context && ops[k].op === ' '; k--) {
+          lead.unshift(ops[k]);
+        }
+        current = {
+          oldStart: oldLine - lead.length,
+          newStart: newLine - lead.length,
+          lines: lead.slice()
+        };
+        hunks.push(current);
+      }
+      current.lines.push(entry);
+      trailing = 0;
+    } else if (current) {
+      const nextChange = ops.findIndex((e, k) => k > index && e.op !== ' ');
+      if (trailing < context || (nextChange !== -1 && nextChange - index <= context)) {
+        current.lines.push(entry);
+        trailing++;
+      } else {
+        current = null;
+      }
+    }
+
+    if (entry.op !== '+') oldLine++;
+    if (entry.op !== '-') newLine++;
+  });
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const hunk of hunks) {
+    const oldCount = hunk.lines.filter(l => l.op !== '+').length;
+    const newCount = hunk.lines.filter(l => l.op !== '-').length;
+    const oldStart = oldCount === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = newCount === 0 ? hunk.newStart - 1 : hunk.newStart;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.lines.forEach(l => output.push(`${l.op}${l.line}`));
+  }
+
+  return output.join('\n') + '\n';
+}
+
+module.exports = { createUnifiedDiff, diffLines };
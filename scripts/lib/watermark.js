@@ -0,0 +1,221 @@
+/**
+ * CDC Watermark
+ *
+ * The range query filters on the change column of `cdc.mode`:
+ *
+ *   timestamp - `cdc_key` DATE/TIMESTAMP, bounded by the clock window
+ *               cdc_key > TO_TIMESTAMP(range_from) AND cdc_key <= TO_TIMESTAMP(range_to)
+ *   sequence  - `cdc_key` increasing NUMBER; reads everything after the last
+ *               delivered value, which the flow keeps in the watermark cache
+ *               cdc_key > range_from
+ *   rowscn    - ORA_ROWSCN (commit SCN, exact per row with ROWDEPENDENCIES),
+ *               bounded by the SCNs of the clock window
+ *               ORA_ROWSCN > TIMESTAMP_TO_SCN(range_from) AND ORA_ROWSCN <= TIMESTAMP_TO_SCN(range_to)
+ *               Oracle maps times to SCNs for a limited period only
+ *               (TIMESTAMP_TO_SCN raises ORA-08180 before it), so a range_from
+ *               more than SCN_MAPPING_HOURS before range_to reads from SCN 0:
+ *               after a long outage the table is read again in full and
+ *               upserted instead of failing on every trigger.
+ *
+ * The timestamp bounds are parsed the way the spec dialect does it
+ * (TO_TIMESTAMP on Oracle, CAST elsewhere; see dialect.js).
+ *
+ * A timestamp spec with `joins` filters on CDC_CHANGED_AT, the greatest
+ * cdc_key of the joined row (see join.js).
+ *
+ * `cdc.watermark: cdc_key` (default) resumes after the last change value,
+ * which skips rows that share the boundary value with an already delivered
+ * row but commit after it was read. `cdc.watermark: compound` resumes after
+ * the last delivered (cdc_key, primary_key...) tuple instead, so ties are
+ * broken by the key. Oracle has no row-value `>` comparison, so the tuple
+ * comparison is expanded:
+ *
+ *   (cdc_key > :from OR (cdc_key = :from AND (k1 > :k1 OR (k1 = :k1 AND k2 > :k2))))
+ *
+ * The bounds are prepared-statement parameters (`?`), never text spliced
+ * into the SQL. rangeParameters() lists the attribute bound to each `?` in
+ * order, which the flow passes as `sql.args.N.type` / `sql.args.N.value`;
+ * the key part of a compound watermark is bound from `range_from_<COLUMN>`.
+ * Column names are written through quoteIdentifier() (see dialect.js).
+ */
+
+const { keyColumns, valueKind } = require('./document-id');
+const { CHANGED_AT, usesSourceView } = require('./join');
+const { dialectOf, quoteIdentifier } = require('./dialect');
+
+const ROWSCN = 'ORA_ROWSCN';
+
+// Oracle keeps the SCN of a time for at least 120 hours; a day less leaves
+// room for the commit_lag between range_to and the database clock
+const SCN_MAPPING_HOURS = 96;
+
+// java.sql.Types codes of the bound values
+const JDBC_TYPES = {
+  NUMERIC: 2,
+  VARCHAR: 12
+};
+
+/**
+ * CDC mode of a spec
+ * @returns {'timestamp'|'sequence'|'rowscn'}
+ */
+function cdcMode(spec) {
+  return spec.cdc.mode;
+}
+
+/**
+ * Whether the range follows the clock (timestamp and rowscn) rather than data
+ */
+function usesClockWindow(spec) {
+  return cdcMode(spec) !== 'sequence';
+}
+
+/**
+ * Column or pseudo-column the range filters on
+ */
+function changeColumn(spec) {
+  if (cdcMode(spec) === 'rowscn') return ROWSCN;
+  return usesSourceView(spec) ? CHANGED_AT : spec.table.cdc_key;
+}
+
+/**
+ * Whether a spec resumes after the last delivered (cdc_key, primary_key) row
+ */
+function isCompoundWatermark(spec) {
+  return spec.cdc.watermark === 'compound';
+}
+
+/**
+ * Columns the watermark tracks, most significant first
+ * @returns {string[]}
+ */
+function watermarkColumns(spec) {
+  return isCompoundWatermark(spec)
+    ? [changeColumn(spec), ...keyColumns(spec)]
+    : [changeColumn(spec)];
+}
+
+/**
+ * Attribute holding the lower bound of a watermark column
+ */
+function rangeFromAttribute(spec, column) {
+  return column === changeColumn(spec) ? 'range_from' : `range_from_${column}`;
+}
+
+/**
+ * Whether a watermark column is bound as a timestamp
+ */
+function isTemporalWatermark(spec, column) {
+  if (column === changeColumn(spec)) return usesClockWindow(spec);
+  const declared = spec.columns.find(({ name }) => name === column);
+  return Boolean(declared) && valueKind(declared.type) === 'temporal';
+}
+
+/**
+ * Lower and upper bound expressions of the change column
+ *
+ * @returns {{from: {sql: string, parameters: string[]}, to: {sql: string, parameters: string[]}|null}}
+ *   parameters are the attributes bound to the `?` of each expression, in order
+ */
+function rangeBounds(spec) {
+  const timestamp = dialectOf(spec).parseTimestamp('?');
+  switch (cdcMode(spec)) {
+    case 'sequence':
+      return { from: { sql: '?', parameters: ['range_from'] }, to: null };
+    case 'rowscn':
+      return {
+        from: {
+          sql: `CASE WHEN ${timestamp} > ${timestamp} - INTERVAL '${SCN_MAPPING_HOURS}' HOUR`
+            + ` THEN TIMESTAMP_TO_SCN(${timestamp}) ELSE 0 END`,
+          parameters: ['range_from', 'range_to', 'range_from']
+        },
+        to: { sql: `TIMESTAMP_TO_SCN(${timestamp})`, parameters: ['range_to'] }
+      };
+    default:
+      return {
+        from: { sql: timestamp, parameters: ['range_from'] },
+        to: { sql: timestamp, parameters: ['range_to'] }
+      };
+  }
+}
+
+/**
+ * Expanded lexicographic `(columns) > (bounds)` comparison
+ *
+ * @param {Array<{column: string, bound: {sql: string, parameters: string[]}}>} bounds - Most significant first
+ * @returns {{sql: string, parameters: string[]}}
+ */
+function tupleAfter([{ column, bound }, ...rest]) {
+  if (rest.length === 0) {
+    return { sql: `${column} > ${bound.sql}`, parameters: bound.parameters };
+  }
+  const after = tupleAfter(rest);
+  return {
+    sql: `(${column} > ${bound.sql} OR (${column} = ${bound.sql} AND ${after.sql}))`,
+    parameters: [...bound.parameters, ...bound.parameters, ...after.parameters]
+  };
+}
+
+/**
+ * Range condition of the query
+ * @returns {{sql: string, parameters: string[]}} parameters as in rangeBounds()
+ */
+function rangeCondition(spec) {
+  const dialect = dialectOf(spec);
+  const { from, to } = rangeBounds(spec);
+  const bounds = watermarkColumns(spec).map((column, index) => ({
+    column: quoteIdentifier(column, dialect),
+    bound: index === 0 ? from : {
+      sql: isTemporalWatermark(spec, column) ? dialect.parseTimestamp('?') : '?',
+      parameters: [rangeFromAttribute(spec, column)]
+    }
+  }));
+  const lower = tupleAfter(bounds);
+  return to
+    ? { sql: `${lower.sql} AND ${bounds[0].column} <= ${to.sql}`, parameters: [...lower.parameters, ...to.parameters] }
+    : lower;
+}
+
+/**
+ * Attributes bound to the `?` parameters of the range clause, in order
+ *
+ * The expanded tuple comparison repeats a bound for every column after it,
+ * so a compound watermark binds range_from more than once.
+ *
+ * @returns {Array<{attribute: string, type: number}>} type is a java.sql.Types code
+ */
+function rangeParameters(spec) {
+  // Key bounds are text: the first trigger has none, and Oracle reads '' as NULL
+  const numeric = attribute => attribute === 'range_from' && cdcMode(spec) === 'sequence';
+  return rangeCondition(spec).parameters.map(attribute => ({
+    attribute,
+    type: numeric(attribute) ? JDBC_TYPES.NUMERIC : JDBC_TYPES.VARCHAR
+  }));
+}
+
+/**
+ * WHERE / ORDER BY clause of the range query
+ *
+ * @param {object} spec - Validated table spec
+ * @param {string|null} [condition] - Extra condition ANDed after the range (row filter)
+ * @returns {string}
+ */
+function rangeClause(spec, condition = null) {
+  const columns = watermarkColumns(spec).map(column => quoteIdentifier(column, dialectOf(spec)));
+  const filter = condition ? ` AND (${condition})` : '';
+
+  return `WHERE ${rangeCondition(spec).sql}${filter} ORDER BY ${columns.join(', ')}`;
+}
+
+module.exports = {
+  ROWSCN,
+  cdcMode,
+  usesClockWindow,
+  changeColumn,
+  isCompoundWatermark,
+  watermarkColumns,
+  rangeFromAttribute,
+  isTemporalWatermark,
+  rangeParameters,
+  rangeClause
+};
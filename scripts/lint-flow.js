@@ -0,0 +1,416 @@
+#!/usr/bin/env node
+
+/**
+ * Flow JSON Linter
+ *
+ * Usage:
+ *   node scripts/lint-flow.js [--flow <path>] [--output <file>]
+ *
+ * Checks every flows/*.json (or the single --flow file) against the rule
+ * catalog below: connection endpoints, relationship routing, controller
+ * service references, processor input requirements, plaintext passwords,
+ * Expression Language syntax and trigger scheduling. Findings are printed as JSON; the exit code is 1 when
+ * any error-level finding is reported. Warnings (a trigger schedule that
+ * drifts from its range) are printed but do not fail the run.
+ *
+ * Each rule is `{severity, description, check(index, report)}`; lintFlow()
+ * runs any such catalog, so callers can add rules or run a subset.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expressionErrors } = require('./lib/expression-language');
+const { inputRequirementError } = require('./lib/input-requirement');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_FLOWS_DIR = path.join(ROOT_DIR, 'flows');
+
+const GENERATE_FLOWFILE_TYPE = 'org.apache.nifi.processors.standard.GenerateFlowFile';
+
+/**
+ * Relationships of the processor types the flow uses
+ *
+ * UpdateAttribute only has `set state fail` while it stores state.
+ */
+const RELATIONSHIPS = {
+  [GENERATE_FLOWFILE_TYPE]: () => ['success'],
+  'org.apache.nifi.processors.attributes.UpdateAttribute': processor =>
+    (processor.properties['Store State'] === 'Store state locally' ? ['success', 'set state fail'] : ['success']),
+  'org.apache.nifi.processors.standard.LookupAttribute': () => ['matched', 'unmatched', 'failure'],
+  'org.apache.nifi.processors.standard.FetchDistributedMapCache': () => ['success', 'failure', 'not-found'],
+  'org.apache.nifi.processors.standard.QueryDatabaseTableRecord': () => ['success'],
+  'org.apache.nifi.processors.standard.ExecuteSQLRecord': () => ['success', 'failure'],
+  'org.apache.nifi.processors.standard.UpdateRecord': () => ['success', 'failure'],
+  'org.apache.nifi.processors.jolt.record.JoltTransformRecord': () => ['success', 'failure', 'original'],
+  'org.apache.nifi.processors.elasticsearch.PutElasticsearchRecord': () => ['success', 'failure', 'retry', 'errors'],
+  'org.apache.nifi.processors.standard.EvaluateJsonPath': () => ['matched', 'unmatched', 'failure'],
+  'org.apache.nifi.processors.standard.ReplaceText': () => ['success', 'failure'],
+  'org.apache.nifi.processors.standard.PutDistributedMapCache': () => ['success', 'failure']
+};
+
+// Properties whose value is the identifier of a controller service
+const SERVICE_PROPERTIES = [
+  'Database Connection Pooling Service',
+  'Lookup Service',
+  'Distributed Cache Service',
+  'Client Service',
+  'Record Reader',
+  'Record Writer',
+  'esqlrecord-record-writer',
+  'record-reader',
+  'record-writer',
+  'jolt-record-record-reader',
+  'jolt-record-record-writer'
+];
+
+// A password may only come from a parameter or variable reference
+const PASSWORD_PROPERTY = /password/i;
+const PASSWORD_REFERENCE = /^(\$\{[^{}]+\}|#\{[^{}]+\})$/;
+
+// NiFi time period units, in ms
+const TIME_UNITS = {
+  ms: 1, millis: 1, milliseconds: 1,
+  s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+  m: 60000, min: 60000, mins: 60000, minute: 60000, minutes: 60000,
+  h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000,
+  d: 86400000, day: 86400000, days: 86400000
+};
+
+/**
+ * Convert a NiFi time period (e.g. "5 min", "300 sec") to ms
+ *
+ * @returns {number|null} null if the text is not a time period
+ */
+function parseTimePeriod(text) {
+  const match = /^\s*(\d+)\s*([A-Za-z]+)\s*$/.exec(text || '');
+  if (!match || !TIME_UNITS[match[2].toLowerCase()]) return null;
+  return Number(match[1]) * TIME_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Index the components of a flow for the rules
+ *
+ * Every process group is listed with its ancestors (outermost first), since
+ * a group sees the controller services of the groups around it.
+ */
+function indexFlow(flow) {
+  const groups = [];
+  const walk = (group, ancestors) => {
+    groups.push({ group, ancestors });
+    (group.processGroups || []).forEach(child => walk(child, [...ancestors, group]));
+  };
+  walk(flow.flowContents, []);
+
+  const inGroups = key => groups.flatMap(({ group, ancestors }) =>
+    (group[key] || []).map(component => ({ component, group, ancestors })));
+
+  return {
+    groups,
+    processors: inGroups('processors'),
+    services: inGroups('controllerServices'),
+    connections: inGroups('connections')
+  };
+}
+
+/**
+ * Components a connection endpoint can point at, keyed by group identifier
+ */
+function endpointsByGroup(index) {
+  const byGroup = new Map();
+  const add = (groupId, components, type) => {
+    if (!byGroup.has(groupId)) byGroup.set(groupId, new Map());
+    (components || []).forEach(component => byGroup.get(groupId).set(component.identifier, type));
+  };
+
+  index.groups.forEach(({ group }) => {
+    add(group.identifier, group.processors, 'PROCESSOR');
+    add(group.identifier, group.inputPorts, 'INPUT_PORT');
+    add(group.identifier, group.outputPorts, 'OUTPUT_PORT');
+    add(group.identifier, group.funnels, 'FUNNEL');
+    (group.remoteProcessGroups || []).forEach(remote => {
+      add(remote.identifier, remote.inputPorts, 'REMOTE_INPUT_PORT');
+      add(remote.identifier, remote.outputPorts, 'REMOTE_OUTPUT_PORT');
+    });
+  });
+  return byGroup;
+}
+
+/**
+ * Connections must join components that exist, in the connection's group or
+ * a group directly inside it
+ */
+function checkConnectionEndpoints(index, report) {
+  const byGroup = endpointsByGroup(index);
+
+  index.connections.forEach(({ component: connection, group }) => {
+    const children = new Set((group.processGroups || []).map(child => child.identifier));
+    (group.remoteProcessGroups || []).forEach(remote => children.add(remote.identifier));
+
+    ['source', 'destination'].forEach(end => {
+      const endpoint = connection[end] || {};
+      const components = byGroup.get(endpoint.groupId);
+      if (!components) {
+        report(connection.identifier, `${end} group "${endpoint.groupId}" does not exist`);
+      } else if (!components.has(endpoint.id)) {
+        report(connection.identifier, `${end} "${endpoint.id}" does not exist in group "${endpoint.groupId}"`);
+      } else if (endpoint.type && components.get(endpoint.id) !== endpoint.type) {
+        report(connection.identifier, `${end} "${endpoint.id}" is a ${components.get(endpoint.id)}, not a ${endpoint.type}`);
+      } else if (endpoint.groupId !== group.identifier && !children.has(endpoint.groupId)) {
+        report(connection.identifier, `${end} group "${endpoint.groupId}" is neither the connection's group nor inside it`);
+      }
+    });
+  });
+}
+
+/**
+ * Every relationship of a known processor type must be connected or auto-terminated
+ */
+function checkRelationshipsRouted(index, report) {
+  const routed = new Map();
+  index.connections.forEach(({ component: connection }) => {
+    const source = connection.source || {};
+    if (!routed.has(source.id)) routed.set(source.id, new Set());
+    (connection.selectedRelationships || []).forEach(name => routed.get(source.id).add(name));
+  });
+
+  index.processors.forEach(({ component: processor }) => {
+    const relationships = RELATIONSHIPS[processor.type];
+    if (!relationships) return;
+
+    const known = relationships(processor);
+    const terminated = processor.autoTerminatedRelationships || [];
+    const connected = routed.get(processor.identifier) || new Set();
+
+    known
+      .filter(name => !connected.has(name) && !terminated.includes(name))
+      .forEach(name => report(processor.identifier, `relationship "${name}" is neither connected nor auto-terminated`));
+    [...terminated, ...connected]
+      .filter(name => !known.includes(name))
+      .forEach(name => report(processor.identifier, `routes unknown relationship "${name}"`));
+  });
+}
+
+/**
+ * Processors must have incoming connections exactly when their type takes input
+ */
+function checkInputRequirements(index, report) {
+  const destinations = new Set(index.connections.map(({ component: connection }) => (connection.destination || {}).id));
+
+  index.processors.forEach(({ component: processor }) => {
+    const error = inputRequirementError(processor, destinations.has(processor.identifier));
+    if (error) report(processor.identifier, error);
+  });
+}
+
+/**
+ * Controller service references must name a service of the component's
+ * group or one of its ancestors
+ */
+function checkServiceReferences(index, report) {
+  [...index.processors, ...index.services].forEach(({ component, group, ancestors }) => {
+    const visible = new Set([...ancestors, group]
+      .flatMap(g => (g.controllerServices || []).map(service => service.identifier)));
+
+    SERVICE_PROPERTIES
+      .filter(name => (component.properties || {})[name])
+      .filter(name => !visible.has(component.properties[name]))
+      .forEach(name => report(
+        component.identifier,
+        `property "${name}" references controller service "${component.properties[name]}", which is not in scope`
+      ));
+  });
+}
+
+/**
+ * Password properties must not hold a literal value
+ */
+function checkPlaintextPasswords(index, report) {
+  [...index.processors, ...index.services].forEach(({ component }) => {
+    Object.entries(component.properties || {})
+      .filter(([name, value]) => PASSWORD_PROPERTY.test(name) && value && !PASSWORD_REFERENCE.test(value))
+      .forEach(([name]) => report(
+        component.identifier,
+        `property "${name}" holds a plaintext value; reference a parameter (#{...}) or variable (\${...}) instead`
+      ));
+  });
+}
+
+/**
+ * Every property must parse as Expression Language
+ */
+function checkExpressionSyntax(index, report) {
+  [...index.processors, ...index.services].forEach(({ component }) => {
+    expressionErrors(component.properties)
+      .forEach(({ property, message }) => report(component.identifier, `property "${property}": ${message}`));
+  });
+}
+
+/**
+ * A group's GenerateFlowFile must run every range of the sql_id its flowfiles look up
+ */
+function checkSchedulingRange(index, report) {
+  index.groups.forEach(({ group }) => {
+    const processors = group.processors || [];
+    const sqlIds = processors
+      .map(processor => (processor.properties || {}).sql_id)
+      .filter(sqlId => sqlId && !sqlId.includes('${'));
+    const triggers = processors.filter(processor => processor.type === GENERATE_FLOWFILE_TYPE);
+
+    sqlIds.forEach(sqlId => {
+      const match = /\.(\d+)m$/.exec(sqlId);
+      if (!match) {
+        triggers.forEach(trigger => report(trigger.identifier, `sql_id "${sqlId}" does not end in a <minutes>m range`));
+        return;
+      }
+      triggers.forEach(trigger => {
+        if (trigger.schedulingStrategy && trigger.schedulingStrategy !== 'TIMER_DRIVEN') {
+          report(trigger.identifier, `schedulingStrategy ${trigger.schedulingStrategy} cannot follow the ${match[1]}m range of sql_id ${sqlId}`);
+          return;
+        }
+        const period = parseTimePeriod(trigger.schedulingPeriod);
+        if (period === null) {
+          report(trigger.identifier, `schedulingPeriod "${trigger.schedulingPeriod}" is not a time period`);
+        } else if (period !== Number(match[1]) * TIME_UNITS.m) {
+          report(trigger.identifier, `schedulingPeriod "${trigger.schedulingPeriod}" does not match the ${match[1]}m range of sql_id ${sqlId}`);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Rule catalog
+ */
+const RULES = {
+  'connection-endpoints': {
+    severity: 'error',
+    description: 'Connections must point at existing components of their group or a group directly inside it',
+    check: checkConnectionEndpoints
+  },
+  'relationships-routed': {
+    severity: 'error',
+    description: 'Every processor relationship, including failure and retry, must be connected or auto-terminated',
+    check: checkRelationshipsRouted
+  },
+  'input-requirement': {
+    severity: 'error',
+    description: 'Source processors must have no incoming connection and the others must have one',
+    check: checkInputRequirements
+  },
+  'service-references': {
+    severity: 'error',
+    description: 'Controller service references must resolve to a service of the component group or its ancestors',
+    check: checkServiceReferences
+  },
+  'no-plaintext-password': {
+    severity: 'error',
+    description: 'Password properties must reference a parameter or variable instead of holding a literal value',
+    check: checkPlaintextPasswords
+  },
+  'expression-syntax': {
+    severity: 'error',
+    description: 'Processor and controller service properties must parse as NiFi Expression Language',
+    check: checkExpressionSyntax
+  },
+  'scheduling-range': {
+    severity: 'warning',
+    description: 'GenerateFlowFile should be timer driven every range of the sql_id looked up in its group',
+    check: checkSchedulingRange
+  }
+};
+
+/**
+ * Lint a flow
+ *
+ * @param {object} flow - Parsed flow JSON
+ * @param {object} [options]
+ * @param {object} [options.rules] - Rule catalog to run (default RULES)
+ * @returns {Array<{ruleId: string, severity: string, component: string, message: string}>}
+ */
+function lintFlow(flow, { rules = RULES } = {}) {
+  const index = indexFlow(flow);
+  const findings = [];
+
+  for (const [ruleId, rule] of Object.entries(rules)) {
+    rule.check(index, (component, message) => {
+      findings.push({ ruleId, severity: rule.severity, component, message });
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Parse CLI arguments
+ */
+function parseArgs(argv) {
+  const options = {
+    flow: null,
+    output: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const key = arg.replace(/^--/, '');
+    if (!arg.startsWith('--') || !(key in options)) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!argv[i + 1]) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+    options[key] = argv[++i];
+  }
+
+  return options;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(2);
+  }
+
+  const flowPaths = options.flow
+    ? [options.flow]
+    : fs.readdirSync(DEFAULT_FLOWS_DIR).filter(f => f.endsWith('.json')).sort()
+      .map(f => path.join(DEFAULT_FLOWS_DIR, f));
+
+  const relative = file => path.relative(process.cwd(), file) || file;
+  const findings = flowPaths.flatMap(flowPath => {
+    const flow = JSON.parse(fs.readFileSync(flowPath, 'utf8'));
+    return lintFlow(flow).map(finding => ({ ...finding, file: relative(flowPath) }));
+  });
+
+  const errorCount = findings.filter(f => f.severity === 'error').length;
+  const output = {
+    flows: flowPaths.map(relative),
+    errors: errorCount,
+    warnings: findings.filter(f => f.severity === 'warning').length,
+    findings
+  };
+
+  const text = JSON.stringify(output, null, 2) + '\n';
+  if (options.output) {
+    fs.writeFileSync(options.output, text);
+  } else {
+    process.stdout.write(text);
+  }
+
+  process.exit(errorCount > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  RULES,
+  lintFlow,
+  parseTimePeriod
+};
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * nificdc command line
+ *
+ * Usage:
+ *   nificdc <command> [arguments]
+ *
+ * Runs the script of a command with the remaining arguments and exits with
+ * its exit code; `npm run <script>` runs the same scripts.
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const COMMANDS = {
+  'generate': { script: 'generate-from-spec.js', description: 'Generate artifacts from table specs' },
+  'lint-sql': { script: 'validate-sql-registry.js', description: 'Lint the SQL Registry' },
+  'lint-flow': { script: 'lint-flow.js', description: 'Lint flows/*.json' },
+  'flow-diff': { script: 'flow-diff.js', description: 'Compare two flow snapshots component by component' },
+  'audit-transforms': { script: 'audit-transforms.js', description: 'List PII transform columns' },
+  'es-apply': { script: 'apply-es-templates.js', description: 'Apply Elasticsearch index templates' }
+};
+
+/**
+ * Usage text listing every command
+ */
+function usage() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  const lines = Object.entries(COMMANDS)
+    .map(([name, { description }]) => `  ${name.padEnd(width)}  ${description}`);
+  return `Usage: nificdc <command> [arguments]\n\nCommands:\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const [name, ...args] = process.argv.slice(2);
+  if (!name || name === '--help') {
+    process.stdout.write(usage());
+    process.exit(name ? 0 : 2);
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Error: Unknown command: ${name}\n`);
+    process.stderr.write(usage());
+    process.exit(2);
+  }
+
+  const result = spawnSync(process.execPath, [path.join(__dirname, command.script), ...args], { stdio: 'inherit' });
+  if (result.error) {
+    console.error(`Error: ${result.error.message}`);
+    process.exit(2);
+  }
+  process.exit(result.status === null ? 1 : result.status);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  COMMANDS
+};
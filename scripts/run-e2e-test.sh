@@ -125,7 +125,11 @@ if [ "$SKIP_SETUP" != "true" ]; then
         echo_warn "Oracle may not be fully ready, continuing anyway..."
     fi
 
-    # 6. NiFi 설정
+    # 6. ES index template 적용 (flow 시작 전에 mapping 고정)
+    echo_step "Applying Elasticsearch index templates..."
+    node "${SCRIPT_DIR}/apply-es-templates.js" || echo_warn "Index template apply had issues, tests may fail"
+
+    # 7. NiFi 설정
     echo_step "Setting up NiFi..."
     "${SCRIPT_DIR}/setup-nifi.sh" setup || echo_warn "NiFi setup had issues, tests may fail"
 
@@ -133,7 +137,7 @@ else
     echo_step "Skipping Docker setup (SKIP_SETUP=true)"
 fi
 
-# 7. 테스트 실행
+# 8. 테스트 실행
 echo_step "Running E2E tests..."
 cd "$PROJECT_ROOT"
 
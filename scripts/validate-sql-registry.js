@@ -0,0 +1,585 @@
+#!/usr/bin/env node
+
+/**
+ * SQL Registry Linter
+ *
+ * Usage:
+ *   node scripts/validate-sql-registry.js [--format json|sarif] [--output <file>]
+ *                                         [--registry <path>] [--flow <path>] [--specs <dir>]
+ *
+ * Checks every sql-registry/<dialect>.json (or the single --registry file,
+ * whose dialect is its base name) against the CDC SQL rules, the table specs
+ * of that dialect and the SQL Lookup Service in flows/oracle_cdc_flow.json.
+ * Findings are printed as JSON (default) or SARIF 2.1.0; the exit code is 1
+ * when any error-level finding is reported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SpecValidationError, loadValidatedSpec } = require('./lib/spec-validator');
+const { isCompositeKey } = require('./lib/document-id');
+const { cdcMode, changeColumn, isCompoundWatermark, watermarkColumns, rangeParameters } = require('./lib/watermark');
+const { windowMetadata } = require('./lib/range-window');
+const { vetFilterSql, filterCondition } = require('./lib/row-filter');
+const { fieldName, isRenamed, projectedColumns, columnTransform } = require('./lib/projection');
+const { transformedColumns, transformExpression } = require('./lib/column-transform');
+const { usesSourceView, joinedColumns, childColumns, fromClause } = require('./lib/join');
+const { DEFAULT_DIALECT, DIALECTS, dialectName, specSqlId, sqlIdDialect } = require('./lib/dialect');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_REGISTRY_DIR = path.join(ROOT_DIR, 'sql-registry');
+const DEFAULT_FLOW_PATH = path.join(ROOT_DIR, 'flows/oracle_cdc_flow.json');
+const DEFAULT_SPECS_DIR = path.join(ROOT_DIR, 'specs');
+
+const SQL_ID_PATTERN = new RegExp(`^(${Object.keys(DIALECTS).join('|')})\\.cdc\\.[a-z0-9_]+\\.[0-9]+m$`);
+const REQUIRED_FIELDS = ['sql', 'parameters', 'table', 'range', 'max_value_column'];
+
+/**
+ * Rule catalog
+ */
+const RULES = {
+  'sql-id-format': {
+    severity: 'error',
+    description: 'sql_id must follow <dialect>.cdc.<table>.<range> and agree with the registry dialect and the entry table/range'
+  },
+  'required-fields': {
+    severity: 'error',
+    description: 'Entries must define sql, parameters, table, range and max_value_column'
+  },
+  'order-by-max-value-column': {
+    severity: 'error',
+    description: 'SQL must ORDER BY the max_value_column, or the watermark_columns of a compound watermark'
+  },
+  'range-parameters': {
+    severity: 'error',
+    description: 'SQL must bind the range as ? parameters, one per entry parameter, never as ${...} text: range_from and range_to (only range_from in sequence mode), plus range_from_<COLUMN> for each compound watermark key'
+  },
+  'filter-contract': {
+    severity: 'error',
+    description: 'A row filter must be ANDed between the range condition and ORDER BY and must not escape the range'
+  },
+  'spec-invalid': {
+    severity: 'error',
+    description: 'Spec files must pass schema validation'
+  },
+  'spec-match': {
+    severity: 'error',
+    description: 'Entries must match the dialect, table, schema, cdc mode, change column, watermark, range parameters, window settings, filter, joins, children and range options of their spec'
+  },
+  'spec-columns-selected': {
+    severity: 'error',
+    description: 'Every projected spec column (under its es_name, plus a composite document id, joined columns and child arrays) and no excluded column must appear in the SELECT list'
+  },
+  'transform-applied': {
+    severity: 'error',
+    description: 'Columns with a spec transform must be selected through the transform, never in clear text'
+  },
+  'lookup-service-sync': {
+    severity: 'error',
+    description: 'Every entry must have an identical property in the SQL Lookup Service'
+  }
+};
+
+/**
+ * Split a comma-separated SQL list at top level (ignores commas in parens/quotes)
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '\'' || ch === '"' || ch === '`') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Regex source matching a column name, bare or quoted
+ */
+function columnPattern(name) {
+  const escaped = name.replace(/[$]/g, '\\$');
+  return `(?:${escaped}|"${escaped}"|\`${escaped}\`|\\[${escaped}\\])`;
+}
+
+/**
+ * Count the `?` parameters of a SQL statement (ignores quoted text)
+ */
+function countParameters(sql) {
+  let count = 0;
+  let quote = null;
+  for (const ch of sql) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '\'' || ch === '"' || ch === '`') {
+      quote = ch;
+    } else if (ch === '?') {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Extract the items of a SELECT statement
+ *
+ * Unquoted names are case-folded the way the dialect stores them (upper
+ * case on Oracle); quoted names ("name", or `name` in MySQL) keep their case.
+ *
+ * @param {string} sql
+ * @param {string} [dialect] - Dialect of the SQL (default oracle)
+ * @returns {Array<{expression: string, name: string}>|null} Items, null if unparseable
+ */
+function extractSelectItems(sql, dialect = DEFAULT_DIALECT) {
+  const match = sql.match(/^\s*SELECT\s+([\s\S]+?)\s+FROM\s/i);
+  if (!match) return null;
+
+  const { fold } = DIALECTS[dialect];
+  return splitTopLevel(match[1]).map(item => {
+    const quoted = item.match(/^([\s\S]+?)\s+AS\s+(["`])([A-Za-z0-9_$#]+)\2\s*$/i);
+    if (quoted) return { expression: quoted[1], name: quoted[3] };
+    const alias = item.match(/^([\s\S]+?)\s+AS\s+([A-Za-z0-9_$#]+)\s*$/i);
+    if (alias) return { expression: alias[1], name: fold(alias[2]) };
+    const quotedIdent = item.match(/(["`])([A-Za-z0-9_$#]+)\1\s*$/);
+    if (quotedIdent) return { expression: item, name: quotedIdent[2] };
+    const ident = item.match(/([A-Za-z0-9_$#*]+)\s*$/);
+    return { expression: item, name: fold(ident ? ident[1] : item) };
+  });
+}
+
+/**
+ * Extract the output column names of a SELECT statement
+ *
+ * @param {string} sql
+ * @param {string} [dialect] - Dialect of the SQL (default oracle)
+ * @returns {string[]|null} Column names, ['*'] for SELECT *, null if unparseable
+ */
+function extractSelectColumns(sql, dialect = DEFAULT_DIALECT) {
+  const items = extractSelectItems(sql, dialect);
+  return items && items.map(item => item.name);
+}
+
+/**
+ * Load every spec in a directory, keyed by lower-case table name
+ */
+function loadSpecs(specsDir) {
+  const specs = {};
+  const errors = [];
+  const files = fs.readdirSync(specsDir).filter(f => f.endsWith('.yaml'));
+
+  for (const file of files) {
+    try {
+      const spec = loadValidatedSpec(path.join(specsDir, file));
+      specs[spec.table.name.toLowerCase()] = { file: path.join(specsDir, file), spec };
+    } catch (e) {
+      if (!(e instanceof SpecValidationError)) throw e;
+      errors.push(...e.errors);
+    }
+  }
+
+  return { specs, errors };
+}
+
+/**
+ * Find the SQL Lookup Service properties in a flow
+ */
+function getLookupProperties(flow) {
+  if (!flow) return null;
+  const service = flow.flowContents.controllerServices.find(
+    s => s.identifier === 'sql-lookup-service'
+  );
+  return service ? service.properties : null;
+}
+
+/**
+ * Lint a SQL registry
+ *
+ * @param {object} context
+ * @param {object} context.registry - Parsed sql-registry JSON
+ * @param {string} [context.dialect] - Dialect of the registry file (default oracle)
+ * @param {object} [context.flow] - Parsed flow JSON
+ * @param {object} [context.specs] - Specs keyed by lower-case table name ({ file, spec });
+ *   spec rules are skipped when omitted
+ * @param {Array} [context.specErrors] - Spec validation errors
+ * @returns {Array<{ruleId: string, severity: string, sqlId: string|null, file: string, message: string}>}
+ */
+function lintSqlRegistry({ registry, dialect = DEFAULT_DIALECT, flow = null, specs = null, specErrors = [] }) {
+  const findings = [];
+  const report = (ruleId, sqlId, message, file = 'registry') => {
+    findings.push({ ruleId, severity: RULES[ruleId].severity, sqlId, file, message });
+  };
+
+  const invalidSpecTables = new Set(specErrors.map(error => path.basename(error.file, '.yaml').toLowerCase()));
+  for (const error of specErrors) {
+    const location = error.line ? `${error.file}:${error.line}` : error.file;
+    const where = error.path ? `${location} ${error.path}` : location;
+    report('spec-invalid', null, `${where}: ${error.message}`, 'spec');
+  }
+
+  const lookupProperties = getLookupProperties(flow);
+  if (flow && !lookupProperties) {
+    report('lookup-service-sync', null, 'SQL Lookup Service (sql-lookup-service) not found in flow', 'flow');
+  }
+
+  for (const [sqlId, entry] of Object.entries(registry)) {
+    const missing = REQUIRED_FIELDS.filter(field => !entry[field]);
+    missing.forEach(field => report('required-fields', sqlId, `missing "${field}"`));
+
+    if (!SQL_ID_PATTERN.test(sqlId)) {
+      report('sql-id-format', sqlId, `"${sqlId}" does not match ${SQL_ID_PATTERN}`);
+    } else {
+      const [, , tableFromId, rangeFromId] = sqlId.split('.');
+      if (sqlIdDialect(sqlId) !== dialect) {
+        report('sql-id-format', sqlId, `sql_id dialect "${sqlIdDialect(sqlId)}" does not match the ${dialect} registry`);
+      }
+      if (entry.table && entry.table.toLowerCase() !== tableFromId) {
+        report('sql-id-format', sqlId, `table "${entry.table}" does not match sql_id table "${tableFromId}"`);
+      }
+      if (entry.range && entry.range !== rangeFromId) {
+        report('sql-id-format', sqlId, `range "${entry.range}" does not match sql_id range "${rangeFromId}"`);
+      }
+    }
+
+    if (!entry.sql) continue;
+
+    if (entry.watermark_columns) {
+      const orderBy = new RegExp(`ORDER BY\\s+${entry.watermark_columns.map(columnPattern).join(',\\s*')}\\s*$`, 'i');
+      if (!orderBy.test(entry.sql)) {
+        report('order-by-max-value-column', sqlId, `SQL does not ORDER BY ${entry.watermark_columns.join(', ')}`);
+      }
+    } else if (entry.max_value_column) {
+      const orderBy = new RegExp(`ORDER BY\\s+${columnPattern(entry.max_value_column)}(?![\\w$#])`, 'i');
+      if (!orderBy.test(entry.sql)) {
+        report('order-by-max-value-column', sqlId, `SQL does not ORDER BY ${entry.max_value_column}`);
+      }
+    }
+
+    // Range values are bound, never substituted into the SQL text
+    const placeholder = entry.sql.match(/\$\{[^}]*\}/);
+    if (placeholder) {
+      report('range-parameters', sqlId, `SQL substitutes ${placeholder[0]} as text instead of binding a ? parameter`);
+    }
+    const parameters = Array.isArray(entry.parameters) ? entry.parameters : [];
+    const keyAttributes = (entry.watermark_columns || []).slice(1).map(column => `range_from_${column}`);
+    // A sequence range has no upper bound
+    const upperAttributes = entry.mode === 'sequence' ? [] : ['range_to'];
+    for (const attribute of ['range_from', ...keyAttributes, ...upperAttributes]) {
+      if (!parameters.includes(attribute)) {
+        report('range-parameters', sqlId, `parameters do not bind ${attribute}`);
+      }
+    }
+    if (countParameters(entry.sql) !== parameters.length) {
+      report('range-parameters', sqlId, `SQL has ${countParameters(entry.sql)} ? parameters but the entry lists ${parameters.length}`);
+    }
+
+    if (entry.filter) {
+      vetFilterSql(entry.filter, DIALECTS[dialect]).forEach(problem => report('filter-contract', sqlId, `filter ${problem}`));
+      const filterAt = entry.sql.indexOf(` AND (${entry.filter}) ORDER BY `);
+      if (filterAt === -1 || countParameters(entry.sql.slice(0, filterAt)) !== countParameters(entry.sql)) {
+        report('filter-contract', sqlId, 'SQL does not AND the filter between the range condition and ORDER BY');
+      }
+    }
+
+    if (lookupProperties) {
+      if (lookupProperties[sqlId] === undefined) {
+        report('lookup-service-sync', sqlId, 'no matching property in sql-lookup-service', 'flow');
+      } else if (lookupProperties[sqlId] !== entry.sql) {
+        report('lookup-service-sync', sqlId, 'sql-lookup-service SQL differs from registry SQL', 'flow');
+      }
+    }
+
+    if (!specs) continue;
+
+    const tableKey = entry.table ? entry.table.toLowerCase() : null;
+    const specEntry = tableKey ? specs[tableKey] : null;
+    if (!specEntry) {
+      // An invalid <table>.yaml is already reported as spec-invalid
+      if (tableKey && !invalidSpecTables.has(tableKey)) {
+        report('spec-match', sqlId, `no spec found for table "${entry.table}"`);
+      }
+      continue;
+    }
+
+    const { spec } = specEntry;
+    if (dialectName(spec) !== dialect) {
+      report('spec-match', sqlId, `spec source.dialect "${dialectName(spec)}" does not match the ${dialect} registry`);
+    }
+    if (entry.schema && entry.schema !== spec.table.schema) {
+      report('spec-match', sqlId, `schema "${entry.schema}" does not match spec schema "${spec.table.schema}"`);
+    }
+    const entryMode = entry.mode || 'timestamp';
+    if (entryMode !== cdcMode(spec)) {
+      report('spec-match', sqlId, `mode "${entryMode}" does not match spec cdc.mode "${cdcMode(spec)}"`);
+    }
+    if (entry.max_value_column && entry.max_value_column !== changeColumn(spec)) {
+      report('spec-match', sqlId, `max_value_column "${entry.max_value_column}" does not match spec change column "${changeColumn(spec)}"`);
+    }
+    const expectedWatermark = watermarkColumns(spec);
+    const actualWatermark = entry.watermark_columns || [entry.max_value_column];
+    if ((entry.watermark_columns || isCompoundWatermark(spec)) && actualWatermark.join(',') !== expectedWatermark.join(',')) {
+      report('spec-match', sqlId, `watermark columns ${actualWatermark.join(', ')} do not match spec watermark ${expectedWatermark.join(', ')}`);
+    }
+    const window = windowMetadata(spec);
+    for (const setting of ['commit_lag', 'overlap']) {
+      if (entry[setting] !== window[setting]) {
+        report('spec-match', sqlId, `${setting} "${entry[setting] || ''}" does not match spec cdc.${setting} "${window[setting] || ''}"`);
+      }
+    }
+    const expectedParameters = rangeParameters(spec).map(parameter => parameter.attribute);
+    if (entry.parameters && entry.parameters.join(',') !== expectedParameters.join(',')) {
+      report('spec-match', sqlId, `parameters ${entry.parameters.join(', ')} do not match spec range parameters ${expectedParameters.join(', ')}`);
+    }
+    const filter = filterCondition(spec);
+    if ((entry.filter || null) !== filter) {
+      report('spec-match', sqlId, `filter "${entry.filter || ''}" does not match spec filter "${filter || ''}"`);
+    }
+    if (usesSourceView(spec) && entry.sql && !entry.sql.includes(` FROM ${fromClause(spec)} WHERE `)) {
+      report('spec-match', sqlId, 'SQL does not read from the joined source of the spec joins');
+    }
+    if (entry.range && !spec.range.options.includes(entry.range)) {
+      report('spec-match', sqlId, `range "${entry.range}" is not in spec range.options`);
+    }
+
+    const selected = extractSelectColumns(entry.sql, dialect);
+    if (!selected) {
+      report('spec-columns-selected', sqlId, 'SELECT list could not be parsed');
+    } else if (!selected.includes('*')) {
+      // Renamed columns are selected under their quoted field name, others under their exact name
+      const selectedName = column => (isRenamed(column) ? fieldName(column) : column.name);
+      projectedColumns(spec)
+        .filter(column => !selected.includes(selectedName(column)))
+        .forEach(column => report('spec-columns-selected', sqlId, isRenamed(column)
+          ? `column ${column.name} is missing from the SELECT list as "${fieldName(column)}"`
+          : `column ${column.name} is missing from the SELECT list`));
+      spec.columns
+        .filter(column => column.exclude && selected.includes(column.name))
+        .forEach(column => report('spec-columns-selected', sqlId, `excluded column ${column.name} is in the SELECT list`));
+
+      const items = extractSelectItems(entry.sql, dialect);
+      transformedColumns(spec).forEach(column => {
+        const item = items.find(i => i.name === selectedName(column));
+        if (item && item.expression !== transformExpression(column)) {
+          report('transform-applied', sqlId, `column ${column.name} is selected without its ${columnTransform(column).type} transform`);
+        }
+      });
+
+      joinedColumns(spec)
+        .filter(column => !selected.includes(column.name))
+        .forEach(column => report('spec-columns-selected', sqlId, `joined column ${column.name} is missing from the SELECT list`));
+      childColumns(spec)
+        .filter(column => !selected.includes(column.name))
+        .forEach(column => report('spec-columns-selected', sqlId, `child array ${column.name} is missing from the SELECT list`));
+
+      const idField = spec.elasticsearch.id_field;
+      if (isCompositeKey(spec) && !selected.includes(idField)) {
+        report('spec-columns-selected', sqlId, `composite document id ${idField} is missing from the SELECT list`);
+      }
+    }
+  }
+
+  // Every range option in a spec of this dialect needs a registry entry
+  for (const { spec } of Object.values(specs || {})) {
+    if (dialectName(spec) !== dialect) continue;
+    for (const rangeOption of spec.range.options) {
+      const sqlId = specSqlId(spec, rangeOption);
+      if (!registry[sqlId]) {
+        report('spec-match', sqlId, `spec range option ${rangeOption} has no registry entry`);
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Locate the 1-based line of a sql_id key in a JSON file
+ */
+function findKeyLine(source, key) {
+  const index = source.indexOf(`"${key}"`);
+  return index === -1 ? 1 : source.slice(0, index).split('\n').length;
+}
+
+/**
+ * Render findings as SARIF 2.1.0
+ *
+ * @param {Array} findings - Output of lintSqlRegistry
+ * @param {object} files - { registry: {uri, source}, flow: {uri, source}, spec: {uri} },
+ *   plus {uri, source} keyed by the file of findings located in other registries
+ */
+function toSarif(findings, files) {
+  const ruleIds = Object.keys(RULES);
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'validate-sql-registry',
+            informationUri: 'https://github.com/nineking424/nificdc',
+            rules: ruleIds.map(id => ({
+              id,
+              shortDescription: { text: RULES[id].description },
+              defaultConfiguration: { level: RULES[id].severity }
+            }))
+          }
+        },
+        results: findings.map(finding => {
+          const file = files[finding.file] || files.registry;
+          const line = finding.sqlId && file.source ? findKeyLine(file.source, finding.sqlId) : 1;
+          return {
+            ruleId: finding.ruleId,
+            ruleIndex: ruleIds.indexOf(finding.ruleId),
+            level: finding.severity,
+            message: { text: finding.sqlId ? `${finding.sqlId}: ${finding.message}` : finding.message },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: { uri: file.uri },
+                  region: { startLine: line }
+                }
+              }
+            ]
+          };
+        })
+      }
+    ]
+  };
+}
+
+/**
+ * Parse CLI arguments
+ */
+function parseArgs(argv) {
+  const options = {
+    format: 'json',
+    output: null,
+    registry: null,
+    flow: DEFAULT_FLOW_PATH,
+    specs: DEFAULT_SPECS_DIR
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const key = arg.replace(/^--/, '');
+    if (!arg.startsWith('--') || !(key in options)) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!argv[i + 1]) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+    options[key] = argv[++i];
+  }
+
+  if (!['json', 'sarif'].includes(options.format)) {
+    throw new Error(`Unsupported format: ${options.format} (expected json or sarif)`);
+  }
+
+  return options;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(2);
+  }
+
+  const registryPaths = options.registry
+    ? [options.registry]
+    : fs.readdirSync(DEFAULT_REGISTRY_DIR).filter(f => f.endsWith('.json')).sort()
+      .map(f => path.join(DEFAULT_REGISTRY_DIR, f));
+  const flowSource = fs.existsSync(options.flow) ? fs.readFileSync(options.flow, 'utf8') : null;
+  const flow = flowSource ? JSON.parse(flowSource) : null;
+  const { specs, errors: specErrors } = loadSpecs(options.specs);
+
+  const relative = file => path.relative(process.cwd(), file) || file;
+  const files = {
+    flow: { uri: relative(options.flow), source: flowSource },
+    spec: { uri: relative(options.specs) }
+  };
+  const findings = [];
+  const seen = new Set();
+  let entries = 0;
+  registryPaths.forEach(registryPath => {
+    const source = fs.readFileSync(registryPath, 'utf8');
+    const registry = JSON.parse(source);
+    const baseName = path.basename(registryPath, '.json');
+    const uri = relative(registryPath);
+    files[uri] = { uri, source };
+    entries += Object.keys(registry).length;
+
+    lintSqlRegistry({
+      registry,
+      dialect: DIALECTS[baseName] ? baseName : DEFAULT_DIALECT,
+      flow,
+      specs,
+      // Repeated spec-invalid findings of later registries are dropped below
+      specErrors
+    }).forEach(finding => {
+      const located = finding.file === 'registry' ? { ...finding, file: uri } : finding;
+      const key = JSON.stringify(located);
+      if (seen.has(key)) return;
+      seen.add(key);
+      findings.push(located);
+    });
+  });
+  // Findings without a registry of their own point at the registry directory
+  files.registry = registryPaths.length > 0
+    ? files[relative(registryPaths[0])]
+    : { uri: relative(DEFAULT_REGISTRY_DIR) };
+
+  const errorCount = findings.filter(f => f.severity === 'error').length;
+  const output = options.format === 'sarif'
+    ? toSarif(findings, files)
+    : {
+      registries: registryPaths.map(relative),
+      entries,
+      errors: errorCount,
+      findings
+    };
+
+  const text = JSON.stringify(output, null, 2) + '\n';
+  if (options.output) {
+    fs.writeFileSync(options.output, text);
+  } else {
+    process.stdout.write(text);
+  }
+
+  process.exit(errorCount > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  RULES,
+  lintSqlRegistry,
+  loadSpecs,
+  extractSelectItems,
+  extractSelectColumns,
+  toSarif
+};
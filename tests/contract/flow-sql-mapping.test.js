@@ -2,10 +2,23 @@
  * Contract Tests: SQL ↔ Flow Mapping
  *
  * SQL Registry와 NiFi Flow 간의 매핑 정합성 검증
+ * - 복합 primary_key: SQL이 projection한 id_field를 PutElasticsearchRecord가 _id로 사용
+ * - range는 ES 전달 후 watermark cache에 저장된 range_to에서 이어지고 SQL은 (range_from, range_to] 구간을 조회
+ * - ExecuteSQLRecord가 LookupAttribute가 찾은 registry SQL(lookup.sql)을 실행
+ * - es_name: SQL alias가 곧 ES field 이름, PutElasticsearchRecord의 Index / ID Record Path는 spec 값
+ * - range 값은 SQL에 ? 로 bind 되고 bind 단계가 sql.args.N.* 를 parameters 순서로 채움
+ * - flow의 모든 속성이 Expression Language로 파싱되고, range 속성의 값이 computeWindow()와 같음
  */
 
 const fs = require('fs');
 const path = require('path');
+const { generateSqlRegistryEntries } = require('../../scripts/generate-from-spec');
+const { buildTableProcessGroup } = require('../../scripts/lib/process-group');
+const { fieldName, projectedColumns } = require('../../scripts/lib/projection');
+const { extractSelectColumns } = require('../../scripts/validate-sql-registry');
+const { computeWindow } = require('../../scripts/lib/range-window');
+const { sourceOffset } = require('../../scripts/lib/dialect');
+const { evaluate, expressionErrors, formatDate } = require('../../scripts/lib/expression-language');
 
 describe('Flow-SQL Contract Tests', () => {
   let sqlRegistry;
@@ -17,13 +30,33 @@ describe('Flow-SQL Contract Tests', () => {
   });
 
   describe('SQL Registry and Flow Consistency', () => {
+    test('every spec should have a CDC process group', () => {
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        expect(global.testHelpers.getTableProcessGroup(flowJson, tableName)).toBeDefined();
+      });
+    });
+
     test('flow should reference valid sql_id from registry', () => {
-      const updateAttributeProcessor = flowJson.flowContents.processors.find(
-        p => p.identifier === 'update-attribute-init'
-      );
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        const updateAttributeProcessor = global.testHelpers.getTableProcessor(
+          flowJson, tableName, 'update-attribute-init'
+        );
 
-      const sqlId = updateAttributeProcessor.properties.sql_id;
-      expect(sqlRegistry[sqlId]).toBeDefined();
+        const sqlId = updateAttributeProcessor.properties.sql_id;
+        expect(sqlRegistry[sqlId]).toBeDefined();
+        expect(sqlRegistry[sqlId].table.toLowerCase()).toBe(tableName);
+      });
+    });
+
+    test('init attributes should come from the spec', () => {
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        const spec = global.testHelpers.loadSpec(tableName);
+        const init = global.testHelpers.getTableProcessor(flowJson, tableName, 'update-attribute-init');
+
+        expect(init.properties).toEqual({
+          sql_id: `oracle.cdc.${tableName}.${spec.range.default}`
+        });
+      });
     });
 
     test('lookup service should contain all sql_ids from registry', () => {
@@ -53,45 +86,227 @@ describe('Flow-SQL Contract Tests', () => {
         'generate-flowfile',
         'update-attribute-init',
         'lookup-attribute',
+        'fetch-distributed-map-cache',
         'update-attribute-range',
-        'query-database-table-record',
-        'put-elasticsearch-record'
+        'update-attribute-bind',
+        'execute-sql-record',
+        'put-elasticsearch-record',
+        'replace-text',
+        'put-distributed-map-cache'
       ];
 
-      const processors = flowJson.flowContents.processors;
-      expectedSequence.forEach(id => {
-        const processor = processors.find(p => p.identifier === id);
-        expect(processor).toBeDefined();
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        expectedSequence.forEach(role => {
+          const processor = global.testHelpers.getTableProcessor(flowJson, tableName, role);
+          expect(processor).toBeDefined();
+        });
       });
     });
 
     test('connections should link processors correctly', () => {
-      const connections = flowJson.flowContents.connections;
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        const group = global.testHelpers.getTableProcessGroup(flowJson, tableName);
+        const prefix = group.identifier;
+        const connections = group.connections;
+        const link = id => connections.find(c => c.identifier === `${prefix}-${id}`);
+
+        // GenerateFlowFile -> UpdateAttribute (Init)
+        const connGenToInit = link('conn-generate-to-init');
+        expect(connGenToInit.source.id).toBe(`${prefix}-generate-flowfile`);
+        expect(connGenToInit.destination.id).toBe(`${prefix}-update-attribute-init`);
+
+        // UpdateAttribute (Init) -> LookupAttribute
+        const connInitToLookup = link('conn-init-to-lookup');
+        expect(connInitToLookup.source.id).toBe(`${prefix}-update-attribute-init`);
+        expect(connInitToLookup.destination.id).toBe(`${prefix}-lookup-attribute`);
+
+        // LookupAttribute -> FetchDistributedMapCache
+        const connLookupToFetch = link('conn-lookup-to-fetch');
+        expect(connLookupToFetch.source.id).toBe(`${prefix}-lookup-attribute`);
+        expect(connLookupToFetch.destination.id).toBe(`${prefix}-fetch-distributed-map-cache`);
+
+        // FetchDistributedMapCache -> UpdateAttribute (Range)
+        const connFetchToRange = link('conn-fetch-to-range');
+        expect(connFetchToRange.source.id).toBe(`${prefix}-fetch-distributed-map-cache`);
+        expect(connFetchToRange.destination.id).toBe(`${prefix}-update-attribute-range`);
+
+        // UpdateAttribute (Range) -> UpdateAttribute (Bind)
+        const connRangeToBind = link('conn-range-to-bind');
+        expect(connRangeToBind.source.id).toBe(`${prefix}-update-attribute-range`);
+        expect(connRangeToBind.destination.id).toBe(`${prefix}-update-attribute-bind`);
+
+        // UpdateAttribute (Bind) -> ExecuteSQLRecord
+        const connBindToQuery = link('conn-bind-to-query');
+        expect(connBindToQuery.source.id).toBe(`${prefix}-update-attribute-bind`);
+        expect(connBindToQuery.destination.id).toBe(`${prefix}-execute-sql-record`);
+
+        // ExecuteSQLRecord -> PutElasticsearchRecord
+        const connQueryToEs = link('conn-query-to-es');
+        expect(connQueryToEs.source.id).toBe(`${prefix}-execute-sql-record`);
+        expect(connQueryToEs.destination.id).toBe(`${prefix}-put-elasticsearch-record`);
+
+        // PutElasticsearchRecord -> ReplaceText -> PutDistributedMapCache
+        const connEsToWatermark = link('conn-es-to-watermark');
+        expect(connEsToWatermark.selectedRelationships).toEqual(['success']);
+        expect(connEsToWatermark.destination.id).toBe(`${prefix}-replace-text`);
+        expect(link('conn-watermark-to-commit').destination.id).toBe(`${prefix}-put-distributed-map-cache`);
+      });
+    });
+
+    test('processors should reference controller services that exist', () => {
+      const serviceIds = flowJson.flowContents.controllerServices.map(s => s.identifier);
+      const references = [
+        'Lookup Service',
+        'Database Connection Pooling Service',
+        'esqlrecord-record-writer',
+        'Record Writer',
+        'Record Reader',
+        'Client Service',
+        'Distributed Cache Service'
+      ];
+
+      flowJson.flowContents.processGroups.forEach(group => {
+        group.processors.forEach(processor => {
+          references
+            .filter(name => processor.properties[name] !== undefined)
+            .forEach(name => expect(serviceIds).toContain(processor.properties[name]));
+        });
+      });
+    });
+  });
+
+  describe('Contiguous Windows', () => {
+    test('range processor should start from the committed watermark', () => {
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        const range = global.testHelpers.getTableProcessor(flowJson, tableName, 'update-attribute-range');
+        const replace = global.testHelpers.getTableProcessor(flowJson, tableName, 'replace-text');
+
+        expect(range.properties.range_from.startsWith('${cdc_watermark:replaceEmpty(')).toBe(true);
+        expect(range.properties.range_to).toMatch(/^\$\{now\(\)/);
+        expect(replace.properties['Replacement Value']).toBe('${range_to}');
+      });
+    });
+
+    test('range properties should evaluate to the windows of computeWindow()', () => {
+      const T0 = Date.UTC(2024, 0, 1, 10, 0, 0);
+      const T1 = T0 + 7 * 60 * 1000;
+
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        const spec = global.testHelpers.loadSpec(tableName);
+        // range bounds are wall clock times of the source database
+        const text = ms => formatDate(new Date(ms), 'yyyy-MM-dd HH:mm:ss.SSS', `GMT${sourceOffset(spec)}`);
+        const { properties } = global.testHelpers.getTableProcessor(flowJson, tableName, 'update-attribute-range');
+        const first = computeWindow(spec, T0);
+        const next = computeWindow(spec, T1, first.to);
+        const attributes = { cdc_watermark: text(first.to) };
+
+        expect(evaluate(properties.range_from, { clock: () => T0 })).toBe(text(first.from));
+        expect(evaluate(properties.range_to, { clock: () => T0 })).toBe(text(first.to));
+        expect(evaluate(properties.range_from, { clock: () => T1, attributes })).toBe(text(next.from));
+        expect(evaluate(properties.range_to, { clock: () => T1, attributes })).toBe(text(next.to));
+      });
+    });
 
-      // GenerateFlowFile -> UpdateAttribute (Init)
-      const connGenToInit = connections.find(c => c.identifier === 'conn-generate-to-init');
-      expect(connGenToInit.source.id).toBe('generate-flowfile');
-      expect(connGenToInit.destination.id).toBe('update-attribute-init');
+    test('registry SQL bounds should be half-open so chained windows neither gap nor overlap', () => {
+      Object.values(sqlRegistry).forEach(entry => {
+        const cdcKey = entry.max_value_column;
+        expect(entry.sql).toContain(`${cdcKey} > TO_TIMESTAMP(?, `);
+        expect(entry.sql).toContain(`${cdcKey} <= TO_TIMESTAMP(?, `);
+        expect(entry.parameters).toEqual(['range_from', 'range_to']);
+      });
+    });
+
+    test('bind processor should pass the range attributes in parameter order', () => {
+      global.testHelpers.listSpecTables().forEach(table => {
+        const bind = global.testHelpers.getTableProcessor(flowJson, table, 'update-attribute-bind');
+        const init = global.testHelpers.getTableProcessor(flowJson, table, 'update-attribute-init');
+        const { parameters } = sqlRegistry[init.properties.sql_id];
+
+        expect(bind.properties).toEqual(Object.fromEntries(parameters.flatMap((attribute, index) => [
+          [`sql.args.${index + 1}.type`, '12'],
+          [`sql.args.${index + 1}.value`, `\${${attribute}}`]
+        ])));
+      });
+    });
+  });
+
+  describe('Expression Language', () => {
+    test('every processor and controller service property should parse', () => {
+      const groups = [flowJson.flowContents, ...flowJson.flowContents.processGroups];
+      const components = groups.flatMap(group => [...group.processors, ...(group.controllerServices || [])]);
+
+      components.forEach(component => {
+        expect({ component: component.identifier, errors: expressionErrors(component.properties) })
+          .toEqual({ component: component.identifier, errors: [] });
+      });
+    });
+  });
+
+  describe('Composite Key Document ID', () => {
+    let spec;
+    let group;
+    let entries;
+
+    const byRole = role => group.processors.find(p => p.identifier === `cdc-orders-${role}`);
+
+    beforeEach(() => {
+      spec = global.testHelpers.loadSpec('orders');
+      spec.table.primary_key = ['ORDER_ID', 'PRODUCT_ID'];
+      spec.elasticsearch.id_field = 'CDC_DOC_ID';
+      group = buildTableProcessGroup(spec);
+      entries = generateSqlRegistryEntries(spec);
+    });
+
+    test('every range SQL should project elasticsearch.id_field', () => {
+      const idField = spec.elasticsearch.id_field;
 
-      // UpdateAttribute (Init) -> LookupAttribute
-      const connInitToLookup = connections.find(c => c.identifier === 'conn-init-to-lookup');
-      expect(connInitToLookup.source.id).toBe('update-attribute-init');
-      expect(connInitToLookup.destination.id).toBe('lookup-attribute');
+      Object.values(entries).forEach(entry => {
+        expect(extractSelectColumns(entry.sql)).toContain(idField);
+        expect(entry.sql).toContain(`'|' || TO_CHAR(PRODUCT_ID, 'TM9', 'NLS_NUMERIC_CHARACTERS=''.,''') AS ${idField} FROM`);
+      });
+    });
 
-      // LookupAttribute -> UpdateAttribute (Range)
-      const connLookupToRange = connections.find(c => c.identifier === 'conn-lookup-to-range');
-      expect(connLookupToRange.source.id).toBe('lookup-attribute');
-      expect(connLookupToRange.destination.id).toBe('update-attribute-range');
+    test('PutElasticsearchRecord should read _id from the projected field and not index it', () => {
+      const es = byRole('put-elasticsearch-record');
 
-      // UpdateAttribute (Range) -> QueryDatabaseTableRecord
-      const connRangeToQuery = connections.find(c => c.identifier === 'conn-range-to-query');
-      expect(connRangeToQuery.source.id).toBe('update-attribute-range');
-      expect(connRangeToQuery.destination.id).toBe('query-database-table-record');
+      expect(es.properties['ID Record Path']).toBe('/CDC_DOC_ID');
+      expect(es.properties['Retain ID (Record Path)']).toBe('false');
+      expect(es.properties['Index Operation']).toBe('upsert');
+    });
 
-      // QueryDatabaseTableRecord -> PutElasticsearchRecord
-      const connQueryToEs = connections.find(c => c.identifier === 'conn-query-to-es');
-      expect(connQueryToEs.source.id).toBe('query-database-table-record');
-      expect(connQueryToEs.destination.id).toBe('put-elasticsearch-record');
+    test('single-key specs should select only their columns', () => {
+      Object.values(sqlRegistry).forEach(entry => {
+        const tableSpec = global.testHelpers.loadSpec(entry.table.toLowerCase());
+        expect(extractSelectColumns(entry.sql)).toEqual(tableSpec.columns.map(c => c.name));
+      });
+    });
+  });
+
+  describe('Field Names', () => {
+    test('query should run the SQL LookupAttribute looked up', () => {
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        const lookup = global.testHelpers.getTableProcessor(flowJson, tableName, 'lookup-attribute');
+        const query = global.testHelpers.getTableProcessor(flowJson, tableName, 'execute-sql-record');
+
+        expect(Object.keys(lookup.properties)).toContain('lookup.sql');
+        expect(query.properties['SQL select query']).toBe('${lookup.sql}');
+      });
+    });
+
+    test('SQL aliases should already be the document fields', () => {
+      const spec = global.testHelpers.loadSpec('orders');
+      spec.columns.find(c => c.name === 'ORDER_ID').es_name = 'orderId';
+      spec.columns.find(c => c.name === 'MODIFIED_AT').es_name = 'modifiedAt';
+      spec.columns.find(c => c.name === 'STATUS').exclude = true;
+      spec.elasticsearch.id_field = 'orderId';
+      const group = buildTableProcessGroup(spec);
+
+      Object.values(generateSqlRegistryEntries(spec)).forEach(entry => {
+        expect(extractSelectColumns(entry.sql)).toEqual(projectedColumns(spec).map(fieldName));
+      });
+      expect(group.processors.map(p => p.identifier)).not.toContain('cdc-orders-jolt-transform-record');
+      expect(group.processors.find(p => p.identifier === 'cdc-orders-put-elasticsearch-record').properties['ID Record Path'])
+        .toBe('/orderId');
     });
   });
 
@@ -125,18 +340,24 @@ describe('Flow-SQL Contract Tests', () => {
   });
 
   describe('CDC Configuration', () => {
-    test('QueryDatabaseTableRecord should use Maximum-value Columns', () => {
-      const queryProcessor = flowJson.flowContents.processors.find(
-        p => p.identifier === 'query-database-table-record'
-      );
-      expect(queryProcessor.properties['Maximum-value Columns']).toBe('UPDATED_AT');
+    test('PutElasticsearchRecord should write the spec index by the spec id field', () => {
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        const spec = global.testHelpers.loadSpec(tableName);
+        const esProcessor = global.testHelpers.getTableProcessor(
+          flowJson, tableName, 'put-elasticsearch-record'
+        );
+        expect(esProcessor.properties['Index']).toBe(spec.elasticsearch.index);
+        expect(esProcessor.properties['ID Record Path']).toBe(`/${spec.elasticsearch.id_field}`);
+      });
     });
 
     test('PutElasticsearchRecord should use upsert operation', () => {
-      const esProcessor = flowJson.flowContents.processors.find(
-        p => p.identifier === 'put-elasticsearch-record'
-      );
-      expect(esProcessor.properties['Index Operation']).toBe('upsert');
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        const esProcessor = global.testHelpers.getTableProcessor(
+          flowJson, tableName, 'put-elasticsearch-record'
+        );
+        expect(esProcessor.properties['Index Operation']).toBe('upsert');
+      });
     });
   });
 });
@@ -309,7 +309,7 @@ describe('E2E Pipeline Tests', () => {
      * 검증 항목:
      * - Oracle의 MY_TABLE에 최소 3개의 초기 레코드가 존재하는지
      *
-     * 초기 데이터는 tests/fixtures/oracle-init/01_create_schema.sql에서 생성됨:
+     * 초기 데이터는 tests/fixtures/oracle-init/02_seed_data.sql에서 생성됨:
      * - ID: 1, 2, 3
      * - NAME: 'Record 1', 'Record 2', 'Record 3'
      */
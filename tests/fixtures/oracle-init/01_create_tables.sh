@@ -0,0 +1,17 @@
+#!/bin/bash
+# CDC 소스 테이블 생성
+# spec에서 생성된 DDL(oracle/ddl/*.sql)을 APP_USER로 실행
+# docker-compose가 oracle/ddl을 /opt/nificdc/ddl에 마운트함
+
+set -e
+
+DDL_DIR=/opt/nificdc/ddl
+
+for ddl in "${DDL_DIR}"/*.sql; do
+    echo "Applying ${ddl}"
+    sqlplus -s "${APP_USER}/${APP_USER_PASSWORD}@//localhost/FREEPDB1" <<SQL
+WHENEVER SQLERROR EXIT SQL.SQLCODE
+@${ddl}
+EXIT
+SQL
+done
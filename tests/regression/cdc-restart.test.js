@@ -5,10 +5,18 @@
  * - State 복구 확인
  * - 중복 데이터 방지 확인
  * - 누락 데이터 방지 확인
+ * - 복합 키 _id의 유일성과 upsert 의미 확인 (join / hash, 생성된 flow로 실행)
+ * - 같은 cdc_key 값을 가진 행이 늦게 커밋돼도 누락되지 않음 (compound watermark)
+ * - NiFi 중단 후에도 range가 이전 range_to에서 이어져 공백이 없음
+ * - ES 전달이 실패한 window는 watermark가 저장되지 않아 다음 trigger가 다시 읽음
  */
 
 const fs = require('fs');
 const path = require('path');
+const { isCompositeKey, documentId } = require('../../scripts/lib/document-id');
+const { computeWindow } = require('../../scripts/lib/range-window');
+const { createFlowSimulator } = require('../../scripts/lib/flow-simulator');
+const { generateSqlRegistryEntries, buildFlow } = require('../../scripts/generate-from-spec');
 
 describe('CDC Restart Regression Tests', () => {
   let sqlRegistry;
@@ -20,14 +28,19 @@ describe('CDC Restart Regression Tests', () => {
   });
 
   describe('State Management Configuration', () => {
-    test('QueryDatabaseTableRecord should use Maximum-value Columns for state', () => {
-      const queryProcessor = flowJson.flowContents.processors.find(
-        p => p.identifier === 'query-database-table-record'
-      );
+    test('range UpdateAttribute should start from the committed watermark', () => {
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        const rangeProcessor = global.testHelpers.getTableProcessor(
+          flowJson, tableName, 'update-attribute-range'
+        );
+        const commit = global.testHelpers.getTableProcessor(
+          flowJson, tableName, 'put-distributed-map-cache'
+        );
 
-      // Maximum-value Columns가 설정되어야 NiFi가 마지막 처리 위치를 state에 저장
-      expect(queryProcessor.properties['Maximum-value Columns']).toBeDefined();
-      expect(queryProcessor.properties['Maximum-value Columns'].length).toBeGreaterThan(0);
+        // ExecuteSQLRecord는 state가 없으므로 마지막 처리 위치는 ES 전달 후 watermark cache에 저장
+        expect(rangeProcessor.properties.range_from).toContain('cdc_watermark');
+        expect(commit.properties['Cache Entry Identifier']).toBe(`cdc.${tableName}.watermark`);
+      });
     });
 
     test('max_value_column should match spec cdc_key for each table', () => {
@@ -55,29 +68,249 @@ describe('CDC Restart Regression Tests', () => {
 
   describe('Duplicate Prevention', () => {
     test('PutElasticsearchRecord should use upsert to prevent duplicates', () => {
-      const esProcessor = flowJson.flowContents.processors.find(
-        p => p.identifier === 'put-elasticsearch-record'
-      );
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        const esProcessor = global.testHelpers.getTableProcessor(
+          flowJson, tableName, 'put-elasticsearch-record'
+        );
 
-      expect(esProcessor.properties['Index Operation']).toBe('upsert');
+        expect(esProcessor.properties['Index Operation']).toBe('upsert');
+      });
     });
 
     test('PutElasticsearchRecord should use ID Record Path', () => {
-      const esProcessor = flowJson.flowContents.processors.find(
-        p => p.identifier === 'put-elasticsearch-record'
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        const esProcessor = global.testHelpers.getTableProcessor(
+          flowJson, tableName, 'put-elasticsearch-record'
+        );
+
+        expect(esProcessor.properties['ID Record Path']).toBeDefined();
+      });
+    });
+
+    test('ID Record Path should read the spec primary_key', () => {
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        const spec = global.testHelpers.loadSpec(tableName);
+        const esProcessor = global.testHelpers.getTableProcessor(
+          flowJson, tableName, 'put-elasticsearch-record'
+        );
+
+        // 복합 키는 SQL이 projection한 id_field가 _id가 됨
+        const expected = isCompositeKey(spec) ? spec.elasticsearch.id_field : spec.table.primary_key;
+        expect(esProcessor.properties['ID Record Path']).toBe(`/${expected}`);
+      });
+    });
+  });
+
+  describe('Composite Key Upsert', () => {
+    const MINUTE = 60 * 1000;
+    // source.utc_offset +09:00의 2024-01-01 10:00
+    const T0 = Date.UTC(2024, 0, 1, 1, 0, 0);
+    const at = minutes => new Date(Date.UTC(2024, 0, 1, 10, 0, 0) + minutes * MINUTE);
+    let spec;
+    let orders;
+
+    const row = (orderId, lineNo, status, fields = {}) => ({
+      ORDER_ID: orderId,
+      LINE_NO: lineNo,
+      STATUS: status,
+      CUSTOMER_ID: 1,
+      PRODUCT_ID: 1,
+      QUANTITY: 1,
+      TOTAL_AMOUNT: 10,
+      CREATED_AT: at(-60),
+      MODIFIED_AT: at(1),
+      ...fields
+    });
+
+    /**
+     * 복합 키 spec으로 생성한 flow의 simulator
+     */
+    const simulatorFor = () => createFlowSimulator(
+      buildFlow(global.testHelpers.loadFlowJson(), generateSqlRegistryEntries(spec), undefined, [spec]),
+      { tables: { 'CDC_USER.ORDERS': orders } }
+    );
+
+    beforeEach(() => {
+      spec = global.testHelpers.loadSpec('orders');
+      spec.columns.push({ name: 'LINE_NO', type: 'NUMBER(4)', nullable: false });
+      spec.table.primary_key = ['ORDER_ID', 'LINE_NO', 'STATUS'];
+      spec.elasticsearch.id_field = 'CDC_DOC_ID';
+      orders = [];
+    });
+
+    test.each(['join', 'hash'])('%s: rows sharing a key prefix should map to distinct documents', strategy => {
+      spec.elasticsearch.id = { strategy };
+      orders.push(
+        row(1, 1, 'NEW'),
+        row(1, 2, 'NEW'),
+        row(11, 1, 'NEW'),
+        row(1, 11, 'NEW'),
+        row(1, 1, 'NEW|1'),
+        row(1, 1, 'NEW\\')
       );
+      const simulator = simulatorFor();
+
+      const { documents } = simulator.trigger('cdc-orders', T0 + 5 * MINUTE);
+
+      expect(documents).toHaveLength(orders.length);
+      expect(Object.keys(simulator.indices.orders)).toHaveLength(orders.length);
+      expect(documents.map(d => d.id)).toEqual(orders.map(order => documentId(spec, order)));
+    });
+
+    test.each(['join', 'hash'])('%s: replaying a range after restart should update, not duplicate', strategy => {
+      spec.elasticsearch.id = { strategy };
+      const simulator = simulatorFor();
+      simulator.trigger('cdc-orders', T0);
+
+      // 10:05 trigger가 ES에 색인한 뒤 watermark 저장 전에 NiFi가 중단됨
+      orders.push(row(1, 1, 'NEW', { MODIFIED_AT: at(1) }), row(1, 2, 'NEW', { QUANTITY: 2, MODIFIED_AT: at(2) }));
+      simulator.trigger('cdc-orders', T0 + 5 * MINUTE, {
+        failures: { 'cdc-orders-put-distributed-map-cache': 'failure' }
+      });
+      orders[1] = { ...orders[1], QUANTITY: 5, MODIFIED_AT: at(7) };
+
+      // 재시작 후 같은 range를 다시 읽으면 같은 _id가 다시 들어옴
+      const replay = simulator.trigger('cdc-orders', T0 + 10 * MINUTE);
+      const index = simulator.indices.orders;
+
+      expect(replay.documents).toHaveLength(2);
+      expect(Object.keys(index)).toHaveLength(2);
+      expect(index[documentId(spec, { ORDER_ID: 1, LINE_NO: 2, STATUS: 'NEW' })].QUANTITY).toBe(5);
+    });
+  });
+
+  describe('Same-timestamp Rows', () => {
+    const MINUTE = 60 * 1000;
+    // source.utc_offset +09:00의 2024-01-01 10:00
+    const T0 = Date.UTC(2024, 0, 1, 1, 0, 0);
+    const at = minutes => new Date(Date.UTC(2024, 0, 1, 10, 0, 0) + minutes * MINUTE);
+    let spec;
+    let orders;
+
+    const order = (id, modifiedMinutes) => ({
+      ORDER_ID: id,
+      CUSTOMER_ID: 1,
+      PRODUCT_ID: 1,
+      QUANTITY: 1,
+      TOTAL_AMOUNT: 10,
+      STATUS: 'NEW',
+      CREATED_AT: at(-60),
+      MODIFIED_AT: at(modifiedMinutes)
+    });
+    const simulatorFor = () => createFlowSimulator(
+      buildFlow(global.testHelpers.loadFlowJson(), generateSqlRegistryEntries(spec), undefined, [spec]),
+      { tables: { 'CDC_USER.ORDERS': orders } }
+    );
+    const readIds = result => result.documents.map(d => d.document.ORDER_ID);
 
-      expect(esProcessor.properties['ID Record Path']).toBeDefined();
-      expect(esProcessor.properties['ID Record Path']).toContain('es_id_field');
+    /**
+     * 10:05 trigger가 주문 1, 2를 전달한 뒤 같은 MODIFIED_AT의 주문 3이 늦게 커밋됨
+     */
+    const deliverThenCommitLate = simulator => {
+      orders.push(order(1, 3), order(2, 3));
+      const first = simulator.trigger('cdc-orders', T0 + 5 * MINUTE);
+      orders.push(order(3, 3));
+      return first;
+    };
+
+    beforeEach(() => {
+      spec = global.testHelpers.loadSpec('orders');
+      orders = [];
+    });
+
+    test('cdc_key watermark should lose a late row that shares the last delivered timestamp', () => {
+      const simulator = simulatorFor();
+      deliverThenCommitLate(simulator);
+
+      expect(readIds(simulator.trigger('cdc-orders', T0 + 10 * MINUTE))).toEqual([]);
+      expect(Object.keys(simulator.indices.orders)).toEqual(['1', '2']);
+    });
+
+    test('compound watermark should resume after the last delivered row', () => {
+      spec.cdc.watermark = 'compound';
+      const simulator = simulatorFor();
+
+      expect(readIds(deliverThenCommitLate(simulator))).toEqual([1, 2]);
+      expect(JSON.parse(simulator.cache['cdc.orders.watermark']))
+        .toEqual({ range_from: '2024-01-01 10:03:00.000000', range_from_ORDER_ID: '2' });
+
+      const second = simulator.trigger('cdc-orders', T0 + 10 * MINUTE);
+      expect(readIds(second)).toEqual([3]);
+      expect(second.queries[0].args).toEqual(['2024-01-01 10:03:00.000000', '2024-01-01 10:03:00.000000', '2', '2024-01-01 10:10:00.000']);
+
+      // 빈 window는 bound를 그대로 유지
+      simulator.trigger('cdc-orders', T0 + 15 * MINUTE);
+      expect(JSON.parse(simulator.cache['cdc.orders.watermark']))
+        .toEqual({ range_from: '2024-01-01 10:03:00.000000', range_from_ORDER_ID: '3' });
     });
 
-    test('es_id_field should match spec primary_key', () => {
+    test('compound watermark should resume exactly after a restart', () => {
+      spec.cdc.watermark = 'compound';
+      const before = simulatorFor();
+      deliverThenCommitLate(before);
+
+      // cache는 NiFi 재시작 후에도 남음
+      const restarted = simulatorFor();
+      Object.assign(restarted.cache, before.cache);
+
+      expect(readIds(restarted.trigger('cdc-orders', T0 + 10 * MINUTE))).toEqual([3]);
+      expect(Object.keys(restarted.indices.orders)).toEqual(['3']);
+    });
+  });
+
+  describe('Outage Recovery', () => {
+    const MINUTE = 60 * 1000;
+    const T0 = Date.UTC(2024, 0, 1, 10, 0, 0);
+
+    test('windows should stay contiguous across a 20 minute outage', () => {
       const spec = global.testHelpers.loadSpec('my_table');
-      const updateAttrProcessor = flowJson.flowContents.processors.find(
-        p => p.identifier === 'update-attribute-init'
-      );
+      // 10:05, 10:10 실행 후 중단, 10:30에 재시작
+      const triggers = [5, 10, 30, 35].map(minutes => T0 + minutes * MINUTE);
+      const windows = [];
+      let previousTo = null;
+      triggers.forEach(now => {
+        const window = computeWindow(spec, now, previousTo);
+        windows.push(window);
+        previousTo = window.to;
+      });
 
-      expect(updateAttrProcessor.properties.es_id_field).toBe(spec.table.primary_key);
+      windows.slice(1).forEach((window, index) => {
+        expect(window.from).toBe(windows[index].to);
+      });
+      expect(windows[2]).toEqual({ from: T0 + 10 * MINUTE, to: T0 + 30 * MINUTE });
+
+      // 중단 중 변경된 행도 재시작 후 첫 range에서 읽힘
+      const changedAt = T0 + 17 * MINUTE;
+      expect(windows.filter(w => changedAt > w.from && changedAt <= w.to)).toHaveLength(1);
+    });
+  });
+
+  describe('Delivery Failure', () => {
+    const MINUTE = 60 * 1000;
+    // source.utc_offset +09:00의 2024-01-01 10:00
+    const T0 = Date.UTC(2024, 0, 1, 1, 0, 0);
+    const at = minutes => new Date(Date.UTC(2024, 0, 1, 10, 0, 0) + minutes * MINUTE);
+
+    test('a window Elasticsearch rejects should be read again by the next trigger', () => {
+      const rows = [];
+      const simulator = createFlowSimulator(flowJson, { tables: { 'CDC_USER.MY_TABLE': rows } });
+      simulator.trigger('cdc-my_table', T0);
+      const committed = simulator.cache['cdc.my_table.watermark'];
+
+      rows.push({ ID: 1, NAME: 'a', VALUE: 1, UPDATED_AT: at(3) });
+      const failed = simulator.trigger('cdc-my_table', T0 + 5 * MINUTE, {
+        failures: { 'cdc-my_table-put-elasticsearch-record': 'retry' }
+      });
+
+      expect(failed.dropped).toEqual([expect.objectContaining({ relationship: 'retry' })]);
+      expect(simulator.cache['cdc.my_table.watermark']).toBe(committed);
+      expect(simulator.indices.my_table).toBeUndefined();
+
+      const retried = simulator.trigger('cdc-my_table', T0 + 10 * MINUTE);
+
+      expect(retried.queries[0].args[0]).toBe(failed.queries[0].args[0]);
+      expect(retried.documents.map(d => d.id)).toEqual(['1']);
+      expect(simulator.cache['cdc.my_table.watermark']).toBe('2024-01-01 10:10:00.000');
     });
   });
 
@@ -85,10 +318,12 @@ describe('CDC Restart Regression Tests', () => {
     test('SQL should use inclusive range (> range_from, <= range_to)', () => {
       Object.values(sqlRegistry).forEach(entry => {
         // > range_from (exclusive lower bound to avoid duplicates)
-        expect(entry.sql).toContain('> TO_TIMESTAMP(${range_from}');
+        expect(entry.sql).toContain('> TO_TIMESTAMP(?');
+        expect(entry.parameters[0]).toBe('range_from');
 
         // <= range_to (inclusive upper bound to capture all changes)
-        expect(entry.sql).toContain('<= TO_TIMESTAMP(${range_to}');
+        expect(entry.sql).toContain('<= TO_TIMESTAMP(?');
+        expect(entry.parameters[entry.parameters.length - 1]).toBe('range_to');
       });
     });
 
@@ -102,21 +337,28 @@ describe('CDC Restart Regression Tests', () => {
 
   describe('Recovery Scenario Validation', () => {
     test('flow should have auto-terminated relationships for error handling', () => {
-      const esProcessor = flowJson.flowContents.processors.find(
-        p => p.identifier === 'put-elasticsearch-record'
-      );
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        const esProcessor = global.testHelpers.getTableProcessor(
+          flowJson, tableName, 'put-elasticsearch-record'
+        );
 
-      // 에러 관계는 자동 종료되어야 함 (재시도 로직 또는 Dead Letter Queue 사용)
-      expect(esProcessor.autoTerminatedRelationships).toContain('success');
+        // 에러 관계는 자동 종료되고 watermark를 저장하지 않으므로 다음 trigger가 같은 window를 다시 읽음
+        expect(esProcessor.autoTerminatedRelationships).toEqual(['errors', 'failure', 'retry']);
+      });
     });
 
     test('flow should configure appropriate scheduling for CDC interval', () => {
-      const generateProcessor = flowJson.flowContents.processors.find(
-        p => p.identifier === 'generate-flowfile'
-      );
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        const spec = global.testHelpers.loadSpec(tableName);
+        const generateProcessor = global.testHelpers.getTableProcessor(
+          flowJson, tableName, 'generate-flowfile'
+        );
+        const init = global.testHelpers.getTableProcessor(flowJson, tableName, 'update-attribute-init');
 
-      // 5분 간격 스케줄링 (SQL Registry의 5m 범위와 일치)
-      expect(generateProcessor.schedulingPeriod).toBe('5 min');
+        // range.default 간격 스케줄링 (예: 5m → '5 min', SQL Registry의 range와 일치)
+        expect(generateProcessor.schedulingPeriod).toBe(`${parseInt(spec.range.default, 10)} min`);
+        expect(sqlRegistry[init.properties.sql_id].range).toBe(spec.range.default);
+      });
     });
   });
 
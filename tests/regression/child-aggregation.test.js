@@ -0,0 +1,109 @@
+/**
+ * Regression Tests: Child Aggregation
+ *
+ * spec children → 부모 document의 nested 배열 재색인을 생성된 flow로 검증
+ * - flow simulator가 registry SQL(inline view)을 in-memory 테이블에서 실행하고 UpdateRecord / Jolt를 거쳐 upsert
+ * - 자식 행만 수정돼도 CDC_CHANGED_AT이 갱신되어 부모 document 전체를 다시 보냄
+ * - upsert 결과에 부모 document와 자식 배열 항목이 중복되지 않음
+ * - 관련 없는 부모는 다시 읽지 않음
+ */
+
+const { createFlowSimulator } = require('../../scripts/lib/flow-simulator');
+const { generateSqlRegistryEntries, buildFlow } = require('../../scripts/generate-from-spec');
+const { resolveMappingProperties } = require('../../scripts/lib/type-mapping');
+
+const MINUTE = 60 * 1000;
+// Trigger 시각 T0는 source.utc_offset +09:00의 2024-01-01 10:00, 행의 timestamp는 소스 DB 시계
+const T0 = Date.UTC(2024, 0, 1, 1, 0, 0);
+const SOURCE_T0 = Date.UTC(2024, 0, 1, 10, 0, 0);
+
+describe('Child Aggregation Regression Tests', () => {
+  let spec;
+  let tables;
+
+  const at = minutes => new Date(SOURCE_T0 + minutes * MINUTE);
+  const order = (id, customerId, amount, modifiedMinutes) => ({
+    ORDER_ID: id,
+    CUSTOMER_ID: customerId,
+    PRODUCT_ID: 100 + id,
+    QUANTITY: 1,
+    TOTAL_AMOUNT: amount,
+    STATUS: 'NEW',
+    CREATED_AT: at(0),
+    MODIFIED_AT: at(modifiedMinutes)
+  });
+  const lines = () => tables['CDC_USER.ORDER_LINES'];
+
+  /**
+   * spec의 process group을 생성한 flow의 simulator
+   */
+  const simulatorFor = () => createFlowSimulator(
+    buildFlow(global.testHelpers.loadFlowJson(), generateSqlRegistryEntries(spec), undefined, [spec]),
+    { tables }
+  );
+  const readIds = result => result.documents.map(d => d.document.ORDER_ID);
+
+  beforeEach(() => {
+    spec = global.testHelpers.loadSpec('orders');
+    spec.children = [{
+      table: 'ORDER_LINES',
+      field: 'lines',
+      on: { ORDER_ID: 'ORDER_ID' },
+      cdc_key: 'UPDATED_AT',
+      order_by: ['LINE_NO'],
+      columns: [
+        { name: 'LINE_NO', type: 'NUMBER' },
+        { name: 'SKU', type: 'VARCHAR2(40)' },
+        { name: 'QUANTITY', type: 'NUMBER', es_name: 'qty' }
+      ]
+    }];
+    tables = {
+      'CDC_USER.ORDERS': [order(1, 10, 30, 1), order(2, 11, 12, 2)],
+      'CDC_USER.ORDER_LINES': [
+        { ORDER_ID: 1, LINE_NO: 2, SKU: 'B-2', QUANTITY: 1, UPDATED_AT: at(1) },
+        { ORDER_ID: 1, LINE_NO: 1, SKU: 'A-1', QUANTITY: 1, UPDATED_AT: at(1) },
+        { ORDER_ID: 2, LINE_NO: 1, SKU: 'C-3', QUANTITY: 1, UPDATED_AT: at(2) }
+      ]
+    };
+  });
+
+  test('a child update should rewrite the whole parent document without duplicates', () => {
+    const simulator = simulatorFor();
+    const first = simulator.trigger('cdc-orders', T0 + 5 * MINUTE);
+    expect(readIds(first)).toEqual([1, 2]);
+
+    // 10:07에 주문 1의 두 번째 line 수량만 변경, ORDERS 행은 그대로
+    lines()[0] = { ...lines()[0], QUANTITY: 5, UPDATED_AT: at(7) };
+    const second = simulator.trigger('cdc-orders', T0 + 10 * MINUTE);
+    const index = simulator.indices.orders;
+
+    expect(readIds(second)).toEqual([1]);
+    expect(Object.keys(index).sort()).toEqual(['1', '2']);
+    expect(index['1']).toEqual(expect.objectContaining({ ORDER_ID: 1, STATUS: 'NEW', TOTAL_AMOUNT: 30 }));
+    expect(index['1'].lines).toEqual([
+      { LINE_NO: 1, SKU: 'A-1', qty: 1 },
+      { LINE_NO: 2, SKU: 'B-2', qty: 5 }
+    ]);
+    expect(index['1']).not.toHaveProperty('CDC_CHANGED_AT');
+  });
+
+  test('a parent without children should index a null array until a line arrives', () => {
+    tables['CDC_USER.ORDER_LINES'] = lines().filter(line => line.ORDER_ID !== 2);
+    const simulator = simulatorFor();
+    simulator.trigger('cdc-orders', T0 + 5 * MINUTE);
+    expect(simulator.indices.orders['2'].lines).toBeNull();
+
+    lines().push({ ORDER_ID: 2, LINE_NO: 1, SKU: 'C-3', QUANTITY: 1, UPDATED_AT: at(8) });
+    const second = simulator.trigger('cdc-orders', T0 + 10 * MINUTE);
+
+    expect(readIds(second)).toEqual([2]);
+    expect(simulator.indices.orders['2'].lines).toEqual([{ LINE_NO: 1, SKU: 'C-3', qty: 1 }]);
+  });
+
+  test('the child array should be mapped as nested', () => {
+    expect(resolveMappingProperties(spec).lines).toEqual({
+      type: 'nested',
+      properties: { LINE_NO: { type: 'double' }, SKU: { type: 'keyword' }, qty: { type: 'double' } }
+    });
+  });
+});
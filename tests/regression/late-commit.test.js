@@ -0,0 +1,91 @@
+/**
+ * Regression Tests: Late Commit
+ *
+ * range 종료 후 커밋된 트랜잭션(cdc_key는 이미 지난 range 안)의 누락 방지를 생성된 flow로 검증
+ * - 행은 커밋 시각이 지난 뒤에야 in-memory 테이블에 보이고, flow simulator가 range.default 간격으로 trigger
+ * - commit_lag 없이: 커밋 전에 range를 읽고 다음 range는 그 이후만 읽으므로 누락
+ * - cdc.commit_lag: range를 과거로 밀어 커밋 지연분까지 포함
+ * - cdc.overlap: 이전 range를 다시 읽고 upsert로 중복 없이 반영
+ * - 설정은 ExecuteSQLRecord에 bind되는 range 값과 registry metadata에 반영됨
+ */
+
+const { createFlowSimulator } = require('../../scripts/lib/flow-simulator');
+const { generateSqlRegistryEntries, buildFlow } = require('../../scripts/generate-from-spec');
+
+const MINUTE = 60 * 1000;
+// Trigger 시각 T0는 source.utc_offset +09:00의 2024-01-01 10:00, 행의 timestamp는 소스 DB 시계
+const T0 = Date.UTC(2024, 0, 1, 1, 0, 0);
+const SOURCE_T0 = Date.UTC(2024, 0, 1, 10, 0, 0);
+
+describe('Late Commit Regression Tests', () => {
+  let spec;
+
+  const at = ms => new Date(SOURCE_T0 + ms);
+
+  // 10:04:59.900에 UPDATED_AT이 찍혔지만 10:05:00.500에 커밋된 행
+  const lateRow = { ID: 1, NAME: 'late', VALUE: 1, UPDATED_AT: at(5 * MINUTE - 100), committedAt: 5 * MINUTE + 500 };
+  const onTimeRow = { ID: 2, NAME: 'on time', VALUE: 2, UPDATED_AT: at(9.5 * MINUTE), committedAt: 9.5 * MINUTE };
+
+  /**
+   * 생성된 flow를 range.default 간격으로 trigger하며, 각 trigger 전에 커밋된 행만 테이블에 넣음
+   *
+   * @returns {{simulator: object, results: object[], reads: number}} reads는 조회된 행 수의 합
+   */
+  const runTriggers = (rows, triggerCount) => {
+    const flow = buildFlow(global.testHelpers.loadFlowJson(), generateSqlRegistryEntries(spec), undefined, [spec]);
+    const table = [];
+    const simulator = createFlowSimulator(flow, { tables: { 'CDC_USER.MY_TABLE': table } });
+    const results = [];
+
+    for (let n = 1; n <= triggerCount; n++) {
+      const elapsed = n * 5 * MINUTE;
+      rows
+        .filter(row => row.committedAt <= elapsed && !table.some(committed => committed.ID === row.ID))
+        .forEach(({ committedAt, ...row }) => table.push(row));
+      results.push(simulator.trigger('cdc-my_table', T0 + elapsed));
+    }
+
+    const reads = results.reduce((sum, { queries }) => sum + queries.reduce((count, query) => count + query.rows, 0), 0);
+    return { simulator, results, reads };
+  };
+
+  const indexed = simulator => Object.keys(simulator.indices.my_table || {}).sort();
+
+  beforeEach(() => {
+    spec = global.testHelpers.loadSpec('my_table');
+  });
+
+  test('without commit_lag a late commit should be skipped', () => {
+    const { simulator } = runTriggers([lateRow, onTimeRow], 3);
+    expect(indexed(simulator)).toEqual(['2']);
+  });
+
+  test('commit_lag should capture a late commit', () => {
+    spec.cdc.commit_lag = '30s';
+    const { simulator } = runTriggers([lateRow, onTimeRow], 3);
+    expect(indexed(simulator)).toEqual(['1', '2']);
+  });
+
+  test('overlap should capture a late commit and upsert the re-read rows once', () => {
+    spec.cdc.overlap = '1m';
+    const { simulator, reads } = runTriggers([lateRow, onTimeRow], 3);
+
+    expect(indexed(simulator)).toEqual(['1', '2']);
+    expect(reads).toBeGreaterThan(indexed(simulator).length);
+  });
+
+  test('settings should move the bound range and be recorded in registry metadata', () => {
+    spec.cdc.commit_lag = '30s';
+    spec.cdc.overlap = '1m';
+    const { simulator, results } = runTriggers([], 2);
+
+    // 10:05 첫 trigger: now() - commit_lag - range.default - overlap ~ now() - commit_lag
+    expect(results[0].queries[0].args).toEqual(['2024-01-01 09:58:30.000', '2024-01-01 10:04:30.000']);
+    // 다음 trigger: cache에 저장된 range_to - overlap
+    expect(results[1].queries[0].args).toEqual(['2024-01-01 10:03:30.000', '2024-01-01 10:09:30.000']);
+    expect(simulator.cache['cdc.my_table.watermark']).toBe('2024-01-01 10:09:30.000');
+    Object.values(generateSqlRegistryEntries(spec)).forEach(entry => {
+      expect(entry).toEqual(expect.objectContaining({ commit_lag: '30s', overlap: '1m' }));
+    });
+  });
+});
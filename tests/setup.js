@@ -33,6 +33,35 @@ global.testHelpers = {
     return yaml.load(fs.readFileSync(specPath, 'utf8'));
   },
 
+  /**
+   * specs/ 디렉토리의 테이블명 목록
+   */
+  listSpecTables: () => {
+    const specsDir = path.join(__dirname, '../specs');
+    return fs.readdirSync(specsDir)
+      .filter(f => f.endsWith('.yaml'))
+      .map(f => f.replace('.yaml', ''));
+  },
+
+  /**
+   * 테이블별 CDC Process Group 조회 (cdc-<table>)
+   */
+  getTableProcessGroup: (flowJson, tableName) => {
+    return flowJson.flowContents.processGroups.find(
+      g => g.identifier === `cdc-${tableName.toLowerCase()}`
+    );
+  },
+
+  /**
+   * 테이블별 Process Group 내 processor 조회 (cdc-<table>-<role>)
+   */
+  getTableProcessor: (flowJson, tableName, role) => {
+    const group = global.testHelpers.getTableProcessGroup(flowJson, tableName);
+    return group.processors.find(
+      p => p.identifier === `cdc-${tableName.toLowerCase()}-${role}`
+    );
+  },
+
   /**
    * 타임스탬프 포맷 (Oracle)
    */
@@ -0,0 +1,174 @@
+/**
+ * Column Transform Tests
+ *
+ * spec column의 transform(hash / mask / truncate / redact) 검증
+ * - flow가 실행하는 registry SQL 어디에도 원본 값이 projection되지 않음
+ * - applyTransform()이 SQL 식과 같은 값을 계산 (hash는 Oracle STANDARD_HASH와 같은 hex digest)
+ * - hash 컬럼은 keyword로 추론, 문자열이 아닌 es_type은 lossy로 보고
+ * - audit 목록에 변환된 컬럼과 설정 표시
+ */
+
+const crypto = require('crypto');
+const {
+  transformedColumns,
+  transformExpression,
+  applyTransform,
+  transformProblems,
+  auditTransforms
+} = require('../../scripts/lib/column-transform');
+const { generateSql } = require('../../scripts/generate-from-spec');
+const { extractSelectItems } = require('../../scripts/validate-sql-registry');
+const { buildTableProcessGroup } = require('../../scripts/lib/process-group');
+const { resolveMappingProperties, findLossyMappings } = require('../../scripts/lib/type-mapping');
+const { formatTable } = require('../../scripts/audit-transforms');
+
+describe('Column Transforms', () => {
+  let spec;
+
+  const column = name => spec.columns.find(c => c.name === name);
+  const selectList = sql => sql.match(/^SELECT (.+?) FROM /)[1];
+
+  beforeEach(() => {
+    spec = global.testHelpers.loadSpec('orders');
+  });
+
+  describe('SQL Expressions', () => {
+    test('each transform should render an Oracle expression', () => {
+      column('STATUS').transform = 'hash';
+      expect(transformExpression(column('STATUS'))).toBe(
+        "NVL2(STATUS, LOWER(RAWTOHEX(STANDARD_HASH(STATUS, 'SHA256'))), NULL)"
+      );
+
+      column('STATUS').transform = { type: 'mask', keep_last: 2 };
+      expect(transformExpression(column('STATUS'))).toBe(
+        "CASE WHEN LENGTH(STATUS) > 2 THEN LPAD(SUBSTR(STATUS, -2), LENGTH(STATUS), '*') " +
+        "ELSE LPAD('*', LENGTH(STATUS), '*') END"
+      );
+
+      column('STATUS').transform = { type: 'mask', keep_last: 0 };
+      expect(transformExpression(column('STATUS'))).toBe("LPAD('*', LENGTH(STATUS), '*')");
+
+      column('STATUS').transform = { type: 'truncate', length: 3 };
+      expect(transformExpression(column('STATUS'))).toBe('SUBSTR(STATUS, 1, 3)');
+
+      column('STATUS').transform = 'redact';
+      expect(transformExpression(column('STATUS'))).toBe('NULL');
+    });
+
+    test('hashed numbers should be rendered as text first', () => {
+      column('CUSTOMER_ID').transform = { type: 'hash', algorithm: 'SHA1' };
+      expect(transformExpression(column('CUSTOMER_ID'))).toBe(
+        "NVL2(CUSTOMER_ID, LOWER(RAWTOHEX(STANDARD_HASH(TO_CHAR(CUSTOMER_ID, 'TM9', 'NLS_NUMERIC_CHARACTERS=''.,'''), 'SHA1'))), NULL)"
+      );
+    });
+  });
+
+  describe('Projection', () => {
+    const TRANSFORMS = ['hash', 'mask', { type: 'truncate', length: 3 }, 'redact'];
+
+    test.each(TRANSFORMS)('%j column should never be selected in clear text', transform => {
+      column('STATUS').transform = transform;
+      column('CUSTOMER_ID').transform = transform === 'hash' ? 'hash' : 'redact';
+      column('CUSTOMER_ID').es_name = 'customer';
+
+      for (const name of ['STATUS', 'CUSTOMER_ID']) {
+        const expression = transformExpression(column(name));
+        const items = extractSelectItems(generateSql(spec));
+        const item = items.find(i => i.name === (name === 'CUSTOMER_ID' ? 'customer' : name));
+
+        // 변환 식 밖에서는 컬럼 이름이 등장하지 않음
+        expect(item.expression).toBe(expression);
+        expect(items.filter(i => i !== item).map(i => i.expression).join(', ')).not.toMatch(new RegExp(`\\b${name}\\b`));
+      }
+    });
+
+    test('the flow query should return transformed values under the field name', () => {
+      column('STATUS').transform = 'mask';
+      const group = buildTableProcessGroup(spec);
+      const query = group.processors.find(p => p.identifier === 'cdc-orders-execute-sql-record');
+
+      // ExecuteSQLRecord는 registry SQL만 실행
+      expect(query.properties['SQL select query']).toBe('${lookup.sql}');
+      expect(selectList(generateSql(spec))).toContain(`${transformExpression(column('STATUS'))} AS STATUS`);
+    });
+
+    test('untransformed specs should keep the plain column list', () => {
+      expect(transformedColumns(spec)).toEqual([]);
+      expect(selectList(generateSql(spec))).not.toMatch(/STANDARD_HASH|LPAD|SUBSTR/);
+    });
+  });
+
+  describe('Values', () => {
+    test.each([
+      ['hash', 'alice@example.com', crypto.createHash('sha256').update('alice@example.com').digest('hex')],
+      [{ type: 'hash', algorithm: 'MD5' }, 'x', crypto.createHash('md5').update('x').digest('hex')],
+      ['mask', '010-1234-5678', '*********5678'],
+      [{ type: 'mask', keep_last: 4 }, '1234', '****'],
+      [{ type: 'mask', keep_last: 0 }, 'secret', '******'],
+      [{ type: 'truncate', length: 3 }, 'Seoul Gangnam', 'Seo'],
+      ['redact', 'anything', null],
+      ['mask', null, null]
+    ])('%j should turn %j into %j', (transform, value, expected) => {
+      column('STATUS').transform = transform;
+      expect(applyTransform(column('STATUS'), value)).toBe(expected);
+    });
+
+    test('hashed numbers should hash their TM9 text', () => {
+      column('TOTAL_AMOUNT').transform = 'hash';
+      expect(applyTransform(column('TOTAL_AMOUNT'), 0.5)).toBe(crypto.createHash('sha256').update('.5').digest('hex'));
+      expect(applyTransform(column('QUANTITY'), 3)).toBe(3);
+    });
+  });
+
+  describe('Validation and Mapping', () => {
+    test('transforms should be checked against the column type', () => {
+      column('STATUS').transform = { type: 'hash', length: 3 };
+      expect(transformProblems(column('STATUS'))).toEqual([
+        { field: 'transform.length', message: 'length only applies to truncate' }
+      ]);
+
+      column('QUANTITY').transform = { type: 'truncate', length: 3 };
+      expect(transformProblems(column('QUANTITY'))).toEqual([
+        { field: 'transform', message: 'truncate only applies to character columns, not NUMBER' }
+      ]);
+
+      expect(transformProblems({ name: 'NOTE', type: 'CLOB', transform: 'hash' })).toEqual([
+        { field: 'transform', message: 'hash does not apply to CLOB columns' }
+      ]);
+    });
+
+    test('hashed columns should be mapped as keyword', () => {
+      column('CUSTOMER_ID').transform = 'hash';
+      delete spec.elasticsearch.mapping.properties.CUSTOMER_ID;
+      expect(resolveMappingProperties(spec).CUSTOMER_ID).toEqual({ type: 'keyword' });
+
+      column('CUSTOMER_ID').es_type = 'long';
+      expect(findLossyMappings(spec).map(l => l.message)).toEqual([
+        'CUSTOMER_ID NUMBER → long is lossy: long cannot hold the hex digest of a hashed column'
+      ]);
+    });
+  });
+
+  describe('Audit', () => {
+    test('audit should list transformed columns with their settings', () => {
+      column('CUSTOMER_ID').transform = 'hash';
+      column('STATUS').transform = { type: 'truncate', length: 3 };
+      column('STATUS').es_name = 'status';
+      const myTable = global.testHelpers.loadSpec('my_table');
+      myTable.columns.find(c => c.name === 'NAME').transform = 'mask';
+
+      const rows = auditTransforms([myTable, spec]);
+      expect(rows).toEqual([
+        { table: 'CDC_USER.MY_TABLE', column: 'NAME', field: 'NAME', transform: 'mask', detail: 'keep_last 4' },
+        { table: 'CDC_USER.ORDERS', column: 'CUSTOMER_ID', field: 'CUSTOMER_ID', transform: 'hash', detail: 'SHA256' },
+        { table: 'CDC_USER.ORDERS', column: 'STATUS', field: 'status', transform: 'truncate', detail: 'length 3' }
+      ]);
+      expect(formatTable(rows).split('\n')).toEqual([
+        'TABLE              COLUMN       FIELD        TRANSFORM  DETAIL',
+        'CDC_USER.MY_TABLE  NAME         NAME         mask       keep_last 4',
+        'CDC_USER.ORDERS    CUSTOMER_ID  CUSTOMER_ID  hash       SHA256',
+        'CDC_USER.ORDERS    STATUS       status       truncate   length 3'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Source Dialect Tests
+ *
+ * spec source.dialect → dialect별 SQL / registry / flow 검증
+ * - range bound 파싱, timestamp ISO-8601 변환, alias quoting을 dialect SQL로 생성
+ * - timestamp offset은 source.utc_offset (기본 +00:00)
+ * - vendor 예약어 목록에 있는 identifier는 항상 quoting
+ * - sql_id는 <dialect>.cdc.<table>.<range>, registry는 sql-registry/<dialect>.json
+ * - flow에 dialect별 DBCP 서비스 추가, ExecuteSQLRecord가 dialect DBCP로 조회
+ * - Oracle 전용 기능(rowscn, trigger, composite key, transform, joins, children) 거부
+ * - SQL Registry Linter의 dialect 일치 검사
+ */
+
+const path = require('path');
+const {
+  DEFAULT_UTC_OFFSET,
+  DIALECTS,
+  dialectName,
+  sourceOffset,
+  specSqlId,
+  sqlIdDialect,
+  dbcpServiceId,
+  quoteIdentifier
+} = require('../../scripts/lib/dialect');
+const { validateSpec } = require('../../scripts/lib/spec-validator');
+const { buildTableProcessGroup } = require('../../scripts/lib/process-group');
+const { lintSqlRegistry, extractSelectItems } = require('../../scripts/validate-sql-registry');
+const {
+  generateSql,
+  generateSqlRegistryEntries,
+  buildFlow,
+  planArtifacts
+} = require('../../scripts/generate-from-spec');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+describe('Source Dialects', () => {
+  let spec;
+
+  const specOf = dialect => {
+    const next = global.testHelpers.loadSpec('orders');
+    next.source = { dialect };
+    // SYSTIMESTAMP trigger DDL is Oracle only
+    delete next.cdc.trigger;
+    return next;
+  };
+
+  beforeEach(() => {
+    spec = specOf('postgresql');
+  });
+
+  describe('SQL Generation', () => {
+    test('a spec without source should stay on the oracle dialect', () => {
+      const oracle = global.testHelpers.loadSpec('orders');
+      expect(dialectName(oracle)).toBe('oracle');
+      expect(specSqlId(oracle, '5m')).toBe('oracle.cdc.orders.5m');
+      expect(generateSqlRegistryEntries(oracle)['oracle.cdc.orders.5m'])
+        .toEqual(global.testHelpers.loadSqlRegistry()['oracle.cdc.orders.5m']);
+    });
+
+    test('postgresql should cast the bounds and format timestamps with TO_CHAR', () => {
+      const sql = generateSql(spec);
+
+      // upper-case names are not folded by postgresql, so they stay quoted
+      expect(sql).toContain('FROM "CDC_USER"."ORDERS" WHERE "MODIFIED_AT" > CAST(? AS TIMESTAMP) AND "MODIFIED_AT" <= CAST(? AS TIMESTAMP)');
+      expect(sql).toContain(`TO_CHAR("MODIFIED_AT", 'YYYY-MM-DD"T"HH24:MI:SS.US"+00:00"') AS "MODIFIED_AT"`);
+      expect(sql).toMatch(/ORDER BY "MODIFIED_AT"$/);
+    });
+
+    test('postgresql should keep lower-case names bare', () => {
+      spec.table.schema = 'cdc_user';
+      spec.table.name = 'orders';
+      spec.table.cdc_key = 'modified_at';
+      spec.columns.forEach(c => { c.name = c.name.toLowerCase(); });
+      spec.table.primary_key = spec.table.primary_key.toLowerCase();
+
+      expect(generateSql(spec)).toMatch(/^SELECT order_id, .* FROM cdc_user\.orders WHERE modified_at > CAST\(\? AS TIMESTAMP\)/);
+    });
+
+    test('mysql should use DATE_FORMAT and backtick aliases', () => {
+      spec = specOf('mysql');
+      spec.columns[0].es_name = 'orderId';
+      const sql = generateSql(spec);
+
+      expect(sql).toMatch(/^SELECT ORDER_ID AS `orderId`, /);
+      expect(sql).toContain('CAST(? AS DATETIME(6))');
+      expect(sql).toContain(`DATE_FORMAT(CREATED_AT, '%Y-%m-%dT%H:%i:%s.%f+00:00') AS CREATED_AT`);
+      expect(extractSelectItems(sql)[0]).toEqual({ expression: 'ORDER_ID', name: 'orderId' });
+    });
+
+    test('sqlserver should format DATETIME2 columns with FORMAT', () => {
+      spec = specOf('sqlserver');
+      spec.columns.find(c => c.name === 'MODIFIED_AT').type = 'DATETIME2';
+      const sql = generateSql(spec);
+
+      expect(sql).toContain('MODIFIED_AT > CAST(? AS DATETIME2)');
+      expect(sql).toContain(`FORMAT(MODIFIED_AT, 'yyyy-MM-dd''T''HH:mm:ss.ffffff''+00:00''') AS MODIFIED_AT`);
+    });
+
+    test('timestamps should carry source.utc_offset instead of a fixed zone', () => {
+      spec = specOf('mysql');
+      spec.source.utc_offset = '-05:00';
+
+      expect(sourceOffset(specOf('mysql'))).toBe(DEFAULT_UTC_OFFSET);
+      expect(generateSql(spec)).toContain(`DATE_FORMAT(CREATED_AT, '%Y-%m-%dT%H:%i:%s.%f-05:00') AS CREATED_AT`);
+      expect(validateSpec({ ...spec, source: { dialect: 'mysql', utc_offset: '+9' } })).toEqual([
+        expect.objectContaining({ path: 'source.utc_offset' })
+      ]);
+    });
+
+    test('registry entries should carry the dialect prefix', () => {
+      const ids = Object.keys(generateSqlRegistryEntries(spec));
+
+      expect(ids).toEqual(spec.range.options.map(option => `postgresql.cdc.orders.${option}`));
+      expect(ids.map(sqlIdDialect)).toEqual(ids.map(() => 'postgresql'));
+    });
+  });
+
+  describe('Identifiers', () => {
+    test.each([
+      ['oracle', ['INDEX', 'START', 'VIEW', 'OPTION', 'INTEGER', 'CHAR', 'PUBLIC', 'SHARE', 'LOCK', 'OF',
+        'MINUS', 'TRIGGER', 'RESOURCE']],
+      ['mysql', ['index', 'Range', 'KEYS', 'SEPARATOR']],
+      ['sqlserver', ['INDEX', 'PIVOT', 'TRAN', 'OPENQUERY']],
+      ['postgresql', ['offset', 'variadic', 'tablesample']]
+    ])('%s reserved words should be quoted', (dialect, names) => {
+      names.forEach(name => {
+        expect(quoteIdentifier(name, DIALECTS[dialect])).toBe(DIALECTS[dialect].quote(name));
+      });
+    });
+
+    test('non-reserved names should stay bare', () => {
+      expect(quoteIdentifier('STATUS')).toBe('STATUS');
+      expect(quoteIdentifier('status', DIALECTS.postgresql)).toBe('status');
+      expect(quoteIdentifier('VALUE', DIALECTS.mysql)).toBe('VALUE');
+    });
+  });
+
+  describe('Artifacts', () => {
+    test('planArtifacts should write a registry file per dialect', () => {
+      const oracle = global.testHelpers.loadSpec('orders');
+      const entries = { ...generateSqlRegistryEntries(oracle), ...generateSqlRegistryEntries(spec) };
+      const current = { registry: {}, registryFiles: {}, flow: null, flowText: null, tableFiles: {} };
+
+      const artifacts = planArtifacts(current, entries, undefined, [oracle, spec]);
+      const registries = artifacts.filter(a => a.path.includes(`${path.sep}sql-registry${path.sep}`));
+
+      expect(registries.map(a => path.relative(ROOT_DIR, a.path))).toEqual([
+        path.join('sql-registry', 'oracle.json'),
+        path.join('sql-registry', 'postgresql.json')
+      ]);
+      expect(Object.keys(JSON.parse(registries[1].next)).sort()).toEqual(Object.keys(generateSqlRegistryEntries(spec)).sort());
+    });
+
+    test('Oracle DDL should only be generated for oracle specs', () => {
+      const current = { registry: {}, registryFiles: {}, flow: null, flowText: null, tableFiles: {} };
+      const paths = planArtifacts(current, {}, undefined, [spec]).map(a => path.relative(ROOT_DIR, a.path));
+
+      expect(paths).toContain(path.join('elasticsearch', 'templates', 'orders.json'));
+      expect(paths.some(p => p.startsWith('oracle'))).toBe(false);
+    });
+
+    test('buildFlow should add the DBCP service of a new dialect once', () => {
+      const flow = global.testHelpers.loadFlowJson();
+      spec.table.name = 'PG_ORDERS';
+      const entries = generateSqlRegistryEntries(spec);
+
+      const nextFlow = buildFlow(flow, entries, undefined, [spec]);
+      const services = nextFlow.flowContents.controllerServices;
+      const dbcp = services.find(s => s.identifier === dbcpServiceId('postgresql'));
+
+      expect(dbcp.properties['Database Driver Class Name']).toBe('org.postgresql.Driver');
+      expect(dbcp.properties['Database Connection URL']).toMatch(/^jdbc:postgresql:/);
+      expect(buildFlow(nextFlow, entries, undefined, [spec]).flowContents.controllerServices
+        .filter(s => s.identifier === dbcp.identifier)).toHaveLength(1);
+      expect(services.find(s => s.identifier === 'sql-lookup-service').properties['postgresql.cdc.pg_orders.5m'])
+        .toBe(entries['postgresql.cdc.pg_orders.5m'].sql);
+    });
+
+    test('the process group should query through the dialect DBCP', () => {
+      spec = specOf('sqlserver');
+      const group = buildTableProcessGroup(spec);
+      const query = group.processors.find(p => p.identifier.endsWith('execute-sql-record'));
+      const init = group.processors.find(p => p.identifier.endsWith('update-attribute-init'));
+
+      expect(query.properties['Database Connection Pooling Service']).toBe('sqlserver-dbcp');
+      expect(init.properties.sql_id).toBe('sqlserver.cdc.orders.5m');
+    });
+  });
+
+  describe('Spec Validation', () => {
+    const messages = candidate => validateSpec(candidate).map(e => `${e.path}: ${e.message}`);
+
+    test('a portable spec should validate for every dialect', () => {
+      for (const dialect of ['postgresql', 'mysql', 'sqlserver']) {
+        expect(validateSpec(specOf(dialect))).toEqual([]);
+      }
+    });
+
+    test('an unknown dialect should be rejected', () => {
+      spec.source.dialect = 'db2';
+      expect(messages(spec)).toEqual([expect.stringMatching(/^source\.dialect: must be one of "oracle", "postgresql"/)]);
+    });
+
+    test('Oracle-only features should be rejected outside oracle', () => {
+      spec.cdc.trigger = true;
+      spec.table.primary_key = ['ORDER_ID', 'PRODUCT_ID'];
+      spec.columns.find(c => c.name === 'STATUS').transform = 'hash';
+      spec.cdc.watermark = 'compound';
+
+      expect(messages(spec)).toEqual(expect.arrayContaining([
+        'cdc.trigger: cdc.trigger is not supported by the postgresql dialect (only oracle)',
+        'cdc.watermark: cdc.watermark: compound is not supported by the postgresql dialect (only oracle)',
+        'table.primary_key: a composite primary_key is not supported by the postgresql dialect (only oracle)',
+        'columns[5].transform: a column transform is not supported by the postgresql dialect (only oracle)'
+      ]));
+    });
+
+    test('rowscn mode should be rejected outside oracle', () => {
+      spec = specOf('mysql');
+      spec.cdc.mode = 'rowscn';
+      delete spec.table.cdc_key;
+
+      expect(messages(spec)).toContain('cdc.mode: cdc.mode: rowscn is not supported by the mysql dialect (only oracle)');
+    });
+
+    test('dialect timestamp and integer types should be accepted as cdc_key', () => {
+      spec = specOf('sqlserver');
+      spec.columns.find(c => c.name === 'MODIFIED_AT').type = 'DATETIME2(3)';
+      expect(validateSpec(spec)).toEqual([]);
+
+      spec = specOf('postgresql');
+      spec.cdc.mode = 'sequence';
+      spec.table.cdc_key = 'ORDER_ID';
+      spec.columns.find(c => c.name === 'ORDER_ID').type = 'BIGINT';
+      expect(validateSpec(spec)).toEqual([]);
+    });
+  });
+
+  describe('SQL Registry Linter', () => {
+    const specsOf = (...list) => Object.fromEntries(list.map(s => [s.table.name.toLowerCase(), { file: 'spec', spec: s }]));
+
+    test('a generated registry should lint clean in its dialect', () => {
+      const registry = generateSqlRegistryEntries(spec);
+      expect(lintSqlRegistry({ registry, dialect: 'postgresql', specs: specsOf(spec) })).toEqual([]);
+    });
+
+    test('an entry of another dialect should be reported', () => {
+      const registry = generateSqlRegistryEntries(spec);
+      const findings = lintSqlRegistry({ registry, specs: specsOf(spec) });
+
+      expect(findings).toContainEqual(expect.objectContaining({
+        ruleId: 'sql-id-format',
+        sqlId: 'postgresql.cdc.orders.5m',
+        message: 'sql_id dialect "postgresql" does not match the oracle registry'
+      }));
+      expect(findings).toContainEqual(expect.objectContaining({
+        ruleId: 'spec-match',
+        message: 'spec source.dialect "postgresql" does not match the oracle registry'
+      }));
+    });
+
+    test('missing entries should only be reported in the registry of the spec dialect', () => {
+      const oracle = global.testHelpers.loadSpec('my_table');
+      const findings = lintSqlRegistry({ registry: {}, dialect: 'postgresql', specs: specsOf(spec, oracle) });
+
+      expect(findings.map(f => f.sqlId)).toEqual(spec.range.options.map(option => `postgresql.cdc.orders.${option}`));
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Document ID Tests
+ *
+ * primary_key → Elasticsearch document _id 생성 검증
+ * - 단일 키는 컬럼 값 그대로, 복합 키는 id_field로 projection되는 결정적 문자열
+ * - join: separator 연결 + 문자 컬럼의 `\`, separator escape
+ * - hash: 연결 문자열의 STANDARD_HASH (hex)
+ * - SQL 식과 JavaScript 계산 결과가 같은 규칙을 따름
+ */
+
+const crypto = require('crypto');
+const {
+  keyColumns,
+  isCompositeKey,
+  idSettings,
+  documentIdExpression,
+  documentId
+} = require('../../scripts/lib/document-id');
+
+/**
+ * orders spec을 (ORDER_ID, STATUS) 복합 키로 변경
+ */
+function compositeOrdersSpec(id) {
+  const spec = global.testHelpers.loadSpec('orders');
+  spec.table.primary_key = ['ORDER_ID', 'STATUS'];
+  spec.elasticsearch.id_field = 'CDC_DOC_ID';
+  if (id) spec.elasticsearch.id = id;
+  return spec;
+}
+
+describe('Document ID', () => {
+  describe('Key Columns', () => {
+    test('single and composite keys should both resolve to a column list', () => {
+      const single = global.testHelpers.loadSpec('orders');
+      const composite = compositeOrdersSpec();
+
+      expect(keyColumns(single)).toEqual(['ORDER_ID']);
+      expect(isCompositeKey(single)).toBe(false);
+      expect(keyColumns(composite)).toEqual(['ORDER_ID', 'STATUS']);
+      expect(isCompositeKey(composite)).toBe(true);
+    });
+
+    test('id settings should default to join with "|"', () => {
+      expect(idSettings(compositeOrdersSpec())).toEqual({ strategy: 'join', separator: '|', algorithm: 'SHA256' });
+    });
+  });
+
+  describe('SQL Expression', () => {
+    test('join should render numbers with TM9 and escape character values', () => {
+      expect(documentIdExpression(compositeOrdersSpec())).toBe(
+        "TO_CHAR(ORDER_ID, 'TM9', 'NLS_NUMERIC_CHARACTERS=''.,''') || '|' || " +
+        "REPLACE(REPLACE(STATUS, '\\', '\\\\'), '|', '\\|') AS CDC_DOC_ID"
+      );
+    });
+
+    test('hash should wrap the joined string in STANDARD_HASH', () => {
+      const expression = documentIdExpression(compositeOrdersSpec({ strategy: 'hash', algorithm: 'SHA1', separator: '#' }));
+
+      expect(expression.startsWith("LOWER(RAWTOHEX(STANDARD_HASH(TO_CHAR(ORDER_ID, 'TM9'")).toBe(true);
+      expect(expression).toContain(" || '#' || REPLACE(REPLACE(STATUS, '\\', '\\\\'), '#', '\\#')");
+      expect(expression.endsWith(", 'SHA1'))) AS CDC_DOC_ID")).toBe(true);
+    });
+
+    test('temporal key columns should use a fixed ISO format', () => {
+      const spec = compositeOrdersSpec();
+      spec.table.primary_key = ['ORDER_ID', 'CREATED_AT'];
+
+      expect(documentIdExpression(spec)).toContain(`TO_CHAR(CREATED_AT, 'YYYY-MM-DD"T"HH24:MI:SS.FF6')`);
+    });
+  });
+
+  describe('Computed IDs', () => {
+    test('single key should use the column value', () => {
+      expect(documentId(global.testHelpers.loadSpec('orders'), { ORDER_ID: 42 })).toBe('42');
+    });
+
+    test('join should be deterministic and keep key order', () => {
+      const spec = compositeOrdersSpec();
+
+      expect(documentId(spec, { ORDER_ID: 42, STATUS: 'SHIPPED', QUANTITY: 1 })).toBe('42|SHIPPED');
+      expect(documentId(spec, { STATUS: 'SHIPPED', ORDER_ID: 42, QUANTITY: 9 })).toBe('42|SHIPPED');
+    });
+
+    test('numbers should follow Oracle TM9 rendering', () => {
+      const spec = compositeOrdersSpec();
+      spec.table.primary_key = ['TOTAL_AMOUNT', 'STATUS'];
+
+      expect(documentId(spec, { TOTAL_AMOUNT: 0.5, STATUS: 'A' })).toBe('.5|A');
+      expect(documentId(spec, { TOTAL_AMOUNT: -0.25, STATUS: 'A' })).toBe('-.25|A');
+    });
+
+    test('escaping should keep keys containing the separator distinct', () => {
+      const spec = compositeOrdersSpec();
+      spec.columns.push({ name: 'CHANNEL', type: 'VARCHAR2(10)' });
+      spec.table.primary_key = ['STATUS', 'CHANNEL'];
+
+      const ids = [
+        { STATUS: 'A|B', CHANNEL: 'C' },
+        { STATUS: 'A', CHANNEL: 'B|C' },
+        { STATUS: 'A\\', CHANNEL: '|C' },
+        { STATUS: 'A\\|', CHANNEL: 'C' }
+      ].map(row => documentId(spec, row));
+
+      expect(new Set(ids).size).toBe(ids.length);
+      expect(ids[0]).toBe('A\\|B|C');
+    });
+
+    test('hash should digest the joined string', () => {
+      const spec = compositeOrdersSpec({ strategy: 'hash' });
+      const expected = crypto.createHash('sha256').update('42|SHIPPED', 'utf8').digest('hex');
+
+      expect(documentId(spec, { ORDER_ID: 42, STATUS: 'SHIPPED' })).toBe(expected);
+    });
+
+    test('missing key values should be rejected', () => {
+      expect(() => documentId(compositeOrdersSpec(), { ORDER_ID: 42, STATUS: null }))
+        .toThrow('Key column STATUS has no value');
+    });
+  });
+});
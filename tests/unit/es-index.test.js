@@ -0,0 +1,154 @@
+/**
+ * Elasticsearch Index Template Tests
+ *
+ * spec의 elasticsearch.mapping / settings → index template 생성 검증
+ * - 커밋된 elasticsearch/templates/*.json 과 spec 일치
+ * - 적용 시 index 생성, 기존 index mapping 충돌 감지 (fake client)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  indexTemplateName,
+  buildIndexTemplate,
+  compareMappings,
+  applyIndexTemplates
+} = require('../../scripts/lib/es-index');
+const { loadTemplates, parseArgs } = require('../../scripts/apply-es-templates');
+
+const TEMPLATES_DIR = path.join(__dirname, '../../elasticsearch/templates');
+
+/**
+ * indices API만 흉내내는 ES client
+ */
+function fakeClient(indices = {}) {
+  const calls = [];
+  return {
+    calls,
+    indices: {
+      putIndexTemplate: async params => calls.push(['putIndexTemplate', params.name]),
+      exists: async ({ index }) => index in indices,
+      create: async ({ index }) => calls.push(['create', index]),
+      getMapping: async ({ index }) => ({ [index]: { mappings: indices[index] } })
+    }
+  };
+}
+
+describe('Elasticsearch Index Templates', () => {
+  let spec;
+
+  beforeEach(() => {
+    spec = global.testHelpers.loadSpec('orders');
+  });
+
+  describe('Template Generation', () => {
+    test('template should carry the spec mapping and target the spec index', () => {
+      const template = buildIndexTemplate(spec);
+
+      expect(template.index_patterns).toEqual(['orders']);
+      expect(template.template.mappings.dynamic).toBe('strict');
+      expect(Object.keys(template.template.mappings.properties)).toEqual(spec.columns.map(c => c.name));
+      expect(template.template.mappings.properties.ORDER_ID).toEqual({ type: 'long' });
+      expect(template.template.mappings.properties.TOTAL_AMOUNT).toEqual({ type: 'double' });
+      expect(template._meta.source).toBe('specs/orders.yaml');
+    });
+
+    test('spec settings should override the defaults', () => {
+      spec.elasticsearch.settings = { number_of_replicas: 0, refresh_interval: '30s' };
+      const { settings } = buildIndexTemplate(spec).template;
+
+      expect(settings).toEqual({ number_of_shards: 1, number_of_replicas: 0, refresh_interval: '30s' });
+    });
+
+    test('committed templates should match every spec', () => {
+      global.testHelpers.listSpecTables().forEach(table => {
+        const committed = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, `${table}.json`), 'utf8'));
+        expect(committed).toEqual(buildIndexTemplate(global.testHelpers.loadSpec(table)));
+      });
+    });
+  });
+
+  describe('Mapping Comparison', () => {
+    test('should accept an index created from the template', () => {
+      const { mappings } = buildIndexTemplate(spec).template;
+      expect(compareMappings(mappings, mappings)).toEqual([]);
+    });
+
+    test('should report dynamic mode, missing fields and type changes', () => {
+      const { mappings } = buildIndexTemplate(spec).template;
+      const actual = {
+        properties: {
+          ...mappings.properties,
+          STATUS: { type: 'text' }
+        }
+      };
+      delete actual.properties.QUANTITY;
+
+      expect(compareMappings(mappings, actual)).toEqual([
+        'dynamic is true, expected strict',
+        'field QUANTITY is not mapped',
+        'field STATUS is text, expected keyword'
+      ]);
+    });
+
+    test('should compare the sub-fields of object fields', () => {
+      const declared = {
+        properties: { customer: { type: 'object', properties: { NAME: { type: 'keyword' }, EMAIL: { type: 'keyword' } } } }
+      };
+      // ES는 object field의 type을 생략해서 반환
+      const actual = { properties: { customer: { properties: { NAME: { type: 'text' } } } } };
+
+      expect(compareMappings(declared, actual)).toEqual([
+        'field customer.NAME is text, expected keyword',
+        'field customer.EMAIL is not mapped'
+      ]);
+    });
+  });
+
+  describe('Apply', () => {
+    const templates = () => [{ name: indexTemplateName('orders'), body: buildIndexTemplate(spec) }];
+
+    test('should put the template and create a missing index', async () => {
+      const client = fakeClient();
+      const results = await applyIndexTemplates(client, templates());
+
+      expect(client.calls).toEqual([['putIndexTemplate', 'cdc-orders'], ['create', 'orders']]);
+      expect(results).toEqual([{ name: 'cdc-orders', index: 'orders', action: 'created', conflicts: [] }]);
+    });
+
+    test('should report an existing index with conflicting mappings', async () => {
+      const client = fakeClient({ orders: { properties: {} } });
+      const [result] = await applyIndexTemplates(client, templates());
+
+      expect(result.action).toBe('conflict');
+      expect(client.calls).toEqual([['putIndexTemplate', 'cdc-orders']]);
+    });
+
+    test('dry run should not call write APIs', async () => {
+      const client = fakeClient();
+      const [result] = await applyIndexTemplates(client, templates(), { dryRun: true });
+
+      expect(result.action).toBe('created');
+      expect(client.calls).toEqual([]);
+    });
+  });
+
+  describe('CLI', () => {
+    test('loadTemplates should name templates after their index', () => {
+      expect(loadTemplates(TEMPLATES_DIR, ['orders']).map(t => t.name)).toEqual(['cdc-orders']);
+    });
+
+    test('loadTemplates should reject tables without a template', () => {
+      expect(() => loadTemplates(TEMPLATES_DIR, ['no_such_table'])).toThrow('No index template for table(s): no_such_table');
+    });
+
+    test('parseArgs should collect tables and options', () => {
+      expect(parseArgs(['ORDERS', '--host', 'http://es:9200', '--dry-run'])).toEqual({
+        host: 'http://es:9200',
+        dryRun: true,
+        tables: ['orders']
+      });
+      expect(() => parseArgs(['--force'])).toThrow('Unknown argument: --force');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * NiFi Expression Language Tests
+ *
+ * flow 속성에 쓰는 Expression Language subset의 파싱 / 평가 검증
+ * - attribute 참조, now()는 주입한 clock, 날짜는 SimpleDateFormat
+ * - format / toDate는 time zone 인자, 없으면 평가 옵션 timeZone(NiFi JVM 기본 zone, 기본값 UTC) 사용
+ * - 생성된 range_from / range_to를 고정 시각으로 평가 (commit_lag / overlap / cache의 watermark)
+ * - toNumber / plus / minus / toDate / format, equals / ifElse / replaceEmpty
+ * - jsonPath / replaceAll / escapeJson (compound watermark의 JSON cache 값)
+ * - 문법 오류, 모르는 함수, 인자 개수 오류는 ExpressionSyntaxError
+ */
+
+const {
+  ExpressionSyntaxError,
+  parse,
+  evaluate,
+  expressionErrors
+} = require('../../scripts/lib/expression-language');
+const { rangeProperties } = require('../../scripts/lib/range-window');
+
+const T0 = Date.UTC(2024, 0, 1, 10, 0, 0);
+const clock = () => T0;
+
+describe('NiFi Expression Language', () => {
+  describe('Evaluation', () => {
+    test('attribute references should read flowfile attributes', () => {
+      const attributes = { es_id_field: 'ORDER_ID', 'table name': 'ORDERS' };
+
+      expect(evaluate('/${es_id_field}', { attributes })).toBe('/ORDER_ID');
+      expect(evaluate("${'table name'}-${missing}", { attributes })).toBe('ORDERS-');
+      expect(evaluate('$${es_id_field}', { attributes })).toBe('${es_id_field}');
+    });
+
+    test('now() should read the injected clock', () => {
+      expect(evaluate('${now():toNumber()}', { clock })).toBe(String(T0));
+      expect(evaluate("${now():plus(1500):format('yyyy-MM-dd HH:mm:ss.SSS')}", { clock })).toBe('2024-01-01 10:00:01.500');
+      expect(evaluate("${now():minus(300000):format('HH:mm')}", { clock })).toBe('09:55');
+    });
+
+    test('toDate and format should round-trip a timestamp attribute', () => {
+      const attributes = { range_to: '2024-01-01 10:05:00.250' };
+
+      expect(evaluate("${range_to:toDate('yyyy-MM-dd HH:mm:ss.SSS'):toNumber():minus(250):format('yyyy-MM-dd')}", { attributes }))
+        .toBe('2024-01-01');
+      expect(evaluate("${range_to:toDate('yyyy-MM-dd HH:mm:ss.SSS'):format('yyyy-MM-dd\\'T\\'HH:mm:ss.SSS')}", { attributes }))
+        .toBe('2024-01-01T10:05:00.250');
+      expect(() => evaluate("${range_to:toDate('yyyy-MM-dd')}", { attributes }))
+        .toThrow('Cannot parse "2024-01-01 10:05:00.250" as a date with format "yyyy-MM-dd"');
+    });
+
+    test('format and toDate should use the JVM zone of the evaluation unless given a zone', () => {
+      const seoul = { clock, timeZone: 'Asia/Seoul' };
+
+      expect(evaluate("${now():format('yyyy-MM-dd HH:mm:ss.SSS')}", seoul)).toBe('2024-01-01 19:00:00.000');
+      expect(evaluate("${now():format('HH:mm', 'UTC')}", seoul)).toBe('10:00');
+      expect(evaluate("${now():format('HH:mm', 'GMT-05:30')}", { clock })).toBe('04:30');
+      expect(evaluate("${now():format('yyyy-MM-dd HH:mm', 'America/New_York')}", { clock })).toBe('2024-01-01 05:00');
+      expect(evaluate("${t:toDate('yyyy-MM-dd HH:mm:ss.SSS'):toNumber()}", { ...seoul, attributes: { t: '2024-01-01 19:00:00.000' } }))
+        .toBe(String(T0));
+      expect(evaluate("${t:toDate('yyyy-MM-dd HH:mm', 'GMT+09:00'):format('HH:mm', 'UTC')}", { attributes: { t: '2024-07-01 09:00' } }))
+        .toBe('00:00');
+      expect(() => evaluate("${now():format('HH', 'Mars/Base')}", { clock })).toThrow('Unknown time zone "Mars/Base"');
+    });
+
+    test('equals, ifElse and replaceEmpty should branch on attributes', () => {
+      const expression = "${cdc_mode:equals('sequence'):ifElse('0', ${range_from:replaceEmpty('none')})}";
+
+      expect(evaluate(expression, { attributes: { cdc_mode: 'sequence' } })).toBe('0');
+      expect(evaluate(expression, { attributes: { cdc_mode: 'timestamp', range_from: '' } })).toBe('none');
+      expect(evaluate('${size:toNumber():plus(2):gt(3)}', { attributes: { size: '2' } })).toBe('true');
+      expect(() => evaluate('${size:plus(1)}', { attributes: { size: 'big' } })).toThrow('Cannot convert "big" to a number');
+    });
+
+    test('jsonPath should read a cached JSON value', () => {
+      const attributes = { cdc_watermark: '{"range_from":"2024-01-01 10:00:00.000","keys":[1,2]}' };
+
+      expect(evaluate("${cdc_watermark:jsonPath('$.range_from')}", { attributes })).toBe('2024-01-01 10:00:00.000');
+      expect(evaluate('${cdc_watermark:jsonPath("$[\'keys\']")}', { attributes })).toBe('[1,2]');
+      expect(evaluate("${cdc_watermark:jsonPath('$.keys[-1]')}", { attributes })).toBe('2');
+      expect(evaluate("${cdc_watermark:jsonPath('$.missing')}", { attributes })).toBe('');
+      expect(() => evaluate("${missing:jsonPath('$.range_from')}", { attributes })).toThrow('jsonPath() subject is empty');
+      expect(() => evaluate("${cdc_watermark:jsonPath('$..range_from')}", { attributes })).toThrow('Unsupported JsonPath "$..range_from"');
+    });
+
+    test('replaceAll and escapeJson should rewrite text', () => {
+      const attributes = { key: '2024-01-01T10:00:00.250000+09:00', note: 'say "hi"\\' };
+
+      expect(evaluate("${key:replaceAll('^([0-9-]+)T([0-9:.]+).*$', '$1 $2')}", { attributes })).toBe('2024-01-01 10:00:00.250000');
+      expect(evaluate('{"note":"${note:escapeJson()}"}', { attributes })).toBe('{"note":"say \\"hi\\"\\\\"}');
+      expect(JSON.parse(evaluate('{"note":"${note:escapeJson()}"}', { attributes })).note).toBe('say "hi"\\');
+    });
+  });
+
+  describe('Generated Range Properties', () => {
+    let spec;
+
+    // my_table의 source.utc_offset은 +09:00: T0 - 9h가 소스 DB 시계로 10:00
+    const sourceClock = () => T0 - 9 * 60 * 60 * 1000;
+
+    beforeEach(() => {
+      spec = global.testHelpers.loadSpec('my_table');
+    });
+
+    test('the first trigger should read range.default before now', () => {
+      const properties = rangeProperties(spec);
+
+      expect(evaluate(properties.range_from, { clock: sourceClock })).toBe('2024-01-01 09:55:00.000');
+      expect(evaluate(properties.range_to, { clock: sourceClock })).toBe('2024-01-01 10:00:00.000');
+    });
+
+    test('range bounds should use the source zone whatever the JVM zone is', () => {
+      const properties = rangeProperties(spec);
+
+      expect(evaluate(properties.range_to, { clock: sourceClock, timeZone: 'America/New_York' })).toBe('2024-01-01 10:00:00.000');
+      delete spec.source;
+      expect(evaluate(rangeProperties(spec).range_to, { clock: sourceClock, timeZone: 'Asia/Seoul' })).toBe('2024-01-01 01:00:00.000');
+    });
+
+    test('the next trigger should start from the cached watermark', () => {
+      const properties = rangeProperties(spec);
+      const attributes = { cdc_watermark: '2024-01-01 09:40:00.000' };
+
+      expect(evaluate(properties.range_from, { clock: sourceClock, attributes })).toBe('2024-01-01 09:40:00.000');
+    });
+
+    test('commit_lag and overlap should move the computed bounds', () => {
+      spec.cdc.commit_lag = '30s';
+      spec.cdc.overlap = '1m';
+      const properties = rangeProperties(spec);
+      const attributes = { cdc_watermark: '2024-01-01 09:54:30.000' };
+
+      expect(evaluate(properties.range_to, { clock: sourceClock })).toBe('2024-01-01 09:59:30.000');
+      expect(evaluate(properties.range_from, { clock: sourceClock })).toBe('2024-01-01 09:53:30.000');
+      expect(evaluate(properties.range_from, { clock: sourceClock, attributes })).toBe('2024-01-01 09:53:30.000');
+    });
+  });
+
+  describe('Syntax Errors', () => {
+    test.each([
+      ["${now():format('yyyy}", 'Unterminated string at 15'],
+      ['${sql_id', 'Expected "}" at 8'],
+      ['${now():minus(300000}', 'Expected "," or ")" at 20'],
+      ['${now():minuss(300000)}', 'Unknown function minuss() at 8'],
+      ['${now():minus()}', 'minus() takes 1 argument but got 0 at 8'],
+      ["${now():format('a', 'b', 'c')}", 'format() takes 1 to 2 arguments but got 3 at 8'],
+      ['${sql_id:now()}', 'now() cannot be chained at 9'],
+      ["${format('HH')}", 'format() needs a subject at 2'],
+      ['${now():minus(:)}', 'Unexpected argument at 14']
+    ])('%s should be rejected', (text, message) => {
+      expect(() => parse(text)).toThrow(ExpressionSyntaxError);
+      expect(() => parse(text)).toThrow(`${message} in expression: ${text}`);
+    });
+
+    test('expressionErrors() should name each broken property', () => {
+      const errors = expressionErrors({
+        'Index': '${es_index}',
+        'ID Record Path': '/${es_id_field',
+        'Fetch Size': '1000'
+      });
+
+      expect(errors).toEqual([{
+        property: 'ID Record Path',
+        message: 'Expected "}" at 14 in expression: /${es_id_field'
+      }]);
+    });
+  });
+});
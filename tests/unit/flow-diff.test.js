@@ -0,0 +1,181 @@
+/**
+ * Semantic Flow Diff Tests
+ *
+ * scripts/lib/flow-diff.js, scripts/flow-diff.js (nificdc flow-diff) 검증
+ * - identifier 기준으로 추가 / 삭제된 processor, controller service, process group
+ * - component별 property 변경, scheduling 변경, connection 재연결
+ * - position / bends / 배열 순서 등 layout만 바뀐 경우는 변경 없음
+ * - Password 속성 값은 diff에 복사하지 않음
+ * - PR용 markdown 요약, JSON 출력, git revision snapshot
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { diffFlows, isEmptyDiff, renderMarkdown } = require('../../scripts/lib/flow-diff');
+const { generateSqlRegistryEntries, buildFlow } = require('../../scripts/generate-from-spec');
+
+const SCRIPT_PATH = path.join(__dirname, '../../scripts/flow-diff.js');
+const CLI_PATH = path.join(__dirname, '../../scripts/nificdc.js');
+const FLOW_FILE = path.join(__dirname, '../../flows/oracle_cdc_flow.json');
+
+describe('Semantic Flow Diff', () => {
+  let before;
+  let after;
+
+  const processor = role => global.testHelpers.getTableProcessor(after, 'orders', role);
+  const service = id => after.flowContents.controllerServices.find(s => s.identifier === id);
+
+  beforeEach(() => {
+    before = global.testHelpers.loadFlowJson();
+    after = global.testHelpers.loadFlowJson();
+  });
+
+  describe('Layout', () => {
+    test('identical flows should have no changes', () => {
+      const diff = diffFlows(before, after);
+
+      expect(isEmptyDiff(diff)).toBe(true);
+      expect(renderMarkdown(diff)).toContain('No semantic changes');
+    });
+
+    test('moving components and reordering arrays should be ignored', () => {
+      const group = global.testHelpers.getTableProcessGroup(after, 'orders');
+      group.position = { x: 900, y: 900 };
+      group.processors.forEach(p => { p.position = { x: p.position.x + 40, y: 0 }; });
+      group.processors.reverse();
+      group.connections[0].bends = [{ x: 10, y: 20 }];
+      processor('put-elasticsearch-record').autoTerminatedRelationships.reverse();
+
+      expect(isEmptyDiff(diffFlows(before, after))).toBe(true);
+    });
+  });
+
+  describe('Components', () => {
+    test('added and removed processors and services should be listed by identifier', () => {
+      const group = global.testHelpers.getTableProcessGroup(after, 'orders');
+      group.processors = group.processors.filter(p => p.identifier !== 'cdc-orders-update-attribute-bind');
+      after.flowContents.controllerServices.push({ ...service('json-record-writer'), identifier: 'csv-record-writer' });
+
+      const diff = diffFlows(before, after);
+
+      expect(diff.processors.removed).toEqual([{
+        identifier: 'cdc-orders-update-attribute-bind',
+        name: 'UpdateAttribute - Bind Range Parameters',
+        type: 'org.apache.nifi.processors.attributes.UpdateAttribute',
+        group: 'cdc-orders'
+      }]);
+      expect(diff.controllerServices.added.map(s => s.identifier)).toEqual(['csv-record-writer']);
+      expect(diff.processors.added).toEqual([]);
+    });
+
+    test('property and scheduling changes should be listed per component', () => {
+      processor('put-elasticsearch-record').properties['Index Operation'] = 'index';
+      delete processor('put-elasticsearch-record').properties.Type;
+      processor('generate-flowfile').schedulingPeriod = '15 min';
+
+      expect(diffFlows(before, after).processors.changed).toEqual([
+        expect.objectContaining({
+          identifier: 'cdc-orders-generate-flowfile',
+          changes: [{ category: 'scheduling', field: 'schedulingPeriod', before: '5 min', after: '15 min' }]
+        }),
+        expect.objectContaining({
+          identifier: 'cdc-orders-put-elasticsearch-record',
+          changes: [
+            { category: 'property', field: 'Index Operation', before: 'upsert', after: 'index' },
+            { category: 'property', field: 'Type', before: '_doc', after: null }
+          ]
+        })
+      ]);
+    });
+
+    test('rewired connections should show their whole wiring', () => {
+      const connection = global.testHelpers.getTableProcessGroup(after, 'orders').connections
+        .find(c => c.destination.id === 'cdc-orders-update-attribute-bind');
+      connection.destination.id = 'cdc-orders-execute-sql-record';
+
+      const [changed] = diffFlows(before, after).connections.changed;
+
+      expect(changed.rewired).toEqual({
+        before: 'cdc-orders-update-attribute-range → cdc-orders-update-attribute-bind [success]',
+        after: 'cdc-orders-update-attribute-range → cdc-orders-execute-sql-record [success]'
+      });
+      expect(changed.changes.map(c => c.category)).toEqual(['wiring']);
+    });
+
+    test('password values should never be copied into the diff', () => {
+      service('oracle-dbcp').properties.Password = 'tiger';
+
+      const diff = diffFlows(before, after);
+
+      expect(diff.controllerServices.changed[0].changes).toEqual([
+        { category: 'property', field: 'Password', before: '********', after: '********' }
+      ]);
+      expect(JSON.stringify(diff)).not.toContain('tiger');
+    });
+
+    test('regenerating a spec with a new range should show the scheduling and sql_id changes', () => {
+      const spec = global.testHelpers.loadSpec('orders');
+      spec.range.default = '15m';
+      spec.range.options = ['15m'];
+      after = buildFlow(before, generateSqlRegistryEntries(spec), { sqlIds: ['oracle.cdc.orders.5m'], tables: [] }, [spec]);
+
+      const diff = diffFlows(before, after);
+      const changes = id => diff.processors.changed.find(p => p.identifier === id).changes;
+
+      expect(changes('cdc-orders-generate-flowfile')).toEqual([
+        { category: 'scheduling', field: 'schedulingPeriod', before: '5 min', after: '15 min' }
+      ]);
+      expect(changes('cdc-orders-update-attribute-init')).toEqual([
+        { category: 'property', field: 'sql_id', before: 'oracle.cdc.orders.5m', after: 'oracle.cdc.orders.15m' }
+      ]);
+      // 15m entry는 이미 range option으로 등록되어 있고 5m entry만 삭제됨
+      expect(diff.controllerServices.changed).toEqual([expect.objectContaining({
+        identifier: 'sql-lookup-service',
+        changes: [expect.objectContaining({ category: 'property', field: 'oracle.cdc.orders.5m', after: null })]
+      })]);
+    });
+  });
+
+  describe('Markdown', () => {
+    test('should summarize changes in tables a pull request can show', () => {
+      processor('generate-flowfile').schedulingPeriod = '15 min';
+      processor('put-elasticsearch-record').properties.Index = 'orders|v2';
+      after.flowContents.controllerServices = after.flowContents.controllerServices
+        .filter(s => s.identifier !== 'elasticsearch-client');
+
+      const markdown = renderMarkdown(diffFlows(before, after), { title: 'Flow diff: main → branch' });
+
+      expect(markdown).toContain('## Flow diff: main → branch');
+      expect(markdown).toContain('**0 added, 1 removed, 2 changed**');
+      expect(markdown).toContain('| removed | `elasticsearch-client` |');
+      expect(markdown).toContain('| scheduling | `schedulingPeriod` | `5 min` | `15 min` |');
+      expect(markdown).toContain('| property | `Index` | `orders` | `orders\\|v2` |');
+    });
+  });
+
+  describe('CLI', () => {
+    test('nificdc flow-diff should compare a git revision with the working copy', () => {
+      const result = spawnSync('node', [CLI_PATH, 'flow-diff', 'HEAD:flows/oracle_cdc_flow.json', FLOW_FILE], {
+        encoding: 'utf8',
+        cwd: path.dirname(FLOW_FILE)
+      });
+
+      expect(result.status).toBe(0);
+      expect(result.stdout).toContain('## Flow diff: HEAD:flows/oracle_cdc_flow.json →');
+    });
+
+    test('--format json should print the structured diff', () => {
+      const result = spawnSync('node', [SCRIPT_PATH, FLOW_FILE, FLOW_FILE, '--format', 'json'], { encoding: 'utf8' });
+
+      expect(result.status).toBe(0);
+      expect(JSON.parse(result.stdout).processors).toEqual({ added: [], removed: [], changed: [] });
+    });
+
+    test('missing snapshots should exit 2', () => {
+      const result = spawnSync('node', [SCRIPT_PATH, FLOW_FILE], { encoding: 'utf8' });
+
+      expect(result.status).toBe(2);
+      expect(result.stderr).toContain('Expected two flow snapshots: <before> <after>');
+    });
+  });
+});
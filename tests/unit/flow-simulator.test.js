@@ -0,0 +1,348 @@
+/**
+ * Flow Simulator Tests
+ *
+ * flows/oracle_cdc_flow.json을 NiFi / Oracle / ES 없이 실행해 체인 동작 검증
+ * - UpdateAttribute(range)가 watermark cache의 이전 range_to에서 이어지고, bind 속성이 SQL ? 순서와 맞음
+ * - watermark는 PutElasticsearchRecord 성공 후에만 저장, 실패한 trigger의 window는 다음 trigger가 다시 읽음
+ * - LookupAttribute가 sql-lookup-service의 SQL을 찾고, 없는 sql_id는 unmatched로 종료
+ * - ExecuteSQLRecord가 lookup SQL을 sql.args.N.*로 bind해 in-memory 테이블에서 실행, 행은 SQL alias로 record가 됨
+ * - SQL의 ? 개수와 bind된 sql.args 개수가 다르면 failure로 종료되고 watermark는 그대로
+ * - PutElasticsearchRecord가 ID Record Path의 _id로 upsert
+ * - NiFi처럼 input requirement를 어긴 processor(입력이 연결된 QueryDatabaseTableRecord 등)가 있으면 실행 거부
+ * - es_name(SQL alias), row filter, sequence mode(watermark cache), 복합 키 _id를 생성된 flow로 실행
+ * - 생성기가 만드는 source 형태(joins, children, rowscn, postgresql / mysql / sqlserver)를 생성된 flow로 실행
+ */
+
+const { createFlowSimulator } = require('../../scripts/lib/flow-simulator');
+const { documentId } = require('../../scripts/lib/document-id');
+const { timestampToScn } = require('../../scripts/lib/memory-database');
+const { generateSqlRegistryEntries, buildFlow } = require('../../scripts/generate-from-spec');
+
+const MINUTE = 60 * 1000;
+// Trigger 시각 T0는 source.utc_offset +09:00의 2024-01-01 10:00, in-memory 행의 timestamp는 소스 DB 시계
+const T0 = Date.UTC(2024, 0, 1, 1, 0, 0);
+const SOURCE_T0 = Date.UTC(2024, 0, 1, 10, 0, 0);
+
+describe('Flow Simulator', () => {
+  let flow;
+  let tables;
+  let orders;
+
+  const at = minutes => new Date(SOURCE_T0 + minutes * MINUTE);
+  const order = (id, modifiedMinutes, fields = {}) => ({
+    ORDER_ID: id,
+    CUSTOMER_ID: 100,
+    PRODUCT_ID: 10 + id,
+    QUANTITY: 1,
+    TOTAL_AMOUNT: 12.5,
+    STATUS: 'OPEN',
+    CREATED_AT: at(-60),
+    MODIFIED_AT: at(modifiedMinutes),
+    ...fields
+  });
+
+  /**
+   * spec을 바꿔 생성한 flow
+   */
+  const flowFor = spec => buildFlow(global.testHelpers.loadFlowJson(), generateSqlRegistryEntries(spec), undefined, [spec]);
+
+  beforeEach(() => {
+    flow = global.testHelpers.loadFlowJson();
+    orders = [];
+    tables = { 'CDC_USER.ORDERS': orders, 'CDC_USER.MY_TABLE': [] };
+  });
+
+  describe('Range Chain', () => {
+    test('the first trigger should read the default range before now', () => {
+      orders.push(order(1, -6), order(2, -3), order(3, 1));
+      const simulator = createFlowSimulator(flow, { tables });
+
+      const { queries, documents } = simulator.trigger('cdc-orders', T0);
+
+      expect(queries).toHaveLength(1);
+      expect(queries[0].args).toEqual(['2024-01-01 09:55:00.000', '2024-01-01 10:00:00.000']);
+      expect(documents.map(d => [d.index, d.id, d.operation])).toEqual([['orders', '2', 'upsert']]);
+      expect(documents[0].document).toEqual(expect.objectContaining({
+        ORDER_ID: 2,
+        STATUS: 'OPEN',
+        // registry SQL이 source.utc_offset의 ISO-8601 문자열로 변환
+        MODIFIED_AT: '2024-01-01T09:57:00.000000+09:00'
+      }));
+    });
+
+    test('the next trigger should continue from the committed range_to and upsert updates', () => {
+      orders.push(order(1, -2));
+      const simulator = createFlowSimulator(flow, { tables });
+      simulator.trigger('cdc-orders', T0);
+
+      orders[0] = order(1, 4, { STATUS: 'PAID' });
+      orders.push(order(2, 3));
+      const { queries } = simulator.trigger('cdc-orders', T0 + 5 * MINUTE);
+
+      expect(queries[0].args).toEqual(['2024-01-01 10:00:00.000', '2024-01-01 10:05:00.000']);
+      expect(simulator.cache['cdc.orders.watermark']).toBe('2024-01-01 10:05:00.000');
+      expect(Object.keys(simulator.indices.orders).sort()).toEqual(['1', '2']);
+      expect(simulator.indices.orders['1'].STATUS).toBe('PAID');
+    });
+
+    test('a trigger after downtime should read the whole gap', () => {
+      const simulator = createFlowSimulator(flow, { tables });
+      simulator.trigger('cdc-orders', T0);
+
+      orders.push(order(1, 7), order(2, 18));
+      const { queries, documents } = simulator.trigger('cdc-orders', T0 + 25 * MINUTE);
+
+      expect(queries[0].args[0]).toBe('2024-01-01 10:00:00.000');
+      expect(documents.map(d => d.id)).toEqual(['1', '2']);
+    });
+
+    test('every spec table should run through its process group', () => {
+      tables['CDC_USER.MY_TABLE'].push({ ID: 1, NAME: 'a', VALUE: 1.5, UPDATED_AT: at(-1) });
+      const simulator = createFlowSimulator(flow, { tables });
+
+      global.testHelpers.listSpecTables().forEach(tableName => {
+        expect(() => simulator.trigger(`cdc-${tableName}`, T0)).not.toThrow();
+      });
+      expect(simulator.indices.my_table['1']).toEqual({
+        ID: 1,
+        NAME: 'a',
+        VALUE: 1.5,
+        UPDATED_AT: '2024-01-01T09:59:00.000000+09:00'
+      });
+    });
+  });
+
+  describe('Routing', () => {
+    test('an sql_id missing from the lookup service should end on unmatched', () => {
+      const lookup = flow.flowContents.controllerServices.find(s => s.identifier === 'sql-lookup-service');
+      delete lookup.properties['oracle.cdc.orders.5m'];
+      const simulator = createFlowSimulator(flow, { tables });
+
+      const { queries, dropped } = simulator.trigger('cdc-orders', T0);
+
+      expect(queries).toEqual([]);
+      expect(dropped).toEqual([expect.objectContaining({
+        processor: 'cdc-orders-lookup-attribute',
+        relationship: 'unmatched'
+      })]);
+    });
+
+    test('a bind step that misses a ? parameter should route the query to failure', () => {
+      const bind = global.testHelpers.getTableProcessor(flow, 'orders', 'update-attribute-bind');
+      delete bind.properties['sql.args.2.type'];
+      delete bind.properties['sql.args.2.value'];
+      orders.push(order(1, -1));
+      const simulator = createFlowSimulator(flow, { tables });
+
+      const { queries, documents, dropped } = simulator.trigger('cdc-orders', T0);
+
+      expect(queries).toEqual([]);
+      expect(documents).toEqual([]);
+      expect(dropped).toEqual([expect.objectContaining({
+        processor: 'cdc-orders-execute-sql-record',
+        relationship: 'failure'
+      })]);
+      expect(dropped[0].attributes['executesql.error.message']).toBe('SQL has 2 parameters but 1 values were bound');
+      expect(simulator.cache).toEqual({});
+    });
+
+    test('a relationship that is neither connected nor auto-terminated should fail the trigger', () => {
+      const lookup = flow.flowContents.controllerServices.find(s => s.identifier === 'sql-lookup-service');
+      delete lookup.properties['oracle.cdc.orders.5m'];
+      global.testHelpers.getTableProcessor(flow, 'orders', 'lookup-attribute').autoTerminatedRelationships = [];
+
+      expect(() => createFlowSimulator(flow, { tables }).trigger('cdc-orders', T0))
+        .toThrow('cdc-orders-lookup-attribute: relationship unmatched is neither connected nor auto-terminated');
+    });
+
+    test('a forced failure should route the flowfile without running the processor', () => {
+      orders.push(order(1, -1));
+      const simulator = createFlowSimulator(flow, { tables });
+
+      const { documents, dropped } = simulator.trigger('cdc-orders', T0, {
+        failures: { 'cdc-orders-put-elasticsearch-record': 'failure' }
+      });
+
+      expect(documents).toEqual([]);
+      expect(dropped.map(d => [d.processor, d.relationship])).toEqual([['cdc-orders-put-elasticsearch-record', 'failure']]);
+      expect(simulator.cache).toEqual({});
+    });
+
+    test('a source processor fed by a connection should be rejected', () => {
+      const query = global.testHelpers.getTableProcessor(flow, 'orders', 'execute-sql-record');
+      query.type = 'org.apache.nifi.processors.standard.QueryDatabaseTableRecord';
+
+      expect(() => createFlowSimulator(flow, { tables }).trigger('cdc-orders', T0))
+        .toThrow('cdc-orders-execute-sql-record: QueryDatabaseTableRecord does not accept incoming connections');
+    });
+
+    test('a processor nothing feeds should be rejected', () => {
+      const group = global.testHelpers.getTableProcessGroup(flow, 'orders');
+      group.connections = group.connections.filter(c => c.identifier !== 'cdc-orders-conn-init-to-lookup');
+
+      expect(() => createFlowSimulator(flow, { tables }).trigger('cdc-orders', T0))
+        .toThrow('cdc-orders-lookup-attribute: LookupAttribute requires an incoming connection');
+    });
+
+    test('ExecuteSQLRecord without an incoming connection should run as a source', () => {
+      const group = global.testHelpers.getTableProcessGroup(flow, 'orders');
+      const query = global.testHelpers.getTableProcessor(flow, 'orders', 'execute-sql-record');
+      group.processors = group.processors.filter(p => ['execute-sql-record', 'put-elasticsearch-record']
+        .some(role => p.identifier === `cdc-orders-${role}`));
+      group.connections = group.connections.filter(c => c.identifier === 'cdc-orders-conn-query-to-es');
+      query.properties['SQL select query'] = 'SELECT ORDER_ID, STATUS FROM CDC_USER.ORDERS ORDER BY ORDER_ID';
+      global.testHelpers.getTableProcessor(flow, 'orders', 'put-elasticsearch-record').autoTerminatedRelationships.push('success');
+      orders.push(order(1, -1));
+
+      const { documents } = createFlowSimulator(flow, { tables }).trigger('cdc-orders', T0);
+
+      expect(documents.map(d => [d.id, d.document])).toEqual([['1', { ORDER_ID: 1, STATUS: 'OPEN' }]]);
+    });
+
+    test('an unknown process group should be rejected', () => {
+      expect(() => createFlowSimulator(flow).trigger('cdc-missing', T0)).toThrow('Process group cdc-missing not found');
+    });
+  });
+
+  describe('Generated Flows', () => {
+    let spec;
+
+    beforeEach(() => {
+      spec = global.testHelpers.loadSpec('orders');
+    });
+
+    test('es_name should name document fields through the SQL alias', () => {
+      spec.columns.find(c => c.name === 'TOTAL_AMOUNT').es_name = 'totalAmount';
+      spec.columns.find(c => c.name === 'CREATED_AT').exclude = true;
+      orders.push(order(1, -1));
+
+      const { documents } = createFlowSimulator(flowFor(spec), { tables }).trigger('cdc-orders', T0);
+
+      expect(documents[0].document.totalAmount).toBe(12.5);
+      expect(documents[0].document).not.toHaveProperty('TOTAL_AMOUNT');
+      expect(documents[0].document).not.toHaveProperty('CREATED_AT');
+    });
+
+    test('a row filter should keep filtered rows out of the index', () => {
+      spec.filter = { where: [{ column: 'STATUS', op: '<>', value: 'DRAFT' }] };
+      orders.push(order(1, -1), order(2, -1, { STATUS: 'DRAFT' }));
+
+      const { documents } = createFlowSimulator(flowFor(spec), { tables }).trigger('cdc-orders', T0);
+
+      expect(documents.map(d => d.id)).toEqual(['1']);
+    });
+
+    test('sequence mode should read past the key kept in the watermark cache', () => {
+      spec.cdc.mode = 'sequence';
+      spec.table.cdc_key = 'ORDER_ID';
+      delete spec.cdc.trigger;
+      orders.push(order(1, 0), order(2, 0));
+      const simulator = createFlowSimulator(flowFor(spec), { tables });
+
+      const first = simulator.trigger('cdc-orders', T0);
+      orders.push(order(3, 0));
+      const second = simulator.trigger('cdc-orders', T0 + 5 * MINUTE);
+      const third = simulator.trigger('cdc-orders', T0 + 10 * MINUTE);
+
+      expect(first.queries[0].args).toEqual([0]);
+      expect(first.documents.map(d => d.id)).toEqual(['1', '2']);
+      expect(second.queries[0].args).toEqual([2]);
+      expect(second.documents.map(d => d.id)).toEqual(['3']);
+      // 빈 window는 이전 watermark를 그대로 유지
+      expect(third.documents).toEqual([]);
+      expect(simulator.cache['cdc.orders.watermark']).toBe('3');
+    });
+
+    test('rowscn mode should read the whole table once the watermark is older than the SCN mapping', () => {
+      spec.cdc.mode = 'rowscn';
+      delete spec.cdc.trigger;
+      // 6일 장애: watermark는 SCN mapping(5일)보다 오래됐고, 장애 중 커밋된 행이 있음
+      orders.push(order(1, -3), order(2, -110 * 60));
+      orders.forEach(row => { row.ORA_ROWSCN = timestampToScn(row.MODIFIED_AT); });
+      const simulator = createFlowSimulator(flowFor(spec), { tables, oldestScn: timestampToScn(at(-120 * 60)) });
+      simulator.cache['cdc.orders.watermark'] = '2023-12-26 10:00:00.000';
+
+      const { queries, documents, dropped } = simulator.trigger('cdc-orders', T0);
+
+      expect(dropped).toEqual([]);
+      expect(queries[0].args).toEqual(['2023-12-26 10:00:00.000', '2024-01-01 10:00:00.000',
+        '2023-12-26 10:00:00.000', '2024-01-01 10:00:00.000']);
+      expect(documents.map(d => d.id)).toEqual(['2', '1']);
+      expect(simulator.cache['cdc.orders.watermark']).toBe('2024-01-01 10:00:00.000');
+    });
+
+    test('a composite key _id should match documentId() and stay out of the document', () => {
+      spec.table.primary_key = ['ORDER_ID', 'PRODUCT_ID'];
+      spec.elasticsearch.id_field = 'CDC_DOC_ID';
+      orders.push(order(1, -1));
+
+      const { documents } = createFlowSimulator(flowFor(spec), { tables }).trigger('cdc-orders', T0);
+
+      expect(documents[0].id).toBe(documentId(spec, orders[0]));
+      expect(documents[0].document).not.toHaveProperty('CDC_DOC_ID');
+    });
+  });
+
+  describe('Source Shapes', () => {
+    // spec 변경과 주문 1 document에 기대하는 필드
+    const SHAPES = {
+      joins: [spec => {
+        spec.joins = [{
+          table: 'CUSTOMERS',
+          field: 'customer',
+          on: { CUSTOMER_ID: 'CUSTOMER_ID' },
+          cdc_key: 'UPDATED_AT',
+          columns: [{ name: 'NAME', type: 'VARCHAR2(100)' }]
+        }];
+      }, { customer: { NAME: 'Kim' } }],
+      children: [spec => {
+        spec.children = [{
+          table: 'ORDER_LINES',
+          field: 'lines',
+          on: { ORDER_ID: 'ORDER_ID' },
+          cdc_key: 'UPDATED_AT',
+          order_by: ['LINE_NO'],
+          columns: [{ name: 'LINE_NO', type: 'NUMBER' }, { name: 'QUANTITY', type: 'NUMBER', es_name: 'qty' }]
+        }];
+      }, { lines: [{ LINE_NO: 1, qty: 1 }, { LINE_NO: 2, qty: 3 }] }],
+      rowscn: [spec => {
+        spec.cdc.mode = 'rowscn';
+        delete spec.cdc.trigger;
+      }, { MODIFIED_AT: '2024-01-01T09:57:00.000000+09:00' }],
+      postgresql: [spec => {
+        spec.source.dialect = 'postgresql';
+      }, { MODIFIED_AT: '2024-01-01T09:57:00.000000+09:00' }],
+      mysql: [spec => {
+        spec.source.dialect = 'mysql';
+      }, { MODIFIED_AT: '2024-01-01T09:57:00.000000+09:00' }],
+      // SQL Server는 timestamp를 변환하지 않고 record writer 형식으로 씀
+      sqlserver: [spec => {
+        spec.source.dialect = 'sqlserver';
+      }, { MODIFIED_AT: '2024-01-01 09:57:00.000' }]
+    };
+
+    beforeEach(() => {
+      tables['CDC_USER.CUSTOMERS'] = [{ CUSTOMER_ID: 100, NAME: 'Kim', UPDATED_AT: at(-120) }];
+      tables['CDC_USER.ORDER_LINES'] = [
+        { ORDER_ID: 1, LINE_NO: 2, QUANTITY: 3, UPDATED_AT: at(-120) },
+        { ORDER_ID: 1, LINE_NO: 1, QUANTITY: 1, UPDATED_AT: at(-120) }
+      ];
+      orders.push(order(1, -3), order(2, -8));
+      // 행의 ORA_ROWSCN은 마지막 변경 시각의 SCN
+      orders.forEach(row => { row.ORA_ROWSCN = timestampToScn(row.MODIFIED_AT); });
+    });
+
+    test.each(Object.keys(SHAPES))('a %s spec should run through its generated process group', shape => {
+      const [change, fields] = SHAPES[shape];
+      const spec = global.testHelpers.loadSpec('orders');
+      change(spec);
+
+      const { queries, documents, dropped } = createFlowSimulator(flowFor(spec), { tables }).trigger('cdc-orders', T0);
+
+      expect(dropped).toEqual([]);
+      expect(queries).toHaveLength(1);
+      expect(documents.map(d => d.id)).toEqual(['1']);
+      expect(documents[0].document).toEqual(expect.objectContaining({ ORDER_ID: 1, STATUS: 'OPEN', ...fields }));
+    });
+  });
+});
@@ -6,12 +6,25 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const yaml = require('js-yaml');
+const { execSync, spawnSync } = require('child_process');
+const {
+  generateSql,
+  generateSqlRegistryEntries,
+  buildSqlRegistry,
+  buildFlow,
+  findTableArtifacts,
+  findOrphans,
+  processGroupId,
+  planArtifacts,
+  diffArtifacts
+} = require('../../scripts/generate-from-spec');
 
 const SCRIPTS_DIR = path.join(__dirname, '../../scripts');
 const SPECS_DIR = path.join(__dirname, '../../specs');
 const SQL_REGISTRY_PATH = path.join(__dirname, '../../sql-registry/oracle.json');
 const FLOW_PATH = path.join(__dirname, '../../flows/oracle_cdc_flow.json');
+const ROOT_DIR = path.join(__dirname, '../..');
 
 describe('Generate From Spec Script', () => {
   describe('Script Existence', () => {
@@ -48,16 +61,65 @@ describe('Generate From Spec Script', () => {
       });
     });
 
-    test('generated SQL should use range_from and range_to', () => {
-      const sqlRegistry = global.testHelpers.loadSqlRegistry();
-      const tableLower = spec.table.name.toLowerCase();
+    test('generated SQL should bind range_from and range_to as parameters', () => {
+      const entry = generateSqlRegistryEntries(spec)['oracle.cdc.my_table.5m'];
 
-      Object.entries(sqlRegistry).forEach(([sqlId, entry]) => {
-        if (sqlId.includes(tableLower)) {
-          expect(entry.sql).toContain('${range_from}');
-          expect(entry.sql).toContain('${range_to}');
-        }
-      });
+      expect(entry.sql).toContain("WHERE UPDATED_AT > TO_TIMESTAMP(?, 'YYYY-MM-DD HH24:MI:SS.FF') AND UPDATED_AT <= TO_TIMESTAMP(?, ");
+      expect(entry.sql).not.toContain('${');
+      expect(entry.parameters).toEqual(['range_from', 'range_to']);
+    });
+
+    test('generated SQL should quote mixed-case and reserved identifiers', () => {
+      const quoted = {
+        ...spec,
+        table: { ...spec.table, name: 'MyTable', primary_key: 'LEVEL' },
+        columns: [...spec.columns, { name: 'LEVEL', type: 'NUMBER' }, { name: 'displayName', type: 'VARCHAR2(40)' }],
+        elasticsearch: { ...spec.elasticsearch, id_field: 'LEVEL' }
+      };
+      const sql = generateSql(quoted);
+
+      expect(sql).toContain(', "LEVEL", "displayName" FROM CDC_USER."MyTable" WHERE ');
+      expect(() => generateSql({ ...spec, table: { ...spec.table, name: 'MY_TABLE; DROP TABLE X' } }))
+        .toThrow('Invalid SQL identifier "MY_TABLE; DROP TABLE X"');
+    });
+
+    test('compound watermark entries should record their watermark columns', () => {
+      const compound = { ...spec, cdc: { ...spec.cdc, watermark: 'compound' } };
+      const entry = generateSqlRegistryEntries(compound)['oracle.cdc.my_table.5m'];
+
+      expect(entry.watermark_columns).toEqual(['UPDATED_AT', 'ID']);
+      expect(entry.sql).toContain('(UPDATED_AT = TO_TIMESTAMP(?, \'YYYY-MM-DD HH24:MI:SS.FF\') AND ID > ?)');
+      expect(entry.parameters).toEqual(['range_from', 'range_from', 'range_from_ID', 'range_to']);
+      expect(entry.sql.endsWith('ORDER BY UPDATED_AT, ID')).toBe(true);
+      expect(generateSqlRegistryEntries(spec)['oracle.cdc.my_table.5m'].watermark_columns).toBeUndefined();
+    });
+
+    test('sequence and rowscn entries should record their mode and change column', () => {
+      const sequence = {
+        ...spec,
+        table: { ...spec.table, cdc_key: 'ID' },
+        cdc: { ...spec.cdc, mode: 'sequence' }
+      };
+      const sequenceEntry = generateSqlRegistryEntries(sequence)['oracle.cdc.my_table.5m'];
+      expect(sequenceEntry).toEqual(expect.objectContaining({ mode: 'sequence', max_value_column: 'ID' }));
+      expect(sequenceEntry.sql).toContain('WHERE ID > ? ORDER BY ID');
+      expect(sequenceEntry.parameters).toEqual(['range_from']);
+
+      const rowscn = { ...spec, cdc: { ...spec.cdc, mode: 'rowscn' } };
+      const rowscnEntry = generateSqlRegistryEntries(rowscn)['oracle.cdc.my_table.5m'];
+      expect(rowscnEntry).toEqual(expect.objectContaining({ mode: 'rowscn', max_value_column: 'ORA_ROWSCN' }));
+      expect(rowscnEntry.sql).toContain('ORA_ROWSCN <= TIMESTAMP_TO_SCN(');
+
+      expect(generateSqlRegistryEntries(spec)['oracle.cdc.my_table.5m'].mode).toBeUndefined();
+    });
+
+    test('row filter should be ANDed before ORDER BY and recorded on the entry', () => {
+      const filtered = { ...spec, filter: { where: [{ column: 'NAME', op: '<>', value: 'DRAFT' }] } };
+      const entry = generateSqlRegistryEntries(filtered)['oracle.cdc.my_table.5m'];
+
+      expect(entry.filter).toBe("NAME <> 'DRAFT'");
+      expect(entry.sql).toContain("AND UPDATED_AT <= TO_TIMESTAMP(?, 'YYYY-MM-DD HH24:MI:SS.FF') AND (NAME <> 'DRAFT') ORDER BY UPDATED_AT");
+      expect(generateSqlRegistryEntries(spec)['oracle.cdc.my_table.5m'].filter).toBeUndefined();
     });
 
     test('sql_id should follow naming convention', () => {
@@ -135,4 +197,250 @@ describe('Generate From Spec Script', () => {
       expect(spec.elasticsearch.id_field).toBeDefined();
     });
   });
+
+  describe('Dry Run and Drift Check', () => {
+    const GENERATOR = path.join(SCRIPTS_DIR, 'generate-from-spec.js');
+    const run = (...args) => spawnSync('node', [GENERATOR, ...args], { encoding: 'utf8' });
+
+    test('committed artifacts should match what specs generate (--check)', () => {
+      const result = run('--check');
+      expect(result.stderr).toBe('');
+      expect(result.status).toBe(0);
+      expect(result.stdout).toContain('Generated artifacts are up to date.');
+    });
+
+    test('--dry-run should not write any file', () => {
+      const registryBefore = fs.readFileSync(SQL_REGISTRY_PATH, 'utf8');
+      const flowBefore = fs.readFileSync(FLOW_PATH, 'utf8');
+
+      const result = run('--all', '--dry-run');
+
+      expect(result.status).toBe(0);
+      expect(result.stdout).toContain('No changes.');
+      expect(result.stdout).toContain('Dry run: no files written.');
+      expect(fs.readFileSync(SQL_REGISTRY_PATH, 'utf8')).toBe(registryBefore);
+      expect(fs.readFileSync(FLOW_PATH, 'utf8')).toBe(flowBefore);
+    });
+
+    test('--new --dry-run should print the scaffold without writing it', () => {
+      const specPath = path.join(SPECS_DIR, 'dry_run_table.yaml');
+
+      const result = run('--new', 'dry_run_table', '--dry-run');
+
+      expect(result.status).toBe(0);
+      expect(result.stdout).toContain('name: DRY_RUN_TABLE');
+      expect(result.stdout).toContain('Dry run: no files written.');
+      expect(fs.existsSync(specPath)).toBe(false);
+    });
+
+    test('hand-edited registry SQL should show up as a diff', () => {
+      const spec = global.testHelpers.loadSpec('orders');
+      const entries = generateSqlRegistryEntries(spec);
+      const registry = global.testHelpers.loadSqlRegistry();
+      const edited = JSON.parse(JSON.stringify(registry));
+      edited['oracle.cdc.orders.5m'].sql = 'SELECT * FROM ORDERS';
+
+      const diff = diffArtifacts([{
+        path: SQL_REGISTRY_PATH,
+        current: JSON.stringify(edited, null, 2) + '\n',
+        next: JSON.stringify(buildSqlRegistry(edited, entries), null, 2) + '\n'
+      }]);
+
+      expect(diff).toContain('--- a/sql-registry/oracle.json');
+      expect(diff).toContain('+++ b/sql-registry/oracle.json');
+      expect(diff).toContain('-    "sql": "SELECT * FROM ORDERS",');
+      expect(diff).toContain(`+    "sql": ${JSON.stringify(entries['oracle.cdc.orders.5m'].sql)},`);
+    });
+
+    test('buildFlow should update LookupService without mutating the input', () => {
+      const flow = global.testHelpers.loadFlowJson();
+      const entries = { 'oracle.cdc.orders.5m': { sql: 'SELECT 1 FROM DUAL' } };
+
+      const updated = buildFlow(flow, entries);
+      const lookup = f => f.flowContents.controllerServices.find(s => s.identifier === 'sql-lookup-service');
+
+      expect(lookup(updated).properties['oracle.cdc.orders.5m']).toBe('SELECT 1 FROM DUAL');
+      expect(lookup(flow).properties['oracle.cdc.orders.5m']).not.toBe('SELECT 1 FROM DUAL');
+    });
+  });
+
+  describe('Table Removal and Pruning', () => {
+    const lookup = f => f.flowContents.controllerServices.find(s => s.identifier === 'sql-lookup-service');
+    let registry;
+    let flow;
+    let specTables;
+    let allEntries;
+
+    beforeEach(() => {
+      registry = global.testHelpers.loadSqlRegistry();
+      flow = global.testHelpers.loadFlowJson();
+      specTables = global.testHelpers.listSpecTables();
+      allEntries = Object.assign({}, ...specTables.map(table =>
+        generateSqlRegistryEntries(global.testHelpers.loadSpec(table))));
+    });
+
+    test('--remove should find every registry and LookupService entry of the table', () => {
+      const removal = findTableArtifacts(registry, flow, 'orders');
+
+      expect(removal.sqlIds).toEqual([
+        'oracle.cdc.orders.15m',
+        'oracle.cdc.orders.30m',
+        'oracle.cdc.orders.5m',
+        'oracle.cdc.orders.60m'
+      ]);
+    });
+
+    test('removed entries should disappear from registry and LookupService', () => {
+      const removal = findTableArtifacts(registry, flow, 'orders');
+      const nextRegistry = buildSqlRegistry(registry, {}, removal.sqlIds);
+      const nextFlow = buildFlow(flow, {}, removal);
+
+      expect(Object.keys(nextRegistry).some(id => id.includes('.orders.'))).toBe(false);
+      expect(Object.keys(lookup(nextFlow).properties).some(id => id.includes('.orders.'))).toBe(false);
+      expect(nextRegistry['oracle.cdc.my_table.5m']).toEqual(registry['oracle.cdc.my_table.5m']);
+    });
+
+    test('--prune should find nothing when artifacts match specs', () => {
+      expect(findOrphans(registry, flow, allEntries, specTables)).toEqual({
+        sqlIds: [],
+        tables: []
+      });
+    });
+
+    test('--prune should find entries of a deleted spec', () => {
+      const ordersEntries = Object.keys(allEntries).filter(id => id.includes('.orders.'));
+      ordersEntries.forEach(id => delete allEntries[id]);
+
+      const orphans = findOrphans(registry, flow, allEntries, specTables.filter(table => table !== 'orders'));
+      expect(orphans.sqlIds).toEqual(ordersEntries.sort());
+    });
+
+    test('--prune should find entries of a removed range option', () => {
+      delete allEntries['oracle.cdc.my_table.60m'];
+
+      const orphans = findOrphans(registry, flow, allEntries, specTables);
+      expect(orphans.sqlIds).toEqual(['oracle.cdc.my_table.60m']);
+    });
+
+    test('--prune should drop per-table process groups and their connections', () => {
+      flow.flowContents.processGroups.push({ identifier: processGroupId('customers'), name: 'CUSTOMERS CDC' });
+      flow.flowContents.connections.push({
+        identifier: 'conn-customers',
+        source: { id: 'x', groupId: processGroupId('customers'), type: 'OUTPUT_PORT' },
+        destination: { id: 'y', groupId: 'oracle-cdc-flow', type: 'FUNNEL' }
+      });
+
+      const orphans = findOrphans(registry, flow, allEntries, specTables);
+      expect(orphans.tables).toEqual(['customers']);
+
+      const nextFlow = buildFlow(flow, {}, orphans);
+      expect(nextFlow.flowContents.processGroups.map(g => g.identifier))
+        .toEqual(specTables.map(processGroupId).sort((a, b) => a.localeCompare(b)));
+      expect(nextFlow.flowContents.connections.find(c => c.identifier === 'conn-customers')).toBeUndefined();
+    });
+
+    test('--remove and --prune should delete the per-table files of the table', () => {
+      const tableFiles = {
+        [path.join(ROOT_DIR, 'elasticsearch/templates/customers.json')]: '{}\n',
+        [path.join(ROOT_DIR, 'oracle/ddl/customers.sql')]: 'CREATE TABLE CUSTOMERS (ID NUMBER);\n'
+      };
+      const current = { registry, registryFiles: {}, flow, flowText: '', tableFiles };
+      const orphans = findOrphans(registry, flow, allEntries, specTables, ['customers', 'orders']);
+      expect(orphans.tables).toEqual(['customers']);
+      expect(findTableArtifacts(registry, flow, 'customers', ['customers']).tables).toEqual(['customers']);
+
+      const deleted = planArtifacts(current, {}, orphans).filter(a => a.next === null);
+      expect(deleted.map(a => path.relative(ROOT_DIR, a.path))).toEqual([
+        path.join('elasticsearch', 'templates', 'customers.json'),
+        path.join('oracle', 'ddl', 'customers.sql')
+      ]);
+      expect(diffArtifacts(deleted)).toContain('+++ /dev/null');
+    });
+
+    test('--remove should report an unknown table as an error', () => {
+      const result = spawnSync('node', [path.join(SCRIPTS_DIR, 'generate-from-spec.js'), '--remove', 'no_such_table'], {
+        encoding: 'utf8'
+      });
+
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain('No generated artifacts found for table: no_such_table');
+    });
+  });
+
+  describe('Process Group Generation', () => {
+    test('buildFlow should add a process group for a new table', () => {
+      const flow = global.testHelpers.loadFlowJson();
+      const spec = global.testHelpers.loadSpec('orders');
+      spec.table.name = 'CUSTOMERS';
+      spec.elasticsearch.index = 'customers';
+      const entries = generateSqlRegistryEntries(spec);
+
+      const nextFlow = buildFlow(flow, entries, undefined, [spec]);
+      const groups = nextFlow.flowContents.processGroups;
+
+      expect(groups.map(g => g.identifier)).toEqual(['customers', ...global.testHelpers.listSpecTables()]
+        .map(processGroupId).sort((a, b) => a.localeCompare(b)));
+      const init = global.testHelpers.getTableProcessor(nextFlow, 'customers', 'update-attribute-init');
+      expect(entries[init.properties.sql_id]).toBeDefined();
+      expect(global.testHelpers.getTableProcessor(nextFlow, 'customers', 'put-elasticsearch-record').properties.Index)
+        .toBe('customers');
+    });
+
+    test('buildFlow should add the watermark cache once for the specs', () => {
+      const flow = global.testHelpers.loadFlowJson();
+      const spec = global.testHelpers.loadSpec('orders');
+      const serviceIds = next => next.flowContents.controllerServices.map(s => s.identifier);
+      flow.flowContents.controllerServices = flow.flowContents.controllerServices
+        .filter(service => !service.identifier.startsWith('watermark-cache-'));
+
+      expect(serviceIds(buildFlow(flow, {}))).not.toContain('watermark-cache-client');
+
+      const nextFlow = buildFlow(flow, generateSqlRegistryEntries(spec), undefined, [spec]);
+
+      expect(serviceIds(nextFlow)).toEqual(expect.arrayContaining(['watermark-cache-server', 'watermark-cache-client']));
+      expect(serviceIds(buildFlow(nextFlow, {}, undefined, [spec])).filter(id => id.startsWith('watermark-cache-')))
+        .toHaveLength(2);
+    });
+
+    test('buildFlow should keep the canvas position of an existing group', () => {
+      const flow = global.testHelpers.loadFlowJson();
+      const spec = global.testHelpers.loadSpec('orders');
+      global.testHelpers.getTableProcessGroup(flow, 'orders').position = { x: 640, y: 480 };
+
+      const nextFlow = buildFlow(flow, {}, undefined, [spec]);
+      expect(global.testHelpers.getTableProcessGroup(nextFlow, 'orders').position).toEqual({ x: 640, y: 480 });
+    });
+
+    test('planArtifacts should emit an index template per spec', () => {
+      const spec = global.testHelpers.loadSpec('orders');
+      const current = { registry: {}, registryFiles: {}, flow: null, flowText: null, tableFiles: {} };
+
+      const template = planArtifacts(current, {}, undefined, [spec])
+        .find(a => a.path.endsWith(path.join('elasticsearch', 'templates', 'orders.json')));
+      expect(JSON.parse(template.next).template.mappings.properties.QUANTITY).toEqual({ type: 'integer' });
+    });
+
+    test('the sql-registry ConfigMap should carry every registry file verbatim', () => {
+      const oracle = global.testHelpers.loadSpec('orders');
+      const postgres = { ...global.testHelpers.loadSpec('orders'), source: { dialect: 'postgresql' } };
+      const entries = { ...generateSqlRegistryEntries(oracle), ...generateSqlRegistryEntries(postgres) };
+      const current = { registry: {}, registryFiles: {}, flow: null, flowText: null, tableFiles: {} };
+
+      const artifacts = planArtifacts(current, entries, undefined, [oracle]);
+      const configMap = artifacts.find(a => path.relative(ROOT_DIR, a.path) === path.join('k8s', 'sql-registry.yaml'));
+      const [manifest] = yaml.loadAll(configMap.next).filter(Boolean);
+
+      expect(manifest.metadata).toEqual({ name: 'sql-registry', namespace: 'nificdc' });
+      expect(manifest.data).toEqual({
+        'oracle.json': artifacts.find(a => a.path.endsWith(path.join('sql-registry', 'oracle.json'))).next,
+        'postgresql.json': artifacts.find(a => a.path.endsWith(path.join('sql-registry', 'postgresql.json'))).next
+      });
+    });
+
+    test('root group should only hold shared controller services', () => {
+      const flow = global.testHelpers.loadFlowJson();
+      expect(flow.flowContents.processors).toEqual([]);
+      expect(flow.flowContents.connections).toEqual([]);
+    });
+  });
 });
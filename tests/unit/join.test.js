@@ -0,0 +1,232 @@
+/**
+ * Spec Join Tests
+ *
+ * spec joins / children 섹션 → 비정규화 document 검증
+ * - 연관 테이블을 LEFT JOIN한 inline view에서 조회, joined column은 <FIELD>__<COLUMN>
+ * - 자식 행은 JSON_ARRAYAGG로 <FIELD>__JSON 배열 하나에 모음 (in-memory DB로 view 실행)
+ * - CDC 조건은 모든 cdc_key 중 최댓값(CDC_CHANGED_AT)으로 range/ORDER BY
+ * - ExecuteSQLRecord는 view를 조회하는 registry SQL을 실행, UpdateRecord로 배열 파싱,
+ *   Jolt shift로 object/nested field에 중첩
+ * - ES mapping에 object/nested field와 하위 field 포함
+ */
+
+const {
+  CHANGED_AT,
+  hasJoins,
+  joinedColumns,
+  childColumns,
+  sourceQuery,
+  fromClause
+} = require('../../scripts/lib/join');
+const { changeColumn } = require('../../scripts/lib/watermark');
+const { shiftSpec, needsRecordTransform } = require('../../scripts/lib/projection');
+const { resolveMappingProperties } = require('../../scripts/lib/type-mapping');
+const { generateSql, generateSqlRegistryEntries } = require('../../scripts/generate-from-spec');
+const { buildTableProcessGroup, chainRoles } = require('../../scripts/lib/process-group');
+const { executeQuery } = require('../../scripts/lib/memory-database');
+
+describe('Spec Joins', () => {
+  let spec;
+
+  beforeEach(() => {
+    spec = global.testHelpers.loadSpec('orders');
+    spec.joins = [
+      {
+        table: 'CUSTOMERS',
+        field: 'customer',
+        on: { CUSTOMER_ID: 'CUSTOMER_ID' },
+        cdc_key: 'UPDATED_AT',
+        columns: [{ name: 'NAME', type: 'VARCHAR2(100)' }]
+      },
+      {
+        table: 'PRODUCTS',
+        schema: 'CATALOG',
+        field: 'product',
+        on: { PRODUCT_ID: 'ID' },
+        cdc_key: 'MODIFIED_AT',
+        columns: [
+          { name: 'TITLE', type: 'VARCHAR2(200)', es_name: 'title', es_type: 'text' },
+          { name: 'RELEASED_AT', type: 'TIMESTAMP' }
+        ]
+      }
+    ];
+  });
+
+  describe('Source Query', () => {
+    test('joined tables should be LEFT JOINed into an inline view', () => {
+      expect(sourceQuery(spec)).toBe(
+        'SELECT T0.ORDER_ID, T0.CUSTOMER_ID, T0.PRODUCT_ID, T0.QUANTITY, T0.TOTAL_AMOUNT, T0.STATUS, ' +
+        'T0.CREATED_AT, T0.MODIFIED_AT, T1.NAME AS CUSTOMER__NAME, T2.TITLE AS PRODUCT__TITLE, ' +
+        'T2.RELEASED_AT AS PRODUCT__RELEASED_AT, ' +
+        'GREATEST(T0.MODIFIED_AT, NVL(T1.UPDATED_AT, T0.MODIFIED_AT), NVL(T2.MODIFIED_AT, T0.MODIFIED_AT)) AS CDC_CHANGED_AT ' +
+        'FROM CDC_USER.ORDERS T0 ' +
+        'LEFT JOIN CDC_USER.CUSTOMERS T1 ON T1.CUSTOMER_ID = T0.CUSTOMER_ID ' +
+        'LEFT JOIN CATALOG.PRODUCTS T2 ON T2.ID = T0.PRODUCT_ID'
+      );
+    });
+
+    test('composite join keys should be ANDed', () => {
+      spec.joins[0].on = { CUSTOMER_ID: 'CUSTOMER_ID', STATUS: 'REGION' };
+      expect(sourceQuery(spec)).toContain(
+        'LEFT JOIN CDC_USER.CUSTOMERS T1 ON T1.CUSTOMER_ID = T0.CUSTOMER_ID AND T1.REGION = T0.STATUS '
+      );
+    });
+
+    test('specs without joins should read the table itself', () => {
+      delete spec.joins;
+      expect(hasJoins(spec)).toBe(false);
+      expect(fromClause(spec)).toBe('CDC_USER.ORDERS');
+      expect(changeColumn(spec)).toBe('MODIFIED_AT');
+    });
+  });
+
+  describe('CDC Predicate', () => {
+    test('range should filter and order on the greatest cdc_key of both sides', () => {
+      const sql = generateSql(spec);
+
+      expect(changeColumn(spec)).toBe(CHANGED_AT);
+      expect(sql.startsWith('SELECT ORDER_ID, ')).toBe(true);
+      expect(sql).toContain(', CUSTOMER__NAME, PRODUCT__TITLE, TO_CHAR(PRODUCT__RELEASED_AT, ');
+      expect(sql).toContain(` FROM (${sourceQuery(spec)}) WHERE CDC_CHANGED_AT > TO_TIMESTAMP(`);
+      expect(sql.endsWith('AND CDC_CHANGED_AT <= TO_TIMESTAMP(?, \'YYYY-MM-DD HH24:MI:SS.FF\') ORDER BY CDC_CHANGED_AT')).toBe(true);
+    });
+
+    test('registry entries should track CDC_CHANGED_AT', () => {
+      expect(changeColumn(spec)).toBe('CDC_CHANGED_AT');
+      expect(generateSqlRegistryEntries(spec)['oracle.cdc.orders.5m']).toEqual(expect.objectContaining({
+        max_value_column: 'CDC_CHANGED_AT'
+      }));
+    });
+  });
+
+  describe('Flow', () => {
+    test('query should run the registry SQL reading the view', () => {
+      const group = buildTableProcessGroup(spec);
+      const query = group.processors.find(p => p.identifier === 'cdc-orders-execute-sql-record');
+
+      expect(query.properties['SQL select query']).toBe('${lookup.sql}');
+      expect(generateSql(spec)).toContain(` FROM (${sourceQuery(spec)}) WHERE CDC_CHANGED_AT > `);
+      expect(generateSql(spec)).toMatch(/ AS MODIFIED_AT, CUSTOMER__NAME, PRODUCT__TITLE, .+ AS PRODUCT__RELEASED_AT FROM /);
+    });
+
+    test('shift should nest joined columns and drop CDC_CHANGED_AT', () => {
+      const shift = shiftSpec(spec);
+
+      expect(needsRecordTransform(spec)).toBe(true);
+      expect(chainRoles(spec)).toContain('jolt-transform-record');
+      expect(shift).toEqual(expect.objectContaining({
+        CUSTOMER__NAME: 'customer.NAME',
+        PRODUCT__TITLE: 'product.title',
+        PRODUCT__RELEASED_AT: 'product.RELEASED_AT'
+      }));
+      expect(shift).not.toHaveProperty(CHANGED_AT);
+    });
+  });
+
+  describe('Mapping', () => {
+    test('joined columns should be mapped as object sub-fields', () => {
+      const properties = resolveMappingProperties(spec);
+
+      expect(properties.customer).toEqual({ type: 'object', properties: { NAME: { type: 'keyword' } } });
+      expect(properties.product).toEqual({
+        type: 'object',
+        properties: { title: { type: 'text' }, RELEASED_AT: { type: 'date' } }
+      });
+      expect(joinedColumns(spec).map(c => c.name)).toEqual(['CUSTOMER__NAME', 'PRODUCT__TITLE', 'PRODUCT__RELEASED_AT']);
+    });
+
+    test('an explicit object mapping should win over the joined columns', () => {
+      spec.elasticsearch.mapping.properties.customer = { type: 'flattened' };
+      expect(resolveMappingProperties(spec).customer).toEqual({ type: 'flattened' });
+    });
+  });
+});
+
+describe('Spec Children', () => {
+  let spec;
+
+  beforeEach(() => {
+    spec = global.testHelpers.loadSpec('orders');
+    spec.children = [{
+      table: 'ORDER_LINES',
+      field: 'lines',
+      on: { ORDER_ID: 'ORDER_ID' },
+      cdc_key: 'UPDATED_AT',
+      order_by: ['LINE_NO'],
+      columns: [
+        { name: 'LINE_NO', type: 'NUMBER', es_type: 'integer' },
+        { name: 'SKU', type: 'VARCHAR2(40)', es_name: 'sku' }
+      ]
+    }];
+  });
+
+  describe('Source Query', () => {
+    test('child rows should be aggregated into a JSON array per parent', () => {
+      const aggregate = '(SELECT JSON_ARRAYAGG(JSON_OBJECT(\'LINE_NO\' VALUE C1.LINE_NO, \'sku\' VALUE C1.SKU) ' +
+        'ORDER BY C1.LINE_NO RETURNING CLOB) FROM CDC_USER.ORDER_LINES C1 WHERE C1.ORDER_ID = T0.ORDER_ID) AS LINES__JSON';
+      const latest = 'NVL((SELECT MAX(C1.UPDATED_AT) FROM CDC_USER.ORDER_LINES C1 WHERE C1.ORDER_ID = T0.ORDER_ID), T0.MODIFIED_AT)';
+
+      expect(sourceQuery(spec)).toBe(
+        'SELECT T0.ORDER_ID, T0.CUSTOMER_ID, T0.PRODUCT_ID, T0.QUANTITY, T0.TOTAL_AMOUNT, T0.STATUS, ' +
+        `T0.CREATED_AT, T0.MODIFIED_AT, ${aggregate}, ` +
+        `GREATEST(T0.MODIFIED_AT, ${latest}) AS CDC_CHANGED_AT FROM CDC_USER.ORDERS T0`
+      );
+      expect(hasJoins(spec)).toBe(false);
+      expect(changeColumn(spec)).toBe(CHANGED_AT);
+    });
+
+    test('the CDC query should select the child array from the view', () => {
+      const sql = generateSql(spec);
+
+      expect(sql).toContain(' AS MODIFIED_AT, LINES__JSON FROM (');
+      expect(sql).toContain(` FROM (${sourceQuery(spec)}) WHERE CDC_CHANGED_AT > TO_TIMESTAMP(`);
+      expect(childColumns(spec).map(c => c.name)).toEqual(['LINES__JSON']);
+    });
+  });
+
+  describe('View Rows', () => {
+    test('the view should collect ordered child rows and the greatest change value', () => {
+      const at = minute => new Date(Date.UTC(2024, 0, 1, 10, minute));
+      const order = id => ({
+        ORDER_ID: id, CUSTOMER_ID: 1, PRODUCT_ID: 1, QUANTITY: 1, TOTAL_AMOUNT: 1, STATUS: 'NEW', CREATED_AT: at(0), MODIFIED_AT: at(1)
+      });
+      const tables = {
+        'CDC_USER.ORDERS': [order(1), order(2)],
+        'CDC_USER.ORDER_LINES': [
+          { ORDER_ID: 1, LINE_NO: 2, SKU: 'B', UPDATED_AT: at(3) },
+          { ORDER_ID: 3, LINE_NO: 1, SKU: 'X', UPDATED_AT: at(9) },
+          { ORDER_ID: 1, LINE_NO: 1, SKU: 'A', UPDATED_AT: at(0) }
+        ]
+      };
+
+      expect(executeQuery(tables, sourceQuery(spec)).map(row => [row.ORDER_ID, row.LINES__JSON, row.CDC_CHANGED_AT])).toEqual([
+        [1, '[{"LINE_NO":1,"sku":"A"},{"LINE_NO":2,"sku":"B"}]', at(3)],
+        // 자식이 없으면 배열은 NULL, 변경 시각은 부모의 cdc_key
+        [2, null, at(1)]
+      ]);
+    });
+  });
+
+  describe('Flow', () => {
+    test('UpdateRecord should parse the child array before the shift', () => {
+      const group = buildTableProcessGroup(spec);
+      const update = group.processors.find(p => p.identifier === 'cdc-orders-update-record');
+
+      expect(chainRoles(spec).slice(-5, -2)).toEqual(['update-record', 'jolt-transform-record', 'put-elasticsearch-record']);
+      expect(update.properties['/LINES__JSON']).toBe('unescapeJson(/LINES__JSON, \'true\')');
+      expect(update.properties['replacement-value-strategy']).toBe('record-path-value');
+      expect(group.connections.map(c => c.identifier)).toContain('cdc-orders-conn-query-to-parse');
+      expect(generateSql(spec)).toContain(' AS MODIFIED_AT, LINES__JSON FROM ');
+      expect(shiftSpec(spec).LINES__JSON).toBe('lines');
+    });
+  });
+
+  describe('Mapping', () => {
+    test('child columns should be mapped as nested sub-fields', () => {
+      expect(resolveMappingProperties(spec).lines).toEqual({
+        type: 'nested',
+        properties: { LINE_NO: { type: 'integer' }, sku: { type: 'keyword' } }
+      });
+    });
+  });
+});
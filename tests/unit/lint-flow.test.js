@@ -0,0 +1,234 @@
+/**
+ * Flow Linter Tests
+ *
+ * scripts/lint-flow.js (npm run lint:flow, nificdc lint-flow) 검증
+ * - connection의 source / destination이 존재하는 component를 가리킴
+ * - failure / retry 등 모든 relationship이 연결되거나 auto-terminate됨
+ * - source processor(GenerateFlowFile, QueryDatabaseTableRecord)는 incoming connection 금지, 나머지는 필수
+ * - controller service 참조가 같은 group 또는 상위 group의 service로 해석됨
+ * - Password 속성에 평문 값 금지, 모든 속성이 Expression Language로 파싱됨
+ * - GenerateFlowFile 스케줄이 sql_id의 range와 일치 (warning, exit code에 영향 없음)
+ * - 규칙 catalog 교체, JSON 출력 및 exit code
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { RULES, lintFlow, parseTimePeriod } = require('../../scripts/lint-flow');
+const { generateSqlRegistryEntries, buildFlow } = require('../../scripts/generate-from-spec');
+
+const SCRIPT_PATH = path.join(__dirname, '../../scripts/lint-flow.js');
+const CLI_PATH = path.join(__dirname, '../../scripts/nificdc.js');
+
+describe('Flow Linter', () => {
+  let flow;
+
+  const ruleIds = findings => [...new Set(findings.map(f => f.ruleId))];
+  const processor = role => global.testHelpers.getTableProcessor(flow, 'orders', role);
+  const service = id => flow.flowContents.controllerServices.find(s => s.identifier === id);
+
+  beforeEach(() => {
+    flow = global.testHelpers.loadFlowJson();
+  });
+
+  describe('Committed Flow', () => {
+    test('should report no findings for the committed flow', () => {
+      expect(lintFlow(flow)).toEqual([]);
+    });
+
+    test('should report no findings for a sequence-mode table and its watermark cache', () => {
+      const spec = global.testHelpers.loadSpec('orders');
+      spec.cdc.mode = 'sequence';
+      spec.table.cdc_key = 'ORDER_ID';
+      delete spec.cdc.trigger;
+
+      expect(lintFlow(buildFlow(flow, generateSqlRegistryEntries(spec), undefined, [spec]))).toEqual([]);
+    });
+
+    test('nificdc lint-flow should exit 0 with JSON output', () => {
+      const result = spawnSync('node', [CLI_PATH, 'lint-flow'], { encoding: 'utf8' });
+      expect(result.status).toBe(0);
+
+      const output = JSON.parse(result.stdout);
+      expect(output.flows).toEqual(['flows/oracle_cdc_flow.json']);
+      expect(output.errors).toBe(0);
+    });
+  });
+
+  describe('Rules', () => {
+    test('should flag connections to missing or mistyped components', () => {
+      const [first, second] = global.testHelpers.getTableProcessGroup(flow, 'orders').connections;
+      first.destination.id = 'cdc-orders-missing';
+      second.source.type = 'FUNNEL';
+
+      expect(lintFlow(flow)).toEqual([
+        expect.objectContaining({
+          ruleId: 'connection-endpoints',
+          component: first.identifier,
+          message: 'destination "cdc-orders-missing" does not exist in group "cdc-orders"'
+        }),
+        expect.objectContaining({
+          ruleId: 'connection-endpoints',
+          component: second.identifier,
+          message: `source "${second.source.id}" is a PROCESSOR, not a FUNNEL`
+        }),
+        // 끊어진 connection의 원래 destination은 입력이 없어짐
+        expect.objectContaining({
+          ruleId: 'input-requirement',
+          component: 'cdc-orders-update-attribute-init',
+          message: 'UpdateAttribute requires an incoming connection'
+        })
+      ]);
+    });
+
+    test('should flag failure and retry relationships that go nowhere', () => {
+      processor('put-elasticsearch-record').autoTerminatedRelationships = ['success', 'errors'];
+      processor('lookup-attribute').autoTerminatedRelationships.push('unknown');
+      const findings = lintFlow(flow);
+
+      expect(ruleIds(findings)).toEqual(['relationships-routed']);
+      expect(findings.map(f => `${f.component}: ${f.message}`)).toEqual([
+        'cdc-orders-lookup-attribute: routes unknown relationship "unknown"',
+        'cdc-orders-put-elasticsearch-record: relationship "failure" is neither connected nor auto-terminated',
+        'cdc-orders-put-elasticsearch-record: relationship "retry" is neither connected nor auto-terminated'
+      ]);
+    });
+
+    test('should flag a source processor fed by a connection and a processor nothing feeds', () => {
+      const group = global.testHelpers.getTableProcessGroup(flow, 'orders');
+      const query = processor('execute-sql-record');
+      Object.assign(query, {
+        type: 'org.apache.nifi.processors.standard.QueryDatabaseTableRecord',
+        properties: { 'Database Connection Pooling Service': 'oracle-dbcp', 'Table Name': '${table_name}' },
+        autoTerminatedRelationships: []
+      });
+      group.connections = group.connections.filter(c => c.identifier !== 'cdc-orders-conn-init-to-lookup');
+      const findings = lintFlow(flow).filter(f => f.ruleId === 'input-requirement');
+
+      expect(findings.map(f => `${f.component}: ${f.message}`)).toEqual([
+        'cdc-orders-lookup-attribute: LookupAttribute requires an incoming connection',
+        'cdc-orders-execute-sql-record: QueryDatabaseTableRecord does not accept incoming connections'
+      ]);
+    });
+
+    test('should resolve controller services from the group and its ancestors only', () => {
+      processor('execute-sql-record').properties['esqlrecord-record-writer'] = 'csv-record-writer';
+      const group = global.testHelpers.getTableProcessGroup(flow, 'my_table');
+      group.controllerServices.push({ ...service('json-record-writer'), identifier: 'my-table-writer' });
+      global.testHelpers.getTableProcessor(flow, 'my_table', 'execute-sql-record')
+        .properties['esqlrecord-record-writer'] = 'my-table-writer';
+      processor('put-elasticsearch-record').properties['Record Reader'] = 'my-table-writer';
+
+      expect(lintFlow(flow).map(f => [f.ruleId, f.component, f.message])).toEqual([
+        ['service-references', 'cdc-orders-execute-sql-record',
+          'property "esqlrecord-record-writer" references controller service "csv-record-writer", which is not in scope'],
+        ['service-references', 'cdc-orders-put-elasticsearch-record',
+          'property "Record Reader" references controller service "my-table-writer", which is not in scope']
+      ]);
+    });
+
+    test('should flag plaintext passwords without printing them', () => {
+      service('oracle-dbcp').properties.Password = 'tiger';
+      service('elasticsearch-client').properties.Password = '#{es.password}';
+      const findings = lintFlow(flow);
+
+      expect(findings).toEqual([expect.objectContaining({ ruleId: 'no-plaintext-password', component: 'oracle-dbcp' })]);
+      expect(JSON.stringify(findings)).not.toContain('tiger');
+    });
+
+    test('should flag properties that do not parse as Expression Language', () => {
+      processor('put-elasticsearch-record').properties.Index = '${es_index';
+
+      expect(lintFlow(flow)).toEqual([{
+        ruleId: 'expression-syntax',
+        severity: 'error',
+        component: 'cdc-orders-put-elasticsearch-record',
+        message: 'property "Index": Expected "}" at 10 in expression: ${es_index'
+      }]);
+    });
+
+    test('should flag a trigger schedule that differs from the sql_id range', () => {
+      processor('generate-flowfile').schedulingPeriod = '300 sec';
+      expect(lintFlow(flow)).toEqual([]);
+
+      processor('generate-flowfile').schedulingPeriod = '15 min';
+      expect(lintFlow(flow)).toEqual([expect.objectContaining({
+        ruleId: 'scheduling-range',
+        severity: 'warning',
+        component: 'cdc-orders-generate-flowfile',
+        message: 'schedulingPeriod "15 min" does not match the 5m range of sql_id oracle.cdc.orders.5m'
+      })]);
+    });
+
+    test.each([
+      ['5 min', 300000],
+      ['30 secs', 30000],
+      ['1 hour', 3600000],
+      ['250 millis', 250],
+      ['soon', null]
+    ])('parseTimePeriod(%s) → %s', (text, ms) => {
+      expect(parseTimePeriod(text)).toBe(ms);
+    });
+  });
+
+  describe('Engine', () => {
+    test('every rule should have a severity, description and check', () => {
+      Object.values(RULES).forEach(rule => {
+        expect(['error', 'warning', 'note']).toContain(rule.severity);
+        expect(rule.description).toEqual(expect.any(String));
+        expect(rule.check).toEqual(expect.any(Function));
+      });
+    });
+
+    test('should run a custom rule catalog', () => {
+      const rules = {
+        'processor-comments': {
+          severity: 'warning',
+          description: 'Processors should have comments',
+          check: (index, report) => index.processors
+            .filter(({ component }) => !component.comments)
+            .forEach(({ component }) => report(component.identifier, 'has no comments'))
+        }
+      };
+      const findings = lintFlow(flow, { rules });
+
+      expect(findings.length).toBeGreaterThan(0);
+      expect(findings[0]).toEqual({
+        ruleId: 'processor-comments',
+        severity: 'warning',
+        component: expect.stringMatching(/^cdc-/),
+        message: 'has no comments'
+      });
+    });
+
+    test('npm run lint:flow should exit 1 on errors', () => {
+      service('oracle-dbcp').properties.Password = 'tiger';
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lint-flow-')), 'flow.json');
+      fs.writeFileSync(file, JSON.stringify(flow));
+
+      const result = spawnSync('node', [SCRIPT_PATH, '--flow', file], { encoding: 'utf8' });
+
+      expect(result.status).toBe(1);
+      expect(JSON.parse(result.stdout)).toEqual(expect.objectContaining({ errors: 1 }));
+    });
+
+    test('npm run lint:flow should report warnings without failing', () => {
+      processor('generate-flowfile').schedulingPeriod = '15 min';
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lint-flow-')), 'flow.json');
+      fs.writeFileSync(file, JSON.stringify(flow));
+
+      const result = spawnSync('node', [SCRIPT_PATH, '--flow', file], { encoding: 'utf8' });
+
+      expect(result.status).toBe(0);
+      expect(JSON.parse(result.stdout)).toEqual(expect.objectContaining({ errors: 0, warnings: 1 }));
+    });
+
+    test('nificdc should reject unknown commands', () => {
+      const result = spawnSync('node', [CLI_PATH, 'lint-everything'], { encoding: 'utf8' });
+
+      expect(result.status).toBe(2);
+      expect(result.stderr).toContain('Unknown command: lint-everything');
+    });
+  });
+});
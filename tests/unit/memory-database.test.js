@@ -0,0 +1,218 @@
+/**
+ * In-memory Source Database Tests
+ *
+ * flow simulator가 사용하는 Oracle SQL subset 실행 검증
+ * - 생성된 registry SQL을 ? bind 값으로 실행 (TO_TIMESTAMP / TO_CHAR 변환, ORDER BY)
+ * - NULL 3값 논리, '' = NULL, unquoted 이름은 대문자로 fold
+ * - 복합 키 document id 식이 documentId()와 같은 값
+ * - joins / children의 inline view: LEFT JOIN, 상관 scalar subquery, MAX / JSON_ARRAYAGG 집계
+ * - ORA_ROWSCN pseudo-column과 TIMESTAMP_TO_SCN(oldestScn 이전은 ORA-08180), INTERVAL 연산
+ * - 다른 dialect의 CAST / DATE_FORMAT / US 형식
+ * - bind 개수 불일치, 없는 테이블 / 컬럼 / 함수, RIGHT / FULL join은 오류
+ */
+
+const {
+  executeQuery,
+  parseQuery,
+  formatTimestamp,
+  parseTimestamp,
+  timestampToScn
+} = require('../../scripts/lib/memory-database');
+const { documentIdExpression, documentId } = require('../../scripts/lib/document-id');
+const { generateSql } = require('../../scripts/generate-from-spec');
+
+describe('In-memory Source Database', () => {
+  const at = (minute, ms = 0) => new Date(Date.UTC(2024, 0, 1, 10, minute, 0, ms));
+  let tables;
+
+  beforeEach(() => {
+    tables = {
+      'CDC_USER.MY_TABLE': [
+        { ID: 3, NAME: 'c', VALUE: null, UPDATED_AT: at(4) },
+        { ID: 1, NAME: 'a', VALUE: 0.5, UPDATED_AT: at(1, 250) },
+        { ID: 2, NAME: '', VALUE: 2, UPDATED_AT: at(9) }
+      ]
+    };
+  });
+
+  describe('Generated SQL', () => {
+    test('the registry SQL should read the bound range in cdc_key order', () => {
+      const sql = generateSql(global.testHelpers.loadSpec('my_table'));
+      const rows = executeQuery(tables, sql, ['2024-01-01 10:00:00.000', '2024-01-01 10:05:00.000']);
+
+      expect(rows).toEqual([
+        { ID: 1, NAME: 'a', VALUE: 0.5, UPDATED_AT: '2024-01-01T10:01:00.250000+09:00' },
+        { ID: 3, NAME: 'c', VALUE: null, UPDATED_AT: '2024-01-01T10:04:00.000000+09:00' }
+      ]);
+    });
+
+    test('a composite document id should match documentId()', () => {
+      const spec = global.testHelpers.loadSpec('my_table');
+      spec.table.primary_key = ['ID', 'NAME'];
+      spec.elasticsearch.id_field = 'DOC_ID';
+      const [row] = executeQuery(tables, `SELECT ${documentIdExpression(spec)} FROM CDC_USER.MY_TABLE WHERE ID = 1`);
+
+      expect(row.DOC_ID).toBe(documentId(spec, { ID: 1, NAME: 'a' }));
+    });
+  });
+
+  describe('Source View', () => {
+    let spec;
+
+    beforeEach(() => {
+      spec = global.testHelpers.loadSpec('my_table');
+      tables['CDC_USER.GROUPS'] = [{ NAME: 'a', LABEL: 'Group A', UPDATED_AT: at(7) }];
+      tables['CDC_USER.ITEMS'] = [
+        { ID: 1, SEQ: 2, SKU: 'B', UPDATED_AT: at(2) },
+        { ID: 1, SEQ: 1, SKU: 'A', UPDATED_AT: at(3) }
+      ];
+    });
+
+    test('a joined table should be read through a LEFT JOIN', () => {
+      spec.joins = [{ table: 'GROUPS', field: 'group', on: { NAME: 'NAME' }, cdc_key: 'UPDATED_AT', columns: [{ name: 'LABEL', type: 'VARCHAR2(40)' }] }];
+      const rows = executeQuery(tables, generateSql(spec), ['2024-01-01 10:00:00.000', '2024-01-01 10:10:00.000']);
+
+      // 행 1은 GROUPS 변경(10:07) 시각으로, 행 2(NAME NULL)는 join 없이 자신의 UPDATED_AT으로 읽힘
+      expect(rows.map(row => [row.ID, row.GROUP__LABEL])).toEqual([[3, null], [1, 'Group A'], [2, null]]);
+    });
+
+    test('child rows should be aggregated into a JSON array in order', () => {
+      spec.children = [{
+        table: 'ITEMS',
+        field: 'items',
+        on: { ID: 'ID' },
+        cdc_key: 'UPDATED_AT',
+        order_by: ['SEQ'],
+        columns: [{ name: 'SEQ', type: 'NUMBER' }, { name: 'SKU', type: 'VARCHAR2(10)', es_name: 'sku' }]
+      }];
+      const rows = executeQuery(tables, generateSql(spec), ['2024-01-01 10:00:00.000', '2024-01-01 10:10:00.000']);
+
+      expect(rows.map(row => [row.ID, row.ITEMS__JSON])).toEqual([
+        [1, '[{"SEQ":1,"sku":"A"},{"SEQ":2,"sku":"B"}]'],
+        [3, null],
+        [2, null]
+      ]);
+    });
+
+    test('MAX, MIN and COUNT should fold the rows into one', () => {
+      expect(executeQuery(tables, 'SELECT MAX(ID) AS HI, MIN(VALUE) AS LO, COUNT(*) AS N, COUNT(VALUE) AS V FROM CDC_USER.MY_TABLE'))
+        .toEqual([{ HI: 3, LO: 0.5, N: 3, V: 2 }]);
+      expect(executeQuery(tables, 'SELECT MAX(ID) AS HI FROM CDC_USER.MY_TABLE WHERE ID > 5')).toEqual([{ HI: null }]);
+    });
+  });
+
+  describe('Dialects', () => {
+    const range = ['2024-01-01 10:00:00.000', '2024-01-01 10:05:00.000'];
+
+    test.each(['postgresql', 'mysql', 'sqlserver'])('the %s registry SQL should read the bound range', dialect => {
+      const spec = global.testHelpers.loadSpec('my_table');
+      spec.source.dialect = dialect;
+
+      expect(executeQuery(tables, generateSql(spec), range).map(row => row.ID)).toEqual([1, 3]);
+    });
+
+    test('PostgreSQL US and MySQL DATE_FORMAT should write microseconds', () => {
+      expect(formatTimestamp(at(1, 250), 'HH24:MI:SS.US')).toBe('10:01:00.250000');
+      expect(executeQuery(tables, "SELECT DATE_FORMAT(UPDATED_AT, '%Y-%m-%dT%H:%i:%s.%f') AS T FROM CDC_USER.MY_TABLE WHERE ID = 1"))
+        .toEqual([{ T: '2024-01-01T10:01:00.250000' }]);
+    });
+
+    test('bracketed and backquoted identifiers should keep their case', () => {
+      expect(executeQuery(tables, 'SELECT [ID], `NAME` FROM [CDC_USER].[MY_TABLE] WHERE ID = 1')).toEqual([{ ID: 1, NAME: 'a' }]);
+    });
+
+    test('ORA_ROWSCN should be compared on the TIMESTAMP_TO_SCN scale', () => {
+      tables['CDC_USER.MY_TABLE'].forEach(row => { row.ORA_ROWSCN = timestampToScn(row.UPDATED_AT); });
+      const sql = "SELECT * FROM CDC_USER.MY_TABLE WHERE ORA_ROWSCN > TIMESTAMP_TO_SCN(TO_TIMESTAMP(?, 'YYYY-MM-DD HH24:MI:SS.FF')) ORDER BY ORA_ROWSCN";
+      const rows = executeQuery(tables, sql, ['2024-01-01 10:02:00.000']);
+
+      expect(rows.map(row => row.ID)).toEqual([3, 2]);
+      // SELECT *에는 pseudo-column이 포함되지 않음
+      expect(rows[0]).not.toHaveProperty('ORA_ROWSCN');
+    });
+
+    test('TIMESTAMP_TO_SCN should raise ORA-08180 before the oldest mapped SCN', () => {
+      const sql = "SELECT TIMESTAMP_TO_SCN(TO_TIMESTAMP(?, 'YYYY-MM-DD HH24:MI:SS.FF')) AS SCN FROM CDC_USER.MY_TABLE WHERE ID = 1";
+      const options = { oldestScn: timestampToScn(at(0)) };
+
+      expect(executeQuery(tables, sql, ['2024-01-01 10:00:00.000'], options)).toEqual([{ SCN: timestampToScn(at(0)) }]);
+      expect(() => executeQuery(tables, sql, ['2024-01-01 09:59:59.999'], options))
+        .toThrow('ORA-08180: no snapshot found based on specified time');
+    });
+
+    test('a timestamp should move by an INTERVAL', () => {
+      const sql = "SELECT ID FROM CDC_USER.MY_TABLE WHERE UPDATED_AT > TO_TIMESTAMP(?, 'YYYY-MM-DD HH24:MI:SS.FF') - INTERVAL '5' MINUTE";
+
+      expect(executeQuery(tables, sql, ['2024-01-01 10:08:00.000']).map(row => row.ID)).toEqual([3, 2]);
+      expect(() => parseQuery("SELECT ID FROM T WHERE X > Y - INTERVAL '1' MONTH")).toThrow('Unsupported INTERVAL unit MONTH');
+    });
+  });
+
+  describe('Oracle Semantics', () => {
+    const ids = (where, args = []) => executeQuery(tables, `SELECT ID FROM cdc_user.my_table WHERE ${where} ORDER BY ID`, args)
+      .map(row => row.ID);
+
+    test('comparisons with NULL should match no row', () => {
+      expect(ids('VALUE > 0')).toEqual([1, 2]);
+      expect(ids('NOT VALUE > 0')).toEqual([]);
+      expect(ids('VALUE IS NULL')).toEqual([3]);
+      expect(ids('VALUE NOT IN (2, NULL)')).toEqual([]);
+    });
+
+    test('an empty string should be NULL', () => {
+      expect(ids('NAME IS NULL')).toEqual([2]);
+      expect(ids('NAME = ?', [''])).toEqual([]);
+    });
+
+    test('LIKE, IN, BETWEEN and OR should combine with parentheses', () => {
+      expect(ids("(NAME LIKE 'a%' OR ID BETWEEN 2 AND 3) AND ID NOT IN (3)")).toEqual([1, 2]);
+    });
+
+    test('ORDER BY should put NULL last ascending and first descending', () => {
+      const order = direction => executeQuery(tables, `SELECT ID FROM CDC_USER.MY_TABLE ORDER BY VALUE ${direction}`)
+        .map(row => row.ID);
+
+      expect(order('ASC')).toEqual([1, 2, 3]);
+      expect(order('DESC')).toEqual([3, 2, 1]);
+    });
+
+    test('quoted identifiers should keep their case', () => {
+      tables['CDC_USER.MY_TABLE'].forEach(row => { row.MixedCase = row.ID * 10; });
+
+      expect(executeQuery(tables, 'SELECT "MixedCase" AS "value" FROM CDC_USER.MY_TABLE WHERE ID = 1')).toEqual([{ value: 10 }]);
+      expect(() => executeQuery(tables, 'SELECT MixedCase FROM CDC_USER.MY_TABLE')).toThrow('invalid identifier "MIXEDCASE"');
+    });
+
+    test('TO_CHAR and TO_TIMESTAMP should round-trip the range format', () => {
+      const date = parseTimestamp('2024-01-01 10:01:00.25', 'YYYY-MM-DD HH24:MI:SS.FF');
+
+      expect(date).toEqual(at(1, 250));
+      expect(formatTimestamp(date, 'YYYY-MM-DD"T"HH24:MI:SS.FF3')).toBe('2024-01-01T10:01:00.250');
+      expect(() => parseTimestamp('2024-01-01', 'YYYY-MM-DD HH24:MI:SS.FF')).toThrow('does not match the datetime format');
+    });
+  });
+
+  describe('Errors', () => {
+    test('the bound values should match the ? parameters', () => {
+      expect(parseQuery('SELECT ID FROM T WHERE ID > ? AND ID <= ?').parameters).toBe(2);
+      expect(() => executeQuery(tables, 'SELECT ID FROM CDC_USER.MY_TABLE WHERE ID > ?', []))
+        .toThrow('SQL has 1 parameters but 0 values were bound');
+    });
+
+    test('unknown tables and functions should be rejected', () => {
+      expect(() => executeQuery(tables, 'SELECT ID FROM CDC_USER.OTHER')).toThrow('table or view "CDC_USER.OTHER" does not exist');
+      expect(() => executeQuery(tables, 'SELECT SOUNDEX(NAME) FROM CDC_USER.MY_TABLE')).toThrow('Unsupported SQL function SOUNDEX');
+      expect(() => executeQuery(tables, 'SELECT CAST(ID AS XML) FROM CDC_USER.MY_TABLE')).toThrow('Unsupported CAST type XML');
+    });
+
+    test('joins other than INNER and LEFT should be rejected', () => {
+      expect(() => parseQuery('SELECT ID FROM T RIGHT JOIN U ON T.ID = U.ID')).toThrow('Only INNER and LEFT joins are supported');
+      expect(() => parseQuery('SELECT ID FROM T, U')).toThrow('Only INNER and LEFT joins are supported');
+    });
+
+    test('a scalar subquery should return at most one row', () => {
+      expect(() => executeQuery(tables, 'SELECT (SELECT ID FROM CDC_USER.MY_TABLE) AS X FROM CDC_USER.MY_TABLE'))
+        .toThrow('single-row subquery returns more than one row');
+    });
+  });
+});
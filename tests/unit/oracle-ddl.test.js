@@ -0,0 +1,114 @@
+/**
+ * Oracle DDL Builder Tests
+ *
+ * spec → Oracle DDL 생성 검증
+ * - columns → CREATE TABLE (타입, NOT NULL, 단일/복합 PK 제약)
+ * - cdc_key 인덱스 및 DEFAULT SYSTIMESTAMP
+ * - cdc.mode: rowscn이면 ROWDEPENDENCIES, sequence/rowscn은 DEFAULT SYSTIMESTAMP 없음
+ * - cdc.trigger: true일 때 cdc_key를 갱신하는 BEFORE INSERT OR UPDATE trigger
+ * - 30 byte를 넘는 PK / index / trigger 이름은 hash suffix로 단축
+ * - 커밋된 oracle/ddl/*.sql과 spec 일치
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { generateOracleDdl, objectName } = require('../../scripts/lib/oracle-ddl');
+
+const DDL_DIR = path.join(__dirname, '../../oracle/ddl');
+
+describe('Oracle DDL Builder', () => {
+  let spec;
+
+  beforeEach(() => {
+    spec = global.testHelpers.loadSpec('my_table');
+  });
+
+  test('CREATE TABLE should declare every spec column in order', () => {
+    const ddl = generateOracleDdl(spec);
+
+    expect(ddl).toContain([
+      'CREATE TABLE CDC_USER.MY_TABLE (',
+      '    ID NUMBER NOT NULL,',
+      '    NAME VARCHAR2(100),',
+      '    VALUE NUMBER(10,2),',
+      '    UPDATED_AT TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,',
+      '    CONSTRAINT PK_MY_TABLE PRIMARY KEY (ID)',
+      ');'
+    ].join('\n'));
+  });
+
+  test('composite primary key should list every key column', () => {
+    spec.table.primary_key = ['ID', 'NAME'];
+    expect(generateOracleDdl(spec)).toContain('    CONSTRAINT PK_MY_TABLE PRIMARY KEY (ID, NAME)\n');
+  });
+
+  test('cdc_key should be indexed', () => {
+    expect(generateOracleDdl(spec)).toContain(
+      'CREATE INDEX CDC_USER.IDX_MY_TABLE_UPDATED_AT ON CDC_USER.MY_TABLE (UPDATED_AT);'
+    );
+  });
+
+  test('sequence mode should index the key without a SYSTIMESTAMP default', () => {
+    spec.cdc.mode = 'sequence';
+    spec.table.cdc_key = 'ID';
+    const ddl = generateOracleDdl(spec);
+
+    expect(ddl).toContain('    UPDATED_AT TIMESTAMP NOT NULL,');
+    expect(ddl).toContain('CREATE INDEX CDC_USER.IDX_MY_TABLE_ID ON CDC_USER.MY_TABLE (ID);');
+  });
+
+  test('rowscn mode should track row-level SCNs instead of indexing cdc_key', () => {
+    spec.cdc.mode = 'rowscn';
+    delete spec.table.cdc_key;
+    const ddl = generateOracleDdl(spec);
+
+    expect(ddl).toContain('    CONSTRAINT PK_MY_TABLE PRIMARY KEY (ID)\n) ROWDEPENDENCIES;');
+    expect(ddl).not.toContain('CREATE INDEX');
+    expect(ddl).not.toContain('DEFAULT SYSTIMESTAMP');
+  });
+
+  test('trigger should only be generated when cdc.trigger is set', () => {
+    expect(generateOracleDdl(spec)).not.toContain('TRIGGER');
+
+    spec.cdc.trigger = true;
+    const ddl = generateOracleDdl(spec);
+
+    expect(ddl).toContain('CREATE OR REPLACE TRIGGER CDC_USER.TRG_MY_TABLE_CDC_KEY');
+    expect(ddl).toContain('BEFORE INSERT OR UPDATE ON CDC_USER.MY_TABLE');
+    expect(ddl).toContain(':NEW.UPDATED_AT := SYSTIMESTAMP;');
+    expect(ddl.trimEnd().endsWith('/')).toBe(true);
+  });
+
+  test('derived names longer than 30 bytes should be shortened with a hash suffix', () => {
+    spec.table.name = 'CUSTOMER_ORDER_HISTORY_ARCHIVE';
+    spec.table.cdc_key = 'LAST_MODIFIED_AT';
+    spec.columns.push({ name: 'LAST_MODIFIED_AT', type: 'TIMESTAMP', nullable: false });
+    spec.cdc.trigger = true;
+    const ddl = generateOracleDdl(spec);
+
+    const [pk, index, trigger] = [
+      'PK_CUSTOMER_ORDER_HISTORY_ARCHIVE',
+      'IDX_CUSTOMER_ORDER_HISTORY_ARCHIVE_LAST_MODIFIED_AT',
+      'TRG_CUSTOMER_ORDER_HISTORY_ARCHIVE_CDC_KEY'
+    ].map(objectName);
+
+    [pk, index, trigger].forEach(name => expect(name).toMatch(/^[A-Z_]{23}_[0-9A-F]{6}$/));
+    expect(new Set([pk, index, trigger]).size).toBe(3);
+    expect(ddl).toContain(`    CONSTRAINT ${pk} PRIMARY KEY (ID)`);
+    expect(ddl).toContain(`CREATE INDEX CDC_USER.${index} ON `);
+    expect(ddl).toContain(`CREATE OR REPLACE TRIGGER CDC_USER.${trigger}`);
+    expect(objectName('IDX_MY_TABLE_UPDATED_AT')).toBe('IDX_MY_TABLE_UPDATED_AT');
+  });
+
+  test('table description should be escaped in the comment', () => {
+    spec.table.description = "Customer's table";
+    expect(generateOracleDdl(spec)).toContain("COMMENT ON TABLE CDC_USER.MY_TABLE IS 'Customer''s table';");
+  });
+
+  test('committed DDL should match every spec', () => {
+    global.testHelpers.listSpecTables().forEach(table => {
+      const committed = fs.readFileSync(path.join(DDL_DIR, `${table}.sql`), 'utf8');
+      expect(committed).toBe(generateOracleDdl(global.testHelpers.loadSpec(table)));
+    });
+  });
+});
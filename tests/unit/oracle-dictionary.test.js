@@ -0,0 +1,171 @@
+/**
+ * Data Dictionary Import Tests
+ *
+ * --from-dictionary: ALL_TAB_COLUMNS / ALL_CONSTRAINTS export → spec 생성 검증
+ * - CSV, JSON export 모두 지원 (tests/fixtures/dictionary)
+ * - Oracle 타입/nullable, PK(없으면 NOT NULL unique key, 복합 키 포함), cdc_key 후보 선택
+ * - 생성된 spec은 스키마 검증을 통과하고 ES mapping이 채워짐
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+const { spawnSync } = require('child_process');
+const {
+  parseCsv,
+  loadDictionary,
+  columnType,
+  rankCdcKeyCandidates,
+  buildSpecFromDictionary
+} = require('../../scripts/lib/oracle-dictionary');
+const { generateSpecFromDictionary } = require('../../scripts/generate-from-spec');
+const { validateSpec } = require('../../scripts/lib/spec-validator');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures/dictionary');
+const SCRIPT_PATH = path.join(__dirname, '../../scripts/generate-from-spec.js');
+
+const CUSTOMERS_FILES = [
+  path.join(FIXTURES_DIR, 'customers_columns.csv'),
+  path.join(FIXTURES_DIR, 'customers_constraints.csv')
+];
+const ORDERS_FILE = path.join(FIXTURES_DIR, 'orders.json');
+
+describe('Data Dictionary Import', () => {
+  describe('Export Parsing', () => {
+    test('parseCsv should handle quotes, escaped quotes and CRLF', () => {
+      const rows = parseCsv('"a","b"\r\n"x, y","say ""hi"""\r\n1,\r\n');
+      expect(rows).toEqual([
+        { A: 'x, y', B: 'say "hi"' },
+        { A: '1', B: '' }
+      ]);
+    });
+
+    test('loadDictionary should split rows by export source', () => {
+      const dictionary = loadDictionary(CUSTOMERS_FILES);
+      expect(dictionary.columns).toHaveLength(10);
+      expect(dictionary.constraints).toHaveLength(2);
+    });
+
+    test.each([
+      [{ DATA_TYPE: 'NUMBER', DATA_PRECISION: '', DATA_SCALE: '' }, 'NUMBER'],
+      [{ DATA_TYPE: 'NUMBER', DATA_PRECISION: '', DATA_SCALE: '0' }, 'NUMBER(*,0)'],
+      [{ DATA_TYPE: 'NUMBER', DATA_PRECISION: '12', DATA_SCALE: '0' }, 'NUMBER(12)'],
+      [{ DATA_TYPE: 'NUMBER', DATA_PRECISION: '10', DATA_SCALE: '2' }, 'NUMBER(10,2)'],
+      [{ DATA_TYPE: 'VARCHAR2', DATA_LENGTH: '400', CHAR_LENGTH: '100', CHAR_USED: 'C' }, 'VARCHAR2(100 CHAR)'],
+      [{ DATA_TYPE: 'VARCHAR2', DATA_LENGTH: '200', CHAR_LENGTH: '200', CHAR_USED: 'B' }, 'VARCHAR2(200)'],
+      [{ DATA_TYPE: 'RAW', DATA_LENGTH: '16' }, 'RAW(16)'],
+      [{ DATA_TYPE: 'TIMESTAMP(6) WITH TIME ZONE' }, 'TIMESTAMP WITH TIME ZONE'],
+      [{ DATA_TYPE: 'TIMESTAMP(3)' }, 'TIMESTAMP(3)']
+    ])('columnType(%o) → %s', (row, type) => {
+      expect(columnType({ DATA_PRECISION: '', DATA_SCALE: '', ...row })).toBe(type);
+    });
+  });
+
+  describe('Spec Building', () => {
+    test('CSV export should produce a populated spec', () => {
+      const { spec } = buildSpecFromDictionary(loadDictionary(CUSTOMERS_FILES));
+
+      expect(spec.table).toEqual(expect.objectContaining({
+        name: 'CUSTOMERS',
+        schema: 'CDC_USER',
+        primary_key: 'CUSTOMER_ID',
+        cdc_key: 'LAST_MODIFIED'
+      }));
+      expect(spec.columns[2]).toEqual({ name: 'EMAIL', type: 'VARCHAR2(100 CHAR)', nullable: true });
+      expect(spec.elasticsearch.mapping.properties).toEqual(expect.objectContaining({
+        CUSTOMER_ID: { type: 'long' },
+        CREDIT_LIMIT: { type: 'double' },
+        MEMO: { type: 'text' },
+        PHOTO_HASH: { type: 'binary' },
+        LAST_MODIFIED: { type: 'date' }
+      }));
+    });
+
+    test('JSON export should reproduce the committed orders spec columns', () => {
+      const { spec } = buildSpecFromDictionary(loadDictionary([ORDERS_FILE]));
+      const committed = global.testHelpers.loadSpec('orders');
+
+      expect(spec.columns).toEqual(committed.columns);
+      expect(spec.table.primary_key).toBe(committed.table.primary_key);
+      expect(spec.table.cdc_key).toBe(committed.table.cdc_key);
+      expect(spec.elasticsearch.mapping.properties.ORDER_ID).toEqual({ type: 'long' });
+    });
+
+    test('should fall back to a NOT NULL unique key without a primary key', () => {
+      const dictionary = loadDictionary(CUSTOMERS_FILES);
+      dictionary.constraints = [{
+        OWNER: 'CDC_USER', TABLE_NAME: 'CUSTOMERS', CONSTRAINT_NAME: 'UK_NAME', CONSTRAINT_TYPE: 'U', COLUMN_NAME: 'NAME', POSITION: '1'
+      }];
+
+      const { spec, notes } = buildSpecFromDictionary(dictionary);
+      expect(spec.table.primary_key).toBe('NAME');
+      expect(notes[0]).toBe('primary_key NAME taken from the unique key');
+    });
+
+    test('composite keys should produce a key list and a composite document id', () => {
+      const dictionary = loadDictionary(CUSTOMERS_FILES);
+      dictionary.constraints.push({
+        ...dictionary.constraints.find(row => row.CONSTRAINT_TYPE === 'P'), COLUMN_NAME: 'NAME', POSITION: '2'
+      });
+
+      const { spec, notes } = buildSpecFromDictionary(dictionary);
+      expect(spec.table.primary_key).toEqual(['CUSTOMER_ID', 'NAME']);
+      expect(spec.elasticsearch.id_field).toBe('CDC_DOC_ID');
+      expect(notes[0]).toBe('primary_key CUSTOMER_ID, NAME taken from the primary key');
+      expect(notes).toContain('document _id CDC_DOC_ID joins the key columns with "|"; set elasticsearch.id to change it');
+      expect(validateSpec(spec)).toEqual([]);
+    });
+
+    test('should reject exports without a usable key or cdc_key', () => {
+      const dictionary = loadDictionary(CUSTOMERS_FILES);
+      expect(() => buildSpecFromDictionary({ ...dictionary, constraints: [] }))
+        .toThrow('CDC_USER.CUSTOMERS has no primary key or NOT NULL unique key in the export');
+
+      const noTemporal = dictionary.columns.filter(row => !/DATE|TIMESTAMP/.test(row.DATA_TYPE));
+      expect(() => buildSpecFromDictionary({ ...dictionary, columns: noTemporal }))
+        .toThrow('has no DATE or TIMESTAMP column to use as cdc_key');
+    });
+
+    test('should ask for --table when the export holds several tables', () => {
+      const dictionary = loadDictionary([...CUSTOMERS_FILES, ORDERS_FILE]);
+
+      expect(() => buildSpecFromDictionary(dictionary)).toThrow('choose one with --table');
+      expect(buildSpecFromDictionary(dictionary, { table: 'orders' }).spec.table.name).toBe('ORDERS');
+    });
+
+    test('cdc_key candidates should prefer modification stamps over creation stamps', () => {
+      const columns = [
+        { name: 'CREATED_AT', type: 'TIMESTAMP', nullable: false },
+        { name: 'EVENT_DATE', type: 'DATE', nullable: true },
+        { name: 'UPD_DTTM', type: 'TIMESTAMP', nullable: true },
+        { name: 'NAME', type: 'VARCHAR2(10)', nullable: true }
+      ];
+      expect(rankCdcKeyCandidates(columns)).toEqual(['UPD_DTTM', 'EVENT_DATE', 'CREATED_AT']);
+    });
+  });
+
+  describe('Spec Output', () => {
+    test('generated YAML should pass spec validation and list review notes', () => {
+      const { tableName, text, notes } = generateSpecFromDictionary(CUSTOMERS_FILES);
+
+      expect(tableName).toBe('customers');
+      expect(text.startsWith('# CUSTOMERS CDC Specification\n')).toBe(true);
+      notes.forEach(note => expect(text).toContain(`# - ${note}`));
+      expect(yaml.load(text).table.cdc_key).toBe('LAST_MODIFIED');
+    });
+
+    test('CLI --dry-run should print the spec without writing it', () => {
+      const result = spawnSync('node', [SCRIPT_PATH, '--from-dictionary', ORDERS_FILE, '--dry-run'], { encoding: 'utf8' });
+
+      expect(result.status).toBe(0);
+      expect(result.stdout).toContain('primary_key: ORDER_ID');
+      expect(result.stdout).toContain('Dry run: no files written.');
+    });
+
+    test('CLI should refuse to overwrite an existing spec', () => {
+      const result = spawnSync('node', [SCRIPT_PATH, '--from-dictionary', ORDERS_FILE], { encoding: 'utf8' });
+
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain('Spec already exists');
+    });
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Process Group Builder Tests
+ *
+ * spec → 테이블별 NiFi Process Group 생성 검증
+ * - trigger → init → lookup → watermark fetch → range → bind → ExecuteSQLRecord → ES upsert → watermark commit 체인
+ * - ExecuteSQLRecord는 lookup.sql을 실행, bind 단계에서 range 값을 sql.args.N.type / sql.args.N.value 로 전달
+ * - sql_id, 스케줄이 spec에서 결정되고 ES index / ID Record Path는 spec 값이 그대로 들어감
+ * - SQL alias가 ES field 이름이므로 es_name만으로는 JoltTransformRecord를 추가하지 않음
+ * - ES 전달 성공 후에만 watermark(range_to, sequence mode는 마지막 key)를 cache에 저장하고 다음 trigger가 읽음
+ * - compound watermark는 마지막 행의 (cdc_key, primary_key)를 JSON 하나로 저장
+ * - 생성된 속성은 Expression Language로 평가해 검증, 파싱되지 않는 속성은 생성 오류
+ */
+
+const {
+  chainRoles,
+  processGroupId,
+  tableFromProcessGroupId,
+  processorId,
+  buildTableProcessGroup
+} = require('../../scripts/lib/process-group');
+const { evaluate } = require('../../scripts/lib/expression-language');
+
+describe('Process Group Builder', () => {
+  let spec;
+  let group;
+
+  const byRole = role => group.processors.find(p => p.identifier === processorId('orders', role));
+
+  beforeEach(() => {
+    spec = global.testHelpers.loadSpec('orders');
+    group = buildTableProcessGroup(spec);
+  });
+
+  describe('Identifiers', () => {
+    test('group and processor ids should be derived from the table name', () => {
+      expect(group.identifier).toBe('cdc-orders');
+      expect(group.processors.map(p => p.identifier)).toEqual(chainRoles(spec).map(role => `cdc-orders-${role}`));
+    });
+
+    test('tableFromProcessGroupId should invert processGroupId', () => {
+      expect(tableFromProcessGroupId(processGroupId('my_table'))).toBe('my_table');
+      expect(tableFromProcessGroupId('oracle-cdc-flow')).toBeNull();
+    });
+  });
+
+  describe('Chain', () => {
+    test('connections should link the chain in order', () => {
+      const roles = chainRoles(spec);
+      const links = group.connections.map(c => [c.source.id, c.destination.id]);
+      const expected = roles.slice(0, -1).map((role, i) => [
+        processorId('orders', role),
+        processorId('orders', roles[i + 1])
+      ]);
+
+      expect(links).toEqual(expected);
+      group.connections.forEach(c => {
+        expect(c.source.groupId).toBe('cdc-orders');
+        expect(c.destination.groupId).toBe('cdc-orders');
+      });
+    });
+
+    test('timestamp mode should run the query straight into Elasticsearch', () => {
+      expect(chainRoles(spec)).toEqual([
+        'generate-flowfile',
+        'update-attribute-init',
+        'lookup-attribute',
+        'fetch-distributed-map-cache',
+        'update-attribute-range',
+        'update-attribute-bind',
+        'execute-sql-record',
+        'put-elasticsearch-record',
+        'replace-text',
+        'put-distributed-map-cache'
+      ]);
+      expect(group.connections.map(c => c.identifier)).toContain('cdc-orders-conn-query-to-es');
+      expect(byRole('put-elasticsearch-record').position.y).toBe(1050);
+    });
+
+    test('renamed columns should not need a record transform', () => {
+      spec.columns.find(c => c.name === 'STATUS').exclude = true;
+      spec.columns.find(c => c.name === 'MODIFIED_AT').es_name = 'modifiedAt';
+
+      expect(chainRoles(spec)).not.toContain('jolt-transform-record');
+    });
+
+    test('lookup → fetch connection should carry the matched relationship', () => {
+      const conn = group.connections.find(c => c.identifier === 'cdc-orders-conn-lookup-to-fetch');
+      expect(conn.selectedRelationships).toEqual(['matched']);
+    });
+  });
+
+  describe('Watermark', () => {
+    test('the range should start from the cached watermark', () => {
+      expect(byRole('fetch-distributed-map-cache').properties).toEqual(expect.objectContaining({
+        'Cache Entry Identifier': 'cdc.orders.watermark',
+        'Distributed Cache Service': 'watermark-cache-client',
+        'Put Cache Value In Attribute': 'cdc_watermark'
+      }));
+      expect(group.connections.find(c => c.identifier === 'cdc-orders-conn-fetch-to-range').selectedRelationships)
+        .toEqual(['success', 'not-found']);
+      expect(byRole('update-attribute-range').properties).not.toHaveProperty('Store State');
+      expect(evaluate(byRole('update-attribute-range').properties.range_from, {
+        attributes: { cdc_watermark: '2024-01-01 09:40:00.000' }
+      })).toBe('2024-01-01 09:40:00.000');
+    });
+
+    test('range_to should only be committed after Elasticsearch succeeds', () => {
+      expect(group.connections.find(c => c.identifier === 'cdc-orders-conn-es-to-watermark').selectedRelationships)
+        .toEqual(['success']);
+      expect(byRole('put-elasticsearch-record').autoTerminatedRelationships).toEqual(['errors', 'failure', 'retry']);
+      expect(byRole('replace-text').properties['Replacement Value']).toBe('${range_to}');
+      expect(byRole('put-distributed-map-cache').properties['Cache Entry Identifier']).toBe('cdc.orders.watermark');
+    });
+  });
+
+  describe('Spec-derived Properties', () => {
+    test('init attributes should come from the spec', () => {
+      expect(byRole('update-attribute-init').properties).toEqual({
+        sql_id: 'oracle.cdc.orders.5m'
+      });
+    });
+
+    test('query should run the looked-up registry SQL', () => {
+      const query = byRole('execute-sql-record');
+
+      expect(query.type).toBe('org.apache.nifi.processors.standard.ExecuteSQLRecord');
+      expect(query.properties['SQL select query']).toBe('${lookup.sql}');
+      expect(query.properties['esqlrecord-record-writer']).toBe('json-record-writer');
+      // 한 window를 하나의 flowfile로 전달
+      expect(query.properties['esql-max-rows']).toBe('0');
+      expect(query.autoTerminatedRelationships).toEqual(['failure']);
+    });
+
+    test('schedule and range width should follow range.default', () => {
+      spec.range.default = '15m';
+      group = buildTableProcessGroup(spec);
+
+      expect(byRole('generate-flowfile').schedulingPeriod).toBe('15 min');
+      expect(evaluate(byRole('update-attribute-range').properties.range_from, {
+        clock: () => Date.UTC(2024, 0, 1, 1, 0, 0)   // 10:00 at source.utc_offset +09:00
+      })).toBe('2024-01-01 09:45:00.000');
+      expect(byRole('update-attribute-init').properties.sql_id).toBe('oracle.cdc.orders.15m');
+    });
+
+    test('ES upsert should write the spec index and read _id from the spec id field', () => {
+      const es = byRole('put-elasticsearch-record');
+      expect(es.properties['Index']).toBe('orders');
+      expect(es.properties['Index Operation']).toBe('upsert');
+      expect(es.properties['ID Record Path']).toBe('/ORDER_ID');
+      expect(es.properties['Retain ID (Record Path)']).toBeUndefined();
+    });
+
+    test('composite keys should drop the projected id field from the document', () => {
+      spec.table.primary_key = ['ORDER_ID', 'PRODUCT_ID'];
+      spec.elasticsearch.id_field = 'CDC_DOC_ID';
+      group = buildTableProcessGroup(spec);
+
+      expect(byRole('put-elasticsearch-record').properties['ID Record Path']).toBe('/CDC_DOC_ID');
+      expect(byRole('put-elasticsearch-record').properties['Retain ID (Record Path)']).toBe('false');
+    });
+  });
+
+  describe('Expression Language', () => {
+    test('a spec value that breaks an expression should fail the build', () => {
+      spec.elasticsearch.index = 'orders-${now()';
+
+      expect(() => buildTableProcessGroup(spec)).toThrow(
+        'cdc-orders-put-elasticsearch-record: property "Index": Expected "}" at 14 in expression: orders-${now()'
+      );
+    });
+  });
+
+  describe('CDC Modes', () => {
+    beforeEach(() => {
+      spec.cdc.mode = 'sequence';
+      spec.table.cdc_key = 'ORDER_ID';
+      group = buildTableProcessGroup(spec);
+    });
+
+    test('sequence mode should bind range_from from the cached watermark', () => {
+      expect(byRole('update-attribute-init').properties).toEqual({ sql_id: 'oracle.cdc.orders.5m' });
+      expect(byRole('update-attribute-range').properties).toEqual({ range_from: '${cdc_watermark:replaceEmpty(0)}' });
+      expect(byRole('update-attribute-bind').properties).toEqual({
+        'sql.args.1.type': '2',
+        'sql.args.1.value': '${range_from}'
+      });
+
+      expect(evaluate(byRole('update-attribute-range').properties.range_from, { attributes: {} })).toBe('0');
+      expect(evaluate(byRole('update-attribute-range').properties.range_from, { attributes: { cdc_watermark: '42' } })).toBe('42');
+    });
+
+    test('sequence mode should commit the last delivered key after Elasticsearch succeeds', () => {
+      expect(chainRoles(spec).slice(-4)).toEqual([
+        'put-elasticsearch-record',
+        'evaluate-json-path',
+        'replace-text',
+        'put-distributed-map-cache'
+      ]);
+      expect(group.connections.find(c => c.identifier === 'cdc-orders-conn-es-to-last-key').selectedRelationships)
+        .toEqual(['success']);
+      expect(byRole('put-elasticsearch-record').autoTerminatedRelationships).toEqual(['errors', 'failure', 'retry']);
+      expect(byRole('evaluate-json-path').properties.cdc_last_key).toBe('$[-1].ORDER_ID');
+      expect(byRole('replace-text').properties['Replacement Value']).toBe('${cdc_last_key:replaceEmpty(${range_from})}');
+      expect(byRole('put-distributed-map-cache').properties['Cache Entry Identifier']).toBe('cdc.orders.watermark');
+    });
+
+    test('the last key should be read under the cdc_key field name', () => {
+      spec.columns.find(c => c.name === 'ORDER_ID').es_name = 'orderId';
+      group = buildTableProcessGroup(spec);
+
+      expect(byRole('evaluate-json-path').properties.cdc_last_key).toBe('$[-1].orderId');
+    });
+
+    test('clock modes should commit range_to without reading a last key', () => {
+      spec.cdc.mode = 'rowscn';
+      delete spec.table.cdc_key;
+
+      expect(chainRoles(spec)).not.toContain('evaluate-json-path');
+      expect(chainRoles(spec)).toContain('put-distributed-map-cache');
+    });
+  });
+
+  describe('Compound Watermark', () => {
+    beforeEach(() => {
+      spec.cdc.watermark = 'compound';
+      group = buildTableProcessGroup(spec);
+    });
+
+    test('the range should read every bound from the cached JSON', () => {
+      const range = byRole('update-attribute-range').properties;
+      const cached = { cdc_watermark: '{"range_from":"2024-01-01 10:04:59.250000","range_from_ORDER_ID":"42"}' };
+
+      expect(Object.keys(range)).toEqual(['range_to', 'range_from', 'range_from_ORDER_ID']);
+      expect(evaluate(range.range_from, { attributes: cached })).toBe('2024-01-01 10:04:59.250000');
+      expect(evaluate(range.range_from_ORDER_ID, { attributes: cached })).toBe('42');
+      expect(evaluate(range.range_from_ORDER_ID, { attributes: {} })).toBe('');
+      expect(byRole('fetch-distributed-map-cache').properties['Max Length To Put In Attribute']).toBe('4096');
+      expect(byRole('update-attribute-bind').properties['sql.args.3.value']).toBe('${range_from_ORDER_ID}');
+    });
+
+    test('the last delivered row should be committed as one JSON value', () => {
+      const replacement = byRole('replace-text').properties['Replacement Value'];
+      const lastRow = { cdc_last_key: '2024-01-01T10:04:59.250000+09:00', cdc_last_key_ORDER_ID: '42' };
+
+      expect(byRole('evaluate-json-path').properties).toEqual(expect.objectContaining({
+        cdc_last_key: '$[-1].MODIFIED_AT',
+        cdc_last_key_ORDER_ID: '$[-1].ORDER_ID'
+      }));
+      expect(JSON.parse(evaluate(replacement, { attributes: lastRow })))
+        .toEqual({ range_from: '2024-01-01 10:04:59.250000', range_from_ORDER_ID: '42' });
+      // 빈 window는 시작한 bound를 그대로 저장
+      expect(JSON.parse(evaluate(replacement, { attributes: { range_from: '2024-01-01 10:00:00.000', range_from_ORDER_ID: '' } })))
+        .toEqual({ range_from: '2024-01-01 10:00:00.000', range_from_ORDER_ID: '' });
+    });
+  });
+
+  test('position option should place the group on the canvas', () => {
+    expect(buildTableProcessGroup(spec, { position: { x: 10, y: 20 } }).position).toEqual({ x: 10, y: 20 });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Column Projection Tests
+ *
+ * spec column의 es_name / exclude / es_type 처리 검증
+ * - registry SQL: 제외된 column은 SELECT하지 않고, 이름을 바꾼 column은 "fieldName"으로 alias
+ * - ExecuteSQLRecord record는 SQL alias(field 이름)를 그대로 가지므로 rename에 Jolt shift가 필요 없음
+ * - ES mapping: field 이름으로 key, es_type이 추론보다 우선
+ */
+
+const {
+  fieldName,
+  isRenamed,
+  projectedColumns,
+  needsRecordTransform,
+  selectAlias,
+  shiftSpec
+} = require('../../scripts/lib/projection');
+const { generateSql } = require('../../scripts/generate-from-spec');
+const { resolveMappingProperties, findLossyMappings } = require('../../scripts/lib/type-mapping');
+
+describe('Column Projection', () => {
+  let spec;
+
+  const column = name => spec.columns.find(c => c.name === name);
+
+  beforeEach(() => {
+    spec = global.testHelpers.loadSpec('my_table');
+  });
+
+  test('columns should keep their names by default', () => {
+    expect(spec.columns.map(fieldName)).toEqual(['ID', 'NAME', 'VALUE', 'UPDATED_AT']);
+    expect(spec.columns.some(isRenamed)).toBe(false);
+    expect(needsRecordTransform(spec)).toBe(false);
+  });
+
+  test('renamed columns should be quoted so Oracle keeps the case', () => {
+    column('UPDATED_AT').es_name = 'updatedAt';
+
+    expect(fieldName(column('UPDATED_AT'))).toBe('updatedAt');
+    expect(selectAlias(column('UPDATED_AT'))).toBe('"updatedAt"');
+    expect(selectAlias(column('NAME'))).toBe('NAME');
+    expect(needsRecordTransform(spec)).toBe(false);
+  });
+
+  test('excluded columns should leave the projection without a transform', () => {
+    column('VALUE').exclude = true;
+
+    expect(projectedColumns(spec).map(c => c.name)).toEqual(['ID', 'NAME', 'UPDATED_AT']);
+    expect(needsRecordTransform(spec)).toBe(false);
+  });
+
+  test('shift spec should keep projected fields and pass extra fields through', () => {
+    column('NAME').es_name = 'name';
+    column('VALUE').exclude = true;
+
+    expect(shiftSpec(spec)).toEqual({ ID: 'ID', name: 'name', UPDATED_AT: 'UPDATED_AT' });
+    expect(shiftSpec(spec, ['CDC_DOC_ID']).CDC_DOC_ID).toBe('CDC_DOC_ID');
+  });
+
+  test('registry SQL should alias renamed columns and drop excluded ones', () => {
+    column('NAME').es_name = 'fullName';
+    column('UPDATED_AT').es_name = 'updatedAt';
+    column('VALUE').exclude = true;
+
+    const sql = generateSql(spec);
+    expect(sql.startsWith(
+      'SELECT ID, NAME AS "fullName", ' +
+      'TO_CHAR(UPDATED_AT, \'YYYY-MM-DD"T"HH24:MI:SS.FF6"+09:00"\') AS "updatedAt" FROM CDC_USER.MY_TABLE WHERE'
+    )).toBe(true);
+    // range와 ORDER BY는 Oracle column 이름 유지
+    expect(sql.endsWith('ORDER BY UPDATED_AT')).toBe(true);
+  });
+
+  test('mapping should be keyed by field name with es_type overrides', () => {
+    column('NAME').es_name = 'fullName';
+    column('NAME').es_type = 'text';
+    column('VALUE').exclude = true;
+    column('UPDATED_AT').es_name = 'updatedAt';
+
+    expect(resolveMappingProperties(spec)).toEqual({
+      ID: { type: 'long' },
+      fullName: { type: 'text' },
+      updatedAt: { type: 'date' }
+    });
+  });
+
+  test('es_type overrides should be checked for loss', () => {
+    column('VALUE').es_type = 'keyword';
+    column('VALUE').type = 'NUMBER(10,2)';
+
+    expect(findLossyMappings(spec)).toEqual([]);
+
+    column('VALUE').es_type = 'integer';
+    expect(findLossyMappings(spec).map(l => l.message)).toEqual([
+      'VALUE NUMBER(10,2) → integer is lossy: integer drops the 2-digit fractional part'
+    ]);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * CDC Range Window Tests
+ *
+ * cdc.commit_lag / cdc.overlap 설정에 따른 range 계산 검증
+ * - range_from은 ES 전달 후 watermark cache에 저장된 range_to(cdc_watermark)에서 시작, 첫 trigger만 now() - range.default
+ * - commit_lag: range 전체를 lag만큼 과거로 이동
+ * - overlap: range_from만 overlap만큼 앞당겨 이전 range를 다시 읽음
+ * - range 속성과 registry metadata로 설정 전달
+ * - range 값은 NiFi JVM zone이 아닌 source.utc_offset zone으로 format
+ * - sequence mode는 시간 window 없이 watermark cache의 마지막 key(cdc_watermark)부터 읽음
+ */
+
+const {
+  parseDuration,
+  windowSettings,
+  rangeProperties,
+  windowMetadata,
+  computeWindow
+} = require('../../scripts/lib/range-window');
+
+describe('CDC Range Window', () => {
+  let spec;
+
+  beforeEach(() => {
+    spec = global.testHelpers.loadSpec('my_table');
+  });
+
+  test.each([
+    ['250ms', 250],
+    ['30s', 30000],
+    ['5m', 300000],
+    ['1h', 3600000]
+  ])('parseDuration(%s) → %d', (text, ms) => {
+    expect(parseDuration(text)).toBe(ms);
+  });
+
+  test('parseDuration should reject unknown units', () => {
+    expect(() => parseDuration('5d')).toThrow('Invalid duration "5d"; use <number>ms|s|m|h');
+  });
+
+  test('without settings the window should end at now()', () => {
+    expect(windowSettings(spec)).toEqual({ widthMs: 300000, lagMs: 0, overlapMs: 0 });
+    expect(rangeProperties(spec)).toEqual({
+      range_to: "${now():format('yyyy-MM-dd HH:mm:ss.SSS', 'GMT+09:00')}",
+      range_from: "${cdc_watermark:replaceEmpty(${now():toNumber():minus(300000):format('yyyy-MM-dd HH:mm:ss.SSS', 'GMT+09:00')})}"
+    });
+    expect(windowMetadata(spec)).toEqual({});
+  });
+
+  test('range bounds should be formatted in the zone of source.utc_offset', () => {
+    spec.source.utc_offset = '-03:30';
+    expect(rangeProperties(spec).range_to).toBe("${now():format('yyyy-MM-dd HH:mm:ss.SSS', 'GMT-03:30')}");
+
+    delete spec.source;
+    expect(rangeProperties(spec).range_to).toBe("${now():format('yyyy-MM-dd HH:mm:ss.SSS', 'GMT+00:00')}");
+  });
+
+  test('windows should chain from the previous range_to', () => {
+    expect(computeWindow(spec, 1000000)).toEqual({ from: 700000, to: 1000000 });
+    // 장애로 20분 동안 trigger가 없었던 경우에도 이전 range_to부터 읽음
+    expect(computeWindow(spec, 2200000, 1000000)).toEqual({ from: 1000000, to: 2200000 });
+  });
+
+  test('commit_lag should shift both bounds back', () => {
+    spec.cdc.commit_lag = '30s';
+    const properties = rangeProperties(spec);
+
+    expect(properties.range_to).toBe("${now():toNumber():minus(30000):format('yyyy-MM-dd HH:mm:ss.SSS', 'GMT+09:00')}");
+    expect(properties.range_from).toContain("replaceEmpty(${now():toNumber():minus(330000):format('yyyy-MM-dd HH:mm:ss.SSS', 'GMT+09:00')})");
+    expect(computeWindow(spec, 1000000)).toEqual({ from: 670000, to: 970000 });
+  });
+
+  test('overlap should only move range_from back', () => {
+    spec.cdc.commit_lag = '30s';
+    spec.cdc.overlap = '1m';
+
+    expect(rangeProperties(spec).range_from).toBe(
+      "${cdc_watermark:replaceEmpty(${now():toNumber():minus(330000):format('yyyy-MM-dd HH:mm:ss.SSS', 'GMT+09:00')})" +
+      ":toDate('yyyy-MM-dd HH:mm:ss.SSS', 'GMT+09:00'):toNumber():minus(60000):format('yyyy-MM-dd HH:mm:ss.SSS', 'GMT+09:00')}"
+    );
+    expect(computeWindow(spec, 1000000)).toEqual({ from: 610000, to: 970000 });
+    expect(computeWindow(spec, 1300000, 970000)).toEqual({ from: 910000, to: 1270000 });
+    expect(windowMetadata(spec)).toEqual({ commit_lag: '30s', overlap: '1m' });
+  });
+
+  test('sequence mode should start from the cached watermark', () => {
+    spec.cdc.mode = 'sequence';
+    spec.table.cdc_key = 'ID';
+
+    expect(rangeProperties(spec)).toEqual({ range_from: '${cdc_watermark:replaceEmpty(0)}' });
+  });
+
+  test('window width should follow the requested range option', () => {
+    expect(windowSettings(spec, '15m').widthMs).toBe(900000);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Row Filter Tests
+ *
+ * spec filter 섹션 → CDC WHERE 조건 검증
+ * - filter.where: 구조화된 predicate를 컬럼 타입에 맞는 literal로 렌더링하고 AND로 결합
+ * - filter.sql: range/ORDER BY 계약을 깨는 raw SQL(placeholder, ORDER BY, ROWNUM, 괄호 불균형 등) 거부
+ * - literal은 dialect 규칙대로 escape / 해석 (MySQL backslash, PostgreSQL E'' / $$, Oracle q'[]')
+ * - 생성 SQL은 WHERE <range> AND (<filter>) ORDER BY <watermark> 순서 유지
+ */
+
+const {
+  vetFilterSql,
+  predicateProblems,
+  filterCondition
+} = require('../../scripts/lib/row-filter');
+const { rangeClause } = require('../../scripts/lib/watermark');
+const { DIALECTS } = require('../../scripts/lib/dialect');
+
+describe('Row Filter', () => {
+  let spec;
+
+  const column = name => spec.columns.find(c => c.name === name);
+
+  beforeEach(() => {
+    spec = global.testHelpers.loadSpec('orders');
+  });
+
+  describe('Structured Predicates', () => {
+    test('predicates should render typed literals and be ANDed', () => {
+      spec.filter = {
+        where: [
+          { column: 'STATUS', op: '<>', value: 'DRAFT' },
+          { column: 'CUSTOMER_ID', op: 'in', value: [10, 20] },
+          { column: 'CREATED_AT', op: '>=', value: '2024-01-01 00:00:00' },
+          { column: 'STATUS', op: 'not_like', value: "O'TEST%" },
+          { column: 'QUANTITY', op: 'is_not_null' }
+        ]
+      };
+
+      expect(filterCondition(spec)).toBe(
+        "STATUS <> 'DRAFT' AND CUSTOMER_ID IN (10, 20) AND " +
+        "CREATED_AT >= TO_TIMESTAMP('2024-01-01 00:00:00', 'YYYY-MM-DD HH24:MI:SS.FF') AND " +
+        "STATUS NOT LIKE 'O''TEST%' AND QUANTITY IS NOT NULL"
+      );
+    });
+
+    test('raw SQL should be parenthesized when combined with predicates', () => {
+      spec.filter = { sql: "STATUS = 'OPEN' OR QUANTITY > 0" };
+      expect(filterCondition(spec)).toBe("STATUS = 'OPEN' OR QUANTITY > 0");
+
+      spec.filter.where = [{ column: 'CUSTOMER_ID', op: '=', value: 7 }];
+      expect(filterCondition(spec)).toBe("CUSTOMER_ID = 7 AND (STATUS = 'OPEN' OR QUANTITY > 0)");
+    });
+
+    test('mysql literals should escape backslashes so a value cannot end the string', () => {
+      spec.source = { dialect: 'mysql' };
+      spec.filter = { where: [{ column: 'STATUS', op: '=', value: "\\' OR 1=1 -- " }] };
+
+      const condition = filterCondition(spec);
+      expect(condition).toBe("STATUS = '\\\\'' OR 1=1 -- '");
+      expect(vetFilterSql(condition, DIALECTS.mysql)).toEqual([]);
+
+      spec.source = { dialect: 'postgresql' };
+      expect(filterCondition(spec)).toBe("\"STATUS\" = '\\'' OR 1=1 -- '");
+    });
+
+    test('specs without a filter should have no condition', () => {
+      expect(filterCondition(spec)).toBeNull();
+    });
+
+    test.each([
+      [{ column: 'TENANT_ID', op: '=', value: 1 }, 'column', '"TENANT_ID" is not declared in columns'],
+      [{ column: 'STATUS', op: 'is_null', value: 'X' }, 'value', 'is_null takes no value'],
+      [{ column: 'STATUS', op: '=' }, 'value', '= needs a value'],
+      [{ column: 'STATUS', op: 'in', value: 'OPEN' }, 'value', 'in needs a list of values'],
+      [{ column: 'STATUS', op: '=', value: ['OPEN'] }, 'value', '= takes a single value'],
+      [{ column: 'CUSTOMER_ID', op: '=', value: '7' }, 'value', '"7" is not a number for CUSTOMER_ID NUMBER'],
+      [{ column: 'CREATED_AT', op: '>', value: '2024-01-01' }, 'value',
+        '"2024-01-01" is not a "YYYY-MM-DD HH:MM:SS[.fraction]" string for CREATED_AT TIMESTAMP'],
+      [{ column: 'QUANTITY', op: 'like', value: 1 }, 'op', 'like only applies to character columns']
+    ])('predicate %j should be rejected on %s', (predicate, field, message) => {
+      expect(predicateProblems(predicate, column(predicate.column))).toEqual([{ field, message }]);
+    });
+  });
+
+  describe('Raw SQL Vetting', () => {
+    test('plain conditions should pass', () => {
+      expect(vetFilterSql("STATUS <> 'DRAFT' AND (QUANTITY > 0 OR STATUS IN ('A', 'B'))")).toEqual([]);
+      // 키워드와 특수문자가 literal 안에 있으면 허용
+      expect(vetFilterSql("STATUS <> 'ORDER BY; -- ('")).toEqual([]);
+    });
+
+    test.each([
+      ['QUANTITY > ${range_from}', 'must not reference flowfile attributes such as ${range_from}'],
+      ['QUANTITY > ?', 'must not contain ? parameters: only the range is bound'],
+      ["STATUS = 'OPEN", 'has an unterminated string literal'],
+      ['QUANTITY > 0; DROP TABLE ORDERS', 'must be a single condition without ";"'],
+      ['QUANTITY > 0 -- tenant', 'must not contain comments'],
+      ['QUANTITY > 0) OR (1 = 1', 'has unbalanced parentheses'],
+      ['QUANTITY > 0 ORDER BY STATUS', 'must not contain ORDER BY: ORDER BY would replace the watermark order'],
+      ['ROWNUM <= 100', 'must not contain ROWNUM: row limits would cut pages short and skip rows'],
+      ['1 = 1 UNION ALL SELECT 1 FROM DUAL', 'must not contain UNION: set operators would add rows outside the range'],
+      ['CUSTOMER_ID IN (SELECT ID FROM VIP)', 'must not contain SELECT: subqueries and hierarchical queries are not supported']
+    ])('%s should be rejected', (sql, problem) => {
+      expect(vetFilterSql(sql)).toContain(problem);
+    });
+
+    test('quoted identifiers and doubled quotes should not end the scan early', () => {
+      expect(vetFilterSql('"ORDER" = \'it\'\'s; fine\'')).toEqual([]);
+      expect(vetFilterSql('"ORDER BY = 1')).toEqual(['has an unterminated quoted identifier']);
+    });
+
+    test.each([
+      ['mysql', "STATUS = 'a\\'' ; DROP TABLE ORDERS -- '", 'has an unterminated string literal'],
+      ['mysql', 'STATUS = "a\\"" ; DROP TABLE ORDERS -- "', 'has an unterminated string literal'],
+      ['postgresql', "status = E'a\\'' ; DROP TABLE orders -- '", 'has an unterminated string literal'],
+      ['postgresql', 'status = $t$; DROP$t$ OR x = $$', 'has an unterminated string literal'],
+      ['oracle', "STATUS = q'[it's]'; DROP TABLE ORDERS", 'must be a single condition without ";"']
+    ])('%s condition %s should be scanned with the dialect literal rules', (dialect, sql, problem) => {
+      expect(vetFilterSql(sql, DIALECTS[dialect])).toContain(problem);
+    });
+
+    test('oracle should read the same text as a single literal', () => {
+      expect(vetFilterSql("STATUS = 'a\\'' ; DROP TABLE ORDERS -- '")).toEqual([]);
+    });
+
+    test.each([
+      ['mysql', "STATUS = 'it\\'s; fine'"],
+      ['postgresql', "status = E'it\\'s; fine' AND note = $t$a;b$t$"],
+      ['oracle', "STATUS = q'[it's; fine]' AND NOTE = nq'{x}'"]
+    ])('%s condition %s should pass', (dialect, sql) => {
+      expect(vetFilterSql(sql, DIALECTS[dialect])).toEqual([]);
+    });
+  });
+
+  describe('Range Contract', () => {
+    test('filter should sit between the range condition and ORDER BY', () => {
+      spec.filter = { sql: "STATUS = 'OPEN' OR QUANTITY > 0" };
+      const clause = rangeClause(spec, filterCondition(spec));
+
+      expect(clause).toMatch(
+        /^WHERE MODIFIED_AT > .+ AND MODIFIED_AT <= .+ AND \(STATUS = 'OPEN' OR QUANTITY > 0\) ORDER BY MODIFIED_AT$/
+      );
+    });
+
+    test('compound watermark clause should keep the tuple comparison before the filter', () => {
+      spec.cdc.watermark = 'compound';
+      spec.filter = { where: [{ column: 'STATUS', op: '<>', value: 'DRAFT' }] };
+      const clause = rangeClause(spec, filterCondition(spec));
+
+      expect(clause.indexOf('ORDER_ID > ?')).toBeLessThan(clause.indexOf("STATUS <> 'DRAFT'"));
+      expect(clause.endsWith("AND (STATUS <> 'DRAFT') ORDER BY MODIFIED_AT, ORDER_ID")).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,442 @@
+/**
+ * Spec Validator Tests
+ *
+ * specs/*.yaml 스키마 및 cross-field 규칙 검증
+ * - 오타/누락 필드는 파일, YAML 경로, 라인 번호와 함께 보고
+ * - cdc_key, primary_key는 columns에 존재해야 함
+ * - elasticsearch.id_field는 column 또는 mapping property여야 함
+ * - mapping이 생략된 column은 Oracle 타입에서 ES 타입을 추론할 수 있어야 함
+ * - range.default는 range.options 중 하나여야 함
+ * - es_name/exclude/es_type: field 이름 중복, key/cdc_key 제외, mapping 충돌 검사
+ * - filter.where predicate와 filter.sql 검증 (YAML 경로와 함께 보고)
+ * - cdc.mode별 cdc_key 타입 (timestamp: DATE/TIMESTAMP, sequence: 정수 NUMBER, rowscn: 생략 가능)
+ * - column transform: 컬럼 타입에 맞는 변환, key/cdc_key 변환 금지
+ * - joins/children: on 컬럼 존재, field 이름 중복, timestamp mode 전용
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const {
+  SpecValidationError,
+  validateSpec,
+  loadValidatedSpec,
+  locateLine
+} = require('../../scripts/lib/spec-validator');
+
+const SPECS_DIR = path.join(__dirname, '../../specs');
+
+describe('Spec Validator', () => {
+  let ordersSource;
+
+  const validateSource = (source) =>
+    validateSpec(yaml.load(source), { file: 'specs/orders.yaml', source });
+
+  beforeAll(() => {
+    ordersSource = fs.readFileSync(path.join(SPECS_DIR, 'orders.yaml'), 'utf8');
+  });
+
+  describe('Committed Specs', () => {
+    test('every spec in specs/ should pass validation', () => {
+      const files = fs.readdirSync(SPECS_DIR).filter(f => f.endsWith('.yaml'));
+      expect(files.length).toBeGreaterThan(0);
+
+      files.forEach(file => {
+        expect(() => loadValidatedSpec(path.join(SPECS_DIR, file))).not.toThrow();
+      });
+    });
+  });
+
+  describe('Schema Rules', () => {
+    test('should report a misspelled key with its path and line', () => {
+      const source = ordersSource.replace('cdc_key: MODIFIED_AT', 'cdc_kye: MODIFIED_AT');
+      const errors = validateSource(source);
+
+      expect(errors).toContainEqual({
+        file: 'specs/orders.yaml',
+        path: 'table.cdc_kye',
+        line: 10,
+        message: 'unknown property'
+      });
+      expect(errors).toContainEqual(expect.objectContaining({
+        path: 'table',
+        message: 'missing required property "cdc_key"'
+      }));
+    });
+
+    test('should report missing range.options', () => {
+      const source = ordersSource.replace(/  options:\n(    - \d+m\n)+/, '');
+      const errors = validateSource(source);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].path).toBe('range');
+      expect(errors[0].message).toContain('options');
+    });
+
+    test('should report invalid column entries by index', () => {
+      const source = ordersSource.replace('    type: VARCHAR2(20)\n', '');
+      const errors = validateSource(source);
+
+      expect(errors).toEqual([expect.objectContaining({
+        path: 'columns[5]',
+        line: 29,
+        message: 'missing required property "type"'
+      })]);
+    });
+
+    test('should reject unsupported cdc mode', () => {
+      const source = ordersSource.replace('mode: timestamp', 'mode: logminer');
+      const errors = validateSource(source);
+
+      expect(errors).toEqual([expect.objectContaining({ path: 'cdc.mode' })]);
+    });
+  });
+
+  describe('Cross-field Rules', () => {
+    test('cdc_key and primary_key must be declared in columns', () => {
+      const source = ordersSource
+        .replace('primary_key: ORDER_ID', 'primary_key: ORDER_NO')
+        .replace('cdc_key: MODIFIED_AT', 'cdc_key: CHANGED_AT');
+      const paths = validateSource(source).map(e => e.path);
+
+      expect(paths).toEqual(['table.primary_key', 'table.cdc_key']);
+    });
+
+    test('elasticsearch.id_field must match a mapped property', () => {
+      const source = ordersSource.replace('id_field: ORDER_ID', 'id_field: ORDER_NO');
+      const errors = validateSource(source);
+
+      expect(errors).toEqual([expect.objectContaining({
+        path: 'elasticsearch.id_field',
+        line: 41
+      })]);
+    });
+
+    test('composite primary_key columns must be declared in columns', () => {
+      const source = ordersSource
+        .replace('primary_key: ORDER_ID', 'primary_key: [ORDER_ID, LINE_NO]')
+        .replace('id_field: ORDER_ID', 'id_field: CDC_DOC_ID');
+      const errors = validateSource(source);
+
+      expect(errors).toEqual([expect.objectContaining({
+        path: 'table.primary_key[1]',
+        line: 9,
+        message: '"LINE_NO" is not declared in columns'
+      })]);
+    });
+
+    test('composite keys need an id_field that is not a column', () => {
+      const source = ordersSource.replace('primary_key: ORDER_ID', 'primary_key: [ORDER_ID, PRODUCT_ID]');
+      expect(validateSource(source)).toEqual([expect.objectContaining({
+        path: 'elasticsearch.id_field',
+        message: '"ORDER_ID" names the composite document id and must not be a column or mapped property'
+      })]);
+
+      const valid = source.replace('id_field: ORDER_ID', 'id_field: CDC_DOC_ID\n  id:\n    strategy: hash');
+      expect(validateSource(valid)).toEqual([]);
+    });
+
+    test('elasticsearch.id should only be set for composite keys and hash', () => {
+      const single = ordersSource.replace('id_field: ORDER_ID', 'id_field: ORDER_ID\n  id:\n    strategy: join');
+      expect(validateSource(single)).toEqual([expect.objectContaining({
+        path: 'elasticsearch.id',
+        message: 'only applies to a composite primary_key'
+      })]);
+
+      const joined = ordersSource
+        .replace('primary_key: ORDER_ID', 'primary_key: [ORDER_ID, PRODUCT_ID]')
+        .replace('id_field: ORDER_ID', 'id_field: CDC_DOC_ID\n  id:\n    algorithm: MD5');
+      expect(validateSource(joined)).toEqual([expect.objectContaining({
+        path: 'elasticsearch.id.algorithm',
+        message: 'only applies to strategy: hash'
+      })]);
+    });
+
+    test('compound watermark should not repeat cdc_key in the key', () => {
+      const source = ordersSource
+        .replace('primary_key: ORDER_ID', 'primary_key: [ORDER_ID, MODIFIED_AT]')
+        .replace('id_field: ORDER_ID', 'id_field: CDC_DOC_ID')
+        .replace('mode: timestamp', 'mode: timestamp\n  watermark: compound');
+
+      expect(validateSource(source)).toEqual([expect.objectContaining({
+        path: 'cdc.watermark',
+        message: 'compound watermark needs a primary_key without the cdc_key MODIFIED_AT'
+      })]);
+    });
+
+    test('compound watermark should reject rowscn mode and overlap', () => {
+      const compound = ordersSource.replace('mode: timestamp', 'mode: timestamp\n  watermark: compound');
+      expect(validateSource(compound)).toEqual([]);
+
+      const rowscn = compound.replace('mode: timestamp', 'mode: rowscn');
+      expect(validateSource(rowscn)).toEqual(expect.arrayContaining([expect.objectContaining({
+        path: 'cdc.watermark',
+        message: 'compound watermark reads the cdc_key of the last delivered row; rowscn mode has none'
+      })]));
+
+      const overlap = compound.replace('mode: timestamp', 'mode: timestamp\n  overlap: 1m');
+      expect(validateSource(overlap)).toEqual([expect.objectContaining({
+        path: 'cdc.overlap',
+        message: 'does not apply to a compound watermark, which resumes after the last delivered row'
+      })]);
+    });
+
+    test('cdc_key type should match the cdc mode', () => {
+      const numeric = ordersSource.replace('cdc_key: MODIFIED_AT', 'cdc_key: ORDER_ID');
+      expect(validateSource(numeric)).toEqual([expect.objectContaining({
+        path: 'table.cdc_key',
+        message: 'timestamp mode needs a DATE or TIMESTAMP cdc_key, not NUMBER'
+      })]);
+
+      const sequence = numeric
+        .replace('mode: timestamp', 'mode: sequence')
+        .replace(/\n  trigger: true.*/, '');
+      expect(validateSource(sequence)).toEqual([]);
+
+      const decimal = sequence.replace('cdc_key: ORDER_ID', 'cdc_key: TOTAL_AMOUNT');
+      expect(validateSource(decimal)).toEqual([expect.objectContaining({
+        path: 'table.cdc_key',
+        message: 'sequence mode needs an integer NUMBER cdc_key, not NUMBER(10,2)'
+      })]);
+    });
+
+    test('rowscn mode should not require cdc_key', () => {
+      const source = ordersSource
+        .replace('  cdc_key: MODIFIED_AT\n', '')
+        .replace('mode: timestamp', 'mode: rowscn')
+        .replace(/\n  trigger: true.*/, '');
+      expect(validateSource(source)).toEqual([]);
+
+      const timestamp = source.replace('mode: rowscn', 'mode: timestamp');
+      expect(validateSource(timestamp)).toEqual([expect.objectContaining({
+        path: 'table',
+        message: 'missing required property "cdc_key"'
+      })]);
+    });
+
+    test('clock settings and trigger should be rejected where they do not apply', () => {
+      const source = ordersSource
+        .replace('cdc_key: MODIFIED_AT', 'cdc_key: ORDER_ID')
+        .replace('mode: timestamp', 'mode: sequence\n  commit_lag: 30s');
+
+      expect(validateSource(source)).toEqual([
+        expect.objectContaining({
+          path: 'cdc.commit_lag',
+          message: 'only applies to the clock-based timestamp and rowscn modes'
+        }),
+        expect.objectContaining({
+          path: 'cdc.trigger',
+          message: 'stamps cdc_key with SYSTIMESTAMP and only applies to timestamp mode'
+        })
+      ]);
+    });
+
+    test('renamed and excluded columns should keep the id and range intact', () => {
+      const renamed = ordersSource
+        .replace('  - name: ORDER_ID\n', '  - name: ORDER_ID\n    es_name: orderId\n')
+        .replace('  - name: STATUS\n', '  - name: STATUS\n    exclude: true\n');
+      expect(validateSource(renamed)).toEqual([
+        expect.objectContaining({
+          path: 'elasticsearch.mapping.properties.ORDER_ID',
+          message: 'ORDER_ID is indexed as "orderId"; key the property by the field name'
+        }),
+        expect.objectContaining({
+          path: 'elasticsearch.id_field',
+          message: '"ORDER_ID" is indexed as "orderId"; use the field name'
+        })
+      ]);
+
+      const valid = renamed
+        .replace('id_field: ORDER_ID', 'id_field: orderId')
+        .replace('      ORDER_ID:\n', '      orderId:\n');
+      expect(validateSource(valid)).toEqual([]);
+
+      const broken = valid
+        .replace('  - name: MODIFIED_AT\n', '  - name: MODIFIED_AT\n    exclude: true\n')
+        .replace('  - name: CUSTOMER_ID\n', '  - name: CUSTOMER_ID\n    es_name: orderId\n')
+        .replace('  - name: QUANTITY\n', '  - name: QUANTITY\n    es_type: long\n');
+      expect(validateSource(broken).map(e => [e.path, e.message])).toEqual([
+        ['columns[1].es_name', 'field "orderId" is already used by column ORDER_ID'],
+        ['columns[3].es_type', 'conflicts with elasticsearch.mapping.properties.QUANTITY; declare the type in one place'],
+        ['columns[7].exclude', 'MODIFIED_AT is needed for the document id or the range and cannot be excluded'],
+        ['elasticsearch.mapping.properties.CUSTOMER_ID', 'CUSTOMER_ID is indexed as "orderId"; key the property by the field name']
+      ]);
+    });
+
+    test('filter predicates and raw SQL should be checked', () => {
+      const valid = `${ordersSource}
+filter:
+  where:
+    - column: STATUS
+      op: "<>"
+      value: DRAFT
+  sql: "QUANTITY > 0"
+`;
+      expect(validateSource(valid)).toEqual([]);
+
+      const source = valid
+        .replace('column: STATUS', 'column: TENANT_ID')
+        .replace('sql: "QUANTITY > 0"', 'sql: "QUANTITY > 0 ORDER BY STATUS"');
+      expect(validateSource(source)).toEqual([
+        expect.objectContaining({
+          path: 'filter.where[0].column',
+          message: '"TENANT_ID" is not declared in columns'
+        }),
+        expect.objectContaining({
+          path: 'filter.sql',
+          line: 73,
+          message: 'must not contain ORDER BY: ORDER BY would replace the watermark order'
+        })
+      ]);
+    });
+
+    test('column transforms should fit the column type and spare key columns', () => {
+      const valid = ordersSource
+        .replace('  - name: STATUS\n', '  - name: STATUS\n    transform: { type: mask, keep_last: 2 }\n')
+        .replace('  - name: CUSTOMER_ID\n', '  - name: CUSTOMER_ID\n    transform: hash\n');
+      expect(validateSource(valid)).toEqual([]);
+
+      const source = valid
+        .replace('transform: { type: mask, keep_last: 2 }', 'transform: { type: truncate, keep_last: 2 }')
+        .replace('  - name: QUANTITY\n', '  - name: QUANTITY\n    transform: mask\n')
+        .replace('  - name: ORDER_ID\n', '  - name: ORDER_ID\n    transform: redact\n');
+      expect(validateSource(source).map(e => [e.path, e.message])).toEqual([
+        ['columns[0].transform', 'ORDER_ID is needed for the document id or the range and cannot be transformed'],
+        ['columns[3].transform', 'mask only applies to character columns, not NUMBER'],
+        ['columns[5].transform.keep_last', 'keep_last only applies to mask'],
+        ['columns[5].transform', 'truncate needs a length']
+      ]);
+    });
+
+    test('joins should reference spec columns and unique fields', () => {
+      const valid = `${ordersSource}
+joins:
+  - table: CUSTOMERS
+    field: customer
+    on:
+      CUSTOMER_ID: CUSTOMER_ID
+    cdc_key: UPDATED_AT
+    columns:
+      - name: NAME
+        type: VARCHAR2(100)
+`;
+      expect(validateSource(valid)).toEqual([]);
+
+      const source = valid
+        .replace('      CUSTOMER_ID: CUSTOMER_ID', '      CLIENT_ID: ID')
+        .replace('field: customer', 'field: STATUS')
+        .replace('        type: VARCHAR2(100)\n', '        type: XMLTYPE\n      - name: FULL_NAME\n        type: VARCHAR2(100)\n        es_name: NAME\n')
+        .replace('mode: timestamp', 'mode: rowscn');
+      const errors = validateSource(source).filter(e => e.path.startsWith('joins'));
+      expect(errors.map(e => [e.path, e.message])).toEqual([
+        ['joins', 'only apply to timestamp mode; the joined change column is the greatest cdc_key timestamp'],
+        ['joins[0].on.CLIENT_ID', '"CLIENT_ID" is not declared in columns'],
+        ['joins[0].field', 'field "STATUS" is already used by column STATUS'],
+        ['joins[0].columns[0].type', 'cannot infer an Elasticsearch type for XMLTYPE; set es_type'],
+        ['joins[0].columns[1].es_name', 'field "STATUS.NAME" is already used by column NAME']
+      ]);
+    });
+
+    test('children should reference spec columns and not reuse a join field', () => {
+      const valid = `${ordersSource}
+joins:
+  - table: CUSTOMERS
+    field: customer
+    on:
+      CUSTOMER_ID: CUSTOMER_ID
+    cdc_key: UPDATED_AT
+    columns:
+      - name: NAME
+        type: VARCHAR2(100)
+children:
+  - table: ORDER_LINES
+    field: lines
+    on:
+      ORDER_ID: ORDER_ID
+    cdc_key: UPDATED_AT
+    order_by: [LINE_NO]
+    columns:
+      - name: SKU
+        type: VARCHAR2(40)
+`;
+      expect(validateSource(valid)).toEqual([]);
+
+      const source = valid
+        .replace('      ORDER_ID: ORDER_ID', '      HEADER_ID: ORDER_ID')
+        .replace('field: lines', 'field: customer')
+        .replace('mode: timestamp', 'mode: sequence');
+      const errors = validateSource(source).filter(e => e.path.startsWith('children'));
+      expect(errors.map(e => [e.path, e.message])).toEqual([
+        ['children', 'only apply to timestamp mode; the child change column is the greatest cdc_key timestamp'],
+        ['children[0].on.HEADER_ID', '"HEADER_ID" is not declared in columns'],
+        ['children[0].field', 'field "customer" is already used by the CUSTOMERS join']
+      ]);
+    });
+
+    test('columns without an inferable type must declare a mapping', () => {
+      const source = ordersSource.replace('type: VARCHAR2(20)', 'type: XMLTYPE');
+      const errors = validateSource(source);
+
+      expect(errors).toEqual([expect.objectContaining({
+        path: 'columns[5].type',
+        line: 30,
+        message: 'cannot infer an Elasticsearch type for XMLTYPE; set es_type or declare elasticsearch.mapping.properties.STATUS'
+      })]);
+    });
+
+    test('range.default must be one of range.options', () => {
+      const source = ordersSource.replace('default: 5m', 'default: 10m');
+      const errors = validateSource(source);
+
+      expect(errors).toEqual([expect.objectContaining({
+        path: 'range.default',
+        message: expect.stringContaining('range.options')
+      })]);
+    });
+  });
+
+  describe('Error Reporting', () => {
+    test('loadValidatedSpec should throw SpecValidationError listing every error', () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nificdc-spec-'));
+      const specPath = path.join(tmpDir, 'broken.yaml');
+      fs.writeFileSync(specPath, ordersSource
+        .replace('cdc_key: MODIFIED_AT', 'cdc_kye: MODIFIED_AT')
+        .replace('    type: VARCHAR2(20)\n', ''));
+
+      try {
+        loadValidatedSpec(specPath);
+        throw new Error('expected validation to fail');
+      } catch (e) {
+        expect(e).toBeInstanceOf(SpecValidationError);
+        expect(e.errors).toHaveLength(3);
+        expect(e.message).toMatch(/broken\.yaml:10 table\.cdc_kye: unknown property/);
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    test('YAML syntax errors should report the line', () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nificdc-spec-'));
+      const specPath = path.join(tmpDir, 'syntax.yaml');
+      fs.writeFileSync(specPath, 'table:\n  name: A\n   schema: B\n');
+
+      try {
+        loadValidatedSpec(specPath);
+        throw new Error('expected validation to fail');
+      } catch (e) {
+        expect(e).toBeInstanceOf(SpecValidationError);
+        expect(e.errors[0].line).toBe(3);
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    test('locateLine should fall back to the nearest existing ancestor', () => {
+      expect(locateLine(ordersSource, ['range', 'options', 1])).toBe(58);
+      expect(locateLine(ordersSource, ['range', 'options', 9])).toBe(56);
+      expect(locateLine(ordersSource, ['table', 'missing'])).toBe(6);
+      expect(locateLine(ordersSource, ['columns', 2, 'name'])).toBe(20);
+    });
+  });
+});
@@ -5,7 +5,7 @@
  * - ORDER BY CDC_KEY 필수
  * - max_value_column 존재 필수
  * - sql_id 형식: oracle.cdc.<table>.<range>
- * - range_from, range_to 변수 사용
+ * - range_from, range_to는 ? bind parameter로 전달 (텍스트 치환 없음)
  */
 
 const fs = require('fs');
@@ -50,15 +50,16 @@ describe('SQL Registry Validation', () => {
       });
     });
 
-    test('should use ${range_from} variable', () => {
+    test('should bind range_from and range_to as ? parameters', () => {
       Object.entries(sqlRegistry).forEach(([sqlId, entry]) => {
-        expect(entry.sql).toContain('${range_from}');
+        expect(entry.parameters).toEqual(['range_from', 'range_to']);
+        expect(entry.sql.match(/\?/g)).toHaveLength(entry.parameters.length);
       });
     });
 
-    test('should use ${range_to} variable', () => {
+    test('should not substitute flowfile attributes into the SQL text', () => {
       Object.entries(sqlRegistry).forEach(([sqlId, entry]) => {
-        expect(entry.sql).toContain('${range_to}');
+        expect(entry.sql).not.toContain('${');
       });
     });
   });
@@ -0,0 +1,124 @@
+/**
+ * Oracle → Elasticsearch Type Mapping Tests
+ *
+ * spec column의 Oracle 타입에서 ES 타입 추론 검증
+ * - NUMBER precision/scale, VARCHAR2, CHAR, DATE, TIMESTAMP WITH TIME ZONE, CLOB, RAW
+ * - 명시한 mapping(override)은 그대로 사용
+ * - Oracle 값을 모두 담지 못하는 override는 lossy 경고
+ */
+
+const {
+  parseOracleType,
+  inferEsType,
+  lossyReason,
+  resolveMappingProperties,
+  findLossyMappings
+} = require('../../scripts/lib/type-mapping');
+
+describe('Oracle to Elasticsearch Type Mapping', () => {
+  describe('Type Parsing', () => {
+    test('should parse precision and scale of numeric types', () => {
+      expect(parseOracleType('NUMBER(10,2)')).toEqual({ base: 'NUMBER', precision: 10, scale: 2, length: null });
+      expect(parseOracleType('number(5)')).toEqual({ base: 'NUMBER', precision: 5, scale: 0, length: null });
+      expect(parseOracleType('NUMBER(*,0)')).toEqual({ base: 'NUMBER', precision: 38, scale: 0, length: null });
+      expect(parseOracleType('NUMBER')).toEqual({ base: 'NUMBER', precision: null, scale: null, length: null });
+    });
+
+    test('should parse lengths and multi-word types', () => {
+      expect(parseOracleType('VARCHAR2(100 CHAR)')).toEqual({ base: 'VARCHAR2', precision: null, scale: null, length: 100 });
+      expect(parseOracleType('TIMESTAMP(6) WITH TIME ZONE').base).toBe('TIMESTAMP WITH TIME ZONE');
+      expect(parseOracleType('LONG RAW').base).toBe('LONG RAW');
+    });
+  });
+
+  describe('Inference', () => {
+    test.each([
+      ['NUMBER', 'double'],
+      ['NUMBER(5)', 'integer'],
+      ['NUMBER(12)', 'long'],
+      ['NUMBER(20)', 'keyword'],
+      ['NUMBER(10,2)', 'double'],
+      ['NUMBER(20,4)', 'keyword'],
+      ['VARCHAR2(100)', 'keyword'],
+      ['CHAR(1)', 'keyword'],
+      ['CLOB', 'text'],
+      ['DATE', 'date'],
+      ['TIMESTAMP', 'date'],
+      ['TIMESTAMP(6) WITH TIME ZONE', 'date'],
+      ['RAW(16)', 'binary'],
+      ['XMLTYPE', null]
+    ])('%s → %s', (oracleType, esType) => {
+      expect(inferEsType(oracleType)).toBe(esType);
+    });
+  });
+
+  describe('Lossy Overrides', () => {
+    test.each([
+      ['NUMBER(10,2)', 'long', 'long drops the 2-digit fractional part'],
+      ['NUMBER(12)', 'integer', 'integer overflows above 9 digits'],
+      ['NUMBER(20,2)', 'double', 'double keeps only 15 significant digits'],
+      ['CLOB', 'keyword', 'keyword rejects values over 32766 bytes'],
+      ['VARCHAR2(10)', 'long', 'long rejects arbitrary VARCHAR2 strings'],
+      ['TIMESTAMP WITH TIME ZONE', 'long', 'long cannot hold TIMESTAMP WITH TIME ZONE values'],
+      ['RAW(16)', 'keyword', 'keyword cannot hold RAW bytes']
+    ])('%s → %s should be lossy', (oracleType, esType, reason) => {
+      expect(lossyReason(oracleType, esType)).toBe(reason);
+    });
+
+    test.each([
+      ['NUMBER', 'long'],
+      ['NUMBER(9)', 'integer'],
+      ['NUMBER(10,2)', 'keyword'],
+      ['VARCHAR2(100)', 'text'],
+      ['TIMESTAMP', 'date_nanos']
+    ])('%s → %s should not be lossy', (oracleType, esType) => {
+      expect(lossyReason(oracleType, esType)).toBeNull();
+    });
+  });
+
+  describe('Spec Resolution', () => {
+    let spec;
+
+    beforeEach(() => {
+      spec = global.testHelpers.loadSpec('orders');
+    });
+
+    test('omitted columns should be inferred and overrides kept', () => {
+      const properties = resolveMappingProperties(spec);
+
+      expect(properties).toEqual({
+        ORDER_ID: { type: 'long' },
+        CUSTOMER_ID: { type: 'long' },
+        PRODUCT_ID: { type: 'long' },
+        QUANTITY: { type: 'integer' },
+        TOTAL_AMOUNT: { type: 'double' },
+        STATUS: { type: 'keyword' },
+        CREATED_AT: { type: 'date' },
+        MODIFIED_AT: { type: 'date' }
+      });
+    });
+
+    test('mapping-only properties should follow the columns', () => {
+      spec.elasticsearch.mapping = { properties: { SEARCH_TEXT: { type: 'text' } } };
+
+      expect(Object.keys(resolveMappingProperties(spec)).slice(-2)).toEqual(['MODIFIED_AT', 'SEARCH_TEXT']);
+    });
+
+    test('committed specs should have no lossy overrides', () => {
+      global.testHelpers.listSpecTables().forEach(table => {
+        expect(findLossyMappings(global.testHelpers.loadSpec(table))).toEqual([]);
+      });
+    });
+
+    test('should report lossy overrides with column and types', () => {
+      spec.elasticsearch.mapping.properties.TOTAL_AMOUNT = { type: 'long' };
+
+      expect(findLossyMappings(spec)).toEqual([{
+        column: 'TOTAL_AMOUNT',
+        oracleType: 'NUMBER(10,2)',
+        esType: 'long',
+        message: 'TOTAL_AMOUNT NUMBER(10,2) → long is lossy: long drops the 2-digit fractional part'
+      }]);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unified Diff Tests
+ *
+ * generate-from-spec.js --dry-run / --check 에서 사용하는 diff 출력 검증
+ */
+
+const { createUnifiedDiff } = require('../../scripts/lib/unified-diff');
+
+describe('Unified Diff', () => {
+  const lines = count => Array.from({ length: count }, (_, i) => `line ${i + 1}`);
+  const text = arr => arr.join('\n') + '\n';
+
+  test('should return empty string for identical input', () => {
+    expect(createUnifiedDiff('a\nb\n', 'a\nb\n')).toBe('');
+  });
+
+  test('should render a single hunk with 3 lines of context', () => {
+    const before = lines(10);
+    const after = before.slice();
+    after[4] = 'changed';
+
+    expect(createUnifiedDiff(text(before), text(after), { fromFile: 'a/x', toFile: 'b/x' })).toBe([
+      '--- a/x',
+      '+++ b/x',
+      '@@ -2,7 +2,7 @@',
+      ' line 2',
+      ' line 3',
+      ' line 4',
+      '-line 5',
+      '+changed',
+      ' line 6',
+      ' line 7',
+      ' line 8',
+      ''
+    ].join('\n'));
+  });
+
+  test('should split distant changes into separate hunks', () => {
+    const before = lines(30);
+    const after = before.slice();
+    after[1] = 'first';
+    after[25] = 'second';
+
+    const hunks = createUnifiedDiff(text(before), text(after)).match(/^@@ .* @@$/gm);
+    expect(hunks).toEqual(['@@ -1,5 +1,5 @@', '@@ -23,7 +23,7 @@']);
+  });
+
+  test('should merge nearby changes into one hunk', () => {
+    const before = lines(20);
+    const after = before.slice();
+    after[5] = 'a';
+    after[11] = 'b';
+
+    const hunks = createUnifiedDiff(text(before), text(after)).match(/^@@ .* @@$/gm);
+    expect(hunks).toEqual(['@@ -3,13 +3,13 @@']);
+  });
+
+  test('should describe new files against an empty original', () => {
+    expect(createUnifiedDiff('', 'x\ny\n')).toBe('--- a\n+++ b\n@@ -0,0 +1,2 @@\n+x\n+y\n');
+  });
+
+  test('should handle insertions and deletions', () => {
+    const diff = createUnifiedDiff('a\nb\nc\n', 'a\nc\nd\n');
+    expect(diff).toBe('--- a\n+++ b\n@@ -1,3 +1,3 @@\n a\n-b\n c\n+d\n');
+  });
+});
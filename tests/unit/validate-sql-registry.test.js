@@ -0,0 +1,429 @@
+/**
+ * SQL Registry Linter Tests
+ *
+ * scripts/validate-sql-registry.js (npm run lint:sql) 검증
+ * - sql_id 형식, ORDER BY max_value_column, range placeholder, row filter 계약 규칙
+ * - spec과 registry entry 일치 여부(compound watermark, cdc mode 포함), SELECT 컬럼 누락
+ * - transform 지정 컬럼이 변환 없이 SELECT되는지 여부
+ * - LookupService property 동기화
+ * - JSON / SARIF 출력 및 exit code
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+  RULES,
+  lintSqlRegistry,
+  loadSpecs,
+  extractSelectColumns,
+  toSarif
+} = require('../../scripts/validate-sql-registry');
+
+const { generateSqlRegistryEntries } = require('../../scripts/generate-from-spec');
+const { transformExpression } = require('../../scripts/lib/column-transform');
+
+const SCRIPT_PATH = path.join(__dirname, '../../scripts/validate-sql-registry.js');
+const SPECS_DIR = path.join(__dirname, '../../specs');
+
+describe('SQL Registry Linter', () => {
+  let registry;
+  let flow;
+  let specs;
+
+  const clone = obj => JSON.parse(JSON.stringify(obj));
+  const ruleIds = findings => [...new Set(findings.map(f => f.ruleId))];
+  const lookupProperties = f => f.flowContents.controllerServices.find(
+    s => s.identifier === 'sql-lookup-service'
+  ).properties;
+
+  beforeEach(() => {
+    registry = global.testHelpers.loadSqlRegistry();
+    flow = global.testHelpers.loadFlowJson();
+    specs = loadSpecs(SPECS_DIR).specs;
+  });
+
+  describe('Committed Artifacts', () => {
+    test('should report no findings for the committed registry', () => {
+      expect(lintSqlRegistry({ registry, flow, specs })).toEqual([]);
+    });
+
+    test('npm run lint:sql should exit 0 with JSON output', () => {
+      const result = spawnSync('node', [SCRIPT_PATH], { encoding: 'utf8' });
+      expect(result.status).toBe(0);
+
+      const output = JSON.parse(result.stdout);
+      expect(output.errors).toBe(0);
+      expect(output.findings).toEqual([]);
+    });
+  });
+
+  describe('SQL Rules', () => {
+    test('should flag sql_id that violates oracle.cdc.<table>.<range>', () => {
+      registry['oracle.cdc.MyTable.5'] = clone(registry['oracle.cdc.my_table.5m']);
+      const findings = lintSqlRegistry({ registry });
+
+      expect(findings).toContainEqual(expect.objectContaining({
+        ruleId: 'sql-id-format',
+        sqlId: 'oracle.cdc.MyTable.5'
+      }));
+    });
+
+    test('should accept digits in the table part of sql_id', () => {
+      registry['oracle.cdc.orders_2024.5m'] = { ...clone(registry['oracle.cdc.orders.5m']), table: 'ORDERS_2024' };
+
+      expect(lintSqlRegistry({ registry })).toEqual([]);
+    });
+
+    test('should flag sql_id whose range disagrees with the entry', () => {
+      registry['oracle.cdc.my_table.5m'].range = '15m';
+      const findings = lintSqlRegistry({ registry });
+
+      expect(ruleIds(findings)).toEqual(['sql-id-format']);
+    });
+
+    test('should flag SQL without ORDER BY max_value_column', () => {
+      const entry = registry['oracle.cdc.orders.5m'];
+      entry.sql = entry.sql.replace(/ ORDER BY .*$/, '');
+      const findings = lintSqlRegistry({ registry });
+
+      expect(findings).toEqual([expect.objectContaining({
+        ruleId: 'order-by-max-value-column',
+        sqlId: 'oracle.cdc.orders.5m'
+      })]);
+    });
+
+    test('should flag range values substituted as text instead of bound', () => {
+      const entry = registry['oracle.cdc.orders.15m'];
+      entry.sql = entry.sql.replace('<= TO_TIMESTAMP(?', "<= TO_TIMESTAMP('${range_to}'");
+      const findings = lintSqlRegistry({ registry });
+
+      expect(findings.map(f => [f.ruleId, f.message])).toEqual([
+        ['range-parameters', 'SQL substitutes ${range_to} as text instead of binding a ? parameter'],
+        ['range-parameters', 'SQL has 1 ? parameters but the entry lists 2']
+      ]);
+    });
+
+    test('should flag entries whose parameters miss a range bound', () => {
+      registry['oracle.cdc.orders.15m'].parameters = ['range_from'];
+      const findings = lintSqlRegistry({ registry });
+
+      expect(findings.map(f => [f.ruleId, f.message])).toEqual([
+        ['range-parameters', 'parameters do not bind range_to'],
+        ['range-parameters', 'SQL has 2 ? parameters but the entry lists 1']
+      ]);
+    });
+
+    test('should flag missing required fields', () => {
+      delete registry['oracle.cdc.orders.30m'].max_value_column;
+      const findings = lintSqlRegistry({ registry });
+
+      expect(findings).toEqual([expect.objectContaining({
+        ruleId: 'required-fields',
+        message: 'missing "max_value_column"'
+      })]);
+    });
+  });
+
+  describe('Spec Consistency', () => {
+    test('should flag entries whose schema or cdc_key differ from the spec', () => {
+      registry['oracle.cdc.orders.5m'].schema = 'OTHER';
+      registry['oracle.cdc.orders.60m'].max_value_column = 'CREATED_AT';
+      registry['oracle.cdc.orders.60m'].sql = registry['oracle.cdc.orders.60m'].sql
+        .replace(/ORDER BY MODIFIED_AT$/, 'ORDER BY CREATED_AT');
+      const findings = lintSqlRegistry({ registry, specs });
+
+      expect(findings.map(f => [f.ruleId, f.sqlId])).toEqual([
+        ['spec-match', 'oracle.cdc.orders.5m'],
+        ['spec-match', 'oracle.cdc.orders.60m']
+      ]);
+    });
+
+    test('should flag spec columns missing from the SELECT list', () => {
+      const entry = registry['oracle.cdc.orders.5m'];
+      entry.sql = entry.sql.replace('QUANTITY, ', '');
+      const findings = lintSqlRegistry({ registry, specs });
+
+      expect(findings).toEqual([expect.objectContaining({
+        ruleId: 'spec-columns-selected',
+        message: 'column QUANTITY is missing from the SELECT list'
+      })]);
+    });
+
+    test('should flag a composite key SQL without the document id', () => {
+      const { spec } = specs.orders;
+      spec.table.primary_key = ['ORDER_ID', 'PRODUCT_ID'];
+      spec.elasticsearch.id_field = 'CDC_DOC_ID';
+      const findings = lintSqlRegistry({ registry, specs });
+
+      expect(findings).toHaveLength(4);
+      expect(findings[0]).toEqual(expect.objectContaining({
+        ruleId: 'spec-columns-selected',
+        message: 'composite document id CDC_DOC_ID is missing from the SELECT list'
+      }));
+    });
+
+    test('compound watermark entries should match the spec watermark and parameters', () => {
+      const { spec } = specs.orders;
+      spec.cdc.watermark = 'compound';
+      const entries = generateSqlRegistryEntries(spec);
+      Object.assign(registry, entries);
+      expect(lintSqlRegistry({ registry, specs })).toEqual([]);
+
+      const entry = registry['oracle.cdc.orders.5m'];
+      entry.sql = entry.sql.replace(/ORDER BY .*$/, 'ORDER BY MODIFIED_AT');
+      delete registry['oracle.cdc.orders.15m'].watermark_columns;
+      registry['oracle.cdc.orders.30m'].parameters = registry['oracle.cdc.orders.30m'].parameters
+        .filter(attribute => attribute !== 'range_from_ORDER_ID');
+      const findings = lintSqlRegistry({ registry, specs });
+
+      expect(findings.map(f => [f.ruleId, f.sqlId, f.message])).toEqual([
+        ['spec-match', 'oracle.cdc.orders.15m', 'watermark columns MODIFIED_AT do not match spec watermark MODIFIED_AT, ORDER_ID'],
+        ['range-parameters', 'oracle.cdc.orders.30m', 'parameters do not bind range_from_ORDER_ID'],
+        ['range-parameters', 'oracle.cdc.orders.30m', 'SQL has 4 ? parameters but the entry lists 3'],
+        ['spec-match', 'oracle.cdc.orders.30m', 'parameters range_from, range_from, range_to do not match spec range parameters range_from, range_from, range_from_ORDER_ID, range_to'],
+        ['order-by-max-value-column', 'oracle.cdc.orders.5m', 'SQL does not ORDER BY MODIFIED_AT, ORDER_ID']
+      ]);
+    });
+
+    test('sequence and rowscn entries should match the spec mode', () => {
+      const { spec } = specs.orders;
+      spec.cdc.mode = 'sequence';
+      spec.table.cdc_key = 'ORDER_ID';
+      Object.assign(registry, generateSqlRegistryEntries(spec));
+      expect(lintSqlRegistry({ registry, specs })).toEqual([]);
+
+      spec.cdc.mode = 'rowscn';
+      const findings = lintSqlRegistry({ registry, specs }).filter(f => f.sqlId === 'oracle.cdc.orders.5m');
+
+      expect(findings.map(f => [f.ruleId, f.message])).toEqual([
+        ['spec-match', 'mode "sequence" does not match spec cdc.mode "rowscn"'],
+        ['spec-match', 'max_value_column "ORDER_ID" does not match spec change column "ORA_ROWSCN"'],
+        ['spec-match', 'parameters range_from do not match spec range parameters range_from, range_to, range_from, range_to']
+      ]);
+    });
+
+    test('row filter should stay between the range condition and ORDER BY', () => {
+      const { spec } = specs.orders;
+      spec.filter = { where: [{ column: 'STATUS', op: '<>', value: 'DRAFT' }] };
+      Object.assign(registry, generateSqlRegistryEntries(spec));
+      expect(lintSqlRegistry({ registry, specs })).toEqual([]);
+
+      // filter를 ORDER BY 뒤로 옮기거나 OR로 range를 벗어나게 수정
+      registry['oracle.cdc.orders.5m'].sql = registry['oracle.cdc.orders.5m'].sql
+        .replace(" AND (STATUS <> 'DRAFT') ORDER BY MODIFIED_AT", " ORDER BY MODIFIED_AT AND (STATUS <> 'DRAFT')");
+      registry['oracle.cdc.orders.15m'].sql = registry['oracle.cdc.orders.15m'].sql
+        .replace(" AND (STATUS <> 'DRAFT')", " OR STATUS <> 'DRAFT'");
+      registry['oracle.cdc.orders.30m'].filter = "STATUS <> 'DRAFT' ORDER BY STATUS";
+      delete registry['oracle.cdc.orders.60m'].filter;
+      const findings = lintSqlRegistry({ registry, specs });
+
+      expect(findings.map(f => [f.ruleId, f.sqlId, f.message])).toEqual([
+        ['filter-contract', 'oracle.cdc.orders.15m', 'SQL does not AND the filter between the range condition and ORDER BY'],
+        ['filter-contract', 'oracle.cdc.orders.30m', 'filter must not contain ORDER BY: ORDER BY would replace the watermark order'],
+        ['filter-contract', 'oracle.cdc.orders.30m', 'SQL does not AND the filter between the range condition and ORDER BY'],
+        ['spec-match', 'oracle.cdc.orders.30m', `filter "STATUS <> 'DRAFT' ORDER BY STATUS" does not match spec filter "STATUS <> 'DRAFT'"`],
+        ['filter-contract', 'oracle.cdc.orders.5m', 'SQL does not AND the filter between the range condition and ORDER BY'],
+        ['spec-match', 'oracle.cdc.orders.60m', `filter "" does not match spec filter "STATUS <> 'DRAFT'"`]
+      ]);
+    });
+
+    test('renamed columns should be selected under their field name', () => {
+      const { spec } = specs.orders;
+      spec.columns.find(c => c.name === 'STATUS').es_name = 'status';
+      spec.columns.find(c => c.name === 'CREATED_AT').exclude = true;
+      Object.assign(registry, generateSqlRegistryEntries(spec));
+      expect(lintSqlRegistry({ registry, specs })).toEqual([]);
+
+      const entry = registry['oracle.cdc.orders.5m'];
+      entry.sql = entry.sql
+        .replace('STATUS AS "status"', 'STATUS')
+        .replace(', TO_CHAR(MODIFIED_AT', ', CREATED_AT, TO_CHAR(MODIFIED_AT');
+      const findings = lintSqlRegistry({ registry, specs });
+
+      expect(findings.map(f => [f.ruleId, f.message])).toEqual([
+        ['spec-columns-selected', 'column STATUS is missing from the SELECT list as "status"'],
+        ['spec-columns-selected', 'excluded column CREATED_AT is in the SELECT list']
+      ]);
+    });
+
+    test('transformed columns should never be selected in clear text', () => {
+      const { spec } = specs.orders;
+      spec.columns.find(c => c.name === 'STATUS').transform = 'mask';
+      Object.assign(registry, generateSqlRegistryEntries(spec));
+      expect(lintSqlRegistry({ registry, specs })).toEqual([]);
+
+      const entry = registry['oracle.cdc.orders.5m'];
+      entry.sql = entry.sql.replace(`${transformExpression(spec.columns.find(c => c.name === 'STATUS'))} AS STATUS`, 'STATUS');
+      const findings = lintSqlRegistry({ registry, specs });
+
+      expect(findings.map(f => [f.ruleId, f.message])).toEqual([
+        ['transform-applied', 'column STATUS is selected without its mask transform']
+      ]);
+    });
+
+    test('joined specs should read the joined source and select the joined columns', () => {
+      const { spec } = specs.orders;
+      spec.joins = [{
+        table: 'CUSTOMERS',
+        field: 'customer',
+        on: { CUSTOMER_ID: 'CUSTOMER_ID' },
+        cdc_key: 'UPDATED_AT',
+        columns: [{ name: 'NAME', type: 'VARCHAR2(100)' }]
+      }];
+      Object.assign(registry, generateSqlRegistryEntries(spec));
+      expect(lintSqlRegistry({ registry, specs })).toEqual([]);
+
+      const entry = registry['oracle.cdc.orders.5m'];
+      entry.sql = entry.sql.replace(', CUSTOMER__NAME FROM', ' FROM').replace(' LEFT JOIN CDC_USER.CUSTOMERS T1', ' JOIN CDC_USER.CUSTOMERS T1');
+      const findings = lintSqlRegistry({ registry, specs });
+
+      expect(findings.map(f => [f.ruleId, f.message])).toEqual([
+        ['spec-match', 'SQL does not read from the joined source of the spec joins'],
+        ['spec-columns-selected', 'joined column CUSTOMER__NAME is missing from the SELECT list']
+      ]);
+    });
+
+    test('specs with children should select the child arrays', () => {
+      const { spec } = specs.orders;
+      spec.children = [{
+        table: 'ORDER_LINES',
+        field: 'lines',
+        on: { ORDER_ID: 'ORDER_ID' },
+        cdc_key: 'UPDATED_AT',
+        columns: [{ name: 'SKU', type: 'VARCHAR2(40)' }]
+      }];
+      Object.assign(registry, generateSqlRegistryEntries(spec));
+      expect(lintSqlRegistry({ registry, specs })).toEqual([]);
+
+      const entry = registry['oracle.cdc.orders.5m'];
+      entry.sql = entry.sql.replace(', LINES__JSON FROM', ' FROM');
+      const findings = lintSqlRegistry({ registry, specs });
+
+      expect(findings.map(f => [f.ruleId, f.message])).toEqual([
+        ['spec-columns-selected', 'child array LINES__JSON is missing from the SELECT list']
+      ]);
+    });
+
+    test('should flag window settings that differ from the spec', () => {
+      specs.orders.spec.cdc.commit_lag = '30s';
+      registry['oracle.cdc.orders.5m'].commit_lag = '30s';
+      registry['oracle.cdc.orders.5m'].overlap = '1m';
+      const findings = lintSqlRegistry({ registry, specs });
+
+      expect(findings.map(f => [f.sqlId, f.message])).toEqual([
+        ['oracle.cdc.orders.15m', 'commit_lag "" does not match spec cdc.commit_lag "30s"'],
+        ['oracle.cdc.orders.30m', 'commit_lag "" does not match spec cdc.commit_lag "30s"'],
+        ['oracle.cdc.orders.5m', 'overlap "1m" does not match spec cdc.overlap ""'],
+        ['oracle.cdc.orders.60m', 'commit_lag "" does not match spec cdc.commit_lag "30s"']
+      ]);
+    });
+
+    test('should flag range options and tables without a registry entry', () => {
+      delete registry['oracle.cdc.my_table.30m'];
+      registry['oracle.cdc.customers.5m'] = { ...clone(registry['oracle.cdc.orders.5m']), table: 'CUSTOMERS' };
+      const messages = lintSqlRegistry({ registry, specs }).map(f => f.message);
+
+      expect(messages).toContain('no spec found for table "CUSTOMERS"');
+      expect(messages).toContain('spec range option 30m has no registry entry');
+    });
+
+    test('should report spec validation errors as spec-invalid', () => {
+      const specErrors = [{ file: 'specs/orders.yaml', path: 'table.cdc_kye', line: 7, message: 'unknown property' }];
+      const findings = lintSqlRegistry({ registry, specs, specErrors });
+
+      expect(findings[0]).toEqual(expect.objectContaining({
+        ruleId: 'spec-invalid',
+        message: 'specs/orders.yaml:7 table.cdc_kye: unknown property'
+      }));
+    });
+
+    test('an invalid spec should only hide the missing spec of its own table', () => {
+      delete specs.orders;
+      registry['oracle.cdc.customers.5m'] = { ...clone(registry['oracle.cdc.orders.5m']), table: 'CUSTOMERS' };
+      const specErrors = [{ file: 'specs/orders.yaml', path: 'table.cdc_kye', line: 7, message: 'unknown property' }];
+      const messages = lintSqlRegistry({ registry, specs, specErrors }).map(f => f.message);
+
+      expect(messages).toContain('no spec found for table "CUSTOMERS"');
+      expect(messages).not.toContain('no spec found for table "ORDERS"');
+    });
+  });
+
+  describe('LookupService Sync', () => {
+    test('should flag entries without a LookupService property', () => {
+      delete lookupProperties(flow)['oracle.cdc.orders.5m'];
+      const findings = lintSqlRegistry({ registry, flow });
+
+      expect(findings).toEqual([expect.objectContaining({
+        ruleId: 'lookup-service-sync',
+        sqlId: 'oracle.cdc.orders.5m',
+        file: 'flow'
+      })]);
+    });
+
+    test('should flag LookupService SQL that differs from the registry', () => {
+      lookupProperties(flow)['oracle.cdc.my_table.5m'] = 'SELECT * FROM MY_TABLE';
+      const findings = lintSqlRegistry({ registry, flow });
+
+      expect(findings).toEqual([expect.objectContaining({
+        ruleId: 'lookup-service-sync',
+        message: 'sql-lookup-service SQL differs from registry SQL'
+      })]);
+    });
+  });
+
+  describe('SELECT List Parsing', () => {
+    test('should resolve aliases and ignore commas inside function calls', () => {
+      const sql = "SELECT ID, t.NAME, TO_CHAR(UPDATED_AT, 'YYYY-MM-DD, HH24') AS UPDATED_AT FROM T";
+      expect(extractSelectColumns(sql)).toEqual(['ID', 'NAME', 'UPDATED_AT']);
+    });
+
+    test('should return null for non-SELECT statements', () => {
+      expect(extractSelectColumns('DELETE FROM T')).toBeNull();
+    });
+  });
+
+  describe('Output', () => {
+    test('SARIF output should list every rule and locate results', () => {
+      delete registry['oracle.cdc.orders.5m'].max_value_column;
+      const findings = lintSqlRegistry({ registry });
+      const source = JSON.stringify(registry, null, 2);
+      const sarif = toSarif(findings, { registry: { uri: 'sql-registry/oracle.json', source } });
+
+      const run = sarif.runs[0];
+      expect(sarif.version).toBe('2.1.0');
+      expect(run.tool.driver.rules.map(r => r.id)).toEqual(Object.keys(RULES));
+      expect(run.results).toHaveLength(1);
+      expect(run.results[0].ruleId).toBe('required-fields');
+      expect(run.results[0].locations[0].physicalLocation.region.startLine)
+        .toBe(source.split('\n').findIndex(l => l.includes('"oracle.cdc.orders.5m"')) + 1);
+    });
+
+    test('CLI should exit non-zero when findings exist', () => {
+      const os = require('os');
+      const fs = require('fs');
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nificdc-lint-'));
+      const registryPath = path.join(tmpDir, 'oracle.json');
+      registry['oracle.cdc.orders.5m'].sql = 'SELECT * FROM ORDERS';
+      fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2));
+
+      try {
+        const result = spawnSync('node', [SCRIPT_PATH, '--registry', registryPath, '--format', 'sarif'], { encoding: 'utf8' });
+        expect(result.status).toBe(1);
+        const sarif = JSON.parse(result.stdout);
+        expect(sarif.runs[0].results.map(r => r.ruleId)).toEqual(expect.arrayContaining([
+          'order-by-max-value-column',
+          'range-parameters',
+          'lookup-service-sync'
+        ]));
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    test('CLI should reject unknown formats', () => {
+      const result = spawnSync('node', [SCRIPT_PATH, '--format', 'xml'], { encoding: 'utf8' });
+      expect(result.status).toBe(2);
+      expect(result.stderr).toContain('Unsupported format');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * CDC Watermark Tests
+ *
+ * cdc.mode / cdc.watermark에 따른 range SQL 검증
+ * - timestamp: cdc_key > range_from AND cdc_key <= range_to ORDER BY cdc_key
+ * - compound: (cdc_key, primary_key) tuple 비교를 OR/AND로 전개, 두 컬럼으로 ORDER BY
+ * - 복합 primary_key는 key 순서대로 tuple에 포함, key 하한은 range_from_<COLUMN>
+ * - cdc.mode: sequence는 상한 없는 숫자 range, rowscn은 ORA_ROWSCN을 SCN range로 비교
+ *   (SCN mapping 보존 기간보다 오래된 range_from은 ORA-08180 대신 SCN 0부터 읽음)
+ * - range 값은 ? bind parameter, rangeParameters()가 순서대로 bind할 attribute와 JDBC 타입 제공
+ * - 대소문자 혼용 / 예약어 컬럼은 quoting
+ */
+
+const {
+  ROWSCN,
+  usesClockWindow,
+  changeColumn,
+  isCompoundWatermark,
+  watermarkColumns,
+  rangeFromAttribute,
+  isTemporalWatermark,
+  rangeParameters,
+  rangeClause
+} = require('../../scripts/lib/watermark');
+
+const FROM = "TO_TIMESTAMP(?, 'YYYY-MM-DD HH24:MI:SS.FF')";
+const TO = FROM;
+
+describe('CDC Watermark', () => {
+  let spec;
+
+  beforeEach(() => {
+    spec = global.testHelpers.loadSpec('orders');
+  });
+
+  describe('Columns', () => {
+    test('default watermark should track only cdc_key', () => {
+      expect(isCompoundWatermark(spec)).toBe(false);
+      expect(watermarkColumns(spec)).toEqual(['MODIFIED_AT']);
+    });
+
+    test('compound watermark should append the key columns', () => {
+      spec.cdc.watermark = 'compound';
+      expect(watermarkColumns(spec)).toEqual(['MODIFIED_AT', 'ORDER_ID']);
+
+      spec.table.primary_key = ['ORDER_ID', 'PRODUCT_ID'];
+      expect(watermarkColumns(spec)).toEqual(['MODIFIED_AT', 'ORDER_ID', 'PRODUCT_ID']);
+      expect(rangeFromAttribute(spec, 'PRODUCT_ID')).toBe('range_from_PRODUCT_ID');
+      expect(rangeFromAttribute(spec, 'MODIFIED_AT')).toBe('range_from');
+    });
+
+    test('timestamp cdc_key and temporal key columns should be bound as timestamps', () => {
+      spec.cdc.watermark = 'compound';
+      spec.table.primary_key = ['ORDER_ID', 'CREATED_AT'];
+
+      expect(watermarkColumns(spec).map(column => isTemporalWatermark(spec, column))).toEqual([true, false, true]);
+      expect(rangeClause(spec)).toContain(`(ORDER_ID = ? AND CREATED_AT > ${FROM})`);
+    });
+  });
+
+  describe('Range Clause', () => {
+    test('default clause should keep the cdc_key range', () => {
+      expect(rangeClause(spec)).toBe(
+        `WHERE MODIFIED_AT > ${FROM} AND MODIFIED_AT <= ${TO} ORDER BY MODIFIED_AT`
+      );
+    });
+
+    test('compound clause should break cdc_key ties on the primary key', () => {
+      spec.cdc.watermark = 'compound';
+
+      expect(rangeClause(spec)).toBe(
+        `WHERE (MODIFIED_AT > ${FROM} OR (MODIFIED_AT = ${FROM} AND ORDER_ID > ?)) ` +
+        `AND MODIFIED_AT <= ${TO} ORDER BY MODIFIED_AT, ORDER_ID`
+      );
+    });
+
+    test('composite keys should nest the tuple comparison in key order', () => {
+      spec.cdc.watermark = 'compound';
+      spec.table.primary_key = ['ORDER_ID', 'PRODUCT_ID'];
+
+      expect(rangeClause(spec)).toContain(
+        `(MODIFIED_AT = ${FROM} AND (ORDER_ID > ? OR ` +
+        '(ORDER_ID = ? AND PRODUCT_ID > ?))))'
+      );
+      expect(rangeClause(spec).endsWith('ORDER BY MODIFIED_AT, ORDER_ID, PRODUCT_ID')).toBe(true);
+    });
+
+    test('compound sequence clause should have no upper bound', () => {
+      spec.cdc.mode = 'sequence';
+      spec.cdc.watermark = 'compound';
+      spec.table.cdc_key = 'QUANTITY';
+
+      expect(rangeClause(spec)).toBe('WHERE (QUANTITY > ? OR (QUANTITY = ? AND ORDER_ID > ?)) ORDER BY QUANTITY, ORDER_ID');
+    });
+
+    test('mixed-case and reserved column names should be quoted', () => {
+      spec.table.cdc_key = 'ModifiedAt';
+      spec.columns.push({ name: 'ModifiedAt', type: 'TIMESTAMP' });
+
+      expect(rangeClause(spec)).toBe(
+        `WHERE "ModifiedAt" > ${FROM} AND "ModifiedAt" <= ${TO} ORDER BY "ModifiedAt"`
+      );
+      spec.table.cdc_key = 'LEVEL';
+      spec.columns.push({ name: 'LEVEL', type: 'TIMESTAMP' });
+      expect(rangeClause(spec)).toBe(`WHERE "LEVEL" > ${FROM} AND "LEVEL" <= ${TO} ORDER BY "LEVEL"`);
+
+      spec.table.primary_key = 'OrderId';
+      spec.columns.push({ name: 'OrderId', type: 'NUMBER' });
+      spec.cdc.watermark = 'compound';
+      expect(rangeClause(spec)).toBe(
+        `WHERE ("LEVEL" > ${FROM} OR ("LEVEL" = ${FROM} AND "OrderId" > ?)) ` +
+        `AND "LEVEL" <= ${TO} ORDER BY "LEVEL", "OrderId"`
+      );
+    });
+  });
+
+  describe('Range Parameters', () => {
+    test('timestamp range should bind range_from and range_to as text', () => {
+      expect(rangeParameters(spec)).toEqual([
+        { attribute: 'range_from', type: 12 },
+        { attribute: 'range_to', type: 12 }
+      ]);
+    });
+
+    test('compound watermark should bind every bound in clause order, keys as text', () => {
+      spec.cdc.watermark = 'compound';
+      spec.table.primary_key = ['ORDER_ID', 'STATUS'];
+
+      expect(rangeParameters(spec).map(p => p.attribute)).toEqual([
+        'range_from', 'range_from', 'range_from_ORDER_ID', 'range_from_ORDER_ID', 'range_from_STATUS', 'range_to'
+      ]);
+      // 첫 trigger의 빈 key 하한은 Oracle에서 NULL
+      expect(rangeParameters(spec).map(p => p.type)).toEqual([12, 12, 12, 12, 12, 12]);
+      expect(rangeClause(spec).match(/\?/g)).toHaveLength(rangeParameters(spec).length);
+    });
+
+    test('sequence range should only bind a numeric range_from', () => {
+      spec.cdc.mode = 'sequence';
+      spec.table.cdc_key = 'ORDER_ID';
+
+      expect(rangeParameters(spec)).toEqual([{ attribute: 'range_from', type: 2 }]);
+    });
+  });
+
+  describe('CDC Modes', () => {
+    test('timestamp mode should filter cdc_key on the clock window', () => {
+      expect(usesClockWindow(spec)).toBe(true);
+      expect(changeColumn(spec)).toBe('MODIFIED_AT');
+    });
+
+    test('sequence mode should read every key after range_from', () => {
+      spec.cdc.mode = 'sequence';
+      spec.table.cdc_key = 'ORDER_ID';
+
+      expect(usesClockWindow(spec)).toBe(false);
+      expect(changeColumn(spec)).toBe('ORDER_ID');
+      expect(rangeClause(spec)).toBe('WHERE ORDER_ID > ? ORDER BY ORDER_ID');
+    });
+
+    test('rowscn mode should compare ORA_ROWSCN with the SCNs of the window', () => {
+      spec.cdc.mode = 'rowscn';
+      delete spec.table.cdc_key;
+
+      expect(usesClockWindow(spec)).toBe(true);
+      expect(changeColumn(spec)).toBe(ROWSCN);
+      expect(rangeClause(spec)).toBe(
+        `WHERE ORA_ROWSCN > CASE WHEN ${FROM} > ${TO} - INTERVAL '96' HOUR THEN TIMESTAMP_TO_SCN(${FROM}) ELSE 0 END`
+        + ` AND ORA_ROWSCN <= TIMESTAMP_TO_SCN(${TO}) ORDER BY ORA_ROWSCN`
+      );
+      expect(rangeParameters(spec).map(parameter => parameter.attribute)).toEqual(['range_from', 'range_to', 'range_from', 'range_to']);
+    });
+  });
+});